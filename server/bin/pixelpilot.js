@@ -0,0 +1,302 @@
+#!/usr/bin/env node
+// Command-line interface for CI. Every command goes through the PixelPilot API,
+// either of a running server (--server) or of the server app started
+// in-process on a free local port. Both use the same projects, configs,
+// scenario screenshot associations and run history as the dashboard.
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { parseArgs } = require('util');
+const { buildLabelFilter } = require('../lib/report');
+const { REPORT_FORMATS } = require('../lib/summaryReports');
+
+const USAGE = `Usage: pixelpilot <command> [options]
+
+Commands:
+  test        Run a visual regression test
+  reference   Capture reference screenshots
+  approve     Approve the latest test results as new references
+  sync        Copy uploaded reference screenshots into bitmaps_reference
+  status      Show the run lock, active jobs and the latest test run
+
+Options:
+  --server <url>       PixelPilot server to drive (default: $PIXELPILOT_SERVER);
+                       without one the server runs in-process
+  --project <id>       Project to run against (default: $PIXELPILOT_PROJECT,
+                       or the default project)
+  --scenario <label>   Only run this scenario (repeatable)
+  --viewport <label>   Only capture this viewport (repeatable, test and reference)
+  --tag <tag>          Only run scenarios with this tag (repeatable)
+  --env <name>         Environment profile for scenario URLs and scripts
+                       (default: the config's defaultEnvironment)
+  --user <name>        Owner shown while the run holds the lock (default: $USER@host)
+  --fail-if-busy       Exit instead of queueing behind another operation
+  --reports <dir>      After a test, save its JUnit, Markdown and JSON summaries here
+  --json               Print the final result as JSON
+  -h, --help           Show this help
+
+Exit codes: 0 success, 1 visual differences found, 2 error`;
+
+const EXIT_OK = 0;
+const EXIT_DIFFERENCES = 1;
+const EXIT_ERROR = 2;
+
+const JOB_COMMANDS = ['test', 'reference', 'approve'];
+const COMMANDS = [...JOB_COMMANDS, 'sync', 'status'];
+
+function parseCommandLine(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      server: { type: 'string' },
+      project: { type: 'string' },
+      scenario: { type: 'string', multiple: true },
+      viewport: { type: 'string', multiple: true },
+      tag: { type: 'string', multiple: true },
+      env: { type: 'string' },
+      user: { type: 'string' },
+      'fail-if-busy': { type: 'boolean' },
+      reports: { type: 'string' },
+      json: { type: 'boolean' },
+      help: { type: 'boolean', short: 'h' }
+    }
+  });
+  return { command: positionals[0], options: values };
+}
+
+// API client for one project; the default project's routes are not prefixed
+function createClient(baseUrl, user, project) {
+  const apiBase = project ? `${baseUrl}/api/projects/${encodeURIComponent(project)}` : `${baseUrl}/api`;
+
+  const request = async (method, apiPath, body) => {
+    const response = await fetch(`${apiBase}${apiPath}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', 'X-PixelPilot-User': user },
+      body: body && JSON.stringify(body)
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.error || `${method} ${apiPath} failed with status ${response.status}`);
+    }
+    return data;
+  };
+
+  // Raw response text, for report files
+  const download = async (apiPath) => {
+    const response = await fetch(`${apiBase}${apiPath}`);
+    if (!response.ok) {
+      throw new Error(`GET ${apiPath} failed with status ${response.status}`);
+    }
+    return response.text();
+  };
+
+  return {
+    apiBase,
+    get: (apiPath) => request('GET', apiPath),
+    post: (apiPath, body) => request('POST', apiPath, body || {}),
+    download
+  };
+}
+
+// Serve the app on a free loopback port. Its run lock is shared with a
+// dashboard server running from the same directory, so runs wait for each
+// other. Webhooks it fires are delivered before the process exits.
+function startInProcessServer() {
+  const { app, projects } = require('../index');
+  return new Promise((resolve, reject) => {
+    const server = app.listen(0, '127.0.0.1', () => resolve({ server, projects }));
+    server.on('error', reject);
+  });
+}
+
+/**
+ * Read a job's Server-Sent Events stream, calling `onEvent(type, data)` for
+ * every update, and resolve with the finished job.
+ */
+async function followJob(client, jobId, onEvent) {
+  const response = await fetch(`${client.apiBase}/jobs/${jobId}/events`);
+  if (!response.ok) {
+    throw new Error(`Could not follow job ${jobId}: status ${response.status}`);
+  }
+
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for await (const chunk of response.body) {
+    buffer += decoder.decode(chunk, { stream: true });
+
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const message = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      const type = /^event: (.*)$/m.exec(message)?.[1];
+      const data = /^data: (.*)$/m.exec(message)?.[1];
+      // Heartbeats are comments without an event
+      if (!type || !data) continue;
+
+      const payload = JSON.parse(data);
+      if (type === 'done') return payload;
+      onEvent(type, payload);
+    }
+  }
+  throw new Error('Job progress stream ended before the job finished');
+}
+
+const describeProgressEvent = (event) => {
+  const target = `${event.scenario}${event.viewport ? ` · ${event.viewport}` : ''}`;
+  if (event.phase === 'retry') {
+    return `retry ${event.attempt}/${event.retries}: ${target}`;
+  }
+  if (event.phase === 'capture') {
+    return event.status === 'error' ? `capture error: ${target} - ${event.error}` : `captured: ${target}`;
+  }
+  const misMatch = event.misMatchPercentage != null ? ` (${event.misMatchPercentage}% mismatch)` : '';
+  return `${event.status}: ${target}${misMatch}`;
+};
+
+const logProgress = (type, data) => {
+  if (type === 'status' && data.status === 'queued') {
+    console.log(`Queued at position ${data.queuePosition}, waiting for the run lock...`);
+  } else if (type === 'status' && data.status === 'running') {
+    console.log('Running...');
+  } else if (type === 'progress' && data.event.status !== 'started') {
+    console.log(`  ${describeProgressEvent(data.event)}`);
+  }
+};
+
+async function runJobCommand(client, command, options) {
+  const body = {
+    filter: options.scenario ? buildLabelFilter(options.scenario) : undefined,
+    viewports: options.viewport,
+    tags: options.tag,
+    environment: options.env,
+    ifBusy: options['fail-if-busy'] ? 'reject' : undefined
+  };
+  const { jobId, message } = await client.post(`/${command}`, body);
+  if (!options.json) console.log(message);
+
+  const job = await followJob(client, jobId, options.json ? () => {} : logProgress);
+
+  if (options.json) {
+    console.log(JSON.stringify(job, null, 2));
+  } else {
+    const { progress, result } = job;
+    if (command === 'test') {
+      console.log(`\n${progress.passed} passed, ${progress.failed} failed`);
+    }
+    console.log(result?.message || job.error || `Job ${job.status}`);
+    if (job.environment) {
+      console.log(`Environment: ${job.environment.name}`);
+    }
+    if (result?.historyId) {
+      console.log(`Archived as run ${result.historyId}`);
+    }
+  }
+
+  if (options.reports && job.result?.historyId) {
+    await saveReports(client, job.result.historyId, options.reports, options);
+  }
+
+  if (job.status !== 'completed') return EXIT_ERROR;
+  return job.result?.success ? EXIT_OK : EXIT_DIFFERENCES;
+}
+
+async function saveReports(client, runId, dir, options) {
+  await fs.ensureDir(dir);
+  for (const [format, { fileName }] of Object.entries(REPORT_FORMATS)) {
+    // A test that could not run has no archived report to summarize
+    const content = await client.download(`/history/${runId}/reports/${format}`).catch(() => null);
+    if (content === null) continue;
+
+    await fs.writeFile(path.join(dir, fileName), content);
+    if (!options.json) console.log(`Saved ${format} report to ${path.join(dir, fileName)}`);
+  }
+}
+
+async function runSync(client, options) {
+  const result = await client.post('/sync-references');
+  console.log(options.json ? JSON.stringify(result, null, 2) : result.message);
+  return EXIT_OK;
+}
+
+async function runStatus(client, options) {
+  const [lock, { jobs }, { runs }] = await Promise.all([
+    client.get('/lock'),
+    client.get('/jobs'),
+    client.get('/history')
+  ]);
+  const activeJobs = jobs.filter(job => job.status === 'running' || job.status === 'queued');
+  const latestTest = runs.find(run => run.command === 'test') || null;
+
+  if (options.json) {
+    console.log(JSON.stringify({ lock, activeJobs, latestTest }, null, 2));
+    return EXIT_OK;
+  }
+
+  console.log(lock.locked
+    ? `Run lock: held by ${lock.holder.owner} (${lock.holder.operation}), ${lock.queue.length} waiting`
+    : 'Run lock: free');
+  for (const job of activeJobs) {
+    console.log(`Job ${job.id}: ${job.command} ${job.status} (${job.owner})`);
+  }
+  if (latestTest) {
+    const counts = latestTest.summary
+      ? `${latestTest.summary.passed} passed, ${latestTest.summary.failed} failed`
+      : 'no report';
+    console.log(`Latest test: ${latestTest.status} at ${latestTest.finishedAt} - ${counts}`);
+  } else {
+    console.log('Latest test: none recorded');
+  }
+  return EXIT_OK;
+}
+
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseCommandLine(argv);
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return EXIT_ERROR;
+  }
+
+  const { command, options } = parsed;
+  if (options.help || !command) {
+    console.log(USAGE);
+    return options.help ? EXIT_OK : EXIT_ERROR;
+  }
+  if (!COMMANDS.includes(command)) {
+    console.error(`Unknown command "${command}"\n\n${USAGE}`);
+    return EXIT_ERROR;
+  }
+
+  const serverUrl = options.server || process.env.PIXELPILOT_SERVER;
+  const inProcess = serverUrl ? null : await startInProcessServer();
+  const baseUrl = serverUrl ? serverUrl.replace(/\/+$/, '') : `http://127.0.0.1:${inProcess.server.address().port}`;
+  const client = createClient(
+    baseUrl,
+    options.user || `${os.userInfo().username}@${os.hostname()}`,
+    options.project || process.env.PIXELPILOT_PROJECT
+  );
+
+  try {
+    if (JOB_COMMANDS.includes(command)) return await runJobCommand(client, command, options);
+    if (command === 'sync') return await runSync(client, options);
+    return await runStatus(client, options);
+  } catch (error) {
+    console.error(`pixelpilot ${command} failed: ${error.message}`);
+    return EXIT_ERROR;
+  } finally {
+    if (inProcess) {
+      await inProcess.projects.settle();
+      inProcess.server.close();
+    }
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(code => process.exit(code));
+}
+
+module.exports = { parseCommandLine, followJob, main, EXIT_OK, EXIT_DIFFERENCES, EXIT_ERROR };
@@ -3,24 +3,140 @@ const cors = require('cors');
 const multer = require('multer');
 const fs = require('fs-extra');
 const path = require('path');
-const backstop = require('backstopjs');
+const os = require('os');
+const crypto = require('crypto');
+const { filterScenarios } = require('./lib/jobManager');
+const { RunLock } = require('./lib/runLock');
+const { ProjectStore, DEFAULT_PROJECT_ID } = require('./lib/projects');
+const { APPROVAL_ACTIONS, getPairKey } = require('./lib/approvals');
+const { REVIEW_STATUSES } = require('./lib/reviews');
+const { compareReports, diffBitmaps } = require('./lib/runComparison');
+const { buildTrends } = require('./lib/trends');
+const { buildFlakiness, getQuarantinedLabels, getRetryCount } = require('./lib/flakiness');
+const { REPORT_FORMATS, buildRunSummary, renderSummaryReport, writeSummaryReports } = require('./lib/summaryReports');
+const { writeRunBundle, importRunBundle } = require('./lib/runBundle');
+const { renderPdfHtml, renderPdf } = require('./lib/pdfReport');
+const { WEBHOOK_EVENTS, WEBHOOK_FORMATS, redactWebhook } = require('./lib/webhooks');
+const { SCHEDULE_COMMANDS } = require('./lib/scheduler');
+const { resolveEnvironment, applyEnvironment } = require('./lib/environments');
+const { CONFIG_SCHEMA, validateConfig } = require('./lib/configSchema');
+const { getReferenceFilenames, findReferenceFiles } = require('./lib/backstopFilenames');
+const { getUploadKey, getUploadTargets, buildUploadGrid } = require('./lib/referenceUploads');
+const { readPngSize, normalizeImage, suggestNormalizations } = require('./lib/imageNormalization');
+const { MISMATCH_ERROR, readReport, addImageUrls, buildLabelFilter, getFailedLabels } = require('./lib/report');
 
 const app = express();
 const port = 5000;
 
+// Absolute base for links in generated reports, e.g. images in Markdown summaries
+const publicUrl = (process.env.PIXELPILOT_PUBLIC_URL || `http://localhost:${port}`).replace(/\/+$/, '');
+
 app.use(cors());
 app.use(express.json());
 
-// Create necessary directories
-const configDir = path.join(__dirname, 'backstop_data');
-const uploadsDir = path.join(__dirname, 'uploads');
-fs.ensureDirSync(configDir);
-fs.ensureDirSync(uploadsDir);
+// Holds the default project's backstop_data, uploads and pixelpilot_data
+// folders and the other projects: the server folder unless PIXELPILOT_ROOT is set
+const rootDir = path.resolve(process.env.PIXELPILOT_ROOT || __dirname);
+
+// Serializes every BackstopJS operation that writes bitmaps, across all
+// projects and every process serving this directory (the CLI included)
+const runLock = new RunLock({ file: path.join(rootDir, 'pixelpilot_data', 'run.lock') });
+
+// Named workspaces, each with its own config, references, uploads, engine
+// scripts, history, webhooks and schedules. Scheduled runs start through the
+// same pipeline as the API routes and are recorded in history as triggered
+// by "schedule".
+const projects = new ProjectStore({
+  rootDir,
+  lock: runLock,
+  runSchedule: async (project, schedule) => {
+    const previous = schedule.lastJobId && project.jobManager.get(schedule.lastJobId);
+    if (previous && ['queued', 'running'].includes(previous.status)) {
+      throw new Error('The previous run of this schedule has not finished yet');
+    }
+
+    const { job, error } = await launchBackstopJob(project, {
+      command: schedule.command,
+      filter: schedule.filter || undefined,
+      tags: schedule.tags,
+      viewports: schedule.viewports,
+      environment: schedule.environment || undefined,
+      owner: 'schedule',
+      schedule: { id: schedule.id, name: schedule.name }
+    });
+    if (error) throw new Error(error);
+    return job;
+  }
+});
+
+// Every API route is scoped to a project: /api/projects/:projectId/... for any
+// project, and /api/... for the default one
+const api = express.Router({ mergeParams: true });
+
+// Set `req.project` from the :projectId route parameter, if there is one
+async function resolveProject(req, res, next) {
+  try {
+    const projectId = req.params.projectId || DEFAULT_PROJECT_ID;
+    req.project = await projects.get(projectId);
+    if (!req.project) {
+      return res.status(404).json({ error: `Project "${projectId}" not found` });
+    }
+    next();
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}
+
+api.use(resolveProject);
+
+// Identify who triggered an operation: the name the dashboard sends, or the client address
+function getRequester(req) {
+  return req.get('X-PixelPilot-User') || req.ip;
+}
+
+const describeLockHolder = (holder) =>
+  `"${holder.operation}" started by ${holder.owner} at ${holder.acquiredAt}`;
+
+// Middleware that holds the run lock until the response has been sent.
+// Responds with 409 instead of waiting when another operation is in progress.
+// `when` limits locking to matching requests; `onBusy` can undo work done
+// before the lock was requested (e.g. remove an uploaded file).
+function requireRunLock(operation, { when, onBusy } = {}) {
+  return async (req, res, next) => {
+    if (when && !when(req)) {
+      return next();
+    }
+
+    const ticket = runLock.tryAcquire({ operation, owner: getRequester(req) });
+    if (!ticket) {
+      if (onBusy) {
+        await onBusy(req);
+      }
+      const lock = runLock.status();
+      const busyWith = lock.holder ? describeLockHolder(lock.holder) : 'queued operations';
+      return res.status(409).json({
+        error: `Another BackstopJS operation is in progress: ${busyWith}. Please try again once it finishes.`,
+        lock
+      });
+    }
+
+    let released = false;
+    const release = () => {
+      if (!released) {
+        released = true;
+        runLock.release(ticket);
+      }
+    };
+    res.on('finish', release);
+    res.on('close', release);
+    next();
+  };
+}
 
 // Configure multer for screenshot uploads
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
-    cb(null, uploadsDir);
+    cb(null, req.project.uploadsDir);
   },
   filename: (req, file, cb) => {
     const { scenario, viewport } = req.body || {};
@@ -33,26 +149,24 @@ const storage = multer.diskStorage({
 });
 const upload = multer({ storage });
 
-// Store scenario-screenshot associations
-let scenarioScreenshots = {};
+// Run bundles are unpacked from a temporary file
+const bundleUpload = multer({
+  dest: os.tmpdir(),
+  limits: { fileSize: 1024 * 1024 * 1024 }
+});
 
-// Load existing scenario screenshots on startup
-async function loadScenarioScreenshots() {
-  try {
-    const scenarioDataPath = path.join(configDir, 'scenario_screenshots.json');
-    if (await fs.pathExists(scenarioDataPath)) {
-      scenarioScreenshots = await fs.readJson(scenarioDataPath);
-      console.log(`Loaded ${Object.keys(scenarioScreenshots).length} scenario screenshot associations`);
-    }
-  } catch (error) {
-    console.error('Error loading scenario screenshots:', error.message);
-  }
-}
+// Bulk reference imports are staged from temporary files; folder selections
+// keep their relative paths
+const importUpload = multer({
+  dest: os.tmpdir(),
+  preservePath: true,
+  limits: { fileSize: 1024 * 1024 * 1024 }
+});
 
 // Generate custom onReady and onBefore scripts for scenarios
-async function generateCustomScripts(config) {
+async function generateCustomScripts(project, config) {
   try {
-    const scriptsDir = path.join(configDir, 'engine_scripts', 'puppet');
+    const scriptsDir = path.join(project.configDir, 'engine_scripts', 'puppet');
     await fs.ensureDir(scriptsDir);
     
     // Helper function to process custom script code
@@ -217,13 +331,6 @@ async function generateCustomScripts(config) {
   }
 }
 
-// Initialize directories and load data
-async function initializeServer() {
-  await loadScenarioScreenshots();
-}
-
-initializeServer();
-
 // Default BackstopJS configuration
 const defaultConfig = {
   id: "backstop_default",
@@ -281,6 +388,8 @@ const defaultConfig = {
   },
   asyncCaptureLimit: 5,
   asyncCompareLimit: 50,
+  // PixelPilot setting: how often failed scenarios are re-run within one test
+  retries: 0,
   debug: false,
   debugWindow: false
 };
@@ -288,9 +397,9 @@ const defaultConfig = {
 // API Routes
 
 // Get current BackstopJS configuration
-app.get('/api/config', async (req, res) => {
+api.get('/config', async (req, res) => {
   try {
-    const configPath = path.join(configDir, 'backstop.json');
+    const configPath = req.project.configPath;
     let config = defaultConfig;
     
     if (await fs.pathExists(configPath)) {
@@ -303,10 +412,16 @@ app.get('/api/config', async (req, res) => {
   }
 });
 
-// Update BackstopJS configuration
-app.post('/api/config', async (req, res) => {
+// JSON Schema that configs are checked against on save
+api.get('/config/schema', (req, res) => {
+  res.json(CONFIG_SCHEMA);
+});
+
+// Update BackstopJS configuration. Responds with 400 and field-level `errors`
+// (`{ path, message }`) when the config does not match the schema.
+api.post('/config', async (req, res) => {
   try {
-    const configPath = path.join(configDir, 'backstop.json');
+    const configPath = req.project.configPath;
     const incomingConfig = req.body;
     
     // Merge with default configuration to ensure all required settings are present
@@ -318,34 +433,73 @@ app.post('/api/config', async (req, res) => {
         ...(incomingConfig.paths || {})
       }
     };
+
+    const errors = validateConfig(config);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: `Invalid configuration: ${errors.map(error => `${error.path || 'config'} ${error.message}`).join('; ')}`,
+        errors
+      });
+    }
     
     // Generate custom onReady scripts for scenarios with custom scripts
-    await generateCustomScripts(config);
+    await generateCustomScripts(req.project, config);
     
     await fs.writeJson(configPath, config, { spaces: 2 });
+    forgetStaticFolders(req.project.id);
+    req.project.webhooks.emit('config.changed', {
+      project: req.project.id,
+      triggeredBy: getRequester(req),
+      scenarios: (config.scenarios || []).length,
+      viewports: (config.viewports || []).length,
+      message: `Configuration updated by ${getRequester(req)}`
+    }).catch(error => console.error('Failed to send webhooks for config change:', error));
     res.json({ message: 'Configuration updated successfully' });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Upload screenshot and associate with scenario
-app.post('/api/upload-screenshot', upload.single('screenshot'), async (req, res) => {
+// Reference uploads are synced into bitmaps_reference, so they need the run lock
+const lockReferenceUpload = requireRunLock('upload-reference', {
+  when: req => req.body?.isReference === 'true',
+  onBusy: req => req.file && fs.remove(req.file.path)
+});
+
+// Upload screenshot and associate with scenario. `selector` picks the cell of
+// the scenario's selector × viewport grid; without one the upload covers every
+// selector of the viewport that has no upload of its own.
+api.post('/upload-screenshot', upload.single('screenshot'), lockReferenceUpload, async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No file uploaded' });
     }
     
     const { scenario, viewport, isReference } = req.body;
+    const selector = req.body.selector || null;
+    const { scenarioScreenshots } = req.project;
+    
+    // Reject cells the config does not have before recording anything
+    const configPath = req.project.configPath;
+    const config = await fs.pathExists(configPath) ? await fs.readJson(configPath) : null;
+    if (config) {
+      try {
+        getReferenceFilenames(config, { scenario, viewport, selector: selector || undefined, configPath });
+      } catch (error) {
+        await fs.remove(req.file.path);
+        return res.status(400).json({ error: error.message });
+      }
+    }
     
-    // Create scenario-viewport key
-    const scenarioKey = `${scenario}_${viewport}`;
+    // Create scenario-viewport(-selector) key
+    const scenarioKey = getUploadKey(scenario, viewport, selector);
     
     // Initialize scenario screenshots if not exists
     if (!scenarioScreenshots[scenarioKey]) {
       scenarioScreenshots[scenarioKey] = {
         scenario,
         viewport,
+        selector,
         screenshots: [],
         referenceScreenshot: null
       };
@@ -368,117 +522,45 @@ app.post('/api/upload-screenshot', upload.single('screenshot'), async (req, res)
       scenarioScreenshots[scenarioKey].referenceScreenshot = screenshotData;
       
       // Automatically sync to BackstopJS reference directory
-      const configPath = path.join(configDir, 'backstop.json');
-      if (await fs.pathExists(configPath)) {
-        const config = await fs.readJson(configPath);
-        const referenceDir = path.join(configDir, config.paths.bitmaps_reference.replace('backstop_data/', ''));
-        await fs.ensureDir(referenceDir);
-        
-        // Find the scenario configuration to get proper filename
-        const scenarioConfig = config.scenarios.find(s => s.label === scenario);
-        let backstopFilename;
-        
-        // Get viewport index from config (BackstopJS uses indices, not names)
-        const viewportIndex = config.viewports.findIndex(v => v.label === viewport);
-        if (viewportIndex === -1) {
-          throw new Error(`Viewport "${viewport}" not found in BackstopJS configuration`);
-        }
-        
-        if (scenarioConfig && scenarioConfig.selectors && scenarioConfig.selectors.length > 0) {
-          // If scenario has specific selectors, include them in filename
-          // BackstopJS removes dots and converts to lowercase for selectors
-          const selectorName = scenarioConfig.selectors[0]
-            .replace(/^\./, '') // Remove leading dot
-            .replace(/[^a-zA-Z0-9]/g, '-') // Replace non-alphanumeric with dash
-            .replace(/^-+|-+$/g, '') // Remove leading/trailing dashes
-            .toLowerCase(); // BackstopJS uses lowercase
-          backstopFilename = `backstop_default_${scenario}_0_${selectorName}_${viewportIndex}_${viewport}.png`;
-        } else {
-          // Full page screenshot
-          backstopFilename = `backstop_default_${scenario}_${viewportIndex}_${viewport}.png`;
-        }
-        
-        const referencePath = path.join(referenceDir, backstopFilename);
-        await fs.copy(req.file.path, referencePath);
-        console.log(`Auto-synced reference: ${backstopFilename}`);
+      if (config) {
+        const backstopFilenames = await syncReferenceUpload(req.project, config, { scenario, viewport, selector }, req.file.path, { author: getRequester(req) });
+        console.log(`Auto-synced reference: ${backstopFilenames.join(', ')}`);
       }
     }
     
-    // Save scenario screenshots to file
-    const scenarioDataPath = path.join(configDir, 'scenario_screenshots.json');
-    await fs.writeJson(scenarioDataPath, scenarioScreenshots, { spaces: 2 });
+    await saveScenarioScreenshots(req.project);
+    
+    // Lets the dashboard offer to normalize a reference of the wrong size
+    const referenceSize = isReference === 'true' && config
+      ? await describeReferenceSize(req.project, config, { scenario, viewport, selector }, await readLatestReport(req.project))
+      : null;
     
     res.json({
       message: 'Screenshot uploaded and associated with scenario successfully',
       filename: req.file.filename,
       scenarioKey,
       isReference: isReference === 'true',
-      screenshotCount: scenarioScreenshots[scenarioKey].screenshots.length
+      screenshotCount: scenarioScreenshots[scenarioKey].screenshots.length,
+      referenceSize
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Check sync status for a scenario-viewport combination
-app.get('/api/sync-status/:scenario/:viewport', async (req, res) => {
+// Check sync status for a scenario-viewport combination, or with
+// ?selector= for one cell of its selector grid
+api.get('/sync-status/:scenario/:viewport', async (req, res) => {
   try {
     const { scenario, viewport } = req.params;
-    const scenarioKey = `${scenario}_${viewport}`;
-    
-    // Load scenario screenshots data
-    const scenarioDataPath = path.join(configDir, 'scenario_screenshots.json');
-    const scenarioScreenshots = await fs.readJson(scenarioDataPath).catch(() => ({}));
+    const selector = req.query.selector || null;
     
     // Load BackstopJS config
-    const configPath = path.join(configDir, 'backstop.json');
+    const configPath = req.project.configPath;
     const config = await fs.readJson(configPath);
     
-    const hasReference = scenarioScreenshots[scenarioKey]?.referenceScreenshot != null;
-    
-    if (!hasReference) {
-      return res.json({
-        hasReference: false,
-        synced: false,
-        backstopFilename: null
-      });
-    }
-    
-    // Generate expected backstop filename
-    const scenarioConfig = config.scenarios.find(s => s.label === scenario);
-    const viewportIndex = config.viewports.findIndex(v => v.label === viewport);
-    
-    if (!scenarioConfig || viewportIndex === -1) {
-      return res.json({
-        hasReference,
-        synced: false,
-        error: 'Scenario or viewport not found in BackstopJS config'
-      });
-    }
-    
-    let backstopFilename;
-    if (scenarioConfig.selectors && scenarioConfig.selectors.length > 0) {
-      const selectorName = scenarioConfig.selectors[0]
-        .replace(/^\./, '')
-        .replace(/[^a-zA-Z0-9]/g, '-')
-        .replace(/^-+|-+$/g, '')
-        .toLowerCase();
-      backstopFilename = `backstop_default_${scenario}_0_${selectorName}_${viewportIndex}_${viewport}.png`;
-    } else {
-      backstopFilename = `backstop_default_${scenario}_${viewportIndex}_${viewport}.png`;
-    }
-    
-    // Check if BackstopJS reference file exists
-    const referenceDir = path.join(configDir, config.paths.bitmaps_reference.replace('backstop_data/', ''));
-    const backstopReferencePath = path.join(referenceDir, backstopFilename);
-    const synced = await fs.pathExists(backstopReferencePath);
-    
-    res.json({
-      hasReference,
-      synced,
-      backstopFilename,
-      lastSyncCheck: new Date().toISOString()
-    });
+    const status = await getUploadSyncStatus(req.project, config, { scenario, viewport, selector });
+    res.json({ ...status, lastSyncCheck: new Date().toISOString() });
     
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -486,62 +568,40 @@ app.get('/api/sync-status/:scenario/:viewport', async (req, res) => {
 });
 
 // Manual sync reference to BackstopJS
-app.post('/api/sync-reference', async (req, res) => {
+api.post('/sync-reference', requireRunLock('sync-reference'), async (req, res) => {
   try {
     const { scenario, viewport } = req.body;
-    const scenarioKey = `${scenario}_${viewport}`;
+    const selector = req.body.selector || null;
+    const scenarioKey = getUploadKey(scenario, viewport, selector);
     
-    // Load scenario screenshots data
-    const scenarioDataPath = path.join(configDir, 'scenario_screenshots.json');
-    const scenarioScreenshots = await fs.readJson(scenarioDataPath).catch(() => ({}));
-    
-    const referenceData = scenarioScreenshots[scenarioKey]?.referenceScreenshot;
+    const referenceData = req.project.scenarioScreenshots[scenarioKey]?.referenceScreenshot;
     if (!referenceData) {
       return res.status(400).json({ error: 'No reference screenshot found for this scenario-viewport combination' });
     }
     
     // Load BackstopJS config
-    const configPath = path.join(configDir, 'backstop.json');
+    const configPath = req.project.configPath;
     const config = await fs.readJson(configPath);
     
-    const scenarioConfig = config.scenarios.find(s => s.label === scenario);
-    const viewportIndex = config.viewports.findIndex(v => v.label === viewport);
-    
-    if (!scenarioConfig || viewportIndex === -1) {
-      return res.status(400).json({ error: 'Scenario or viewport not found in BackstopJS config' });
-    }
-    
-    // Generate backstop filename
-    let backstopFilename;
-    if (scenarioConfig.selectors && scenarioConfig.selectors.length > 0) {
-      const selectorName = scenarioConfig.selectors[0]
-        .replace(/^\./, '')
-        .replace(/[^a-zA-Z0-9]/g, '-')
-        .replace(/^-+|-+$/g, '')
-        .toLowerCase();
-      backstopFilename = `backstop_default_${scenario}_0_${selectorName}_${viewportIndex}_${viewport}.png`;
-    } else {
-      backstopFilename = `backstop_default_${scenario}_${viewportIndex}_${viewport}.png`;
+    try {
+      getReferenceFilenames(config, { scenario, viewport, selector: selector || undefined, configPath });
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
     }
     
-    // Copy to BackstopJS reference directory
-    const referenceDir = path.join(configDir, config.paths.bitmaps_reference.replace('backstop_data/', ''));
-    await fs.ensureDir(referenceDir);
-    
     const sourcePath = referenceData.path;
-    const targetPath = path.join(referenceDir, backstopFilename);
-    
     if (!(await fs.pathExists(sourcePath))) {
       return res.status(400).json({ error: 'Source reference file not found' });
     }
     
-    await fs.copy(sourcePath, targetPath);
+    // Copy to BackstopJS reference directory
+    const backstopFilenames = await syncReferenceUpload(req.project, config, { scenario, viewport, selector }, sourcePath, { author: getRequester(req) });
     
     res.json({
-      message: `Successfully synced reference to BackstopJS`,
-      backstopFilename,
-      sourcePath,
-      targetPath
+      message: `Successfully synced reference to ${backstopFilenames.length} BackstopJS file${backstopFilenames.length === 1 ? '' : 's'}`,
+      backstopFilename: backstopFilenames[0] || null,
+      backstopFilenames,
+      sourcePath
     });
     
   } catch (error) {
@@ -549,172 +609,1312 @@ app.post('/api/sync-reference', async (req, res) => {
   }
 });
 
-// Run BackstopJS test
-app.post('/api/test', async (req, res) => {
+// Resolve a BackstopJS output directory from the config. Config paths are
+// relative to the project root, e.g. "backstop_data/bitmaps_test"; a path the
+// config leaves out (json_report usually is) gets BackstopJS's default.
+function getBackstopDir(project, config, key) {
+  return path.join(project.configDir, (config.paths?.[key] || key).replace('backstop_data/', ''));
+}
+
+// A staged import with, per file, whether committing it replaces an existing
+// upload of the proposed cell
+function describeReferenceImport(project, record) {
+  return {
+    ...record,
+    files: record.files.map(file => ({
+      ...file,
+      replaces: Boolean(file.assignment && project.scenarioScreenshots[getUploadKey(file.assignment.scenario, file.assignment.viewport, file.assignment.selector)]?.referenceScreenshot)
+    }))
+  };
+}
+
+async function saveScenarioScreenshots(project) {
+  await fs.writeJson(path.join(project.configDir, 'scenario_screenshots.json'), project.scenarioScreenshots, { spaces: 2 });
+}
+
+// Copy an uploaded reference to the BackstopJS reference files of its upload
+// cell (see referenceUploads.js) and record the new reference versions;
+// resolves to their names. `version` is passed to ReferenceVersions.capture.
+// Throws for a cell the config does not have.
+async function syncReferenceUpload(project, config, cell, sourcePath, version = {}) {
+  const referenceDir = getBackstopDir(project, config, 'bitmaps_reference');
+  const filenames = getUploadTargets(config, project.scenarioScreenshots, { ...cell, configPath: project.configPath });
+  await fs.ensureDir(referenceDir);
+  await project.referenceVersions.capture(referenceDir, filenames, { source: 'untracked' });
+  for (const filename of filenames) {
+    await fs.copy(sourcePath, path.join(referenceDir, filename));
+  }
+  await project.referenceVersions.capture(referenceDir, filenames, { source: 'upload', ...version });
+  return filenames;
+}
+
+// Whether a cell has a reference upload (its own, or for a selector the
+// viewport-wide one) and whether all of its BackstopJS reference files exist
+async function getUploadSyncStatus(project, config, { scenario, viewport, selector }) {
+  const uploads = project.scenarioScreenshots;
+  const own = uploads[getUploadKey(scenario, viewport, selector)]?.referenceScreenshot || null;
+  const shared = selector ? uploads[getUploadKey(scenario, viewport)]?.referenceScreenshot || null : null;
+  if (!own && !shared) {
+    return { hasReference: false, synced: false, backstopFilename: null };
+  }
+
+  let backstopFilenames;
   try {
-    const configPath = path.join(configDir, 'backstop.json');
-    const config = await fs.readJson(configPath);
-    
-    // Ensure report paths exist
-    await fs.ensureDir(path.join(configDir, config.paths.html_report));
-    await fs.ensureDir(path.join(configDir, config.paths.bitmaps_test));
-    
-    const result = await backstop('test', { 
-      config: configPath,
-      filter: req.body.filter || undefined
-    });
-    
-    // Get report path for frontend - strip backstop_data prefix from config path
-    const htmlReportPath = config.paths.html_report.replace('backstop_data/', '');
-    const reportPath = path.join(configDir, htmlReportPath, 'index.html');
-    const reportExists = await fs.pathExists(reportPath);
-    
-    res.json({ 
-      success: true, 
-      result,
-      reportPath: reportExists ? `/report/index.html` : null,
-      message: 'Test completed successfully'
-    });
+    backstopFilenames = getUploadTargets(config, uploads, { scenario, viewport, selector, configPath: project.configPath });
   } catch (error) {
-    // BackstopJS throws error when there are visual differences, but this is expected
-    try {
-      const configPath = path.join(configDir, 'backstop.json');
-      const config = await fs.readJson(configPath);
-      // Get report path for frontend - strip backstop_data prefix from config path
-      const htmlReportPath = config.paths.html_report.replace('backstop_data/', '');
-      const reportPath = path.join(configDir, htmlReportPath, 'index.html');
-      const reportExists = await fs.pathExists(reportPath);
-      
-      res.status(200).json({ 
-        success: false, 
-        error: error.message,
-        reportPath: reportExists ? `/report/index.html` : null,
-        message: 'Test completed with visual differences detected'
-      });
-    } catch (configError) {
-      res.status(500).json({ 
-        success: false,
-        error: `Configuration error: ${configError.message}`,
-        reportPath: null,
-        message: 'Test failed due to configuration error'
-      });
+    return { hasReference: true, synced: false, error: error.message };
+  }
+
+  const referenceDir = getBackstopDir(project, config, 'bitmaps_reference');
+  const missing = [];
+  for (const filename of backstopFilenames) {
+    if (!(await fs.pathExists(path.join(referenceDir, filename)))) {
+      missing.push(filename);
     }
   }
-});
 
-// Run BackstopJS reference
-app.post('/api/reference', async (req, res) => {
+  return {
+    hasReference: true,
+    inherited: !own,
+    synced: missing.length === 0,
+    backstopFilename: backstopFilenames[0] || null,
+    backstopFilenames,
+    missing
+  };
+}
+
+// The size BackstopJS captures for a cell: that of its bitmap in the latest
+// test report (`report`), else the viewport's width, and its height too for
+// the `viewport` selector. Throws for cells the config does not have.
+async function getExpectedReferenceSize(project, config, { scenario, viewport, selector }, report) {
+  const configPath = project.configPath;
+  const entries = getReferenceFilenames(config, { scenario, viewport, selector: selector || undefined, configPath });
+  const targets = selector ? [] : getUploadTargets(config, project.scenarioScreenshots, { scenario, viewport, selector, configPath });
+  const captured = targets.length > 0 ? entries.filter(entry => targets.includes(entry.filename)) : entries;
+  const filenames = captured.map(entry => entry.filename);
+
+  const test = (report?.tests || []).find(candidate => filenames.includes(candidate.pair?.fileName) && candidate.pair.test);
+  if (test) {
+    const testPath = path.resolve(getBackstopDir(project, config, 'html_report'), test.pair.test.replace(/\\/g, '/'));
+    const size = await fs.pathExists(testPath) ? readPngSize(await fs.readFile(testPath)) : null;
+    if (size) return { ...size, source: 'capture', filename: test.pair.fileName };
+  }
+
+  const scenarioConfig = config.scenarios.find(candidate => candidate.label === scenario);
+  const viewports = scenarioConfig.viewports?.length ? scenarioConfig.viewports : config.viewports;
+  const viewportConfig = viewports.find(candidate => candidate.label === viewport);
+  const fillsViewport = captured.every(entry => entry.selector.trim() === 'viewport');
+  return { width: viewportConfig.width, height: fillsViewport ? viewportConfig.height : null, source: 'viewport' };
+}
+
+// Whether a cell's reference upload (its own, or for a selector the
+// viewport-wide one) has the expected size, and the ways to normalize the
+// uploaded image, normalized uploads starting over from their original.
+// Null without an upload; `supported` is false for images other than PNG.
+async function describeReferenceSize(project, config, { scenario, viewport, selector }, report) {
+  const uploads = project.scenarioScreenshots;
+  const reference = uploads[getUploadKey(scenario, viewport, selector)]?.referenceScreenshot
+    || (selector ? uploads[getUploadKey(scenario, viewport)]?.referenceScreenshot : null);
+  if (!reference) return null;
+
+  const expected = await getExpectedReferenceSize(project, config, { scenario, viewport, selector }, report);
+  const source = reference.original || reference;
+  const size = await fs.pathExists(source.path) ? readPngSize(await fs.readFile(source.path)) : null;
+  if (!size) {
+    return { supported: false, expected, normalization: reference.normalization || null };
+  }
+
+  const current = reference.normalization ? { width: reference.normalization.width, height: reference.normalization.height } : size;
+  return {
+    supported: true,
+    image: size,
+    expected,
+    matches: suggestNormalizations(current, expected).matches,
+    options: suggestNormalizations(size, expected).options,
+    normalization: reference.normalization || null
+  };
+}
+
+// Read the latest BackstopJS test report
+async function readLatestReport(project) {
+  const config = await fs.readJson(project.configPath);
+  return readReport({
+    jsonReportDir: getBackstopDir(project, config, 'json_report'),
+    htmlReportDir: getBackstopDir(project, config, 'html_report')
+  });
+}
+
+// The history record of the live report: the newest archived test run
+async function getLatestTestRun(project) {
+  const runs = await project.runHistory.list();
+  return runs.find(run => run.command === 'test' && run.archived) || null;
+}
+
+// Resolve the HTML report location for the frontend
+async function getReportPath(project, config) {
+  const reportPath = path.join(getBackstopDir(project, config, 'html_report'), 'index.html');
+  const reportExists = await fs.pathExists(reportPath);
+  return reportExists ? `${project.urlBase}/report/index.html` : null;
+}
+
+// Request list parameters may be arrays or comma-separated strings
+const toList = (value) => (Array.isArray(value) ? value : String(value || '').split(','))
+  .map(item => String(item).trim())
+  .filter(Boolean);
+
+// Narrow a label filter to the scenarios carrying at least one of `tags`.
+// Returns null when no scenario matches.
+function applyTagFilter(config, filter, tags) {
+  if (tags.length === 0) return filter;
+
+  const labels = filterScenarios(config.scenarios || [], filter)
+    .filter(scenario => (scenario.tags || []).some(tag => tags.includes(tag)))
+    .map(scenario => scenario.label);
+  return labels.length > 0 ? buildLabelFilter(labels) : null;
+}
+
+// The label filter a run uses once narrowed by `tags`, or `{ status, error }`
+// when nothing matches, a viewport is unknown or the run lock is busy and the
+// caller asked for `ifBusy: 'reject'`
+function checkRunScope(config, { labelFilter, tags, viewports, ifBusy }) {
+  const filter = applyTagFilter(config, labelFilter, tags);
+  if (filter === null) {
+    return { status: 400, error: `No scenarios are tagged ${tags.join(', ')}` };
+  }
+
+  const knownViewports = [config.viewports, ...(config.scenarios || []).map(scenario => scenario.viewports)]
+    .flatMap(list => (list || []).map(viewport => viewport.label));
+  const unknownViewports = viewports.filter(label => !knownViewports.includes(label));
+  if (unknownViewports.length > 0) {
+    return { status: 400, error: `Unknown viewport(s): ${unknownViewports.join(', ')}` };
+  }
+
+  // Callers that would rather fail than wait behind another operation
+  if (ifBusy === 'reject' && runLock.isBusy()) {
+    const lock = runLock.status();
+    return {
+      status: 409,
+      error: `Another BackstopJS operation is in progress${lock.holder ? `: ${describeLockHolder(lock.holder)}` : ''}`,
+      lock
+    };
+  }
+
+  return { filter };
+}
+
+// Queue a BackstopJS command as a background job. Besides the scenario label
+// `filter`, a run can be limited to scenarios with one of `tags` and to the
+// given `viewports` labels. `environment` names the profile whose variables
+// fill in scenario URLs and scripts (the config's default if omitted).
+// Resolves to `{ job }`, or to `{ status, error }` when the job cannot be started.
+async function launchBackstopJob(project, { command, filter: labelFilter, tags = [], viewports = [], environment: environmentName, owner, ifBusy, schedule }) {
+  const configPath = project.configPath;
+  const savedConfig = await fs.readJson(configPath);
+
+  let environment;
+  let config;
   try {
-    const configPath = path.join(configDir, 'backstop.json');
-    const config = await fs.readJson(configPath);
-    
-    // Ensure reference paths exist
-    await fs.ensureDir(path.join(configDir, config.paths.bitmaps_reference));
-    
-    const result = await backstop('reference', { 
-      config: configPath,
-      filter: req.body.filter || undefined
-    });
-    
-    res.json({ 
-      success: true, 
-      result,
-      message: 'Reference screenshots generated successfully'
-    });
+    environment = resolveEnvironment(savedConfig, environmentName);
+    config = applyEnvironment(savedConfig, environment);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    return { status: 400, error: error.message };
   }
-});
 
-// Run BackstopJS approve (update reference images with test results)
-app.post('/api/approve', async (req, res) => {
-  try {
-    const configPath = path.join(configDir, 'backstop.json');
-    const config = await fs.readJson(configPath);
-    
+  const { filter, status, error, lock } = checkRunScope(config, { labelFilter, tags, viewports, ifBusy });
+  if (error) {
+    return { status, error, lock };
+  }
+
+  const bitmapsTestDir = getBackstopDir(project, config, 'bitmaps_test');
+  const referenceDir = getBackstopDir(project, config, 'bitmaps_reference');
+  let existingTestRuns = [];
+
+  if (command === 'test') {
+    // Ensure report paths exist
+    await fs.ensureDir(getBackstopDir(project, config, 'html_report'));
+    await fs.ensureDir(bitmapsTestDir);
+  } else {
     // Ensure reference paths exist
-    await fs.ensureDir(path.join(configDir, config.paths.bitmaps_reference));
-    
-    const result = await backstop('approve', { 
-      config: configPath,
-      filter: req.body.filter || undefined
-    });
-    
-    res.json({ 
-      success: true, 
-      result,
-      message: 'Reference screenshots updated successfully - test images approved as new references'
-    });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+    await fs.ensureDir(referenceDir);
   }
-});
 
-// Serve BackstopJS HTML report
-app.use('/report', express.static(path.join(configDir, 'html_report')));
+  const job = project.jobManager.start({
+    command,
+    config,
+    configPath,
+    filter: filter || undefined,
+    viewports,
+    environment,
+    owner,
+    schedule,
+    // Snapshot existing bitmaps_test run folders once the job holds the lock,
+    // so a cancelled run only removes the folder it started writing
+    onStart: async () => {
+      if (command === 'test') {
+        existingTestRuns = await fs.readdir(bitmapsTestDir);
+      } else {
+        // Versions the references the run is about to overwrite
+        await project.referenceVersions.sweep(referenceDir, { source: 'untracked' });
+      }
+      // Custom scripts are files; write them with this run's variables filled in
+      if (environment) {
+        await generateCustomScripts(project, config);
+      }
+    },
+    onComplete: async ({ success, result: outcome, error, cancelled, job: finishedJob }) => {
+      if (command !== 'test') {
+        // Even failed and cancelled runs may have written some references
+        await project.referenceVersions.sweep(referenceDir, { source: command, author: finishedJob.owner, note: `Job ${finishedJob.id}` })
+          .catch(versionError => console.error(`Failed to record reference versions for job ${finishedJob.id}:`, versionError));
+      }
+      const result = cancelled
+        ? await cleanupCancelledJob(command, bitmapsTestDir, existingTestRuns)
+        : await completeBackstopJob(project, command, success, outcome, error);
+      const finished = { ...result, ...(await recordRunHistory(project, finishedJob, { success, error, cancelled })) };
+      if (!cancelled) {
+        // Only queues the deliveries, receivers are not waited for
+        await notifyJobFinished(project, finishedJob, success, finished)
+          .catch(notifyError => console.error(`Failed to send webhooks for job ${finishedJob.id}:`, notifyError));
+      }
+      return finished;
+    }
+  });
+
+  return { job };
+}
 
-// Analyze BackstopJS report and suggest CSS issues
-app.get('/api/analyze-css-issues', async (req, res) => {
+// Queue a cross-environment comparison: references are captured from the
+// `reference` environment (or each scenario's referenceUrl) and tested against
+// the `test` environment, in a folder of the comparison's own so the baseline
+// references and the live report are left alone. Resolves like launchBackstopJob.
+async function launchComparisonJob(project, { reference, test, filter: labelFilter, tags = [], viewports = [], owner, ifBusy }) {
+  let comparison;
   try {
-    const jsonReportPath = path.join(configDir, 'json_report', 'jsonReport.json');
-    
-    if (!await fs.pathExists(jsonReportPath)) {
-      return res.status(404).json({ error: 'No test report found. Please run a test first.' });
+    comparison = project.comparisons.prepare(await fs.readJson(project.configPath), { reference, test });
+  } catch (error) {
+    return { status: 400, error: error.message };
+  }
+
+  const { config } = comparison;
+  const { filter, status, error, lock } = checkRunScope(config, { labelFilter, tags, viewports, ifBusy });
+  if (error) {
+    return { status, error, lock };
+  }
+
+  const job = project.jobManager.start({
+    command: 'compare',
+    config,
+    filter: filter || undefined,
+    viewports,
+    comparison: { id: comparison.id, reference: comparison.reference, test: comparison.test },
+    owner,
+    // Both sides share the custom scripts, written with the test environment's variables
+    onStart: async () => {
+      if (comparison.test) {
+        await generateCustomScripts(project, config);
+      }
+    },
+    onComplete: async ({ success, error: runError, cancelled, job: finishedJob }) => {
+      let outcome = 'error';
+      if (cancelled) {
+        outcome = 'cancelled';
+      } else if (success) {
+        outcome = 'passed';
+      } else if (runError === MISMATCH_ERROR) {
+        outcome = 'failed';
+      }
+
+      const recorded = await project.comparisons.record(finishedJob, { status: outcome });
+      if (!recorded) {
+        return { message: 'compare job cancelled' };
+      }
+      const failed = recorded.summary?.failed || 0;
+      return {
+        comparisonId: recorded.id,
+        reportPath: recorded.reportUrl,
+        message: outcome === 'error'
+          ? `Comparison failed: ${runError}`
+          : failed > 0 ? `${failed} pair(s) differ between the environments` : 'No differences between the environments'
+      };
     }
-    
-    const report = await fs.readJson(jsonReportPath);
-    const cssIssues = await analyzeCSSIssues(report);
-    
-    res.json({
-      success: true,
-      totalTests: report.tests?.length || 0,
-      failedTests: report.tests?.filter(test => test.status === 'fail').length || 0,
-      cssIssues: cssIssues,
-      reportGenerated: new Date().toISOString()
+  });
+
+  return { job };
+}
+
+// Start a BackstopJS command for an API request and respond with the job ID.
+// Progress is streamed from /api/jobs/:id/events.
+async function startBackstopJob(req, res, command, labelFilter = req.body.filter) {
+  try {
+    const { job, status, error, lock } = await launchBackstopJob(req.project, {
+      command,
+      filter: labelFilter,
+      tags: toList(req.body.tags),
+      viewports: toList(req.body.viewports),
+      environment: req.body.environment || undefined,
+      owner: getRequester(req),
+      ifBusy: req.body.ifBusy
     });
+    respondWithJob(req, res, command, { job, status, error, lock });
   } catch (error) {
-    console.error('Error analyzing CSS issues:', error);
     res.status(500).json({ error: error.message });
   }
-});
+}
 
-// Helper function to analyze CSS issues from BackstopJS report
-async function analyzeCSSIssues(report) {
-  const issues = [];
-  
-  if (!report.tests) return issues;
-  
-  for (const test of report.tests) {
-    if (test.status === 'fail') {
-      const testIssues = await analyzeTestFailure(test);
-      issues.push({
-        scenario: test.pair.label,
-        viewport: test.pair.viewportLabel,
-        diffPercentage: test.pair.diff?.misMatchPercentage || 0,
-        issues: testIssues,
-        referenceImage: test.pair.reference,
-        testImage: test.pair.test,
-        diffImage: test.pair.diffImage
-      });
-    }
+// Respond to a request that queued a job, or with the reason it could not
+function respondWithJob(req, res, command, { job, status, error, lock }) {
+  if (error) {
+    return res.status(status).json(lock ? { error, lock } : { error });
   }
-  
-  return issues;
+
+  res.status(202).json({
+    jobId: job.id,
+    job,
+    statusUrl: `/api${req.project.urlBase}/jobs/${job.id}`,
+    eventsUrl: `/api${req.project.urlBase}/jobs/${job.id}/events`,
+    message: job.status === 'queued' && job.queuePosition > 0
+      ? `BackstopJS ${command} job queued at position ${job.queuePosition}`
+      : `BackstopJS ${command} job started`
+  });
 }
 
-// Analyze individual test failure and suggest CSS fixes
-async function analyzeTestFailure(test) {
-  const issues = [];
-  const diffPercentage = test.pair.diff?.misMatchPercentage || 0;
-  const dimensions = test.pair.diff?.dimensionDifference || {};
-  const analysisTime = test.pair.diff?.analysisTime || 0;
-  
-  // Enhanced analysis with specific measurements
-  const getDetailedDescription = () => {
-    let details = [];
-    
-    if (dimensions.width) {
-      details.push(`Width: ${dimensions.width > 0 ? '+' : ''}${dimensions.width}px`);
+// Remove the half-written bitmaps_test/<timestamp> folder of a cancelled test run
+async function cleanupCancelledJob(command, bitmapsTestDir, existingTestRuns) {
+  const removedFolders = [];
+
+  if (command === 'test' && await fs.pathExists(bitmapsTestDir)) {
+    const runs = await fs.readdir(bitmapsTestDir);
+    for (const run of runs.filter(run => !existingTestRuns.includes(run))) {
+      await fs.remove(path.join(bitmapsTestDir, run));
+      removedFolders.push(run);
+      console.log(`Removed partial test run: ${run}`);
+    }
+  }
+
+  return {
+    message: `${command} job cancelled`,
+    removedFolders
+  };
+}
+
+// Add a finished job to the run history. Runs while the job still holds the
+// run lock, so the live report cannot change while it is being archived.
+async function recordRunHistory(project, job, { success, error, cancelled }) {
+  let status = 'error';
+  if (cancelled) {
+    status = 'cancelled';
+  } else if (success) {
+    status = 'passed';
+  } else if (job.command === 'test' && error === MISMATCH_ERROR) {
+    // BackstopJS test fails when there are visual differences
+    status = 'failed';
+  }
+
+  try {
+    const config = await fs.readJson(project.configPath);
+    const run = await project.runHistory.record(job, {
+      status,
+      htmlReportDir: getBackstopDir(project, config, 'html_report'),
+      jsonReportDir: getBackstopDir(project, config, 'json_report')
+    });
+    if (run.archived) {
+      await writeRunReports(project, run).catch(error => console.error(`Failed to write summary reports for run ${run.id}:`, error));
+    }
+    return { historyId: run.id, historyReportUrl: run.reportUrl };
+  } catch (error) {
+    console.error(`Failed to record run ${job.id} in history:`, error);
+    return {};
+  }
+}
+
+// Fire run.completed or run.failed for a finished job, and references.approved
+// once an approve job has updated the references
+async function notifyJobFinished(project, job, success, result) {
+  const run = result.historyId ? await project.runHistory.get(result.historyId) : null;
+  const data = {
+    project: project.id,
+    jobId: job.id,
+    runId: run?.id || null,
+    command: job.command,
+    status: run?.status || (success ? 'passed' : 'error'),
+    filter: job.filter || null,
+    environment: job.environment?.name || null,
+    triggeredBy: job.owner,
+    summary: run?.summary || null,
+    message: `${job.command}: ${result.message}`,
+    url: run?.reportUrl ? `${publicUrl}${run.reportUrl}` : null
+  };
+
+  await project.webhooks.emit(success ? 'run.completed' : 'run.failed', data);
+  if (job.command === 'approve' && success) {
+    await project.webhooks.emit('references.approved', { ...data, message: `References approved by ${job.owner}` });
+  }
+}
+
+// Describe a test run's result, including retried and quarantined pairs
+function describeTestOutcome(success, outcome, error) {
+  if (!success && error !== MISMATCH_ERROR) {
+    return `Error running test: ${error}`;
+  }
+
+  const notes = [];
+  if (outcome?.recovered) {
+    notes.push(`${outcome.recovered} pair(s) passed on retry`);
+  }
+  if (outcome?.quarantined) {
+    notes.push(`${outcome.quarantined} failure(s) in quarantined scenarios ignored`);
+  }
+  // BackstopJS throws error when there are visual differences, but this is expected
+  const message = success ? 'Test completed successfully' : 'Test completed with visual differences detected';
+  return notes.length > 0 ? `${message} (${notes.join('; ')})` : message;
+}
+
+// Write the JUnit, Markdown and JSON summaries of an archived test run to
+// history/<runId>/reports for CI jobs that read files
+async function writeRunReports(project, run) {
+  const { report } = await loadArchivedRun(project, run.id);
+  await writeSummaryReports(
+    path.join(project.runHistory.getRunDir(run.id), 'reports'),
+    buildRunSummary(run, report, { baseUrl: publicUrl })
+  );
+}
+
+// Build the result fields for a finished job, matching what the routes used to
+// return synchronously
+async function completeBackstopJob(project, command, success, outcome, error) {
+  if (command === 'test') {
+    try {
+      const config = await fs.readJson(project.configPath);
+      return {
+        reportPath: await getReportPath(project, config),
+        message: describeTestOutcome(success, outcome, error)
+      };
+    } catch (configError) {
+      return {
+        reportPath: null,
+        message: `Test failed due to configuration error: ${configError.message}`
+      };
+    }
+  }
+
+  if (command === 'reference') {
+    return { message: success ? 'Reference screenshots generated successfully' : 'Reference generation failed' };
+  }
+
+  return {
+    message: success
+      ? 'Reference screenshots updated successfully - test images approved as new references'
+      : 'Approving test results failed'
+  };
+}
+
+// Run BackstopJS test
+api.post('/test', (req, res) => startBackstopJob(req, res, 'test'));
+
+// Re-run only the scenarios that failed in the latest report
+api.post('/test/rerun-failed', async (req, res) => {
+  try {
+    const report = await readLatestReport(req.project);
+    if (!report) {
+      return res.status(404).json({ error: 'No test report found. Please run a test first.' });
+    }
+
+    const failedLabels = getFailedLabels(report);
+    if (failedLabels.length === 0) {
+      return res.status(400).json({ error: 'The latest report has no failed tests to re-run.' });
+    }
+
+    await startBackstopJob(req, res, 'test', buildLabelFilter(failedLabels));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Run BackstopJS reference
+api.post('/reference', (req, res) => startBackstopJob(req, res, 'reference'));
+
+// Run BackstopJS approve (update reference images with test results)
+api.post('/approve', (req, res) => startBackstopJob(req, res, 'approve'));
+
+// Compare two environments without touching the baseline: references from
+// `reference`, tests from `test`, in a report of the comparison's own
+api.post('/comparisons', async (req, res) => {
+  try {
+    const launched = await launchComparisonJob(req.project, {
+      reference: req.body.reference || undefined,
+      test: req.body.test || undefined,
+      filter: req.body.filter,
+      tags: toList(req.body.tags),
+      viewports: toList(req.body.viewports),
+      owner: getRequester(req),
+      ifBusy: req.body.ifBusy
+    });
+    respondWithJob(req, res, 'compare', launched);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Finished comparisons, newest first
+api.get('/comparisons', async (req, res) => {
+  try {
+    res.json({ comparisons: await req.project.comparisons.list() });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+api.delete('/comparisons/:id', async (req, res) => {
+  try {
+    if (!(await req.project.comparisons.remove(req.params.id))) {
+      return res.status(404).json({ error: 'Comparison not found' });
+    }
+    res.json({ message: 'Comparison deleted' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// List per-pair approval decisions, newest first
+api.get('/approvals', async (req, res) => {
+  try {
+    res.json({ approvals: await req.project.approvalLog.list() });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Approve or reject a single pair (scenario + selector + viewport) of the latest
+// report. Approving copies only that pair's test bitmap into bitmaps_reference.
+api.post('/approvals', requireRunLock('approve-pair'), async (req, res) => {
+  try {
+    const { label, selector, viewportLabel, action, note } = req.body;
+    if (!label || !viewportLabel || !action) {
+      return res.status(400).json({ error: 'label, viewportLabel and action are required' });
+    }
+    if (!APPROVAL_ACTIONS.includes(action)) {
+      return res.status(400).json({ error: `action must be one of: ${APPROVAL_ACTIONS.join(', ')}` });
+    }
+
+    const report = await readLatestReport(req.project);
+    if (!report) {
+      return res.status(404).json({ error: 'No test report found. Please run a test first.' });
+    }
+
+    const pairKey = getPairKey({ label, selector, viewportLabel });
+    const test = (report.tests || []).find(candidate => getPairKey(candidate.pair) === pairKey);
+    if (!test) {
+      return res.status(404).json({ error: `Pair "${label}" (${selector || 'document'}, ${viewportLabel}) is not in the latest report` });
+    }
+
+    if (action === 'approve') {
+      const config = await fs.readJson(req.project.configPath);
+      // Report paths are relative to the report folder, sometimes with Windows separators
+      const sourcePath = path.resolve(getBackstopDir(req.project, config, 'html_report'), test.pair.test.replace(/\\/g, '/'));
+      if (!(await fs.pathExists(sourcePath))) {
+        return res.status(400).json({ error: `Test bitmap not found: ${test.pair.fileName}` });
+      }
+
+      const referenceDir = getBackstopDir(req.project, config, 'bitmaps_reference');
+      const filename = path.basename(test.pair.fileName);
+      await fs.ensureDir(referenceDir);
+      await req.project.referenceVersions.capture(referenceDir, [filename], { source: 'untracked' });
+      await fs.copy(sourcePath, path.join(referenceDir, filename));
+      await req.project.referenceVersions.capture(referenceDir, [filename], { source: 'approve', author: getRequester(req), note: note || null });
+    }
+
+    const approval = await req.project.approvalLog.record({ action, pair: test.pair, user: getRequester(req), note });
+    if (action === 'approve') {
+      req.project.webhooks.emit('references.approved', {
+        project: req.project.id,
+        pairKey,
+        label,
+        selector: selector || null,
+        viewportLabel,
+        triggeredBy: approval.user,
+        message: `${approval.user} approved ${label} (${viewportLabel}) as the new reference`
+      }).catch(error => console.error('Failed to send webhooks for approval:', error));
+    }
+    res.json({
+      message: action === 'approve'
+        ? `Approved ${label} (${viewportLabel}) - test image copied to references`
+        : `Rejected ${label} (${viewportLabel})`,
+      approval
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Who holds the BackstopJS run lock and who is waiting for it
+api.get('/lock', (req, res) => {
+  res.json(runLock.status());
+});
+
+// List recent jobs
+api.get('/jobs', (req, res) => {
+  res.json({ jobs: req.project.jobManager.list() });
+});
+
+// Get a single job with its progress and result
+api.get('/jobs/:id', (req, res) => {
+  const job = req.project.jobManager.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  res.json(job);
+});
+
+// Cancel a running job and kill its browser processes
+api.post('/jobs/:id/cancel', async (req, res) => {
+  try {
+    if (!req.project.jobManager.get(req.params.id)) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const job = await req.project.jobManager.cancel(req.params.id);
+    if (!job) {
+      return res.status(409).json({ error: 'Job is not running' });
+    }
+
+    res.json({ message: 'Job cancelled', job });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Stream job progress as Server-Sent Events. Sends a full snapshot on connect,
+// then incremental progress events, then the final job once it is done.
+api.get('/jobs/:id/events', (req, res) => {
+  const job = req.project.jobManager.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    // Disable response buffering in nginx-style reverse proxies
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const sendEvent = (type, data) => {
+    res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  sendEvent('snapshot', job);
+  if (job.finishedAt) {
+    sendEvent('done', job);
+    return res.end();
+  }
+
+  const onUpdate = ({ type, job: updatedJob, event }) => {
+    if (updatedJob.id !== job.id) return;
+
+    if (type === 'done') {
+      sendEvent('done', updatedJob);
+      cleanup();
+      res.end();
+    } else if (type === 'progress') {
+      sendEvent('progress', { progress: updatedJob.progress, event });
+    } else {
+      sendEvent('status', {
+        status: updatedJob.status,
+        startedAt: updatedJob.startedAt,
+        queuePosition: updatedJob.queuePosition
+      });
+    }
+  };
+
+  // Keep idle connections open through proxies with read timeouts
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+
+  const cleanup = () => {
+    clearInterval(heartbeat);
+    req.project.jobManager.off('update', onUpdate);
+  };
+
+  req.project.jobManager.on('update', onUpdate);
+  req.on('close', cleanup);
+});
+
+// List webhook targets, without their secrets, with the events and payload formats they can use
+api.get('/webhooks', async (req, res) => {
+  try {
+    const webhooks = (await req.project.webhooks.list()).map(redactWebhook);
+    res.json({ webhooks, events: WEBHOOK_EVENTS, formats: WEBHOOK_FORMATS });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Register a webhook target. A signing secret is generated unless one is given;
+// this is the only response that contains it.
+api.post('/webhooks', async (req, res) => {
+  try {
+    const webhook = await req.project.webhooks.create(req.body);
+    res.status(201).json({ message: `Webhook "${webhook.name}" added`, webhook: redactWebhook(webhook), secret: webhook.secret });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Recent deliveries, newest first, optionally of one webhook
+api.get('/webhooks/deliveries', async (req, res) => {
+  try {
+    const limit = Math.max(1, Number(req.query.limit) || 50);
+    res.json({ deliveries: await req.project.webhooks.listDeliveries({ webhookId: req.query.webhookId, limit }) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+api.put('/webhooks/:id', async (req, res) => {
+  try {
+    const webhook = await req.project.webhooks.update(req.params.id, req.body);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    res.json({ message: `Webhook "${webhook.name}" updated`, webhook: redactWebhook(webhook) });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+api.delete('/webhooks/:id', async (req, res) => {
+  try {
+    if (!(await req.project.webhooks.remove(req.params.id))) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    res.json({ message: 'Webhook deleted' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Send a signed ping to check a target, and return its delivery
+api.post('/webhooks/:id/test', async (req, res) => {
+  try {
+    const webhook = await req.project.webhooks.get(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    const delivery = await req.project.webhooks.ping(webhook);
+    res.json({
+      message: delivery.status === 'delivered'
+        ? `Test notification delivered to ${webhook.url}`
+        : `Test notification failed: ${delivery.attempts[0]?.error}`,
+      delivery
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// List recurring runs with their next and last run
+api.get('/schedules', async (req, res) => {
+  try {
+    res.json({ schedules: await req.project.scheduler.list(), commands: SCHEDULE_COMMANDS });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Add a recurring run: a cron expression, the command and an optional
+// scenario filter, tags and viewports
+api.post('/schedules', async (req, res) => {
+  try {
+    const schedule = await req.project.scheduler.create(req.body);
+    res.status(201).json({ message: `Schedule "${schedule.name}" added`, schedule });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+api.put('/schedules/:id', async (req, res) => {
+  try {
+    const schedule = await req.project.scheduler.update(req.params.id, req.body);
+    if (!schedule) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+    res.json({ message: `Schedule "${schedule.name}" updated`, schedule });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+api.delete('/schedules/:id', async (req, res) => {
+  try {
+    if (!(await req.project.scheduler.remove(req.params.id))) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+    res.json({ message: 'Schedule deleted' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Run a schedule right away, without changing its next scheduled time
+api.post('/schedules/:id/run', async (req, res) => {
+  try {
+    const schedule = await req.project.scheduler.get(req.params.id);
+    if (!schedule) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    const { schedule: updated, job, error } = await req.project.scheduler.trigger(schedule, { manual: true });
+    if (error) {
+      return res.status(409).json({ error, schedule: updated });
+    }
+    res.status(202).json({ message: `Schedule "${schedule.name}" started ${schedule.command} job`, jobId: job.id, job, schedule: updated });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// List past runs, newest first
+api.get('/history', async (req, res) => {
+  try {
+    res.json({
+      runs: await req.project.runHistory.list(),
+      retention: await req.project.runHistory.getRetention()
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get the history retention policy
+api.get('/history/retention', async (req, res) => {
+  try {
+    res.json(await req.project.runHistory.getRetention());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update the history retention policy and prune runs that fall outside it
+api.put('/history/retention', async (req, res) => {
+  try {
+    const retention = await req.project.runHistory.setRetention(req.body);
+    res.json({ message: 'Retention settings saved', retention, runs: await req.project.runHistory.list() });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// A past test run with its archived report (image URLs added), or null
+async function loadArchivedRun(project, id) {
+  const run = await project.runHistory.get(id);
+  if (!run || !run.archived) return null;
+
+  const report = await project.runHistory.readRunReport(id);
+  return report && { run, report: addImageUrls(report, `${project.urlBase}/history/${id}/html_report`) };
+}
+
+// Compare two archived test runs pair by pair: added/removed pairs, status
+// changes and mismatch changes larger than `minDelta` percentage points
+api.get('/history/compare', async (req, res) => {
+  try {
+    const { base, head } = req.query;
+    const minDelta = Number(req.query.minDelta) || 0;
+    if (!base || !head) {
+      return res.status(400).json({ error: 'base and head run ids are required' });
+    }
+
+    const [baseRun, headRun] = await Promise.all([loadArchivedRun(req.project, base), loadArchivedRun(req.project, head)]);
+    if (!baseRun || !headRun) {
+      return res.status(404).json({ error: `Archived test run not found: ${!baseRun ? base : head}` });
+    }
+
+    res.json({
+      base: baseRun.run,
+      head: headRun.run,
+      ...compareReports(baseRun.report, headRun.report, { minDelta })
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Pixel-diff the test bitmaps one pair produced in two archived runs, with no
+// reference involved. The diff is stored with the head run.
+api.get('/history/compare/bitmap', async (req, res) => {
+  try {
+    const { base, head, pairKey } = req.query;
+    if (!base || !head || !pairKey) {
+      return res.status(400).json({ error: 'base, head and pairKey are required' });
+    }
+
+    const [baseRun, headRun] = await Promise.all([loadArchivedRun(req.project, base), loadArchivedRun(req.project, head)]);
+    if (!baseRun || !headRun) {
+      return res.status(404).json({ error: `Archived test run not found: ${!baseRun ? base : head}` });
+    }
+
+    const findTest = (report) => report.tests.find(test => getPairKey(test.pair) === pairKey);
+    const baseTest = findTest(baseRun.report);
+    const headTest = findTest(headRun.report);
+    if (!baseTest || !headTest) {
+      return res.status(404).json({ error: `Pair ${pairKey} is not in both runs` });
+    }
+
+    const basePath = req.project.runHistory.resolveArchivedPath(base, baseTest.pair.test);
+    const headPath = req.project.runHistory.resolveArchivedPath(head, headTest.pair.test);
+    if (!basePath || !headPath || !(await fs.pathExists(basePath)) || !(await fs.pathExists(headPath))) {
+      return res.status(404).json({ error: 'Test bitmap missing from the run archive' });
+    }
+
+    const diffName = path.basename(headTest.pair.fileName);
+    const diff = await diffBitmaps(
+      basePath,
+      headPath,
+      path.join(req.project.runHistory.getRunDir(head), 'comparisons', base, diffName)
+    );
+
+    res.json({
+      pairKey,
+      baseUrl: baseTest.pair.testUrl,
+      headUrl: headTest.pair.testUrl,
+      diffUrl: `${req.project.urlBase}/history/${head}/comparisons/${base}/${encodeURIComponent(diffName)}`,
+      ...diff
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// The last `limit` archived test runs with their reports, oldest first
+async function loadArchivedTestRuns(project, limit) {
+  const testRuns = (await project.runHistory.list())
+    .filter(run => run.command === 'test' && run.archived)
+    .slice(0, limit)
+    .reverse();
+
+  const archivedRuns = [];
+  for (const run of testRuns) {
+    const report = await project.runHistory.readRunReport(run.id);
+    if (report) {
+      archivedRuns.push({ run, report });
+    }
+  }
+  return archivedRuns;
+}
+
+// Mismatch, pass rate, timing and failure trends across the last `limit` archived test runs
+api.get('/trends', async (req, res) => {
+  try {
+    const limit = Math.max(1, Number(req.query.limit) || 30);
+    res.json(buildTrends(await loadArchivedTestRuns(req.project, limit)));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Hashes of archived reference bitmaps by path, least recently used first.
+// An entry only counts while the file keeps its size and modification time,
+// so a run removed and archived again under the same path is hashed anew.
+const referenceHashes = new Map();
+const MAX_REFERENCE_HASHES = 5000;
+
+async function hashArchivedFile(filePath) {
+  const stats = filePath && await fs.stat(filePath).catch(() => null);
+  if (!stats) return null;
+
+  const cached = referenceHashes.get(filePath);
+  referenceHashes.delete(filePath);
+  const hash = cached && cached.size === stats.size && cached.mtimeMs === stats.mtimeMs
+    ? cached.hash
+    : crypto.createHash('md5').update(await fs.readFile(filePath)).digest('hex');
+
+  referenceHashes.set(filePath, { hash, size: stats.size, mtimeMs: stats.mtimeMs });
+  if (referenceHashes.size > MAX_REFERENCE_HASHES) {
+    referenceHashes.delete(referenceHashes.keys().next().value);
+  }
+  return hash;
+}
+
+// Flaky scenarios across the last `limit` archived test runs, with their quarantine state
+api.get('/flakiness', async (req, res) => {
+  try {
+    const limit = Math.max(1, Number(req.query.limit) || 20);
+    const archivedRuns = await loadArchivedTestRuns(req.project, limit);
+
+    // Status changes only count as flaky when the reference bitmap is unchanged
+    for (const { run, report } of archivedRuns) {
+      for (const test of report.tests || []) {
+        test.referenceHash = await hashArchivedFile(req.project.runHistory.resolveArchivedPath(run.id, test.pair.reference));
+      }
+    }
+
+    const config = await fs.readJson(req.project.configPath);
+    const quarantined = getQuarantinedLabels(config);
+    res.json({
+      runs: archivedRuns.length,
+      retries: getRetryCount(config),
+      quarantined,
+      scenarios: buildFlakiness(archivedRuns).map(scenario => ({
+        ...scenario,
+        quarantined: quarantined.includes(scenario.label)
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get a single past run with its archived report data
+api.get('/history/:id', async (req, res) => {
+  try {
+    const run = await req.project.runHistory.get(req.params.id);
+    if (!run) {
+      return res.status(404).json({ error: 'Run not found' });
+    }
+
+    const report = run.archived ? await req.project.runHistory.readRunReport(run.id) : null;
+    res.json({ run, report: report && addImageUrls(report, `${req.project.urlBase}/history/${run.id}/html_report`) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Download a summary of a past test run: `junit`, `markdown` or `json`. Image
+// links point at the server the request was made to.
+api.get('/history/:id/reports/:format', async (req, res) => {
+  try {
+    const format = REPORT_FORMATS[req.params.format];
+    if (!format) {
+      return res.status(400).json({ error: `Unknown report format, expected one of: ${Object.keys(REPORT_FORMATS).join(', ')}` });
+    }
+
+    const archivedRun = await loadArchivedRun(req.project, req.params.id);
+    if (!archivedRun) {
+      return res.status(404).json({ error: 'Archived test run not found' });
+    }
+
+    const summary = buildRunSummary(archivedRun.run, archivedRun.report, { baseUrl: `${req.protocol}://${req.get('host')}` });
+    res.attachment(`pixelpilot-${archivedRun.run.id}-${format.fileName}`);
+    res.type(format.contentType).send(renderSummaryReport(req.params.format, summary));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Download a past test run as a self-contained zip: the archived BackstopJS
+// report and bitmaps, CSS issue analysis, review comments and a static viewer
+// page that opens offline
+api.get('/history/:id/bundle', async (req, res) => {
+  try {
+    const archivedRun = await loadArchivedRun(req.project, req.params.id);
+    if (!archivedRun) {
+      return res.status(404).json({ error: 'Archived test run not found' });
+    }
+
+    const { run } = archivedRun;
+    const report = await req.project.runHistory.readRunReport(run.id);
+    const [review, cssIssues] = await Promise.all([req.project.runReviews.get(run.id), analyzeCSSIssues(report)]);
+
+    res.attachment(`pixelpilot-run-${run.id}.zip`);
+    await writeRunBundle(res, { runDir: req.project.runHistory.getRunDir(run.id), run, report, review, cssIssues });
+  } catch (error) {
+    console.error('Error exporting run bundle:', error);
+    if (res.headersSent) {
+      res.destroy(error);
+    } else {
+      res.status(500).json({ error: error.message });
+    }
+  }
+});
+
+// Render a past test run as a PDF for release sign-off: a cover summary and
+// one page per failed pair with its images, CSS findings and review comments
+api.get('/history/:id/pdf', async (req, res) => {
+  try {
+    const run = await req.project.runHistory.get(req.params.id);
+    const report = run?.archived ? await req.project.runHistory.readRunReport(run.id) : null;
+    if (!report) {
+      return res.status(404).json({ error: 'Archived test run not found' });
+    }
+
+    const configPath = req.project.configPath;
+    const config = (await fs.pathExists(configPath)) ? await fs.readJson(configPath) : {};
+    const [review, cssIssues] = await Promise.all([req.project.runReviews.get(run.id), analyzeCSSIssues(report)]);
+    const html = await renderPdfHtml({
+      run,
+      report,
+      review,
+      cssIssues,
+      resolveImage: (reportPath) => req.project.runHistory.resolveArchivedPath(run.id, reportPath)
+    });
+
+    const pdf = await renderPdf(html, { engineOptions: config.engineOptions });
+    res.attachment(`pixelpilot-${run.id}-report.pdf`);
+    res.type('application/pdf').send(pdf);
+  } catch (error) {
+    console.error('Error rendering PDF report:', error);
+    res.status(500).json({ error: `Could not render the PDF report: ${error.message}` });
+  }
+});
+
+// Load a bundle exported by another PixelPilot instance into the run history
+api.post('/history/import', bundleUpload.single('bundle'), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No bundle file uploaded' });
+  }
+
+  try {
+    const run = await importRunBundle(req.file.path, { history: req.project.runHistory, user: getRequester(req) });
+    // The bundled summaries link to the exporting server's images
+    await writeRunReports(req.project, run).catch(error => console.error(`Failed to write summary reports for run ${run.id}:`, error));
+    res.status(201).json({ message: `Imported run ${run.id}`, run });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  } finally {
+    await fs.remove(req.file.path);
+  }
+});
+
+// Review status and comment threads of every failed pair of a past test run
+api.get('/history/:id/review', async (req, res) => {
+  try {
+    if (!(await req.project.runHistory.get(req.params.id))) {
+      return res.status(404).json({ error: 'Run not found' });
+    }
+
+    const review = await req.project.runReviews.get(req.params.id);
+    if (!review) {
+      return res.status(404).json({ error: 'This run has no archived report to review' });
+    }
+    res.json(review);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Set the review status of a failed pair: open, needs-fix, accepted or rejected
+api.put('/history/:id/review/:pairKey', async (req, res) => {
+  try {
+    const { status } = req.body;
+    if (!REVIEW_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${REVIEW_STATUSES.join(', ')}` });
+    }
+
+    const pair = await req.project.runReviews.setStatus(req.params.id, req.params.pairKey, { status, user: getRequester(req) });
+    if (!pair) {
+      return res.status(404).json({ error: 'No failed pair with this key in the run' });
+    }
+    res.json({ message: `Marked ${pair.pairKey} as ${status}`, pair });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Comment on a failed pair, optionally as a reply to another comment
+api.post('/history/:id/review/:pairKey/comments', async (req, res) => {
+  try {
+    const { text, parentId } = req.body;
+    if (!text || !text.trim()) {
+      return res.status(400).json({ error: 'Comment text is required' });
+    }
+
+    const pair = await req.project.runReviews.addComment(req.params.id, req.params.pairKey, {
+      text: text.trim(),
+      parentId,
+      author: getRequester(req)
+    });
+    if (!pair) {
+      return res.status(404).json({ error: 'No failed pair with this key in the run' });
+    }
+    res.status(201).json({ message: 'Comment added', pair });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Delete a past run and its archived report
+api.delete('/history/:id', async (req, res) => {
+  try {
+    const removed = await req.project.runHistory.remove(req.params.id);
+    if (!removed) {
+      return res.status(404).json({ error: 'Run not found' });
+    }
+    res.json({ message: 'Run deleted from history' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Analyze BackstopJS report and suggest CSS issues
+api.get('/analyze-css-issues', async (req, res) => {
+  try {
+    const report = await readLatestReport(req.project);
+    
+    if (!report) {
+      return res.status(404).json({ error: 'No test report found. Please run a test first.' });
+    }
+    
+    const cssIssues = await analyzeCSSIssues(report);
+
+    // Attach the review state of the run this report belongs to
+    const latestRun = await getLatestTestRun(req.project);
+    const review = latestRun ? await req.project.runReviews.get(latestRun.id) : null;
+    const reviewStatuses = Object.fromEntries((review?.pairs || []).map(pair => [pair.pairKey, pair.status]));
+    
+    res.json({
+      success: true,
+      totalTests: report.tests?.length || 0,
+      failedTests: report.tests?.filter(test => test.status === 'fail').length || 0,
+      cssIssues: cssIssues.map(issue => ({ ...issue, reviewStatus: reviewStatuses[issue.pairKey] || null })),
+      runId: latestRun?.id || null,
+      review: review?.summary || null,
+      reportGenerated: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error analyzing CSS issues:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Helper function to analyze CSS issues from BackstopJS report
+async function analyzeCSSIssues(report) {
+  const issues = [];
+  
+  if (!report.tests) return issues;
+  
+  for (const test of report.tests) {
+    if (test.status === 'fail') {
+      const testIssues = await analyzeTestFailure(test);
+      issues.push({
+        pairKey: getPairKey(test.pair),
+        scenario: test.pair.label,
+        viewport: test.pair.viewportLabel,
+        diffPercentage: test.pair.diff?.misMatchPercentage || 0,
+        issues: testIssues,
+        referenceImage: test.pair.reference,
+        testImage: test.pair.test,
+        diffImage: test.pair.diffImage
+      });
+    }
+  }
+  
+  return issues;
+}
+
+// Analyze individual test failure and suggest CSS fixes
+async function analyzeTestFailure(test) {
+  const issues = [];
+  const diffPercentage = test.pair.diff?.misMatchPercentage || 0;
+  const dimensions = test.pair.diff?.dimensionDifference || {};
+  const analysisTime = test.pair.diff?.analysisTime || 0;
+  
+  // Enhanced analysis with specific measurements
+  const getDetailedDescription = () => {
+    let details = [];
+    
+    if (dimensions.width) {
+      details.push(`Width: ${dimensions.width > 0 ? '+' : ''}${dimensions.width}px`);
     }
     if (dimensions.height) {
       details.push(`Height: ${dimensions.height > 0 ? '+' : ''}${dimensions.height}px`);
@@ -873,45 +2073,31 @@ async function analyzeTestFailure(test) {
 }
 
 // Sync uploaded reference screenshots to BackstopJS reference folder
-app.post('/api/sync-references', async (req, res) => {
+api.post('/sync-references', requireRunLock('sync-references'), async (req, res) => {
   try {
-    const scenarioDataPath = path.join(configDir, 'scenario_screenshots.json');
+    const scenarioDataPath = path.join(req.project.configDir, 'scenario_screenshots.json');
     
     if (!await fs.pathExists(scenarioDataPath)) {
       return res.status(404).json({ error: 'No scenario data found' });
     }
     
     const scenarioData = await fs.readJson(scenarioDataPath);
-    const referenceDir = path.join(configDir, 'bitmaps_reference');
-    await fs.ensureDir(referenceDir);
+    const config = await fs.readJson(req.project.configPath);
     
     let syncedCount = 0;
     
     for (const [, data] of Object.entries(scenarioData)) {
       if (data.referenceScreenshot) {
         const sourcePath = data.referenceScreenshot.path;
+        if (!(await fs.pathExists(sourcePath))) continue;
         
-        // Get the scenario configuration to check for selectors
-        const configPath = path.join(configDir, 'backstop.json');
-        const config = await fs.readJson(configPath);
-        const scenario = config.scenarios.find(s => s.label === data.scenario);
-        
-        let fileName;
-        if (scenario && scenario.selectors && scenario.selectors.length > 0) {
-          // If scenario has specific selectors, include them in filename
-          const selectorName = scenario.selectors[0].replace(/[^a-zA-Z0-9]/g, '-').replace(/^-+|-+$/g, '');
-          fileName = `backstop_default_${data.scenario}_0_${selectorName}_0_${data.viewport}.png`;
-        } else {
-          // Full page screenshot
-          fileName = `backstop_default_${data.scenario}_0_${data.viewport}.png`;
-        }
-        
-        const destPath = path.join(referenceDir, fileName);
-        
-        if (await fs.pathExists(sourcePath)) {
-          await fs.copy(sourcePath, destPath);
+        try {
+          const fileNames = await syncReferenceUpload(req.project, config, data, sourcePath, { author: getRequester(req) });
           syncedCount++;
-          console.log(`Synced reference: ${fileName}`);
+          console.log(`Synced reference: ${fileNames.join(', ')}`);
+        } catch (error) {
+          // Uploads for scenarios or viewports since removed from the config
+          console.log(`Skipped reference for ${data.scenario} (${[data.viewport, data.selector].filter(Boolean).join(', ')}): ${error.message}`);
         }
       }
     }
@@ -928,9 +2114,10 @@ app.post('/api/sync-references', async (req, res) => {
 });
 
 // Get report status
-app.get('/api/report-status', async (req, res) => {
+api.get('/report-status', async (req, res) => {
   try {
-    const reportPath = path.join(configDir, 'html_report', 'index.html');
+    const config = await fs.readJson(req.project.configPath);
+    const reportPath = path.join(getBackstopDir(req.project, config, 'html_report'), 'index.html');
     const reportExists = await fs.pathExists(reportPath);
     
     if (reportExists) {
@@ -938,7 +2125,7 @@ app.get('/api/report-status', async (req, res) => {
       res.json({
         exists: true,
         lastModified: stats.mtime,
-        url: '/report/index.html'
+        url: `${req.project.urlBase}/report/index.html`
       });
     } else {
       res.json({ exists: false });
@@ -948,10 +2135,30 @@ app.get('/api/report-status', async (req, res) => {
   }
 });
 
+// Get the latest test report with image URLs for the dashboard diff viewer
+api.get('/report', async (req, res) => {
+  try {
+    const report = await readLatestReport(req.project);
+    if (!report) {
+      return res.status(404).json({ error: 'No test report found. Please run a test first.' });
+    }
+
+    // Live bitmaps are served under /backstop_data next to the report folders
+    const config = await fs.readJson(req.project.configPath);
+    const htmlReportDir = path.relative(req.project.configDir, getBackstopDir(req.project, config, 'html_report'));
+    res.json({
+      report: await req.project.approvalLog.annotateReport(addImageUrls(report, path.posix.join(`${req.project.urlBase}/backstop_data`, htmlReportDir.split(path.sep).join('/')))),
+      run: await getLatestTestRun(req.project)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Get scenario screenshots
-app.get('/api/scenario-screenshots', async (req, res) => {
+api.get('/scenario-screenshots', async (req, res) => {
   try {
-    const scenarioDataPath = path.join(configDir, 'scenario_screenshots.json');
+    const scenarioDataPath = path.join(req.project.configDir, 'scenario_screenshots.json');
     
     if (await fs.pathExists(scenarioDataPath)) {
       const data = await fs.readJson(scenarioDataPath);
@@ -964,18 +2171,176 @@ app.get('/api/scenario-screenshots', async (req, res) => {
   }
 });
 
-// Get screenshots for specific scenario
-app.get('/api/scenario-screenshots/:scenario/:viewport', async (req, res) => {
+// The selector × viewport upload grid of a scenario, with each cell's sync
+// status and reference size check
+api.get('/reference-uploads/:scenario', async (req, res) => {
+  try {
+    const config = await fs.readJson(req.project.configPath);
+    let grid;
+    try {
+      grid = buildUploadGrid(config, req.project.scenarioScreenshots, req.params.scenario, req.project.configPath);
+    } catch (error) {
+      return res.status(404).json({ error: error.message });
+    }
+
+    const report = await readLatestReport(req.project);
+    for (const cell of grid.cells) {
+      const target = { scenario: grid.scenario, viewport: cell.viewport, selector: cell.selector };
+      Object.assign(cell, await getUploadSyncStatus(req.project, config, target));
+      cell.referenceSize = await describeReferenceSize(req.project, config, target, report);
+    }
+    res.json(grid);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// The size check of one upload cell (?selector=, else the viewport-wide upload)
+api.get('/reference-uploads/:scenario/:viewport/normalization', async (req, res) => {
+  try {
+    const { scenario, viewport } = req.params;
+    const selector = req.query.selector || null;
+    const config = await fs.readJson(req.project.configPath);
+
+    let referenceSize;
+    try {
+      referenceSize = await describeReferenceSize(req.project, config, { scenario, viewport, selector }, await readLatestReport(req.project));
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (!referenceSize) {
+      return res.status(404).json({ error: 'No reference screenshot found for this cell' });
+    }
+    res.json(referenceSize);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// The original upload of a cell with `transforms` (JSON) applied, as a PNG
+api.get('/reference-uploads/:scenario/:viewport/normalization/preview', async (req, res) => {
+  try {
+    const { scenario, viewport } = req.params;
+    const selector = req.query.selector || null;
+    const reference = req.project.scenarioScreenshots[getUploadKey(scenario, viewport, selector)]?.referenceScreenshot;
+    if (!reference) {
+      return res.status(404).json({ error: 'No reference screenshot found for this cell' });
+    }
+
+    const source = reference.original || reference;
+    if (!(await fs.pathExists(source.path))) {
+      return res.status(400).json({ error: 'Source reference file not found' });
+    }
+
+    const config = await fs.readJson(req.project.configPath);
+    let normalized;
+    try {
+      const expected = await getExpectedReferenceSize(req.project, config, { scenario, viewport, selector }, await readLatestReport(req.project));
+      normalized = normalizeImage(await fs.readFile(source.path), JSON.parse(req.query.transforms || '[]'), expected);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.type('png').send(normalized.buffer);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Replace a cell's reference with its original upload normalized by
+// `transforms` and sync it to BackstopJS. The original is kept, and
+// normalizing again starts over from it; no transforms restores it.
+api.post('/reference-uploads/:scenario/:viewport/normalization', requireRunLock('normalize-reference'), async (req, res) => {
+  try {
+    const { scenario, viewport } = req.params;
+    const selector = req.body.selector || null;
+    const transforms = req.body.transforms || [];
+    const cell = { scenario, viewport, selector };
+    const entry = req.project.scenarioScreenshots[getUploadKey(scenario, viewport, selector)];
+    const reference = entry?.referenceScreenshot;
+    if (!reference) {
+      return res.status(404).json({ error: 'No reference screenshot found for this cell' });
+    }
+
+    const config = await fs.readJson(req.project.configPath);
+    let expected;
+    try {
+      expected = await getExpectedReferenceSize(req.project, config, cell, await readLatestReport(req.project));
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const original = reference.original || reference;
+    if (!(await fs.pathExists(original.path))) {
+      return res.status(400).json({ error: 'Source reference file not found' });
+    }
+
+    let updated = original;
+    if (transforms.length > 0) {
+      let normalized;
+      try {
+        normalized = normalizeImage(await fs.readFile(original.path), transforms, expected);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+
+      const filename = `${path.parse(original.filename).name}.normalized.png`;
+      const normalizedPath = path.join(req.project.uploadsDir, filename);
+      await fs.writeFile(normalizedPath, normalized.buffer);
+      updated = {
+        filename,
+        originalName: original.originalName,
+        path: normalizedPath,
+        uploadedAt: original.uploadedAt,
+        size: normalized.buffer.length,
+        isReference: true,
+        normalization: {
+          transforms,
+          width: normalized.width,
+          height: normalized.height,
+          expected,
+          normalizedAt: new Date().toISOString(),
+          normalizedBy: getRequester(req)
+        },
+        original
+      };
+    } else if (reference.normalization) {
+      await fs.remove(reference.path);
+    }
+
+    entry.screenshots = entry.screenshots.map(screenshot => (screenshot.filename === reference.filename ? updated : screenshot));
+    entry.referenceScreenshot = updated;
+    const backstopFilenames = await syncReferenceUpload(req.project, config, cell, updated.path, {
+      author: getRequester(req),
+      note: updated.normalization ? `Normalized to ${updated.normalization.width}×${updated.normalization.height}` : 'Restored the original upload'
+    });
+    await saveScenarioScreenshots(req.project);
+
+    res.json({
+      message: updated.normalization
+        ? `Normalized reference to ${updated.normalization.width}×${updated.normalization.height} and synced it to BackstopJS`
+        : 'Restored the original reference and synced it to BackstopJS',
+      referenceScreenshot: updated,
+      backstopFilenames
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get screenshots for specific scenario (and ?selector=)
+api.get('/scenario-screenshots/:scenario/:viewport', async (req, res) => {
   try {
     const { scenario, viewport } = req.params;
-    const scenarioKey = `${scenario}_${viewport}`;
-    const scenarioDataPath = path.join(configDir, 'scenario_screenshots.json');
+    const selector = req.query.selector || null;
+    const scenarioKey = getUploadKey(scenario, viewport, selector);
+    const scenarioDataPath = path.join(req.project.configDir, 'scenario_screenshots.json');
     
     if (await fs.pathExists(scenarioDataPath)) {
       const data = await fs.readJson(scenarioDataPath);
       const scenarioData = data[scenarioKey] || {
         scenario,
         viewport,
+        selector,
         screenshots: [],
         referenceScreenshot: null
       };
@@ -984,6 +2349,7 @@ app.get('/api/scenario-screenshots/:scenario/:viewport', async (req, res) => {
       res.json({
         scenario,
         viewport,
+        selector,
         screenshots: [],
         referenceScreenshot: null
       });
@@ -993,99 +2359,95 @@ app.get('/api/scenario-screenshots/:scenario/:viewport', async (req, res) => {
   }
 });
 
-// Helper function to find all matching BackstopJS files
-async function findBackstopFiles(scenario, viewport) {
-  const referenceDir = path.join(configDir, 'bitmaps_reference');
-  const matchingFiles = [];
-  
-  if (!(await fs.pathExists(referenceDir))) {
-    return matchingFiles;
-  }
-  
-  try {
-    const files = await fs.readdir(referenceDir);
-    
-    // Look for files that match the scenario and viewport
-    const scenarioPattern = new RegExp(`backstop_default_${scenario}_.*_${viewport}\\.png$`);
-    
-    for (const file of files) {
-      if (scenarioPattern.test(file)) {
-        matchingFiles.push(file);
-      }
-    }
-  } catch (error) {
-    console.error('Error reading bitmaps_reference directory:', error);
-  }
-  
-  return matchingFiles;
-}
-
-// Delete scenario screenshot
-app.delete('/api/scenario-screenshots/:scenario/:viewport/:filename', async (req, res) => {
+// Delete scenario screenshot (of the ?selector= cell, if given)
+api.delete('/scenario-screenshots/:scenario/:viewport/:filename', requireRunLock('delete-screenshot'), async (req, res) => {
   try {
     const { scenario, viewport, filename } = req.params;
-    const scenarioKey = `${scenario}_${viewport}`;
-    const scenarioDataPath = path.join(configDir, 'scenario_screenshots.json');
+    const selector = req.query.selector || null;
+    const scenarioKey = getUploadKey(scenario, viewport, selector);
+    const data = req.project.scenarioScreenshots;
     
     console.log(`\n=== DELETE SCREENSHOT REQUEST ===`);
-    console.log(`Scenario: ${scenario}, Viewport: ${viewport}, Filename: ${filename}`);
+    console.log(`Scenario: ${scenario}, Viewport: ${viewport}, Selector: ${selector || '(all)'}, Filename: ${filename}`);
     console.log(`Scenario Key: ${scenarioKey}`);
     
-    if (await fs.pathExists(scenarioDataPath)) {
-      const data = await fs.readJson(scenarioDataPath);
+    if (data[scenarioKey]) {
+      const config = await fs.readJson(req.project.configPath);
+      const cell = { scenario, viewport, selector, configPath: req.project.configPath };
       
-      if (data[scenarioKey]) {
-        // Remove from screenshots array  
-        data[scenarioKey].screenshots = data[scenarioKey].screenshots.filter(
-          screenshot => screenshot.filename !== filename
-        );
-        
-        // Check if the deleted screenshot was the reference screenshot
-        const wasReferenceScreenshot = data[scenarioKey].referenceScreenshot?.filename === filename;
-        console.log(`Was reference screenshot: ${wasReferenceScreenshot}`);
-        
-        // Clear reference if it was the reference screenshot
-        if (wasReferenceScreenshot) {
-          data[scenarioKey].referenceScreenshot = null;
-        }
+      // The BackstopJS files this cell fills, resolved while it still has its reference
+      let backstopFiles = [];
+      try {
+        backstopFiles = getUploadTargets(config, data, cell);
+      } catch (error) {
+        console.log(`⚠ No BackstopJS files for this cell: ${error.message}`);
+      }
+      
+      const deleted = data[scenarioKey].screenshots.find(screenshot => screenshot.filename === filename);
+      
+      // Remove from screenshots array  
+      data[scenarioKey].screenshots = data[scenarioKey].screenshots.filter(
+        screenshot => screenshot.filename !== filename
+      );
+      
+      // Check if the deleted screenshot was the reference screenshot
+      const wasReferenceScreenshot = data[scenarioKey].referenceScreenshot?.filename === filename;
+      console.log(`Was reference screenshot: ${wasReferenceScreenshot}`);
+      
+      // Clear reference if it was the reference screenshot
+      if (wasReferenceScreenshot) {
+        data[scenarioKey].referenceScreenshot = null;
+      }
+      
+      // Delete physical file from uploads
+      const filePath = path.join(req.project.uploadsDir, filename);
+      if (await fs.pathExists(filePath)) {
+        await fs.remove(filePath);
+        console.log(`✓ Deleted uploaded file: ${filename}`);
+      } else {
+        console.log(`⚠ Uploaded file not found: ${filename}`);
+      }
+      
+      // A normalized upload takes its original along
+      if (deleted?.original) {
+        await fs.remove(path.join(req.project.uploadsDir, deleted.original.filename));
+        console.log(`✓ Deleted original upload: ${deleted.original.filename}`);
+      }
+      
+      // Always try to delete matching BackstopJS reference images (not just if it was reference)
+      console.log(`Found ${backstopFiles.length} matching BackstopJS files:`, backstopFiles);
+      const referenceDir = getBackstopDir(req.project, config, 'bitmaps_reference');
+      await req.project.referenceVersions.capture(referenceDir, backstopFiles, { source: 'untracked' });
+      for (const backstopFile of backstopFiles) {
+        const backstopRefPath = path.join(referenceDir, backstopFile);
         
-        // Delete physical file from uploads
-        const filePath = path.join(uploadsDir, filename);
-        if (await fs.pathExists(filePath)) {
-          await fs.remove(filePath);
-          console.log(`✓ Deleted uploaded file: ${filename}`);
+        if (await fs.pathExists(backstopRefPath)) {
+          await fs.remove(backstopRefPath);
+          console.log(`✓ Deleted BackstopJS reference image: ${backstopFile}`);
         } else {
-          console.log(`⚠ Uploaded file not found: ${filename}`);
-        }
-        
-        // Always try to delete matching BackstopJS reference images (not just if it was reference)
-        console.log(`Looking for BackstopJS files for scenario: ${scenario}, viewport: ${viewport}`);
-        const backstopFiles = await findBackstopFiles(scenario, viewport);
-        console.log(`Found ${backstopFiles.length} matching BackstopJS files:`, backstopFiles);
-        
-        for (const backstopFile of backstopFiles) {
-          const backstopRefPath = path.join(configDir, 'bitmaps_reference', backstopFile);
-          
-          if (await fs.pathExists(backstopRefPath)) {
-            await fs.remove(backstopRefPath);
-            console.log(`✓ Deleted BackstopJS reference image: ${backstopFile}`);
-          } else {
-            console.log(`⚠ BackstopJS file not found: ${backstopFile}`);
-          }
+          console.log(`⚠ BackstopJS file not found: ${backstopFile}`);
         }
-        
-        // Save updated data
-        await fs.writeJson(scenarioDataPath, data, { spaces: 2 });
-        
-        console.log(`=== DELETE COMPLETED ===\n`);
-        res.json({ message: 'Screenshot deleted successfully' });
-      } else {
-        console.log(`❌ Scenario not found: ${scenarioKey}`);
-        res.status(404).json({ error: 'Scenario not found' });
       }
+      await req.project.referenceVersions.capture(referenceDir, backstopFiles, { source: 'delete', author: getRequester(req) });
+      
+      // Emptied selector cells are dropped; they fall back to the viewport-wide upload, if any
+      if (selector && data[scenarioKey].screenshots.length === 0) {
+        delete data[scenarioKey];
+      }
+      const shared = selector && data[getUploadKey(scenario, viewport)]?.referenceScreenshot;
+      if (shared && !data[scenarioKey]?.referenceScreenshot && await fs.pathExists(shared.path)) {
+        const restored = await syncReferenceUpload(req.project, config, { scenario, viewport, selector: null }, shared.path, { author: getRequester(req) });
+        console.log(`✓ Restored viewport-wide reference: ${restored.join(', ')}`);
+      }
+      
+      // Save updated data
+      await saveScenarioScreenshots(req.project);
+      
+      console.log(`=== DELETE COMPLETED ===\n`);
+      res.json({ message: 'Screenshot deleted successfully' });
     } else {
-      console.log(`❌ No scenario data found`);
-      res.status(404).json({ error: 'No scenario data found' });
+      console.log(`❌ Scenario not found: ${scenarioKey}`);
+      res.status(404).json({ error: 'Scenario not found' });
     }
   } catch (error) {
     console.error('Delete error:', error);
@@ -1093,14 +2455,219 @@ app.delete('/api/scenario-screenshots/:scenario/:viewport/:filename', async (req
   }
 });
 
-// Serve uploaded screenshots
-app.use('/uploads', express.static(uploadsDir));
-app.use('/backstop_data', express.static(configDir));
+// Stage a bulk reference import (images, zips and an optional manifest) and
+// propose the upload cell of every image. Nothing is stored until it is committed.
+api.post('/reference-imports', importUpload.array('files'), async (req, res) => {
+  const files = req.files || [];
+  if (files.length === 0) {
+    return res.status(400).json({ error: 'No files uploaded' });
+  }
+
+  try {
+    const config = await fs.readJson(req.project.configPath);
+    const record = await req.project.referenceImports.create(files, config, {
+      configPath: req.project.configPath,
+      user: getRequester(req)
+    });
+    res.status(201).json(describeReferenceImport(req.project, record));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  } finally {
+    for (const file of files) {
+      await fs.remove(file.path);
+    }
+  }
+});
+
+api.get('/reference-imports/:id', async (req, res) => {
+  try {
+    const record = await req.project.referenceImports.get(req.params.id);
+    if (!record) {
+      return res.status(404).json({ error: 'Import not found' });
+    }
+    res.json(describeReferenceImport(req.project, record));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// A staged image, for previews
+api.get('/reference-imports/:id/files/:index', async (req, res) => {
+  try {
+    const record = await req.project.referenceImports.get(req.params.id);
+    const file = record?.files.find(candidate => String(candidate.index) === req.params.index);
+    if (!file) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+    res.sendFile(req.project.referenceImports.getFilePath(record, file));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Store and sync a staged import in one go. `assignments` maps file names to
+// `{ scenario, viewport, selector }` or null to skip; files left out keep the
+// proposed cell.
+api.post('/reference-imports/:id/commit', requireRunLock('import-references'), async (req, res) => {
+  try {
+    const store = req.project.referenceImports;
+    const record = await store.get(req.params.id);
+    if (!record) {
+      return res.status(404).json({ error: 'Import not found' });
+    }
+
+    const config = await fs.readJson(req.project.configPath);
+    const { entries, errors } = store.validate(record, config, req.body?.assignments || {}, { configPath: req.project.configPath });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: `Cannot import: ${errors[0].file ? `${errors[0].file}: ` : ''}${errors[0].message}`, errors });
+    }
+
+    const referenceDir = getBackstopDir(req.project, config, 'bitmaps_reference');
+    await req.project.referenceVersions.sweep(referenceDir, { source: 'untracked' });
+    const result = await store.commit(record, entries, {
+      uploads: req.project.scenarioScreenshots,
+      config,
+      configPath: req.project.configPath,
+      uploadsDir: req.project.uploadsDir,
+      referenceDir,
+      save: () => saveScenarioScreenshots(req.project)
+    });
+    await req.project.referenceVersions.capture(referenceDir, result.synced, { source: 'import', author: getRequester(req), note: `Bulk import ${record.id}` });
+    console.log(`Imported ${result.imported} reference screenshots (${result.synced.length} BackstopJS files)`);
+    res.json({
+      message: `Imported ${result.imported} reference screenshot${result.imported === 1 ? '' : 's'} and synced ${result.synced.length} BackstopJS file${result.synced.length === 1 ? '' : 's'}`,
+      ...result
+    });
+  } catch (error) {
+    console.error('Reference import failed, changes rolled back:', error);
+    res.status(500).json({ error: `Import failed and was rolled back: ${error.message}` });
+  }
+});
+
+api.delete('/reference-imports/:id', async (req, res) => {
+  try {
+    if (!(await req.project.referenceImports.get(req.params.id))) {
+      return res.status(404).json({ error: 'Import not found' });
+    }
+    await req.project.referenceImports.remove(req.params.id);
+    res.json({ message: 'Import discarded' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Where a reference version's image is served, below /backstop_data
+function getVersionUrl(project, version) {
+  const objectPath = project.referenceVersions.getObjectPath(version);
+  return objectPath && encodeURI(`${project.urlBase}/backstop_data/${path.relative(project.configDir, objectPath).split(path.sep).join('/')}`);
+}
+
+// The version history of a scenario's reference files (or those of one
+// ?viewport=), per file with its newest version first
+api.get('/reference-versions', async (req, res) => {
+  try {
+    const { scenario } = req.query;
+    const viewport = req.query.viewport || undefined;
+    if (!scenario) {
+      return res.status(400).json({ error: 'scenario is required' });
+    }
+
+    const config = await fs.readJson(req.project.configPath);
+    const configPath = req.project.configPath;
+    const referenceDir = getBackstopDir(req.project, config, 'bitmaps_reference');
+    const existing = await fs.pathExists(referenceDir) ? await fs.readdir(referenceDir) : [];
+
+    let entries;
+    let filenames;
+    try {
+      entries = getReferenceFilenames(config, { scenario, viewport, configPath });
+      // Files of further elements matched with selectorExpansion are only known from disk or history
+      const known = [...existing, ...Object.keys(await req.project.referenceVersions.readIndex())];
+      filenames = [...new Set([...entries.map(entry => entry.filename), ...findReferenceFiles(config, known, { scenario, viewport, configPath })])];
+    } catch (error) {
+      return res.status(404).json({ error: error.message });
+    }
+
+    const versions = await req.project.referenceVersions.list(filenames);
+    res.json({
+      scenario,
+      viewport: viewport || null,
+      files: filenames.map(filename => {
+        const entry = entries.find(candidate => candidate.filename === filename);
+        return {
+          filename,
+          viewport: entry?.viewport || null,
+          selector: entry ? entry.selector.trim() : null,
+          exists: existing.includes(filename),
+          versions: (versions[filename] || []).map(version => ({ ...version, imageUrl: getVersionUrl(req.project, version) }))
+        };
+      })
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Pixel-diff two reference versions (?from=<id>&to=<id>)
+api.get('/reference-versions/diff', async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    if (!from || !to) {
+      return res.status(400).json({ error: 'from and to are required' });
+    }
+
+    let diff;
+    try {
+      diff = await req.project.referenceVersions.diff(from, to);
+    } catch (error) {
+      return res.status(/not found/.test(error.message) ? 404 : 400).json({ error: error.message });
+    }
+
+    const { diffName, ...result } = diff;
+    res.json({
+      ...result,
+      fromUrl: getVersionUrl(req.project, diff.from),
+      toUrl: getVersionUrl(req.project, diff.to),
+      diffUrl: `${req.project.urlBase}/backstop_data/${path.relative(req.project.configDir, req.project.referenceVersions.diffsDir).split(path.sep).join('/')}/${diffName}`
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Make an earlier version the BackstopJS reference again. Uploads are left as
+// they are; syncing one replaces the rolled back reference.
+api.post('/reference-versions/:id/rollback', requireRunLock('rollback-reference'), async (req, res) => {
+  try {
+    const version = await req.project.referenceVersions.get(req.params.id);
+    if (!version) {
+      return res.status(404).json({ error: `Reference version not found: ${req.params.id}` });
+    }
+
+    const config = await fs.readJson(req.project.configPath);
+    const referenceDir = getBackstopDir(req.project, config, 'bitmaps_reference');
+    let restored;
+    try {
+      restored = await req.project.referenceVersions.rollback(referenceDir, version.id, { author: getRequester(req) });
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.json({
+      message: restored
+        ? `Rolled ${version.filename} back to version ${version.version}`
+        : `${version.filename} already matches version ${version.version}`,
+      version: restored && { ...restored, imageUrl: getVersionUrl(req.project, restored) }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
 // Get reference screenshots
-app.get('/api/reference-screenshots', async (req, res) => {
+api.get('/reference-screenshots', async (req, res) => {
   try {
-    const referenceDir = path.join(configDir, 'bitmaps_reference');
+    const referenceDir = path.join(req.project.configDir, 'bitmaps_reference');
     const screenshots = [];
     
     if (await fs.pathExists(referenceDir)) {
@@ -1127,7 +2694,7 @@ app.get('/api/reference-screenshots', async (req, res) => {
         
         screenshots.push({
           filename: file,
-          path: `/backstop_data/bitmaps_reference/${file}`,
+          path: `${req.project.urlBase}/backstop_data/bitmaps_reference/${file}`,
           scenario: scenario,
           viewport: viewport,
           generated: stats.mtime,
@@ -1146,9 +2713,9 @@ app.get('/api/reference-screenshots', async (req, res) => {
 });
 
 // Get list of scenarios
-app.get('/api/scenarios', async (req, res) => {
+api.get('/scenarios', async (req, res) => {
   try {
-    const configPath = path.join(configDir, 'backstop.json');
+    const configPath = req.project.configPath;
     let config = defaultConfig;
     
     if (await fs.pathExists(configPath)) {
@@ -1161,10 +2728,129 @@ app.get('/api/scenarios', async (req, res) => {
   }
 });
 
+// List projects, the default one first
+app.get('/api/projects', async (req, res) => {
+  try {
+    res.json({ projects: await projects.list() });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create a project, empty or as a clone of `cloneFrom`. New projects start with
+// the default configuration; its paths are relative to the project folder.
+app.post('/api/projects', async (req, res) => {
+  try {
+    const project = await projects.create({
+      name: req.body.name,
+      cloneFrom: req.body.cloneFrom,
+      config: {
+        ...defaultConfig,
+        paths: Object.fromEntries(Object.entries(defaultConfig.paths).map(([key, dir]) => [key, `backstop_data/${dir}`]))
+      }
+    });
+    res.status(201).json({ message: `Project "${project.name}" created`, project });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Delete a project with its config, references, uploads and history
+app.delete('/api/projects/:projectId', async (req, res) => {
+  try {
+    if (!(await projects.remove(req.params.projectId))) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    forgetStaticFolders(req.params.projectId);
+    res.json({ message: 'Project deleted' });
+  } catch (error) {
+    res.status(409).json({ error: error.message });
+  }
+});
+
+app.use('/api/projects/:projectId', api);
+app.use('/api', api);
+
+// The folders of backstop_data with report and bitmap files, as config path keys
+const SERVED_BACKSTOP_DIRS = ['html_report', 'bitmaps_reference', 'bitmaps_test'];
+
+// Files a browser can run scripts from when opened
+const SANDBOXED_EXTENSIONS = ['.html', '.htm', '.xhtml', '.svg', '.xml'];
+
+// Archived runs may come from imported bundles, so their pages are served
+// sandboxed: without scripts or the dashboard's origin. Only the report page of
+// a run runs, whose app an import replaces (see runBundle.js).
+const sandboxArchivedPages = (historyDir) => ({
+  setHeaders: (res, filePath) => {
+    const runPath = path.relative(historyDir, filePath).split(path.sep).slice(1).join('/');
+    if (SANDBOXED_EXTENSIONS.includes(path.extname(filePath).toLowerCase()) && runPath !== 'html_report/index.html') {
+      res.set('Content-Security-Policy', 'sandbox');
+    }
+  }
+});
+
+// The express.static middleware of each project folder, by "<project>/<folder>".
+// Folders may come from the config, so saving it forgets the project's.
+const staticFolders = new Map();
+function forgetStaticFolders(projectId) {
+  for (const key of staticFolders.keys()) {
+    if (key.startsWith(`${projectId}/`)) staticFolders.delete(key);
+  }
+}
+
+// Reports, archived runs, uploads and live bitmaps of a project. Projects serve
+// them under /projects/:projectId, the default project also at the root.
+const projectFiles = express.Router();
+const serveProjectFolder = (folder, createMiddleware) => async (req, res, next) => {
+  try {
+    const key = `${req.project.id}/${folder}`;
+    if (!staticFolders.has(key)) {
+      staticFolders.set(key, await createMiddleware(req.project));
+    }
+    staticFolders.get(key)(req, res, next);
+  } catch (error) {
+    next(error);
+  }
+};
+const serveProjectDir = (folder, getDir, getOptions = () => ({})) => serveProjectFolder(folder, async project => {
+  const dir = await getDir(project);
+  return express.static(dir, getOptions(dir));
+});
+projectFiles.use('/report', serveProjectDir('report', async project => getBackstopDir(project, await fs.readJson(project.configPath), 'html_report')));
+projectFiles.use('/history', serveProjectDir('history', project => project.historyDir, sandboxArchivedPages));
+projectFiles.use('/comparisons', serveProjectDir('comparisons', project => project.comparisons.dir));
+projectFiles.use('/uploads', serveProjectDir('uploads', project => project.uploadsDir));
+// Of backstop_data only the live report, bitmaps and reference versions, at
+// their paths below it; the config and engine scripts are not served
+projectFiles.use('/backstop_data', serveProjectFolder('backstop_data', async project => {
+  const config = await fs.readJson(project.configPath);
+  const dirs = [...SERVED_BACKSTOP_DIRS.map(key => getBackstopDir(project, config, key)), project.referenceVersions.dir];
+  const router = express.Router();
+  for (const dir of dirs) {
+    const relativeDir = path.relative(project.configDir, dir);
+    if (relativeDir && !relativeDir.startsWith('..')) {
+      router.use(`/${relativeDir.split(path.sep).join('/')}`, express.static(dir));
+    }
+  }
+  return router;
+}));
+
+app.use('/projects/:projectId', resolveProject, projectFiles);
+app.use(['/report', '/history', '/comparisons', '/uploads', '/backstop_data'], resolveProject);
+app.use(projectFiles);
+
 app.get('/', (req, res) => {
   res.send('PixelPilot BackstopJS Dashboard Backend');
 });
 
-app.listen(port, () => {
-  console.log(`Server running on http://localhost:${port}`);
-});
+// The CLI (bin/pixelpilot.js) requires this module and serves the app on a
+// port of its own when running in-process
+if (require.main === module) {
+  app.listen(port, () => {
+    console.log(`Server running on http://localhost:${port}`);
+  });
+  // Only the long-running server runs schedules, not the CLI's in-process one
+  projects.startSchedulers().catch(error => console.error('Failed to start the scheduler:', error));
+}
+
+module.exports = { app, projects };
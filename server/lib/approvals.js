@@ -0,0 +1,70 @@
+const fs = require('fs-extra');
+const crypto = require('crypto');
+
+const APPROVAL_ACTIONS = ['approve', 'reject'];
+
+// A report pair is identified by scenario, selector and viewport
+const getPairKey = (pair) => `${pair.label}|${pair.selector || ''}|${pair.viewportLabel}`;
+
+/**
+ * Audit log of per-pair approve/reject decisions, newest first. Each entry
+ * remembers the test bitmap it was made for, so decisions only apply to the
+ * report they were made on and a new test run starts undecided.
+ */
+class ApprovalLog {
+  constructor({ file }) {
+    this.file = file;
+    // Serializes log writes
+    this.writeQueue = Promise.resolve();
+  }
+
+  async list() {
+    if (!(await fs.pathExists(this.file))) return [];
+    return fs.readJson(this.file);
+  }
+
+  async record({ action, pair, user, note }) {
+    if (!APPROVAL_ACTIONS.includes(action)) {
+      throw new Error(`Unknown action "${action}", expected one of: ${APPROVAL_ACTIONS.join(', ')}`);
+    }
+
+    const entry = {
+      id: crypto.randomUUID(),
+      action,
+      pairKey: getPairKey(pair),
+      label: pair.label,
+      selector: pair.selector,
+      viewportLabel: pair.viewportLabel,
+      fileName: pair.fileName,
+      testImage: pair.test,
+      misMatchPercentage: pair.diff?.misMatchPercentage ?? null,
+      user,
+      note: note || null,
+      at: new Date().toISOString()
+    };
+
+    const next = this.writeQueue.then(async () => {
+      const entries = await this.list();
+      await fs.writeJson(this.file, [entry, ...entries], { spaces: 2 });
+    });
+    this.writeQueue = next.catch(() => {});
+    await next;
+    return entry;
+  }
+
+  // Attach the latest decision made on this report to each of its pairs
+  async annotateReport(report) {
+    const entries = await this.list();
+    return {
+      ...report,
+      tests: (report.tests || []).map(test => {
+        const decision = entries.find(entry =>
+          entry.pairKey === getPairKey(test.pair) && entry.testImage === test.pair.test
+        );
+        return decision ? { ...test, decision } : test;
+      })
+    };
+  }
+}
+
+module.exports = { ApprovalLog, APPROVAL_ACTIONS, getPairKey };
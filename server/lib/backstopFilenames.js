@@ -0,0 +1,146 @@
+// The bitmap file names BackstopJS gives a scenario's screenshots. Uploads,
+// syncing, deleting and the sync status all use this, so an uploaded
+// reference lands exactly where `backstop test` looks for it.
+//
+// Names come from BackstopJS' own engineTools. What this module adds is the
+// rest of runPuppet's bookkeeping: which selectors and viewports a scenario
+// captures, their indexes, and the config id.
+
+const engineTools = require('backstopjs/core/util/engineTools');
+
+// BackstopJS' default `fileNameTemplate` (see core/util/runPuppet.js)
+const DEFAULT_FILENAME_TEMPLATE = '{configId}_{scenarioLabel}_{selectorIndex}_{selectorLabel}_{viewportIndex}_{viewportLabel}';
+
+// Selectors BackstopJS never expands into one capture per matching element
+const UNEXPANDED_SELECTORS = ['document', 'body', 'viewport'];
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// `config.id`, else the hash of the config file's path BackstopJS falls back to
+function getConfigId(config, configPath) {
+  return config.id || engineTools.genHash(configPath);
+}
+
+function getOutputSuffix(config) {
+  return '.' + ((config.outputFormat && config.outputFormat.match(/jpg|jpeg/)) || 'png');
+}
+
+const expandsSelectors = (scenario) => String(scenario.selectorExpansion) === 'true';
+
+/**
+ * The selectors a scenario captures, in capture order. BackstopJS passes the
+ * list to the page as one comma-joined string and splits it again, so
+ * "h1, h2" is two selectors. With `selectorExpansion`, a selector matching
+ * several elements is captured once per element: the first as is, the others
+ * as "<selector>.__n1", "<selector>.__n2" and so on. How many elements match is
+ * only known in the browser; `matchCounts` maps selectors to that number and
+ * every other selector is taken to match one element.
+ */
+function getCapturedSelectors(scenario, matchCounts = {}) {
+  const configured = scenario.selectors && scenario.selectors.length > 0 ? scenario.selectors : ['document'];
+  const selectors = configured.join(',').split(',');
+  if (!expandsSelectors(scenario)) return selectors;
+
+  return selectors.flatMap(selector => {
+    const count = UNEXPANDED_SELECTORS.includes(selector) ? 1 : Math.max(1, matchCounts[selector] || 1);
+    return Array.from({ length: count }, (_, index) => (index === 0 ? selector : `${selector}.__n${index}`));
+  });
+}
+
+// A scenario's own viewports replace the config's; indexes count within that list
+function getScenarioViewports(config, scenario) {
+  return scenario.viewports && scenario.viewports.length > 0 ? scenario.viewports : config.viewports || [];
+}
+
+// The scenario and viewports to name files for, or an error for unknown labels
+function resolveScenarioView(config, scenarioLabel, viewportLabel) {
+  const scenarioIndex = (config.scenarios || []).findIndex(scenario => scenario.label === scenarioLabel);
+  if (scenarioIndex === -1) {
+    throw new Error(`Scenario "${scenarioLabel}" not found in BackstopJS configuration`);
+  }
+
+  const scenario = config.scenarios[scenarioIndex];
+  const viewports = getScenarioViewports(config, scenario)
+    .map((viewport, viewportIndex) => ({ viewport, viewportIndex }))
+    .filter(({ viewport }) => viewportLabel === undefined || viewport.label === viewportLabel);
+  if (viewports.length === 0) {
+    throw new Error(`Viewport "${viewportLabel}" not found in BackstopJS configuration for scenario "${scenarioLabel}"`);
+  }
+
+  return { scenario, scenarioIndex, viewports };
+}
+
+// One bitmap name, built the way runPuppet builds it
+function buildFilename(config, configPath, scenarioIndex, scenario, selectorIndex, selectorName, viewportIndex, viewport) {
+  return engineTools.getFilename(
+    config.fileNameTemplate || DEFAULT_FILENAME_TEMPLATE,
+    getOutputSuffix(config),
+    getConfigId(config, configPath),
+    scenarioIndex,
+    engineTools.makeSafe(scenario.label),
+    selectorIndex,
+    selectorName,
+    viewportIndex,
+    viewport.label
+  );
+}
+
+/**
+ * Every reference bitmap `scenario` produces, or only those of `viewport`
+ * and of `selector` (as written in the config, without surrounding spaces):
+ * `[{ viewport, viewportIndex, selector, selectorIndex, filename }]`. Throws
+ * for an unknown scenario, viewport or selector. `configPath` is the config
+ * file BackstopJS is given and only matters for configs without an `id`;
+ * `matchCounts` is described at getCapturedSelectors.
+ *
+ * `{scenarioIndex}` in a custom template counts the scenarios of the run, so
+ * it is only right for runs of all scenarios.
+ */
+function getReferenceFilenames(config, { scenario: scenarioLabel, viewport: viewportLabel, selector: selectorLabel, configPath, matchCounts } = {}) {
+  const { scenario, scenarioIndex, viewports } = resolveScenarioView(config, scenarioLabel, viewportLabel);
+  const selectors = getCapturedSelectors(scenario, matchCounts);
+  if (selectorLabel !== undefined && !selectors.some(selector => selector.trim() === selectorLabel)) {
+    throw new Error(`Selector "${selectorLabel}" not found in scenario "${scenarioLabel}"`);
+  }
+
+  return viewports.flatMap(({ viewport, viewportIndex }) => selectors.map((selector, selectorIndex) => ({
+    viewport: viewport.label,
+    viewportIndex,
+    selector,
+    selectorIndex,
+    filename: buildFilename(config, configPath, scenarioIndex, scenario, selectorIndex, engineTools.getSelectorName(selector), viewportIndex, viewport)
+  })))
+    .filter(entry => selectorLabel === undefined || entry.selector.trim() === selectorLabel);
+}
+
+/**
+ * The names in `files` that are reference bitmaps of the scenario (and
+ * viewport, if given). With `selectorExpansion`, the files of further
+ * matching elements are included too, however many there are.
+ */
+function findReferenceFiles(config, files, { scenario: scenarioLabel, viewport: viewportLabel, configPath } = {}) {
+  const { scenario, scenarioIndex, viewports } = resolveScenarioView(config, scenarioLabel, viewportLabel);
+  if (!expandsSelectors(scenario)) {
+    const names = new Set(getReferenceFilenames(config, { scenario: scenarioLabel, viewport: viewportLabel, configPath }).map(entry => entry.filename));
+    return files.filter(file => names.has(file));
+  }
+
+  // Expanded elements shift the indexes of the selectors after them, so any
+  // selector index matches, as does any __n<index> suffix. The placeholders
+  // are letters only and survive getFilename's character stripping.
+  const selectorNames = [...new Set(getCapturedSelectors(scenario).map(selector => escapeRegExp(engineTools.getSelectorName(selector))))];
+  const patterns = viewports.map(({ viewport, viewportIndex }) => {
+    const name = buildFilename(config, configPath, scenarioIndex, scenario, 'SELECTORINDEX', 'SELECTORLABEL', viewportIndex, viewport);
+    return new RegExp('^' + escapeRegExp(name)
+      .replace('SELECTORINDEX', '\\d+')
+      .replace('SELECTORLABEL', `(?:${selectorNames.join('|')})(?:__n\\d+)?`) + '$');
+  });
+  return files.filter(file => patterns.some(pattern => pattern.test(file)));
+}
+
+module.exports = {
+  DEFAULT_FILENAME_TEMPLATE,
+  getCapturedSelectors,
+  getReferenceFilenames,
+  findReferenceFiles
+};
@@ -0,0 +1,220 @@
+// Child process entry point that runs a single BackstopJS command and reports
+// progress back to the parent (see jobManager.js) over IPC.
+//
+// Capture progress comes from wrapping BackstopJS' puppeteer runner, which is
+// invoked once per scenario/viewport. Comparison results are only exposed
+// through BackstopJS' log output, so those lines are parsed as they are printed.
+//
+// Test runs retry failed scenarios and apply the quarantine before reporting
+// that they are done (see runTest). Comparisons run a reference and a test
+// pass in one go (see runComparison).
+
+const fs = require('fs-extra');
+const path = require('path');
+const { stripVTControlCharacters } = require('util');
+const { MISMATCH_ERROR, readReport, writeReport, buildLabelFilter, getFailedLabels } = require('./report');
+const { estimateTotals } = require('./jobManager');
+const {
+  getRetryCount,
+  getQuarantinedLabels,
+  mergeRetryResults,
+  applyQuarantine,
+  summarizeOutcome
+} = require('./flakiness');
+
+const runPuppetPath = require.resolve('backstopjs/core/util/runPuppet');
+const runPuppet = require(runPuppetPath);
+
+const send = (message) => {
+  if (process.send) {
+    process.send(message);
+  }
+};
+
+// Viewport labels to capture, or null for all (see JobManager#start)
+let viewportFilter = null;
+
+require.cache[runPuppetPath].exports = async (scenarioView) => {
+  const { scenario, viewport } = scenarioView;
+  // A result without pairs leaves this view out of the comparison entirely
+  if (viewportFilter && !viewportFilter.includes(viewport.label)) {
+    return { testPairs: [] };
+  }
+
+  const event = {
+    phase: 'capture',
+    scenario: scenario.label,
+    viewport: viewport.label
+  };
+
+  send({ type: 'progress', event: { ...event, status: 'started' } });
+  try {
+    const result = await runPuppet(scenarioView);
+    send({ type: 'progress', event: { ...event, status: 'captured' } });
+    return result;
+  } catch (error) {
+    send({ type: 'progress', event: { ...event, status: 'error', error: error.message } });
+    throw error;
+  }
+};
+
+// Matches "compare | OK: <label> <fileName>" and
+// "compare | ERROR { ... }: <label> <fileName>"
+const comparePattern = /compare \|\s+(OK|ERROR \{[^}]*\}): (.+) (\S+\.(?:png|jpe?g))$/;
+const misMatchPattern = /content: ([\d.]+)%/;
+
+const parseCompareLine = (line) => {
+  // BackstopJS' logger adds ANSI colour codes
+  const match = stripVTControlCharacters(line).trim().match(comparePattern);
+  if (!match) return null;
+
+  const [, outcome, scenario, fileName] = match;
+  const viewportMatch = fileName.match(/_\d+_([^_]+)\.(?:png|jpe?g)$/);
+  const misMatch = outcome.match(misMatchPattern);
+
+  return {
+    phase: 'compare',
+    scenario,
+    viewport: viewportMatch ? viewportMatch[1] : null,
+    fileName,
+    status: outcome === 'OK' ? 'passed' : 'failed',
+    misMatchPercentage: misMatch ? parseFloat(misMatch[1]) : null
+  };
+};
+
+const originalLog = console.log;
+const originalError = console.error;
+
+const watchOutput = (original) => (...args) => {
+  const line = args.map(arg => (typeof arg === 'string' ? arg : String(arg))).join(' ');
+  const event = parseCompareLine(line);
+  if (event) {
+    send({ type: 'progress', event });
+  }
+  original(...args);
+};
+
+console.log = watchOutput(originalLog);
+console.error = watchOutput(originalError);
+
+const backstop = require('backstopjs');
+
+// Run one BackstopJS test pass. Resolves with whether visual differences were
+// found and rethrows anything else.
+const runTestPass = async (options) => {
+  try {
+    await backstop('test', options);
+    return false;
+  } catch (error) {
+    if (error instanceof Error && error.message === MISMATCH_ERROR) return true;
+    throw error;
+  }
+};
+
+// Run a test, re-running failed scenarios up to `retries` times (backstop.json)
+// and merging the retried results into one report. Failures in quarantined
+// scenarios are still reported but do not fail the run.
+const runTest = async (options) => {
+  // A config object when an environment profile was applied (see JobManager#start)
+  const config = typeof options.config === 'string' ? await fs.readJson(options.config) : options.config;
+  const retries = getRetryCount(config);
+  const quarantinedLabels = getQuarantinedLabels(config);
+
+  if (!(await runTestPass(options))) {
+    return { success: true, result: null };
+  }
+  if (retries === 0 && quarantinedLabels.length === 0) {
+    return { success: false, error: MISMATCH_ERROR };
+  }
+
+  // BackstopJS resolves report paths against the working directory
+  const reportDirs = {
+    jsonReportDir: path.resolve(config.paths?.json_report || 'backstop_data/json_report'),
+    htmlReportDir: path.resolve(config.paths?.html_report || 'backstop_data/html_report')
+  };
+  let report = await readReport(reportDirs);
+
+  for (let attempt = 1; report && attempt <= retries; attempt++) {
+    const labels = getFailedLabels(report);
+    if (labels.length === 0) break;
+
+    const filter = buildLabelFilter(labels);
+    const totals = estimateTotals(config, 'test', filter, viewportFilter);
+    const previous = report.tests.filter(test => labels.includes(test.pair.label));
+    send({
+      type: 'progress',
+      event: {
+        phase: 'retry',
+        scenario: labels.join(', '),
+        attempt,
+        retries,
+        // Lets the parent replace the earlier results of these scenarios in its counts
+        captures: totals.captures,
+        passed: previous.filter(test => test.status === 'pass').length,
+        failed: previous.filter(test => test.status === 'fail').length
+      }
+    });
+
+    try {
+      await runTestPass({ ...options, filter });
+    } catch (error) {
+      // Keep the results gathered so far rather than failing the whole run
+      console.error(`Retry ${attempt} failed:`, error instanceof Error ? error.message : error);
+      break;
+    }
+    report = mergeRetryResults(report, await readReport(reportDirs));
+  }
+
+  if (!report) {
+    return { success: false, error: MISMATCH_ERROR };
+  }
+
+  report = applyQuarantine(report, quarantinedLabels);
+  await writeReport(report, reportDirs);
+
+  const outcome = summarizeOutcome(report);
+  return outcome.failed > 0
+    ? { success: false, error: MISMATCH_ERROR, result: outcome }
+    : { success: true, result: outcome };
+};
+
+// Capture references from each scenario's referenceUrl, then test its url
+// against them (see comparisons.js). Differences between two environments
+// are the result, not flakiness, so there are no retries or quarantine.
+const runComparison = async (options) => {
+  await backstop('reference', options);
+  return (await runTestPass(options))
+    ? { success: false, error: MISMATCH_ERROR }
+    : { success: true, result: null };
+};
+
+// Exit once the result has been handed to the parent; exiting right after
+// `process.send` can drop the message before the IPC channel flushes it.
+// Browsers BackstopJS leaves open would keep the worker alive otherwise.
+const finish = (message) => {
+  if (process.send) {
+    process.send(message, () => process.exit(0));
+  } else {
+    process.exit(0);
+  }
+};
+
+process.once('message', async ({ command, options, viewports }) => {
+  viewportFilter = viewports || null;
+  try {
+    if (command === 'test') {
+      finish({ type: 'done', ...(await runTest(options)) });
+    } else if (command === 'compare') {
+      finish({ type: 'done', ...(await runComparison(options)) });
+    } else {
+      // A full reference run wipes bitmaps_reference first; incremental mode
+      // keeps the references of viewports that are not captured
+      const commandOptions = command === 'reference' && viewportFilter ? { ...options, i: true } : options;
+      const result = await backstop(command, commandOptions);
+      finish({ type: 'done', success: true, result: result === undefined ? null : result });
+    }
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    finish({ type: 'done', success: false, error: message });
+  }
+});
@@ -0,0 +1,173 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const { readReport } = require('./report');
+const { summarizeReport } = require('./runHistory');
+const { getEnvironments, resolveEnvironment, applyEnvironment } = require('./environments');
+
+// Comparisons kept before the oldest are deleted
+const MAX_COMPARISONS = 20;
+
+// BackstopJS output folders, moved into the comparison's own folder
+const OUTPUT_PATHS = ['bitmaps_reference', 'bitmaps_test', 'html_report', 'json_report', 'ci_report'];
+
+/**
+ * The scenarios of a comparison. BackstopJS captures references from a
+ * scenario's `referenceUrl` when there is one and tests from its `url`. With
+ * two environment profiles, references come from the `reference` profile and
+ * tests from the `test` profile; without profiles, from the scenarios' own
+ * referenceUrl. Scenarios whose two URLs are the same are left out.
+ */
+function buildComparisonScenarios(config, reference, test) {
+  const referenceScenarios = applyEnvironment(config, reference).scenarios || [];
+  return (applyEnvironment(config, test).scenarios || [])
+    .map((scenario, index) => ({
+      ...scenario,
+      referenceUrl: referenceScenarios[index].referenceUrl || referenceScenarios[index].url
+    }))
+    .filter(scenario => scenario.referenceUrl && scenario.referenceUrl !== scenario.url);
+}
+
+/**
+ * Cross-environment comparisons: references captured from one environment and
+ * tested against another in one job. Each writes its bitmaps and report into a
+ * folder of its own, so the project's baseline references and report are
+ * never touched:
+ *
+ *   comparisons/index.json
+ *   comparisons/<id>/bitmaps_reference/...
+ *   comparisons/<id>/bitmaps_test/...
+ *   comparisons/<id>/html_report/index.html
+ */
+class ComparisonStore {
+  // BackstopJS resolves config paths against `rootDir`, the project root
+  constructor({ dir, rootDir, urlBase = '' }) {
+    this.dir = dir;
+    this.rootDir = rootDir;
+    this.urlBase = urlBase;
+    this.indexPath = path.join(dir, 'index.json');
+    // Serializes index writes
+    this.writeQueue = Promise.resolve();
+  }
+
+  async list() {
+    if (!(await fs.pathExists(this.indexPath))) return [];
+    return fs.readJson(this.indexPath);
+  }
+
+  async get(id) {
+    const comparisons = await this.list();
+    return comparisons.find(comparison => comparison.id === id) || null;
+  }
+
+  getComparisonDir(id) {
+    return path.join(this.dir, id);
+  }
+
+  getReportUrl(id) {
+    return `${this.urlBase}/comparisons/${id}/html_report/index.html`;
+  }
+
+  /**
+   * Resolve the two sides of a new comparison and build the BackstopJS config
+   * that writes into its folder. `reference` and `test` name environment
+   * profiles and are required when the config has any. Throws for unknown
+   * profiles and when no scenario has two different URLs.
+   */
+  prepare(config, { reference: referenceName, test: testName }) {
+    const hasEnvironments = getEnvironments(config).length > 0;
+    if (hasEnvironments && (!referenceName || !testName)) {
+      throw new Error('Both a reference and a test environment are required');
+    }
+    if (hasEnvironments && referenceName === testName) {
+      throw new Error('Pick two different environments to compare');
+    }
+
+    const reference = resolveEnvironment(config, referenceName);
+    const test = resolveEnvironment(config, testName);
+    const scenarios = buildComparisonScenarios(config, reference, test);
+    if (scenarios.length === 0) {
+      throw new Error(hasEnvironments
+        ? `No scenario URL differs between "${reference.name}" and "${test.name}"; use variables like {{baseUrl}} in scenario URLs`
+        : 'No scenario has a referenceUrl to compare against; set one or configure environments');
+    }
+
+    const id = crypto.randomUUID();
+    const outputDir = path.relative(this.rootDir, this.getComparisonDir(id));
+    const paths = { ...config.paths };
+    for (const key of OUTPUT_PATHS) {
+      paths[key] = path.join(outputDir, key);
+    }
+
+    return { id, reference, test, config: { ...config, scenarios, paths } };
+  }
+
+  /**
+   * Record a finished comparison job with the summary of its report. The
+   * folder of a cancelled comparison is deleted instead; resolves to null then.
+   */
+  async record(job, { status }) {
+    const { id, reference, test } = job.comparison;
+    const comparisonDir = this.getComparisonDir(id);
+    if (status === 'cancelled') {
+      await fs.remove(comparisonDir);
+      return null;
+    }
+
+    const report = await readReport({
+      jsonReportDir: path.join(comparisonDir, 'json_report'),
+      htmlReportDir: path.join(comparisonDir, 'html_report')
+    });
+
+    const comparison = {
+      id,
+      jobId: job.id,
+      reference,
+      test,
+      filter: job.filter,
+      viewports: job.viewports,
+      status,
+      triggeredBy: job.owner,
+      startedAt: job.startedAt,
+      finishedAt: new Date().toISOString(),
+      summary: report ? summarizeReport(report) : null,
+      reportUrl: report ? this.getReportUrl(id) : null
+    };
+
+    const expired = [];
+    await this.updateIndex(comparisons => {
+      const kept = [comparison, ...comparisons];
+      expired.push(...kept.splice(MAX_COMPARISONS).map(old => old.id));
+      return kept;
+    });
+    for (const expiredId of expired) {
+      await fs.remove(this.getComparisonDir(expiredId));
+    }
+    return comparison;
+  }
+
+  async remove(id) {
+    let removed = false;
+    await this.updateIndex(comparisons => {
+      removed = comparisons.some(comparison => comparison.id === id);
+      return comparisons.filter(comparison => comparison.id !== id);
+    });
+    if (removed) {
+      await fs.remove(this.getComparisonDir(id));
+    }
+    return removed;
+  }
+
+  updateIndex(update) {
+    const next = this.writeQueue.then(async () => {
+      await fs.ensureDir(this.dir);
+      const comparisons = await this.list();
+      await fs.writeJson(this.indexPath, await update(comparisons), { spaces: 2 });
+    });
+    // Keep the queue alive after a failed write
+    this.writeQueue = next.catch(() => {});
+    return next;
+  }
+}
+
+module.exports = { ComparisonStore, buildComparisonScenarios };
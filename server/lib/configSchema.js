@@ -0,0 +1,234 @@
+// JSON Schema (the draft-07 keywords listed in validateSchema) for
+// backstop.json: BackstopJS' own settings plus the ones PixelPilot adds, such
+// as retries, environments, tags and quarantine. BackstopJS accepts more
+// settings than are listed, so unknown keys are let through.
+
+const stringList = { type: 'array', items: { type: 'string' } };
+
+const viewportSchema = {
+  type: 'object',
+  required: ['label', 'width', 'height'],
+  properties: {
+    label: { type: 'string', minLength: 1 },
+    width: { type: 'integer', minimum: 1 },
+    height: { type: 'integer', minimum: 1 }
+  }
+};
+
+const scenarioSchema = {
+  type: 'object',
+  required: ['label', 'url'],
+  properties: {
+    id: { type: ['string', 'number'] },
+    label: { type: 'string', minLength: 1 },
+    url: { type: 'string', minLength: 1 },
+    referenceUrl: { type: 'string' },
+    cookiePath: { type: 'string' },
+    onBeforeScript: { type: 'string' },
+    onReadyScript: { type: 'string' },
+    readyEvent: { type: 'string' },
+    readySelector: { type: 'string' },
+    readyTimeout: { type: 'number', minimum: 0 },
+    delay: { type: 'number', minimum: 0 },
+    hideSelectors: stringList,
+    removeSelectors: stringList,
+    hoverSelector: { type: 'string' },
+    hoverSelectors: stringList,
+    clickSelector: { type: 'string' },
+    clickSelectors: stringList,
+    postInteractionWait: { type: ['number', 'string'] },
+    scrollToSelector: { type: 'string' },
+    selectors: stringList,
+    selectorExpansion: { type: ['boolean', 'string'] },
+    expect: { type: 'integer', minimum: 0 },
+    misMatchThreshold: { type: 'number', minimum: 0, maximum: 100 },
+    requireSameDimensions: { type: 'boolean' },
+    viewports: { type: 'array', items: viewportSchema },
+    customScript: { type: 'string' },
+    customBeforeScript: { type: 'string' },
+    tags: stringList,
+    quarantined: { type: 'boolean' }
+  }
+};
+
+const pathSchema = { type: 'string', minLength: 1 };
+
+const CONFIG_SCHEMA = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  title: 'BackstopJS configuration',
+  type: 'object',
+  required: ['viewports', 'scenarios', 'paths'],
+  properties: {
+    id: { type: 'string' },
+    viewports: { type: 'array', minItems: 1, items: viewportSchema },
+    onBeforeScript: { type: 'string' },
+    onReadyScript: { type: 'string' },
+    scenarios: { type: 'array', items: scenarioSchema },
+    paths: {
+      type: 'object',
+      required: ['bitmaps_reference', 'bitmaps_test', 'engine_scripts', 'html_report'],
+      properties: {
+        bitmaps_reference: pathSchema,
+        bitmaps_test: pathSchema,
+        engine_scripts: pathSchema,
+        html_report: pathSchema,
+        json_report: pathSchema,
+        ci_report: pathSchema
+      }
+    },
+    report: { type: 'array', items: { type: 'string', enum: ['browser', 'CI', 'json'] } },
+    engine: { type: 'string', enum: ['puppeteer', 'playwright'] },
+    engineOptions: {
+      type: 'object',
+      properties: {
+        args: stringList
+      }
+    },
+    asyncCaptureLimit: { type: 'integer', minimum: 1 },
+    asyncCompareLimit: { type: 'integer', minimum: 1 },
+    fileNameTemplate: { type: 'string', minLength: 1 },
+    retries: { type: 'integer', minimum: 0, maximum: 5 },
+    debug: { type: 'boolean' },
+    debugWindow: { type: 'boolean' },
+    environments: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['name'],
+        properties: {
+          name: { type: 'string', minLength: 1 },
+          variables: { type: 'object', additionalProperties: { type: 'string' } }
+        }
+      }
+    },
+    defaultEnvironment: { type: 'string' }
+  }
+};
+
+const TYPE_CHECKS = {
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  integer: value => Number.isInteger(value),
+  boolean: value => typeof value === 'boolean',
+  array: value => Array.isArray(value),
+  object: value => value !== null && typeof value === 'object' && !Array.isArray(value)
+};
+
+const describeType = (type) => {
+  if (type === 'integer') return 'a whole number';
+  return `${/^[aeiou]/.test(type) ? 'an' : 'a'} ${type}`;
+};
+
+/**
+ * Check `value` against `schema`, pushing `{ path, message }` onto `errors`
+ * for every violation. `path` holds the property names and array indexes
+ * leading to `value`. Supports type, enum, minLength, minimum, maximum,
+ * minItems, items, required, properties and additionalProperties.
+ */
+function validateSchema(value, schema, path, errors) {
+  const fail = (message, at = path) => errors.push({ path: at, message });
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => TYPE_CHECKS[type](value))) {
+      fail(`must be ${types.map(describeType).join(' or ')}`);
+      return;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`must be one of: ${schema.enum.join(', ')}`);
+  }
+  if (typeof value === 'string' && schema.minLength !== undefined && value.trim().length < schema.minLength) {
+    fail('must not be empty');
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) fail(`must be at least ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail(`must be at most ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(`must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => validateSchema(item, schema.items, [...path, index], errors));
+    }
+  }
+
+  if (TYPE_CHECKS.object(value)) {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) fail('is required', [...path, key]);
+    }
+    for (const [key, item] of Object.entries(value)) {
+      const propertySchema = schema.properties?.[key] || schema.additionalProperties;
+      if (propertySchema && item !== undefined) {
+        validateSchema(item, propertySchema, [...path, key], errors);
+      }
+    }
+  }
+}
+
+// The part of a label BackstopJS keeps in bitmap file names (see its
+// engineTools), so labels that only differ in other characters collide
+const toFileLabel = (label) => String(label).replace(/[ /]/g, '_').replace(/[^a-z0-9_-]/gi, '');
+
+// Errors for items whose `key` matches an earlier item's once normalized,
+// by default to the file name part
+function findDuplicateLabels(items, key, path, noun, normalize = toFileLabel) {
+  const errors = [];
+  const seen = new Map();
+  items.forEach((item, index) => {
+    const label = item?.[key];
+    if (typeof label !== 'string' || !label.trim()) return;
+
+    const normalized = normalize(label);
+    if (seen.has(normalized)) {
+      const first = seen.get(normalized);
+      errors.push({
+        path: [...path, index, key],
+        message: first.label === label
+          ? `"${label}" is already used by another ${noun}`
+          : `"${label}" gives the same file names as the ${noun} "${first.label}"`
+      });
+    } else {
+      seen.set(normalized, { label, index });
+    }
+  });
+  return errors;
+}
+
+/**
+ * Field-level problems with a BackstopJS config, each `{ path, message }` with
+ * a dotted path like "scenarios.2.url". Besides the schema this catches
+ * duplicate scenario, viewport and environment names and a default
+ * environment that does not exist. An empty list means the config is valid.
+ */
+function validateConfig(config) {
+  const errors = [];
+  validateSchema(config, CONFIG_SCHEMA, [], errors);
+
+  if (TYPE_CHECKS.object(config)) {
+    const scenarios = Array.isArray(config.scenarios) ? config.scenarios : [];
+    errors.push(...findDuplicateLabels(scenarios, 'label', ['scenarios'], 'scenario'));
+    if (Array.isArray(config.viewports)) {
+      errors.push(...findDuplicateLabels(config.viewports, 'label', ['viewports'], 'viewport'));
+    }
+    scenarios.forEach((scenario, index) => {
+      if (Array.isArray(scenario?.viewports)) {
+        errors.push(...findDuplicateLabels(scenario.viewports, 'label', ['scenarios', index, 'viewports'], 'viewport'));
+      }
+    });
+
+    const environments = Array.isArray(config.environments) ? config.environments : [];
+    errors.push(...findDuplicateLabels(environments, 'name', ['environments'], 'environment', name => name));
+    const { defaultEnvironment } = config;
+    if (typeof defaultEnvironment === 'string' && defaultEnvironment && !environments.some(environment => environment?.name === defaultEnvironment)) {
+      errors.push({ path: ['defaultEnvironment'], message: `"${defaultEnvironment}" is not one of the environments` });
+    }
+  }
+
+  return errors.map(error => ({ ...error, path: error.path.join('.') }));
+}
+
+module.exports = { CONFIG_SCHEMA, validateConfig, validateSchema };
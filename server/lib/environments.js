@@ -0,0 +1,78 @@
+// Named environment profiles in backstop.json (a PixelPilot setting):
+//
+//   "environments": [
+//     { "name": "local", "variables": { "baseUrl": "http://localhost:3000" } },
+//     { "name": "staging", "variables": { "baseUrl": "https://staging.example.com" } }
+//   ],
+//   "defaultEnvironment": "local"
+//
+// Scenario URLs and custom scripts refer to variables as {{baseUrl}}; they are
+// filled in from the active profile when a run starts.
+
+// Scenario fields that may contain {{variables}}
+const TEMPLATED_FIELDS = ['url', 'referenceUrl', 'customScript', 'customBeforeScript'];
+
+// Fields that cannot be used with a variable left unresolved
+const URL_FIELDS = ['url', 'referenceUrl'];
+
+const variablePattern = /\{\{\s*([A-Za-z_][\w.-]*)\s*\}\}/g;
+
+function getEnvironments(config) {
+  return Array.isArray(config?.environments) ? config.environments : [];
+}
+
+/**
+ * The profile a run uses: `name`, else the config's `defaultEnvironment`, else
+ * the first profile. Resolves to null when the config defines no profiles.
+ */
+function resolveEnvironment(config, name) {
+  const environments = getEnvironments(config);
+  if (environments.length === 0) {
+    if (name) throw new Error(`Unknown environment "${name}": no environments are configured`);
+    return null;
+  }
+
+  const wanted = name || config.defaultEnvironment || environments[0].name;
+  const environment = environments.find(candidate => candidate.name === wanted);
+  if (!environment) {
+    throw new Error(`Unknown environment "${wanted}", expected one of: ${environments.map(candidate => candidate.name).join(', ')}`);
+  }
+  return { name: environment.name, variables: { ...(environment.variables || {}) } };
+}
+
+// Replace every {{variable}} that the profile defines; unknown ones are kept
+function fillTemplate(text, variables) {
+  return text.replace(variablePattern, (match, key) => (
+    Object.prototype.hasOwnProperty.call(variables, key) ? String(variables[key]) : match
+  ));
+}
+
+// Names of the {{variables}} left in `text`
+const findVariables = (text) => [...text.matchAll(variablePattern)].map(match => match[1]);
+
+/**
+ * A copy of `config` with the environment's variables filled into every
+ * scenario's URLs and scripts. Throws when a URL refers to a variable the
+ * profile does not define.
+ */
+function applyEnvironment(config, environment) {
+  if (!environment) return config;
+
+  const scenarios = (config.scenarios || []).map(scenario => {
+    const resolved = { ...scenario };
+    for (const field of TEMPLATED_FIELDS) {
+      if (typeof resolved[field] !== 'string') continue;
+
+      resolved[field] = fillTemplate(resolved[field], environment.variables);
+      const missing = findVariables(resolved[field]);
+      if (URL_FIELDS.includes(field) && missing.length > 0) {
+        throw new Error(`Scenario "${scenario.label}" ${field} uses {{${missing[0]}}}, which environment "${environment.name}" does not define`);
+      }
+    }
+    return resolved;
+  });
+
+  return { ...config, scenarios };
+}
+
+module.exports = { getEnvironments, resolveEnvironment, applyEnvironment, fillTemplate };
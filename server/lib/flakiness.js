@@ -0,0 +1,130 @@
+const { getPairKey } = require('./approvals');
+
+// A scenario counts as flaky after this many unexplained status changes
+const FLAKY_MIN_FLIPS = 2;
+
+// Number of automatic retries configured for failed scenarios (`retries` in backstop.json)
+function getRetryCount(config) {
+  const retries = parseInt(config?.retries, 10);
+  return Number.isFinite(retries) && retries > 0 ? retries : 0;
+}
+
+// Labels of scenarios marked `quarantined: true` in backstop.json
+function getQuarantinedLabels(config) {
+  return (config?.scenarios || [])
+    .filter(scenario => scenario.quarantined)
+    .map(scenario => scenario.label);
+}
+
+/**
+ * Replace the failed pairs of `report` with their results from a retry run.
+ * Pairs that passed the first time keep their result, and `attempts` counts how
+ * often a pair was compared.
+ */
+function mergeRetryResults(report, retryReport) {
+  const retried = new Map((retryReport?.tests || []).map(test => [getPairKey(test.pair), test]));
+
+  return {
+    ...report,
+    tests: (report.tests || []).map(test => {
+      const retry = test.status === 'fail' && retried.get(getPairKey(test.pair));
+      return retry ? { ...retry, attempts: (test.attempts || 1) + 1 } : test;
+    })
+  };
+}
+
+// Flag every pair of a quarantined scenario so its failures do not fail the run
+function applyQuarantine(report, quarantinedLabels) {
+  const quarantined = new Set(quarantinedLabels);
+  return {
+    ...report,
+    tests: (report.tests || []).map(test => (
+      quarantined.has(test.pair.label) ? { ...test, quarantined: true } : test
+    ))
+  };
+}
+
+/**
+ * Outcome of a test report once retries and quarantine are applied: `failed`
+ * pairs fail the run, `quarantined` failures are reported only, and `recovered`
+ * pairs failed at first but passed on a retry.
+ */
+function summarizeOutcome(report) {
+  const tests = report?.tests || [];
+  const failures = tests.filter(test => test.status === 'fail');
+  return {
+    failed: failures.filter(test => !test.quarantined).length,
+    quarantined: failures.filter(test => test.quarantined).length,
+    quarantinedScenarios: [...new Set(failures.filter(test => test.quarantined).map(test => test.pair.label))],
+    recovered: tests.filter(test => test.status === 'pass' && test.attempts > 1).length
+  };
+}
+
+/**
+ * Flakiness per scenario across archived test runs (oldest first, each
+ * `{ run, report }`). Tests may carry a `referenceHash` of the reference bitmap
+ * they were compared with.
+ *
+ * A pair "flips" when its status differs from the previous run while its
+ * reference stayed the same - nothing was approved, so the page itself
+ * rendered inconsistently. Passing only on a retry counts as a flip too.
+ */
+function buildFlakiness(archivedRuns, { minFlips = FLAKY_MIN_FLIPS } = {}) {
+  const previous = new Map();
+  const scenarios = new Map();
+
+  for (const { run, report } of archivedRuns) {
+    const seenLabels = new Set();
+
+    for (const test of report.tests || []) {
+      const { label } = test.pair;
+      const pairKey = getPairKey(test.pair);
+      const referenceHash = test.referenceHash || null;
+
+      if (!scenarios.has(label)) {
+        scenarios.set(label, { label, runs: 0, observations: 0, flips: 0, recovered: 0, lastFlipAt: null, pairs: new Set() });
+      }
+      const scenario = scenarios.get(label);
+      scenario.observations++;
+      if (!seenLabels.has(label)) {
+        scenario.runs++;
+        seenLabels.add(label);
+      }
+
+      const last = previous.get(pairKey);
+      const flipped = last && last.referenceHash === referenceHash && last.status !== test.status;
+      const recovered = test.status === 'pass' && test.attempts > 1;
+      if (flipped || recovered) {
+        scenario.flips += flipped ? 1 : 0;
+        scenario.recovered += recovered ? 1 : 0;
+        scenario.lastFlipAt = run.finishedAt;
+        scenario.pairs.add(pairKey);
+      }
+
+      previous.set(pairKey, { status: test.status, referenceHash });
+    }
+  }
+
+  return [...scenarios.values()]
+    .map(({ pairs, observations, ...scenario }) => {
+      const unstable = scenario.flips + scenario.recovered;
+      return {
+        ...scenario,
+        flakyPairs: [...pairs],
+        // Share of pair results that were unstable, in percent
+        flakiness: Math.round((unstable / observations) * 1000) / 10,
+        flaky: unstable >= minFlips
+      };
+    })
+    .sort((a, b) => b.flakiness - a.flakiness);
+}
+
+module.exports = {
+  FLAKY_MIN_FLIPS,
+  getRetryCount,
+  getQuarantinedLabels,
+  mergeRetryResults,
+  applyQuarantine,
+  summarizeOutcome,
+  buildFlakiness
+};
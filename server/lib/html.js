@@ -0,0 +1,8 @@
+// Escape text for HTML element content and double-quoted attributes
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+module.exports = { escapeHtml };
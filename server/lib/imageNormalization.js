@@ -0,0 +1,240 @@
+const { PNG } = require('pngjs');
+
+// Reference uploads are design mockups, rarely the size BackstopJS captures.
+// This fits them to the expected size with a list of transforms, applied in
+// order and recorded with the normalized upload:
+//
+//   { type: 'devicePixelRatio', ratio: 2 }   scale down a retina export
+//   { type: 'scale', width, height }         resample to an exact size
+//   { type: 'crop', x, y, width, height }    keep a region
+//   { type: 'pad', width, height, color }    extend to a size, top left anchored
+//
+// Only PNG is handled, like BackstopJS' own output.
+
+const TRANSFORM_TYPES = ['devicePixelRatio', 'scale', 'crop', 'pad'];
+
+// Largest side and area of an image decoded or produced here. Images are held
+// as RGBA, so 25 megapixels take 100 MB: a 1440×17000 full page still fits.
+const MAX_DIMENSION = 20000;
+const MAX_PIXELS = 25 * 1000 * 1000;
+
+// How many times the expected size a scale or pad may make an image
+const MAX_OVERSIZE = 2;
+
+// Device pixel ratios recognised in uploads
+const PIXEL_RATIOS = [2, 3];
+
+const PNG_SIGNATURE = '89504e470d0a1a0a';
+
+// `{ width, height }` from a PNG's header, or null for other formats
+function readPngSize(buffer) {
+  if (buffer.length < 24 || buffer.subarray(0, 8).toString('hex') !== PNG_SIGNATURE) return null;
+  return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+}
+
+const isDimension = (value) => Number.isInteger(value) && value >= 1 && value <= MAX_DIMENSION;
+
+function parseColor(color = '#ffffff') {
+  const match = /^#?([0-9a-f]{6})([0-9a-f]{2})?$/i.exec(color);
+  if (!match) throw new Error(`Invalid pad color "${color}", expected #rrggbb or #rrggbbaa`);
+  const value = match[1] + (match[2] || 'ff');
+  return [0, 2, 4, 6].map(offset => parseInt(value.slice(offset, offset + 2), 16));
+}
+
+/**
+ * Throw for a transform list that is not an array of well-formed transforms,
+ * that produces more than MAX_PIXELS, or that scales or pads far beyond
+ * `expected` (`{ width, height }`, height may be null). Bounds that depend on
+ * the image (crop regions) are checked when applied.
+ */
+function validateTransforms(transforms, expected = null) {
+  if (!Array.isArray(transforms)) throw new Error('transforms must be an array');
+  transforms.forEach((transform, index) => {
+    const at = `Transform ${index + 1}`;
+    if (!TRANSFORM_TYPES.includes(transform?.type)) {
+      throw new Error(`${at}: type must be one of ${TRANSFORM_TYPES.join(', ')}`);
+    }
+    if (transform.type === 'devicePixelRatio') {
+      if (!(typeof transform.ratio === 'number' && transform.ratio >= 1 && transform.ratio <= 4)) {
+        throw new Error(`${at}: ratio must be a number from 1 to 4`);
+      }
+      return;
+    }
+    if (!isDimension(transform.width) || !isDimension(transform.height)) {
+      throw new Error(`${at}: width and height must be whole numbers from 1 to ${MAX_DIMENSION}`);
+    }
+    if (transform.width * transform.height > MAX_PIXELS) {
+      throw new Error(`${at}: ${transform.width}×${transform.height} is larger than ${MAX_PIXELS / 1000000} megapixels`);
+    }
+    // Scaling keeps the aspect ratio, so only a pad can make an image too tall
+    const tooTall = transform.type === 'pad' && expected?.height && transform.height > expected.height * MAX_OVERSIZE;
+    if (expected && transform.type !== 'crop' && (transform.width > expected.width * MAX_OVERSIZE || tooTall)) {
+      const expectedSize = expected.height ? `${expected.width}×${expected.height}` : `${expected.width} pixels wide`;
+      throw new Error(`${at}: ${transform.width}×${transform.height} is far larger than the expected ${expectedSize}`);
+    }
+    if (transform.type === 'crop' && !(Number.isInteger(transform.x) && transform.x >= 0 && Number.isInteger(transform.y) && transform.y >= 0)) {
+      throw new Error(`${at}: x and y must be whole numbers of at least 0`);
+    }
+    if (transform.type === 'pad') parseColor(transform.color);
+  });
+}
+
+// Resample one axis with area averaging: each target pixel is the weighted
+// mean of the source pixels it covers
+function resampleAxis(source, width, height, targetSize, horizontal) {
+  const sourceSize = horizontal ? width : height;
+  const outWidth = horizontal ? targetSize : width;
+  const outHeight = horizontal ? height : targetSize;
+  const output = Buffer.alloc(outWidth * outHeight * 4);
+  const ratio = sourceSize / targetSize;
+
+  for (let target = 0; target < targetSize; target++) {
+    const start = target * ratio;
+    const end = Math.min(sourceSize, start + Math.max(ratio, 1));
+    const weights = [];
+    for (let index = Math.floor(start); index < Math.ceil(end); index++) {
+      const weight = Math.min(end, index + 1) - Math.max(start, index);
+      if (weight > 0) weights.push([Math.min(index, sourceSize - 1), weight]);
+    }
+    const total = weights.reduce((sum, [, weight]) => sum + weight, 0);
+
+    const lines = horizontal ? height : width;
+    for (let line = 0; line < lines; line++) {
+      const sums = [0, 0, 0, 0];
+      for (const [index, weight] of weights) {
+        const offset = horizontal ? (line * width + index) * 4 : (index * width + line) * 4;
+        for (let channel = 0; channel < 4; channel++) sums[channel] += source[offset + channel] * weight;
+      }
+      const outOffset = horizontal ? (line * outWidth + target) * 4 : (target * outWidth + line) * 4;
+      for (let channel = 0; channel < 4; channel++) output[outOffset + channel] = Math.round(sums[channel] / total);
+    }
+  }
+  return output;
+}
+
+function resize(image, width, height) {
+  if (image.width === width && image.height === height) return image;
+  const horizontal = resampleAxis(image.data, image.width, image.height, width, true);
+  const output = new PNG({ width, height });
+  output.data = resampleAxis(horizontal, width, image.height, height, false);
+  return output;
+}
+
+function crop(image, { x, y, width, height }) {
+  if (x + width > image.width || y + height > image.height) {
+    throw new Error(`Crop region ${width}×${height} at ${x},${y} is outside the ${image.width}×${image.height} image`);
+  }
+  const output = new PNG({ width, height });
+  PNG.bitblt(image, output, x, y, width, height, 0, 0);
+  return output;
+}
+
+function pad(image, { width, height, color }) {
+  const output = new PNG({ width, height });
+  const fill = parseColor(color);
+  for (let offset = 0; offset < output.data.length; offset += 4) {
+    output.data[offset] = fill[0];
+    output.data[offset + 1] = fill[1];
+    output.data[offset + 2] = fill[2];
+    output.data[offset + 3] = fill[3];
+  }
+  // Larger images are cut at the new size
+  PNG.bitblt(image, output, 0, 0, Math.min(width, image.width), Math.min(height, image.height), 0, 0);
+  return output;
+}
+
+/**
+ * Apply `transforms` to a PNG buffer and return the normalized PNG buffer with
+ * its size. Throws for invalid transforms (see validateTransforms for
+ * `expected`), non-PNG input and images too large to decode.
+ */
+function normalizeImage(buffer, transforms, expected = null) {
+  validateTransforms(transforms, expected);
+  const size = readPngSize(buffer);
+  if (!size) throw new Error('Only PNG images can be normalized');
+  if (size.width * size.height > MAX_PIXELS) {
+    throw new Error(`The ${size.width}×${size.height} image is larger than ${MAX_PIXELS / 1000000} megapixels`);
+  }
+
+  let image = PNG.sync.read(buffer);
+  for (const transform of transforms) {
+    if (transform.type === 'devicePixelRatio') {
+      image = resize(image, Math.max(1, Math.round(image.width / transform.ratio)), Math.max(1, Math.round(image.height / transform.ratio)));
+    } else if (transform.type === 'scale') {
+      image = resize(image, transform.width, transform.height);
+    } else if (transform.type === 'crop') {
+      image = crop(image, transform);
+    } else {
+      image = pad(image, transform);
+    }
+  }
+  return { buffer: PNG.sync.write(image), width: image.width, height: image.height };
+}
+
+// The transforms that bring a `width` wide image of `height` to the expected
+// height: a crop when it is taller, white padding when it is shorter
+function fitHeight(width, height, expectedHeight) {
+  if (!expectedHeight || height === expectedHeight) return [];
+  return height > expectedHeight
+    ? [{ type: 'crop', x: 0, y: 0, width, height: expectedHeight }]
+    : [{ type: 'pad', width, height: expectedHeight, color: '#ffffff' }];
+}
+
+/**
+ * Whether an image of `size` matches `expected` (`{ width, height }`, where
+ * height may be null when only the width is known) and, if not, the ways to
+ * normalize it: `[{ id, label, transforms, result }]`, the likeliest first.
+ */
+function suggestNormalizations(size, expected) {
+  const matches = size.width === expected.width && (!expected.height || size.height === expected.height);
+  if (matches) return { matches, options: [] };
+
+  const options = [];
+  const add = (id, label, transforms) => {
+    let { width, height } = size;
+    for (const transform of transforms) {
+      if (transform.type === 'devicePixelRatio') {
+        width = Math.max(1, Math.round(width / transform.ratio));
+        height = Math.max(1, Math.round(height / transform.ratio));
+      } else {
+        ({ width, height } = transform);
+      }
+    }
+    options.push({ id, label, transforms, result: { width, height } });
+  };
+
+  // Retina exports: exactly 2× or 3× the expected width, give or take a pixel
+  for (const ratio of PIXEL_RATIOS) {
+    if (Math.abs(size.width - expected.width * ratio) <= ratio) {
+      const scaledHeight = Math.max(1, Math.round(size.height / ratio));
+      add(`dpr-${ratio}`, `Device pixel ratio ${ratio}×`, [
+        { type: 'devicePixelRatio', ratio },
+        ...(size.width === expected.width * ratio ? [] : [{ type: 'scale', width: expected.width, height: scaledHeight }]),
+        ...fitHeight(expected.width, scaledHeight, expected.height)
+      ]);
+    }
+  }
+
+  const scaledHeight = Math.max(1, Math.round(size.height * expected.width / size.width));
+  if (size.width !== expected.width) {
+    add('scale', 'Scale to width', [
+      { type: 'scale', width: expected.width, height: scaledHeight },
+      ...fitHeight(expected.width, scaledHeight, expected.height)
+    ]);
+  }
+
+  const targetHeight = expected.height || size.height;
+  if (size.width > expected.width || size.height > targetHeight) {
+    add('crop', 'Crop', [
+      { type: 'crop', x: 0, y: 0, width: Math.min(size.width, expected.width), height: Math.min(size.height, targetHeight) },
+      ...(size.width < expected.width || size.height < targetHeight ? [{ type: 'pad', width: expected.width, height: targetHeight, color: '#ffffff' }] : [])
+    ]);
+  }
+  if (size.width < expected.width || size.height < targetHeight) {
+    add('pad', 'Pad', [{ type: 'pad', width: expected.width, height: targetHeight, color: '#ffffff' }]);
+  }
+
+  return { matches, options };
+}
+
+module.exports = { readPngSize, validateTransforms, normalizeImage, suggestNormalizations };
@@ -0,0 +1,310 @@
+const { EventEmitter } = require('events');
+const { fork } = require('child_process');
+const path = require('path');
+const crypto = require('crypto');
+const { killProcessTree } = require('./processTree');
+const { MISMATCH_ERROR } = require('./report');
+
+const workerPath = path.join(__dirname, 'backstopWorker.js');
+
+// Maximum number of finished jobs kept in memory
+const MAX_FINISHED_JOBS = 50;
+
+// Progress events kept per job, the latest ones. `progress` keeps counting
+// them all; the dashboard shows the last 100.
+const MAX_JOB_EVENTS = 100;
+
+// Same matching BackstopJS applies to `filter`: comma-separated regular expressions
+// tested against each scenario label
+function filterScenarios(scenarios, filter) {
+  if (!filter) return scenarios;
+
+  const patterns = String(filter).split(',');
+  return scenarios.filter(scenario =>
+    patterns.some(pattern => new RegExp(pattern).test(scenario.label))
+  );
+}
+
+// Viewports left after a viewport label filter. BackstopJS has no viewport
+// filter of its own; the worker skips the other viewports while capturing.
+function filterViewports(viewports, viewportLabels) {
+  if (!viewportLabels || viewportLabels.length === 0) return viewports;
+  return viewports.filter(viewport => viewportLabels.includes(viewport.label));
+}
+
+// Estimate how many captures and comparisons a command will perform so
+// progress can be reported as a fraction of the whole run
+function estimateTotals(config, command, filter, viewportLabels) {
+  const scenarios = filterScenarios(config.scenarios || [], filter);
+  let captures = 0;
+  let comparisons = 0;
+
+  for (const scenario of scenarios) {
+    const viewports = filterViewports(
+      scenario.viewports && scenario.viewports.length > 0 ? scenario.viewports : config.viewports || [],
+      viewportLabels
+    );
+    const selectorCount = scenario.selectors && scenario.selectors.length > 0
+      ? scenario.selectors.length
+      : 1;
+
+    captures += viewports.length;
+    comparisons += viewports.length * selectorCount;
+  }
+
+  // A comparison captures every view twice, once from each environment
+  return {
+    captures: command === 'approve' ? 0 : command === 'compare' ? captures * 2 : captures,
+    comparisons: command === 'test' || command === 'compare' ? comparisons : 0
+  };
+}
+
+class JobManager extends EventEmitter {
+  constructor({ cwd, lock }) {
+    super();
+    this.cwd = cwd;
+    this.lock = lock;
+    this.jobs = new Map();
+
+    // Queue positions shift whenever the lock changes hands
+    this.lock.on('change', () => {
+      for (const job of this.jobs.values()) {
+        if (job.status === 'queued') {
+          this.emitUpdate(job, 'status');
+        }
+      }
+    });
+  }
+
+  list() {
+    return Array.from(this.jobs.values())
+      .map(job => this.serialize(job))
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  get(id) {
+    const job = this.jobs.get(id);
+    return job ? this.serialize(job) : null;
+  }
+
+  // Public view of a job, without process handles or hooks
+  serialize(job) {
+    return {
+      id: job.id,
+      command: job.command,
+      filter: job.filter,
+      viewports: job.viewports,
+      owner: job.owner,
+      schedule: job.schedule,
+      environment: job.environment,
+      comparison: job.comparison,
+      status: job.status,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      progress: job.progress,
+      events: job.events,
+      result: job.result,
+      error: job.error,
+      queuePosition: job.status === 'queued' && job.ticket ? this.lock.position(job.ticket.id) : null
+    };
+  }
+
+  /**
+   * Queue a BackstopJS command behind the run lock and return the job record
+   * immediately. The worker process starts once the lock is granted.
+   * `onStart` runs right before the worker is launched. `onComplete` runs in
+   * the parent once the worker finishes and may return extra fields (e.g.
+   * report paths) to merge into the job result. `viewports` limits test and
+   * reference captures to the given viewport labels. With an `environment`,
+   * `config` has its variables filled in and is passed to the worker instead
+   * of `configPath`; so is the config of a `compare` job, which describes its
+   * two sides in `comparison` (see comparisons.js).
+   */
+  start({ command, config, configPath, filter, viewports, environment, comparison, owner, schedule, onStart, onComplete }) {
+    const viewportLabels = viewports && viewports.length > 0 ? viewports : null;
+    const totals = estimateTotals(config, command, filter, viewportLabels);
+    const job = {
+      id: crypto.randomUUID(),
+      command,
+      filter: filter || null,
+      viewports: viewportLabels,
+      owner: owner || 'unknown',
+      // The schedule that started the job, if any
+      schedule: schedule || null,
+      // The environment profile the run resolved, if any
+      environment: environment || null,
+      comparison: comparison || null,
+      status: 'queued',
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      progress: {
+        totalCaptures: totals.captures,
+        captured: 0,
+        totalComparisons: totals.comparisons,
+        compared: 0,
+        passed: 0,
+        failed: 0,
+        retries: 0
+      },
+      events: [],
+      result: null,
+      error: null,
+      // `configPath` also for object configs: BackstopJS hashes it into bitmap
+      // names when the config has no `id` (see backstopFilenames.js)
+      options: { config: environment || comparison ? config : configPath, configPath, filter: filter || undefined },
+      onStart,
+      onComplete
+    };
+
+    this.jobs.set(job.id, job);
+    this.prune();
+
+    job.ticket = this.lock.request(
+      { operation: command, owner: job.owner, jobId: job.id },
+      () => this.run(job)
+    );
+    this.emitUpdate(job, 'status');
+
+    return this.serialize(job);
+  }
+
+  // Launch the worker for a job that now holds the run lock
+  async run(job) {
+    if (job.onStart) {
+      try {
+        await job.onStart();
+      } catch (startError) {
+        console.error(`Error starting job ${job.id}:`, startError.message);
+      }
+    }
+    // Cancelled while preparing to start
+    if (job.settled) return;
+
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    this.emitUpdate(job, 'status');
+
+    const child = fork(workerPath, [], { cwd: this.cwd, stdio: 'inherit' });
+    job.child = child;
+
+    child.on('message', (message) => {
+      if (message.type === 'progress') {
+        this.recordProgress(job, message.event);
+      } else if (message.type === 'done') {
+        this.finish(job, message);
+      }
+    });
+
+    child.on('exit', (code) => {
+      if (!job.settled && !job.cancelling) {
+        this.finish(job, { success: false, error: `Worker exited unexpectedly with code ${code}` });
+      }
+    });
+
+    child.send({ command: job.command, options: job.options, viewports: job.viewports });
+  }
+
+  /**
+   * Stop a queued or running job, killing the worker and any browsers it
+   * launched. Returns the cancelled job, or null if the job is unknown or
+   * already finished.
+   */
+  async cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job || job.settled || job.cancelling) return null;
+
+    if (job.status === 'queued') {
+      job.cancelling = true;
+      await this.finish(job, { success: false, cancelled: true, error: 'Job cancelled before it started' });
+      return this.serialize(job);
+    }
+
+    // Flag first so the worker's exit is not reported as a crash, and stop
+    // forwarding progress from a worker that is about to be killed
+    job.cancelling = true;
+    job.child.removeAllListeners('message');
+    await killProcessTree(job.child.pid);
+    await this.finish(job, { success: false, cancelled: true, error: 'Job cancelled' });
+
+    return this.serialize(job);
+  }
+
+  recordProgress(job, event) {
+    const progress = job.progress;
+    const timestamped = { ...event, at: new Date().toISOString() };
+
+    if (event.phase === 'capture' && event.status !== 'started') {
+      progress.captured++;
+      progress.totalCaptures = Math.max(progress.totalCaptures, progress.captured);
+    } else if (event.phase === 'retry') {
+      // The retried scenarios are captured and compared again; their earlier
+      // comparisons no longer count
+      progress.retries = event.attempt;
+      progress.totalCaptures += event.captures;
+      progress.compared -= event.passed + event.failed;
+      progress.passed -= event.passed;
+      progress.failed -= event.failed;
+    } else if (event.phase === 'compare') {
+      progress.compared++;
+      progress.totalComparisons = Math.max(progress.totalComparisons, progress.compared);
+      if (event.status === 'passed') {
+        progress.passed++;
+      } else {
+        progress.failed++;
+      }
+    }
+
+    job.events.push(timestamped);
+    if (job.events.length > MAX_JOB_EVENTS) job.events.shift();
+    this.emitUpdate(job, 'progress', timestamped);
+  }
+
+  async finish(job, { success, result, error, cancelled = false }) {
+    if (job.settled) return;
+
+    job.settled = true;
+    let extra = {};
+    if (job.onComplete) {
+      try {
+        extra = (await job.onComplete({ success, result, error, cancelled, job: this.serialize(job) })) || {};
+      } catch (completeError) {
+        console.error(`Error completing job ${job.id}:`, completeError.message);
+      }
+    }
+
+    job.result = { success, result: result === undefined ? null : result, ...extra };
+    job.error = error || null;
+    if (cancelled) {
+      job.status = 'cancelled';
+    } else {
+      // A test or comparison with visual differences still completed; any other
+      // rejection means the command itself failed
+      const compares = job.command === 'test' || job.command === 'compare';
+      job.status = success || (compares && error === MISMATCH_ERROR) ? 'completed' : 'failed';
+    }
+    job.finishedAt = new Date().toISOString();
+    job.child = null;
+    this.lock.release(job.ticket);
+
+    this.emitUpdate(job, 'done');
+  }
+
+  emitUpdate(job, type, event) {
+    this.emit('update', { type, job: this.serialize(job), event });
+  }
+
+  // Drop the oldest finished jobs once the in-memory limit is reached
+  prune() {
+    const finished = Array.from(this.jobs.values())
+      .filter(job => job.finishedAt)
+      .sort((a, b) => new Date(a.finishedAt) - new Date(b.finishedAt));
+
+    while (finished.length > MAX_FINISHED_JOBS) {
+      this.jobs.delete(finished.shift().id);
+    }
+  }
+}
+
+module.exports = { JobManager, MAX_JOB_EVENTS, filterScenarios, filterViewports, estimateTotals };
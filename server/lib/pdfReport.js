@@ -0,0 +1,162 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { getPairKey } = require('./approvals');
+const { escapeHtml } = require('./html');
+
+const IMAGE_TYPES = { '.png': 'image/png', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg' };
+
+// Use the puppeteer BackstopJS depends on rather than a second copy
+const loadPuppeteer = () => require(require.resolve('puppeteer', { paths: [path.dirname(require.resolve('backstopjs'))] }));
+
+// Inline an image as a data URI, since the page is rendered from a string
+async function toDataUri(filePath) {
+  if (!filePath || !(await fs.pathExists(filePath))) return null;
+  const type = IMAGE_TYPES[path.extname(filePath).toLowerCase()] || 'image/png';
+  return `data:${type};base64,${(await fs.readFile(filePath)).toString('base64')}`;
+}
+
+const formatMismatch = (pair) => (pair.diff?.misMatchPercentage != null ? `${escapeHtml(pair.diff.misMatchPercentage)}%` : '-');
+
+const renderImage = (src, caption) => `
+      <figure>
+        ${src ? `<img src="${src}" alt="${caption}">` : `<div class="missing">No ${caption.toLowerCase()} image</div>`}
+        <figcaption>${caption}</figcaption>
+      </figure>`;
+
+const renderFindings = (issues = []) => {
+  if (issues.length === 0) return '<p class="muted">No findings</p>';
+  return issues.map(issue => `
+      <div class="finding ${escapeHtml(issue.severity)}">
+        <strong>${escapeHtml(issue.category)}</strong> <span class="muted">${escapeHtml(issue.severity)}</span>
+        <div>${escapeHtml(issue.description)}</div>
+        ${issue.suggestedFixes?.length ? `<ul>${issue.suggestedFixes.map(fix => `<li>${escapeHtml(fix)}</li>`).join('')}</ul>` : ''}
+      </div>`).join('');
+};
+
+const renderComments = (comments = []) => {
+  if (comments.length === 0) return '<p class="muted">No reviewer comments</p>';
+  return `<ul class="comments">${comments.map(comment => `
+        <li${comment.parentId ? ' class="reply"' : ''}><strong>${escapeHtml(comment.author)}</strong>
+          <span class="muted">${escapeHtml(new Date(comment.at).toLocaleString())}</span>: ${escapeHtml(comment.text)}</li>`).join('')}
+      </ul>`;
+};
+
+/**
+ * HTML for the PDF report of an archived test run: a cover page with the run's
+ * totals and review state, then one page per failed pair with its reference,
+ * test and diff images, the CSS findings and the reviewer comments.
+ * `resolveImage(reportPath)` maps report image paths to files on disk.
+ */
+async function renderPdfHtml({ run, report, review, cssIssues = [], resolveImage }) {
+  const tests = report.tests || [];
+  const failed = tests.filter(test => test.status === 'fail');
+  const reviewPairs = new Map((review?.pairs || []).map(pair => [pair.pairKey, pair]));
+  const findings = new Map(cssIssues.map(issue => [issue.pairKey, issue.issues]));
+  const reviewSummary = review?.summary;
+
+  const pages = [];
+  for (const test of failed) {
+    const { pair } = test;
+    const pairKey = getPairKey(pair);
+    const pairReview = reviewPairs.get(pairKey);
+    const [reference, testImage, diff] = await Promise.all(
+      [pair.reference, pair.test, pair.diffImage].map(reportPath => toDataUri(reportPath && resolveImage(reportPath)))
+    );
+
+    pages.push(`
+    <section class="page">
+      <h2>${escapeHtml(pair.label)} · ${escapeHtml(pair.viewportLabel)}</h2>
+      <p>
+        ${pair.selector ? `Selector <code>${escapeHtml(pair.selector)}</code> · ` : ''}
+        Mismatch <strong>${formatMismatch(pair)}</strong>
+        (threshold ${escapeHtml(pair.misMatchThreshold ?? '-')}%)
+        · Review: <strong>${escapeHtml(pairReview?.status || 'open')}</strong>
+        ${test.quarantined ? ' · <strong>quarantined</strong>' : ''}
+      </p>
+      <div class="images">${renderImage(reference, 'Reference')}${renderImage(testImage, 'Test')}${renderImage(diff, 'Diff')}
+      </div>
+      <div class="columns">
+        <div><h3>Findings</h3>${renderFindings(findings.get(pairKey))}</div>
+        <div><h3>Reviewer comments</h3>${renderComments(pairReview?.comments)}</div>
+      </div>
+    </section>`);
+  }
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>PixelPilot report ${escapeHtml(run.id)}</title>
+<style>
+  @page { size: A4 landscape; margin: 12mm; }
+  body { font-family: Helvetica, Arial, sans-serif; font-size: 10pt; color: #222; margin: 0; }
+  h1 { font-size: 22pt; margin-bottom: 4mm; }
+  h2 { font-size: 14pt; margin: 0 0 2mm; }
+  h3 { font-size: 11pt; margin: 3mm 0 1mm; }
+  .muted { color: #777; }
+  .page { page-break-before: always; }
+  .totals { display: flex; gap: 6mm; margin: 6mm 0; }
+  .totals div { border: 1px solid #ccc; border-radius: 2mm; padding: 3mm 6mm; text-align: center; }
+  .totals strong { display: block; font-size: 18pt; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { border-bottom: 1px solid #ddd; padding: 1.5mm 2mm; text-align: left; }
+  .images { display: flex; gap: 4mm; }
+  figure { flex: 1; margin: 0; text-align: center; }
+  figure img { max-width: 100%; max-height: 95mm; border: 1px solid #ccc; }
+  .missing { padding: 20mm 0; background: #f3f3f3; }
+  .columns { display: flex; gap: 6mm; }
+  .columns > div { flex: 1; }
+  .finding { border-left: 1mm solid #999; padding-left: 2mm; margin-bottom: 2mm; }
+  .finding.high { border-color: #d32f2f; }
+  .finding.medium { border-color: #ed6c02; }
+  .finding.low { border-color: #0288d1; }
+  .finding ul, .comments { margin: 1mm 0; padding-left: 5mm; }
+  .comments li.reply { margin-left: 5mm; }
+</style>
+</head>
+<body>
+  <section>
+    <h1>PixelPilot visual regression report</h1>
+    <p>
+      Run <code>${escapeHtml(run.id)}</code>, finished ${escapeHtml(new Date(run.finishedAt).toLocaleString())}
+      ${run.triggeredBy ? ` · triggered by ${escapeHtml(run.triggeredBy)}` : ''}
+      ${run.filter ? ` · filter <code>${escapeHtml(run.filter)}</code>` : ''}
+    </p>
+    <div class="totals">
+      <div><strong>${tests.length}</strong>pairs</div>
+      <div><strong>${tests.length - failed.length}</strong>passed</div>
+      <div><strong>${failed.length}</strong>failed</div>
+      ${reviewSummary ? `<div><strong>${reviewSummary.resolved}/${reviewSummary.failed}</strong>${reviewSummary.signedOff ? 'signed off' : 'reviewed'}</div>` : ''}
+    </div>
+    ${failed.length === 0 ? '<p>Every pair matched its reference.</p>' : `
+    <table>
+      <thead><tr><th>Scenario</th><th>Viewport</th><th>Selector</th><th>Mismatch</th><th>Review</th></tr></thead>
+      <tbody>${failed.map(({ pair }) => `
+        <tr><td>${escapeHtml(pair.label)}</td><td>${escapeHtml(pair.viewportLabel)}</td><td>${escapeHtml(pair.selector || 'document')}</td>
+          <td>${formatMismatch(pair)}</td><td>${escapeHtml(reviewPairs.get(getPairKey(pair))?.status || 'open')}</td></tr>`).join('')}
+      </tbody>
+    </table>`}
+  </section>
+  ${pages.join('')}
+</body>
+</html>
+`;
+}
+
+/**
+ * Render `html` to a PDF buffer with headless Chrome. `engineOptions` are the
+ * BackstopJS config's, so the same Chrome binary and flags are used.
+ */
+async function renderPdf(html, { engineOptions = {} } = {}) {
+  const puppeteer = loadPuppeteer();
+  const browser = await puppeteer.launch({ ...engineOptions, headless: true });
+  try {
+    const page = await browser.newPage();
+    await page.setContent(html, { waitUntil: 'load', timeout: 60000 });
+    return Buffer.from(await page.pdf({ preferCSSPageSize: true, printBackground: true }));
+  } finally {
+    await browser.close();
+  }
+}
+
+module.exports = { renderPdfHtml, renderPdf };
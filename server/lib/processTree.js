@@ -0,0 +1,53 @@
+const { execFile } = require('child_process');
+
+const run = (command, args) => new Promise((resolve) => {
+  execFile(command, args, (error, stdout) => resolve(error ? '' : stdout));
+});
+
+// Collect the PIDs of every descendant of `rootPid`. Puppeteer starts Chrome in
+// its own process group, so killing the worker's group alone would leave the
+// browsers running.
+async function findDescendants(rootPid) {
+  const output = await run('ps', ['-A', '-o', 'pid=,ppid=']);
+  const children = new Map();
+
+  for (const line of output.split('\n')) {
+    const [pid, ppid] = line.trim().split(/\s+/).map(Number);
+    if (!pid || Number.isNaN(ppid)) continue;
+    if (!children.has(ppid)) children.set(ppid, []);
+    children.get(ppid).push(pid);
+  }
+
+  const descendants = [];
+  const pending = [rootPid];
+  while (pending.length > 0) {
+    const pid = pending.pop();
+    for (const child of children.get(pid) || []) {
+      descendants.push(child);
+      pending.push(child);
+    }
+  }
+  return descendants;
+}
+
+/**
+ * Kill a process and everything it spawned (browsers, compare workers).
+ */
+async function killProcessTree(rootPid, signal = 'SIGKILL') {
+  if (process.platform === 'win32') {
+    await run('taskkill', ['/pid', String(rootPid), '/T', '/F']);
+    return;
+  }
+
+  const descendants = await findDescendants(rootPid);
+  // Kill the root first so it cannot spawn anything new while we clean up
+  for (const pid of [rootPid, ...descendants]) {
+    try {
+      process.kill(pid, signal);
+    } catch {
+      // Process already exited
+    }
+  }
+}
+
+module.exports = { killProcessTree };
@@ -0,0 +1,298 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { JobManager } = require('./jobManager');
+const { RunHistory } = require('./runHistory');
+const { ApprovalLog } = require('./approvals');
+const { RunReviews } = require('./reviews');
+const { WebhookManager } = require('./webhooks');
+const { Scheduler } = require('./scheduler');
+const { ComparisonStore } = require('./comparisons');
+const { ReferenceImportStore } = require('./referenceImports');
+const { ReferenceVersions } = require('./referenceVersions');
+
+// The project that existed before projects did. It keeps the server's own
+// backstop_data and uploads folders and the unprefixed URLs.
+const DEFAULT_PROJECT_ID = 'default';
+
+// What a cloned project starts with: the config, references, engine scripts and
+// uploaded screenshots. Runs, reviews, webhooks and schedules are not copied.
+const CLONED_FILES = ['backstop.json', 'bitmaps_reference', 'engine_scripts', 'scenario_screenshots.json'];
+
+// Project files kept out of the served backstop_data folder, since they hold
+// webhook signing secrets and who approved and scheduled what. Older versions
+// wrote them to backstop_data, they are moved on load.
+const PRIVATE_FILES = ['webhooks.json', 'webhook-deliveries.json', 'schedules.json', 'approvals.json'];
+
+// Engine scripts `backstop init` would create, for projects started from scratch
+const ENGINE_SCRIPTS_TEMPLATE = path.join(
+  path.dirname(require.resolve('backstopjs/package.json')),
+  'capture',
+  'engine_scripts'
+);
+
+const toProjectId = (name) => String(name || '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .slice(0, 40);
+
+/**
+ * One BackstopJS workspace: its config, references, uploads, engine scripts and
+ * run history under `rootDir`, laid out like the server's own folders:
+ *
+ *   <rootDir>/backstop_data/backstop.json
+ *   <rootDir>/backstop_data/history/...
+ *   <rootDir>/uploads/...
+ *   <rootDir>/pixelpilot_data/webhooks.json
+ *
+ * Its files are served under `urlBase`, e.g. /projects/<id>/report, except
+ * for pixelpilot_data.
+ */
+class Project {
+  constructor({ id, name, createdAt, rootDir, urlBase, lock, runSchedule }) {
+    this.id = id;
+    this.name = name;
+    this.createdAt = createdAt;
+    this.rootDir = rootDir;
+    this.urlBase = urlBase;
+    this.configDir = path.join(rootDir, 'backstop_data');
+    this.configPath = path.join(this.configDir, 'backstop.json');
+    this.uploadsDir = path.join(rootDir, 'uploads');
+    this.historyDir = path.join(this.configDir, 'history');
+    this.dataDir = path.join(rootDir, 'pixelpilot_data');
+    fs.ensureDirSync(this.configDir);
+    fs.ensureDirSync(this.uploadsDir);
+    fs.ensureDirSync(this.dataDir);
+    for (const file of PRIVATE_FILES) {
+      const legacyPath = path.join(this.configDir, file);
+      if (fs.pathExistsSync(legacyPath) && !fs.pathExistsSync(path.join(this.dataDir, file))) {
+        fs.moveSync(legacyPath, path.join(this.dataDir, file));
+      }
+    }
+
+    // BackstopJS resolves config paths relative to the working directory, so
+    // jobs run from the project root. All projects share the one run lock.
+    this.jobManager = new JobManager({ cwd: rootDir, lock });
+    this.runHistory = new RunHistory({ dir: this.historyDir, urlBase });
+    this.runReviews = new RunReviews({ history: this.runHistory });
+    this.comparisons = new ComparisonStore({ dir: path.join(this.configDir, 'comparisons'), rootDir, urlBase });
+    this.referenceImports = new ReferenceImportStore({ dir: path.join(this.configDir, 'reference-imports') });
+    this.referenceVersions = new ReferenceVersions({ dir: path.join(this.configDir, 'reference-versions') });
+    this.approvalLog = new ApprovalLog({ file: path.join(this.dataDir, 'approvals.json') });
+    this.webhooks = new WebhookManager({
+      file: path.join(this.dataDir, 'webhooks.json'),
+      deliveriesFile: path.join(this.dataDir, 'webhook-deliveries.json')
+    });
+    this.scheduler = new Scheduler({
+      file: path.join(this.dataDir, 'schedules.json'),
+      runSchedule: schedule => runSchedule(this, schedule)
+    });
+
+    // Scenario-screenshot associations, loaded by `load`
+    this.scenarioScreenshots = {};
+  }
+
+  async load() {
+    try {
+      const scenarioDataPath = path.join(this.configDir, 'scenario_screenshots.json');
+      if (await fs.pathExists(scenarioDataPath)) {
+        this.scenarioScreenshots = await fs.readJson(scenarioDataPath);
+        console.log(`Loaded ${Object.keys(this.scenarioScreenshots).length} scenario screenshot associations for project "${this.id}"`);
+      }
+    } catch (error) {
+      console.error('Error loading scenario screenshots:', error.message);
+    }
+  }
+
+  hasActiveJobs() {
+    return this.jobManager.list().some(job => !job.finishedAt);
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      createdAt: this.createdAt,
+      isDefault: this.id === DEFAULT_PROJECT_ID,
+      urlBase: this.urlBase
+    };
+  }
+}
+
+/**
+ * The registry of projects in `<rootDir>/projects/projects.json`. Projects are
+ * loaded on first use and stay in memory, so their jobs and schedules keep
+ * running. `runSchedule(project, schedule)` starts the job of a due schedule.
+ */
+class ProjectStore {
+  constructor({ rootDir, lock, runSchedule }) {
+    this.rootDir = rootDir;
+    this.projectsDir = path.join(rootDir, 'projects');
+    this.file = path.join(this.projectsDir, 'projects.json');
+    this.lock = lock;
+    this.runSchedule = runSchedule;
+    this.loaded = new Map();
+    this.schedulersStarted = false;
+    // Serializes registry writes
+    this.writeQueue = Promise.resolve();
+  }
+
+  async readRegistry() {
+    if (!(await fs.pathExists(this.file))) return [];
+    return fs.readJson(this.file);
+  }
+
+  // Every project, the default one first
+  async list() {
+    const records = [{ id: DEFAULT_PROJECT_ID, name: 'Default', createdAt: null }, ...(await this.readRegistry())];
+    return Promise.all(records.map(async record => (await this.get(record.id)).toJSON()));
+  }
+
+  // The loaded project, or null if there is none with this id
+  async get(id) {
+    if (this.loaded.has(id)) return this.loaded.get(id);
+
+    let project;
+    if (id === DEFAULT_PROJECT_ID) {
+      project = this.createProject({ id, name: 'Default', createdAt: null }, this.rootDir, '');
+    } else {
+      const record = (await this.readRegistry()).find(existing => existing.id === id);
+      if (!record) return null;
+      project = this.createProject(record, this.getProjectDir(id), `/projects/${id}`);
+    }
+
+    // Another request may have loaded it meanwhile
+    if (this.loaded.has(id)) return this.loaded.get(id);
+    this.loaded.set(id, project);
+    await project.load();
+    if (this.schedulersStarted) {
+      await project.scheduler.start();
+    }
+    return project;
+  }
+
+  createProject(record, rootDir, urlBase) {
+    return new Project({ ...record, rootDir, urlBase, lock: this.lock, runSchedule: this.runSchedule });
+  }
+
+  getProjectDir(id) {
+    return path.join(this.projectsDir, id);
+  }
+
+  /**
+   * Add a project. With `cloneFrom` it starts as a copy of that project's
+   * config, references, engine scripts and uploads; otherwise with `config`
+   * and the BackstopJS engine script templates.
+   */
+  async create({ name, cloneFrom, config }) {
+    const trimmedName = String(name || '').trim();
+    if (!trimmedName) {
+      throw new Error('name is required');
+    }
+
+    const source = cloneFrom ? await this.get(cloneFrom) : null;
+    if (cloneFrom && !source) {
+      throw new Error(`Project "${cloneFrom}" not found`);
+    }
+
+    let record;
+    await this.updateRegistry(records => {
+      const baseId = toProjectId(trimmedName) || 'project';
+      const taken = new Set([DEFAULT_PROJECT_ID, ...records.map(existing => existing.id)]);
+      let id = baseId;
+      for (let suffix = 2; taken.has(id); suffix++) id = `${baseId}-${suffix}`;
+
+      record = { id, name: trimmedName, createdAt: new Date().toISOString(), clonedFrom: source ? source.id : null };
+      return [...records, record];
+    });
+
+    const projectDir = this.getProjectDir(record.id);
+    const configDir = path.join(projectDir, 'backstop_data');
+    try {
+      if (source) {
+        await this.copyProjectFiles(source, projectDir);
+      } else {
+        await fs.copy(ENGINE_SCRIPTS_TEMPLATE, path.join(configDir, 'engine_scripts'));
+        await fs.outputJson(path.join(configDir, 'backstop.json'), config, { spaces: 2 });
+      }
+    } catch (error) {
+      await this.updateRegistry(records => records.filter(existing => existing.id !== record.id));
+      await fs.remove(projectDir);
+      throw error;
+    }
+
+    return this.get(record.id);
+  }
+
+  async copyProjectFiles(source, projectDir) {
+    const configDir = path.join(projectDir, 'backstop_data');
+    const uploadsDir = path.join(projectDir, 'uploads');
+
+    for (const name of CLONED_FILES) {
+      const sourcePath = path.join(source.configDir, name);
+      if (await fs.pathExists(sourcePath)) {
+        await fs.copy(sourcePath, path.join(configDir, name));
+      }
+    }
+    await fs.copy(source.uploadsDir, uploadsDir);
+
+    // Uploads are recorded with absolute paths; point them at the copies
+    const scenarioDataPath = path.join(configDir, 'scenario_screenshots.json');
+    if (await fs.pathExists(scenarioDataPath)) {
+      const scenarioData = await fs.readJson(scenarioDataPath);
+      const relocate = (screenshot) => screenshot && { ...screenshot, path: path.join(uploadsDir, screenshot.filename) };
+      for (const data of Object.values(scenarioData)) {
+        data.screenshots = (data.screenshots || []).map(relocate);
+        data.referenceScreenshot = relocate(data.referenceScreenshot);
+      }
+      await fs.writeJson(scenarioDataPath, scenarioData, { spaces: 2 });
+    }
+  }
+
+  // Delete a project and all its files. Resolves to false if there is none
+  // with this id. The default project cannot be deleted.
+  async remove(id) {
+    if (id === DEFAULT_PROJECT_ID) {
+      throw new Error('The default project cannot be deleted');
+    }
+
+    const project = await this.get(id);
+    if (!project) return false;
+    if (project.hasActiveJobs()) {
+      throw new Error(`Project "${id}" has queued or running jobs`);
+    }
+
+    project.scheduler.stop();
+    this.loaded.delete(id);
+    await this.updateRegistry(records => records.filter(existing => existing.id !== id));
+    await fs.remove(this.getProjectDir(id));
+    return true;
+  }
+
+  // Run the schedules of every project, including ones added later
+  async startSchedulers() {
+    this.schedulersStarted = true;
+    for (const { id } of await this.list()) {
+      const project = await this.get(id);
+      if (!project.scheduler.timer) {
+        await project.scheduler.start();
+      }
+    }
+  }
+
+  // Wait for the webhook deliveries of every loaded project
+  async settle() {
+    await Promise.all([...this.loaded.values()].map(project => project.webhooks.settle()));
+  }
+
+  updateRegistry(update) {
+    const next = this.writeQueue.then(async () => {
+      const records = await this.readRegistry();
+      await fs.outputJson(this.file, update(records), { spaces: 2 });
+    });
+    this.writeQueue = next.catch(() => {});
+    return next;
+  }
+}
+
+module.exports = { ProjectStore, Project, DEFAULT_PROJECT_ID };
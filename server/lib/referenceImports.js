@@ -0,0 +1,345 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const extractZip = require('extract-zip');
+const { getReferenceFilenames } = require('./backstopFilenames');
+const { getUploadKey, getScenarioSelectors, getUploadTargets } = require('./referenceUploads');
+
+// A manifest in the upload (or at any level of a zip) assigns files explicitly:
+//   { "references": [{ "file": "footer-top.png", "scenario": "Footer", "viewport": "desktop", "selector": ".header" }] }
+const MANIFEST_FILE = 'pixelpilot-references.json';
+
+const IMAGE_PATTERN = /\.(png|jpe?g)$/i;
+
+// Imports not committed or discarded within a day are deleted
+const IMPORT_TTL_MS = 24 * 60 * 60 * 1000;
+
+const slugify = (text) => String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+
+const stripExtension = (name) => path.basename(name).replace(/\.[^.]+$/, '');
+
+const describeCell = ({ scenario, viewport, selector }) => `${scenario} / ${selector || 'all selectors'} / ${viewport}`;
+
+// Every cell of every scenario's upload grid, plus the viewport-wide ones
+function listCells(config) {
+  return (config.scenarios || []).flatMap(scenario => {
+    const viewports = scenario.viewports && scenario.viewports.length > 0 ? scenario.viewports : config.viewports || [];
+    return viewports.flatMap(viewport => [
+      { scenario: scenario.label, viewport: viewport.label, selector: null },
+      ...getScenarioSelectors(scenario).map(selector => ({ scenario: scenario.label, viewport: viewport.label, selector }))
+    ]);
+  });
+}
+
+// The problem with assigning a file to `cell`, or null when the config has it
+function checkCell(config, cell, configPath) {
+  if (!cell?.scenario || !cell.viewport) return 'Pick a scenario and a viewport';
+  try {
+    getReferenceFilenames(config, { scenario: cell.scenario, viewport: cell.viewport, selector: cell.selector || undefined, configPath });
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Propose a cell for each file name: from the manifest, else from the
+ * BackstopJS reference file name it carries (references copied out of
+ * bitmaps_reference), else from the "<scenario> <selector> <viewport>" or
+ * "<scenario> <viewport>" naming convention, compared case-insensitively with
+ * any run of other characters as one separator. Maps each name to
+ * `{ assignment, matchedBy, problem }`; unmatched files have a null assignment.
+ */
+function matchImportFiles(config, names, { manifest, configPath } = {}) {
+  const manifestEntries = new Map();
+  for (const entry of manifest?.references || []) {
+    if (entry?.file) manifestEntries.set(entry.file, entry);
+  }
+
+  const byBackstopName = new Map();
+  const byConvention = new Map();
+  for (const cell of listCells(config)) {
+    const conventionName = slugify([cell.scenario, cell.selector, cell.viewport].filter(Boolean).join(' '));
+    byConvention.set(conventionName, [...(byConvention.get(conventionName) || []), cell]);
+    if (cell.selector) {
+      for (const { filename } of getReferenceFilenames(config, { ...cell, configPath })) {
+        byBackstopName.set(stripExtension(filename), cell);
+      }
+    }
+  }
+
+  return names.map(name => {
+    const manifestEntry = manifestEntries.get(name) || manifestEntries.get(path.basename(name));
+    if (manifestEntry) {
+      const assignment = { scenario: manifestEntry.scenario, viewport: manifestEntry.viewport, selector: manifestEntry.selector || null };
+      const problem = checkCell(config, assignment, configPath);
+      return problem
+        ? { assignment: null, matchedBy: null, problem: `Manifest entry not usable: ${problem}` }
+        : { assignment, matchedBy: 'manifest', problem: null };
+    }
+
+    const backstopMatch = byBackstopName.get(stripExtension(name));
+    if (backstopMatch) {
+      return { assignment: backstopMatch, matchedBy: 'backstop-name', problem: null };
+    }
+
+    const candidates = byConvention.get(slugify(stripExtension(name))) || [];
+    if (candidates.length === 1) {
+      return { assignment: candidates[0], matchedBy: 'convention', problem: null };
+    }
+    return {
+      assignment: null,
+      matchedBy: null,
+      problem: candidates.length > 1 ? `Name fits ${candidates.map(describeCell).join(' and ')}` : null
+    };
+  });
+}
+
+// Image and manifest files below `dir`, as paths relative to it
+async function listFiles(dir, prefix = '') {
+  const files = [];
+  for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+    const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      if (entry.name !== '__MACOSX') files.push(...(await listFiles(path.join(dir, entry.name), relative)));
+    } else if (IMAGE_PATTERN.test(entry.name) || entry.name === MANIFEST_FILE) {
+      files.push(relative);
+    }
+  }
+  return files;
+}
+
+/**
+ * Bulk reference imports, staged until they are committed or discarded so
+ * the proposed mapping can be previewed and corrected first:
+ *
+ *   <dir>/<id>/import.json
+ *   <dir>/<id>/files/<index><ext>
+ */
+class ReferenceImportStore {
+  constructor({ dir }) {
+    this.dir = dir;
+  }
+
+  getImportDir(id) {
+    return path.join(this.dir, id);
+  }
+
+  getFilePath(record, file) {
+    return path.join(this.getImportDir(record.id), 'files', `${file.index}${path.extname(file.name).toLowerCase()}`);
+  }
+
+  async get(id) {
+    // Ids are UUIDs; anything else never names an import folder
+    if (!/^[0-9a-f-]{36}$/.test(id)) return null;
+    const recordPath = path.join(this.getImportDir(id), 'import.json');
+    if (!(await fs.pathExists(recordPath))) return null;
+    return fs.readJson(recordPath);
+  }
+
+  /**
+   * Stage uploaded files (`[{ path, originalname }]`, zips are unpacked) and
+   * propose a cell for every image. Throws when there are no images or two
+   * images share a name.
+   */
+  async create(uploadedFiles, config, { configPath, user }) {
+    await this.removeExpired();
+
+    const id = crypto.randomUUID();
+    const filesDir = path.join(this.getImportDir(id), 'files');
+    await fs.ensureDir(filesDir);
+    const extractDir = await fs.mkdtemp(path.join(os.tmpdir(), 'pixelpilot-import-'));
+
+    try {
+      // Gather [name, source path] pairs from plain files and zips
+      const sources = [];
+      for (const [uploadIndex, file] of uploadedFiles.entries()) {
+        const name = file.originalname.replace(/\\/g, '/');
+        if (/\.zip$/i.test(name)) {
+          const zipDir = path.join(extractDir, String(uploadIndex));
+          // extract-zip rejects entries that would land outside zipDir
+          await extractZip(file.path, { dir: zipDir });
+          for (const relative of await listFiles(zipDir)) {
+            sources.push({ name: relative, source: path.join(zipDir, relative) });
+          }
+        } else if (IMAGE_PATTERN.test(name) || path.basename(name) === MANIFEST_FILE) {
+          sources.push({ name, source: file.path });
+        }
+      }
+
+      const manifestSources = sources.filter(({ name }) => path.basename(name) === MANIFEST_FILE);
+      const manifest = { references: [] };
+      for (const { name, source } of manifestSources) {
+        try {
+          manifest.references.push(...((await fs.readJson(source)).references || []));
+        } catch (error) {
+          throw new Error(`${name} is not valid JSON: ${error.message}`);
+        }
+      }
+
+      const images = sources.filter(({ name }) => IMAGE_PATTERN.test(name));
+      if (images.length === 0) {
+        throw new Error('No PNG or JPEG images found in the upload');
+      }
+      const duplicate = images.find(({ name }, index) => images.findIndex(other => other.name === name) !== index);
+      if (duplicate) {
+        throw new Error(`Two files are named "${duplicate.name}"; rename one of them`);
+      }
+
+      const matches = matchImportFiles(config, images.map(({ name }) => name), { manifest, configPath });
+      const record = {
+        id,
+        createdAt: new Date().toISOString(),
+        createdBy: user,
+        hasManifest: manifestSources.length > 0,
+        files: []
+      };
+      for (const [index, { name, source }] of images.entries()) {
+        const file = { index, name, size: (await fs.stat(source)).size, ...matches[index] };
+        await fs.copy(source, this.getFilePath(record, file));
+        record.files.push(file);
+      }
+
+      await fs.writeJson(path.join(this.getImportDir(id), 'import.json'), record, { spaces: 2 });
+      return record;
+    } catch (error) {
+      await fs.remove(this.getImportDir(id));
+      throw error;
+    } finally {
+      await fs.remove(extractDir);
+    }
+  }
+
+  /**
+   * Check the final mapping of an import: `assignments` maps file names to a
+   * cell, or to null to skip the file. Files left out keep their proposed
+   * cell. Returns `{ entries, errors }`, each error `{ file, message }`.
+   */
+  validate(record, config, assignments = {}, { configPath } = {}) {
+    const errors = [];
+    const cells = new Map();
+    const entries = [];
+    for (const file of record.files) {
+      const assignment = Object.prototype.hasOwnProperty.call(assignments, file.name) ? assignments[file.name] : file.assignment;
+      if (!assignment) continue;
+
+      const cell = { scenario: assignment.scenario, viewport: assignment.viewport, selector: assignment.selector || null };
+      const problem = checkCell(config, cell, configPath);
+      if (problem) {
+        errors.push({ file: file.name, message: problem });
+        continue;
+      }
+      const key = getUploadKey(cell.scenario, cell.viewport, cell.selector);
+      if (cells.has(key)) {
+        errors.push({ file: file.name, message: `${describeCell(cell)} is already assigned to ${cells.get(key)}` });
+        continue;
+      }
+      cells.set(key, file.name);
+      entries.push({ file, cell, key });
+    }
+
+    if (entries.length === 0 && errors.length === 0) {
+      errors.push({ file: null, message: 'No file is assigned to a scenario' });
+    }
+    return { entries, errors };
+  }
+
+  /**
+   * Store the validated entries as the reference uploads of their cells and
+   * sync them to BackstopJS, all or nothing: on any failure `uploads`, the
+   * uploaded files and the BackstopJS references are put back as they were.
+   * `save` persists `uploads` and is the last step. Uploads the import replaces
+   * are deleted once everything else succeeded. The import is removed after.
+   */
+  async commit(record, entries, { uploads, config, configPath, uploadsDir, referenceDir, save }) {
+    const previousUploads = JSON.parse(JSON.stringify(uploads));
+    const backupDir = path.join(this.getImportDir(record.id), 'backup');
+    const createdFiles = [];
+    const backedUp = [];
+    const replaced = [];
+
+    try {
+      const now = new Date();
+      for (const [index, { file, cell, key }] of entries.entries()) {
+        // Named like single uploads, see the multer storage in index.js
+        const sanitize = (text) => text.replace(/[^a-zA-Z0-9]/g, '_');
+        const filename = `${sanitize(cell.scenario)}_${sanitize(cell.viewport)}_${now.getTime() + index}_${path.basename(file.name)}`;
+        const uploadPath = path.join(uploadsDir, filename);
+        await fs.copy(this.getFilePath(record, file), uploadPath);
+        createdFiles.push(uploadPath);
+
+        // Normalized uploads take their original along
+        replaced.push(...(uploads[key]?.screenshots || [])
+          .flatMap(screenshot => [screenshot, screenshot.original].filter(Boolean))
+          .map(screenshot => path.join(uploadsDir, screenshot.filename)));
+        const screenshot = {
+          filename,
+          originalName: path.basename(file.name),
+          path: uploadPath,
+          uploadedAt: now.toISOString(),
+          size: file.size,
+          isReference: true,
+          importId: record.id
+        };
+        uploads[key] = { ...cell, screenshots: [screenshot], referenceScreenshot: screenshot };
+      }
+
+      // With every cell in place, so viewport-wide uploads skip the selectors imported alongside
+      await fs.ensureDir(referenceDir);
+      const synced = [];
+      for (const { cell, key } of entries) {
+        for (const target of getUploadTargets(config, uploads, { ...cell, configPath })) {
+          const targetPath = path.join(referenceDir, target);
+          if (await fs.pathExists(targetPath)) {
+            if (!backedUp.includes(target)) {
+              await fs.copy(targetPath, path.join(backupDir, target));
+              backedUp.push(target);
+            }
+          } else if (!createdFiles.includes(targetPath)) {
+            createdFiles.push(targetPath);
+          }
+          await fs.copy(uploads[key].referenceScreenshot.path, targetPath);
+          synced.push(target);
+        }
+      }
+
+      await save();
+
+      for (const oldPath of replaced) {
+        await fs.remove(oldPath).catch(() => {});
+      }
+      await this.remove(record.id);
+      return { imported: entries.length, synced, replaced: replaced.length };
+    } catch (error) {
+      for (const key of Object.keys(uploads)) delete uploads[key];
+      Object.assign(uploads, previousUploads);
+      for (const target of backedUp) {
+        await fs.copy(path.join(backupDir, target), path.join(referenceDir, target)).catch(() => {});
+      }
+      for (const created of createdFiles) {
+        await fs.remove(created).catch(() => {});
+      }
+      await fs.remove(backupDir).catch(() => {});
+      throw error;
+    }
+  }
+
+  async remove(id) {
+    await fs.remove(this.getImportDir(id));
+  }
+
+  async removeExpired() {
+    if (!(await fs.pathExists(this.dir))) return;
+    for (const id of await fs.readdir(this.dir)) {
+      // Imports still being staged have no record yet
+      const record = await this.get(id).catch(() => null);
+      const createdAt = record ? new Date(record.createdAt) : (await fs.stat(this.getImportDir(id))).mtime;
+      if (Date.now() - createdAt.getTime() > IMPORT_TTL_MS) {
+        await this.remove(id);
+      }
+    }
+  }
+}
+
+module.exports = { MANIFEST_FILE, ReferenceImportStore, matchImportFiles };
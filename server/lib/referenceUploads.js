@@ -0,0 +1,75 @@
+// Uploaded reference screenshots, kept in scenario_screenshots.json. Every
+// entry is one cell of a scenario's selector × viewport grid:
+//
+//   "Header_desktop|.logo": {
+//     "scenario": "Header", "viewport": "desktop", "selector": ".logo",
+//     "screenshots": [...], "referenceScreenshot": {...}
+//   }
+//
+// Entries without a selector (keyed "<scenario>_<viewport>", as all uploads
+// were before selectors had cells of their own) cover the viewport's selectors
+// that have no upload of their own.
+
+const { getCapturedSelectors, getReferenceFilenames } = require('./backstopFilenames');
+
+const getUploadKey = (scenario, viewport, selector) => (
+  selector ? `${scenario}_${viewport}|${selector}` : `${scenario}_${viewport}`
+);
+
+// The selectors a scenario has cells for, as written in the config
+function getScenarioSelectors(scenario) {
+  return [...new Set(getCapturedSelectors({ ...scenario, selectorExpansion: false }).map(selector => selector.trim()))];
+}
+
+// The selectors of `viewport` that have a reference upload of their own
+function getSelectorsWithUploads(uploads, scenario, viewport) {
+  return Object.values(uploads)
+    .filter(entry => entry.scenario === scenario && entry.viewport === viewport && entry.selector && entry.referenceScreenshot)
+    .map(entry => entry.selector);
+}
+
+/**
+ * The BackstopJS reference files an upload is copied to: those of its selector,
+ * or for an upload without one, those of every selector of the viewport that
+ * has no upload of its own. Throws for cells the config does not have.
+ */
+function getUploadTargets(config, uploads, { scenario, viewport, selector, configPath }) {
+  if (selector) {
+    return getReferenceFilenames(config, { scenario, viewport, selector, configPath }).map(entry => entry.filename);
+  }
+
+  const ownUploads = getSelectorsWithUploads(uploads, scenario, viewport);
+  return getReferenceFilenames(config, { scenario, viewport, configPath })
+    .filter(entry => !ownUploads.includes(entry.selector.trim()))
+    .map(entry => entry.filename);
+}
+
+/**
+ * The upload grid of a scenario: its selectors, its viewports (the scenario's
+ * own if it has any) and a cell for each pair with the cell's upload entry,
+ * the viewport-wide entry it falls back to, and the reference files it fills.
+ */
+function buildUploadGrid(config, uploads, scenarioLabel, configPath) {
+  const scenario = (config.scenarios || []).find(candidate => candidate.label === scenarioLabel);
+  if (!scenario) {
+    throw new Error(`Scenario "${scenarioLabel}" not found in BackstopJS configuration`);
+  }
+
+  const selectors = getScenarioSelectors(scenario);
+  const viewports = scenario.viewports && scenario.viewports.length > 0 ? scenario.viewports : config.viewports || [];
+  const cells = viewports.flatMap(viewport => {
+    const shared = uploads[getUploadKey(scenarioLabel, viewport.label)] || null;
+    return selectors.map(selector => ({
+      viewport: viewport.label,
+      selector,
+      upload: uploads[getUploadKey(scenarioLabel, viewport.label, selector)] || null,
+      shared: shared?.referenceScreenshot ? shared : null,
+      backstopFilenames: getReferenceFilenames(config, { scenario: scenarioLabel, viewport: viewport.label, selector, configPath })
+        .map(entry => entry.filename)
+    }));
+  });
+
+  return { scenario: scenarioLabel, selectors, viewports, cells };
+}
+
+module.exports = { getUploadKey, getScenarioSelectors, getUploadTargets, buildUploadGrid };
@@ -0,0 +1,203 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const { diffBitmaps } = require('./runComparison');
+const { readPngSize } = require('./imageNormalization');
+
+// What wrote a version: an uploaded or imported design, a `backstop reference`
+// or `backstop approve` run (or the approval of one pair), a rollback, a
+// deleted upload, or a change made outside PixelPilot, noticed before the
+// next write
+const VERSION_SOURCES = ['upload', 'import', 'reference', 'approve', 'rollback', 'delete', 'untracked'];
+
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg'];
+
+// Versions kept per file; older ones are dropped with the contents and diffs
+// that no kept version uses
+const MAX_VERSIONS = 50;
+
+async function hashFile(filePath) {
+  return crypto.createHash('sha256').update(await fs.readFile(filePath)).digest('hex');
+}
+
+/**
+ * Versioned history of every file in bitmaps_reference. A version is recorded
+ * whenever PixelPilot writes or deletes a reference and its content changed;
+ * contents are stored once per hash, so rolling back and forth costs nothing:
+ *
+ *   reference-versions/index.json          file name -> versions, newest first
+ *   reference-versions/objects/<sha256>.png
+ *   reference-versions/diffs/<sha256>_<sha256>.png
+ *
+ * Only the newest `maxVersions` versions of a file are kept.
+ */
+class ReferenceVersions {
+  constructor({ dir, maxVersions = MAX_VERSIONS }) {
+    this.dir = dir;
+    this.maxVersions = maxVersions;
+    this.indexPath = path.join(dir, 'index.json');
+    this.objectsDir = path.join(dir, 'objects');
+    this.diffsDir = path.join(dir, 'diffs');
+    // Serializes index writes
+    this.writeQueue = Promise.resolve();
+  }
+
+  async readIndex() {
+    if (!(await fs.pathExists(this.indexPath))) return {};
+    return fs.readJson(this.indexPath);
+  }
+
+  // The versions of `filenames`, newest first; files without history are left out
+  async list(filenames) {
+    const index = await this.readIndex();
+    return Object.fromEntries(filenames.filter(filename => index[filename]).map(filename => [filename, index[filename]]));
+  }
+
+  async get(id) {
+    const index = await this.readIndex();
+    for (const versions of Object.values(index)) {
+      const version = versions.find(candidate => candidate.id === id);
+      if (version) return version;
+    }
+    return null;
+  }
+
+  // Where a version's content is stored; null for deletions
+  getObjectPath(version) {
+    return version.hash ? path.join(this.objectsDir, version.hash + path.extname(version.filename).toLowerCase()) : null;
+  }
+
+  /**
+   * Record the current state of `filenames` in `referenceDir` for every file
+   * whose content differs from its latest version, a missing file as a
+   * deletion. `source` is one of VERSION_SOURCES. Resolves to the new versions.
+   */
+  async capture(referenceDir, filenames, { source, author = null, note = null, restoredVersion } = {}) {
+    if (!VERSION_SOURCES.includes(source)) {
+      throw new Error(`Unknown version source "${source}", expected one of: ${VERSION_SOURCES.join(', ')}`);
+    }
+
+    const next = this.writeQueue.then(async () => {
+      const index = await this.readIndex();
+      const recorded = [];
+      const createdAt = new Date().toISOString();
+
+      for (const filename of [...new Set(filenames)]) {
+        const versions = index[filename] || [];
+        const latest = versions[0] || null;
+        const filePath = path.join(referenceDir, filename);
+        const exists = await fs.pathExists(filePath);
+        if (!exists && (!latest || !latest.hash)) continue;
+
+        const hash = exists ? await hashFile(filePath) : null;
+        if (latest && latest.hash === hash) continue;
+
+        const version = {
+          id: crypto.randomUUID(),
+          filename,
+          version: (latest?.version || 0) + 1,
+          hash,
+          size: null,
+          width: null,
+          height: null,
+          source: exists ? source : 'delete',
+          author,
+          note,
+          createdAt,
+          ...(restoredVersion !== undefined && { restoredVersion })
+        };
+        if (exists) {
+          const content = await fs.readFile(filePath);
+          const objectPath = this.getObjectPath(version);
+          if (!(await fs.pathExists(objectPath))) {
+            await fs.outputFile(objectPath, content);
+          }
+          Object.assign(version, { size: content.length, ...readPngSize(content) });
+        }
+
+        index[filename] = [version, ...versions];
+        recorded.push(version);
+      }
+
+      if (recorded.length > 0) {
+        const dropped = recorded.some(version => index[version.filename].length > this.maxVersions);
+        for (const { filename } of recorded) {
+          index[filename] = index[filename].slice(0, this.maxVersions);
+        }
+        await fs.outputJson(this.indexPath, index, { spaces: 2 });
+        if (dropped) await this.prune(index);
+      }
+      return recorded;
+    });
+    this.writeQueue = next.catch(() => {});
+    return next;
+  }
+
+  // Remove the contents and diffs of hashes no version in `index` has
+  async prune(index) {
+    const hashes = new Set(Object.values(index).flat().map(version => version.hash).filter(Boolean));
+    const unused = (name) => !hashes.has(path.parse(name).name);
+    const unusedDiff = (name) => path.parse(name).name.split('_').some(hash => !hashes.has(hash));
+
+    for (const [dir, isUnused] of [[this.objectsDir, unused], [this.diffsDir, unusedDiff]]) {
+      const names = await fs.pathExists(dir) ? await fs.readdir(dir) : [];
+      await Promise.all(names.filter(isUnused).map(name => fs.remove(path.join(dir, name))));
+    }
+  }
+
+  // Capture every reference image in `referenceDir` and every file with history
+  async sweep(referenceDir, options) {
+    const files = await fs.pathExists(referenceDir) ? await fs.readdir(referenceDir) : [];
+    const images = files.filter(file => IMAGE_EXTENSIONS.includes(path.extname(file).toLowerCase()));
+    return this.capture(referenceDir, [...images, ...Object.keys(await this.readIndex())], options);
+  }
+
+  /**
+   * Write version `id` back to `referenceDir` and record that as a new
+   * version. Resolves to it, or to null when the file already has that content.
+   * Throws for unknown versions and deletions.
+   */
+  async rollback(referenceDir, id, { author } = {}) {
+    const version = await this.get(id);
+    if (!version) {
+      throw new Error(`Reference version not found: ${id}`);
+    }
+    if (!version.hash) {
+      throw new Error(`Version ${version.version} of ${version.filename} is a deletion and cannot be restored`);
+    }
+
+    // Untracked changes would be lost otherwise
+    await this.capture(referenceDir, [version.filename], { source: 'untracked' });
+    await fs.copy(this.getObjectPath(version), path.join(referenceDir, version.filename));
+    const [restored] = await this.capture(referenceDir, [version.filename], {
+      source: 'rollback',
+      author,
+      note: `Rolled back to version ${version.version}`,
+      restoredVersion: version.version
+    });
+    return restored || null;
+  }
+
+  /**
+   * Pixel-diff two versions (PNG only). Resolves to the diffBitmaps result
+   * with the two versions and the diff's name in `diffsDir`.
+   */
+  async diff(fromId, toId) {
+    const [from, to] = await Promise.all([this.get(fromId), this.get(toId)]);
+    if (!from || !to) {
+      throw new Error(`Reference version not found: ${!from ? fromId : toId}`);
+    }
+    if (!from.hash || !to.hash) {
+      throw new Error('Deletions have no image to compare');
+    }
+    if ([from, to].some(version => path.extname(version.filename).toLowerCase() !== '.png')) {
+      throw new Error('Only PNG references can be compared');
+    }
+
+    const diffName = `${from.hash}_${to.hash}.png`;
+    const result = await diffBitmaps(this.getObjectPath(from), this.getObjectPath(to), path.join(this.diffsDir, diffName));
+    return { ...result, from, to, diffName };
+  }
+}
+
+module.exports = { ReferenceVersions, VERSION_SOURCES };
@@ -0,0 +1,100 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+// BackstopJS rejects a test with this error once the report is written and
+// some pairs failed; any other error means the test itself did not run
+const MISMATCH_ERROR = 'Mismatch errors found.';
+
+// The browser report stores its data as JSONP: `report({...});`
+function parseBrowserReportConfig(source) {
+  const start = source.indexOf('(');
+  const end = source.lastIndexOf(')');
+  if (start === -1 || end <= start) {
+    throw new Error('Unrecognised BackstopJS browser report format');
+  }
+  return JSON.parse(source.slice(start + 1, end));
+}
+
+/**
+ * Read a BackstopJS test report. Prefers `json_report/jsonReport.json` and
+ * falls back to the data embedded in the browser report (`html_report/config.js`),
+ * which is the only report written with the default `report: ["browser"]`.
+ * Returns null if neither exists.
+ */
+async function readReport({ jsonReportDir, htmlReportDir }) {
+  const jsonReportPath = path.join(jsonReportDir, 'jsonReport.json');
+  if (await fs.pathExists(jsonReportPath)) {
+    return fs.readJson(jsonReportPath);
+  }
+
+  const browserReportPath = path.join(htmlReportDir, 'config.js');
+  if (await fs.pathExists(browserReportPath)) {
+    return parseBrowserReportConfig(await fs.readFile(browserReportPath, 'utf8'));
+  }
+
+  return null;
+}
+
+/**
+ * Write a modified report back over the reports BackstopJS produced, so the
+ * browser report and json report show the same results as PixelPilot.
+ */
+async function writeReport(report, { jsonReportDir, htmlReportDir }) {
+  const jsonReportPath = path.join(jsonReportDir, 'jsonReport.json');
+  if (await fs.pathExists(jsonReportPath)) {
+    await fs.writeJson(jsonReportPath, report, { spaces: 2 });
+  }
+
+  const browserReportPath = path.join(htmlReportDir, 'config.js');
+  if (await fs.pathExists(browserReportPath)) {
+    await fs.writeFile(browserReportPath, `report(${JSON.stringify(report, null, 2)});`);
+  }
+}
+
+/**
+ * Add `referenceUrl`, `testUrl` and `diffUrl` to every pair of a report.
+ * Report paths are relative to the folder the report was written to (and may
+ * use Windows separators), so they are resolved against the URL that folder
+ * is served from, e.g. `/backstop_data/html_report`.
+ */
+function addImageUrls(report, reportBaseUrl) {
+  const toUrl = (reportPath) => {
+    if (!reportPath || path.isAbsolute(reportPath)) return null;
+    return encodeURI(path.posix.join(reportBaseUrl, reportPath.replace(/\\/g, '/')));
+  };
+
+  return {
+    ...report,
+    tests: (report.tests || []).map(test => ({
+      ...test,
+      pair: {
+        ...test.pair,
+        referenceUrl: toUrl(test.pair.reference),
+        testUrl: toUrl(test.pair.test),
+        diffUrl: toUrl(test.pair.diffImage)
+      }
+    }))
+  };
+}
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Build a BackstopJS `filter` matching exactly the given scenario labels.
+ * BackstopJS splits filters on commas, so commas inside labels are escaped.
+ */
+function buildLabelFilter(labels) {
+  return labels
+    .map(label => `^${escapeRegExp(label).replace(/,/g, '\\x2c')}$`)
+    .join(',');
+}
+
+// Unique scenario labels of failed pairs in a report
+function getFailedLabels(report) {
+  const failed = (report?.tests || [])
+    .filter(test => test.status === 'fail')
+    .map(test => test.pair.label);
+  return [...new Set(failed)];
+}
+
+module.exports = { MISMATCH_ERROR, readReport, writeReport, parseBrowserReportConfig, addImageUrls, buildLabelFilter, getFailedLabels };
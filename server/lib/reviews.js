@@ -0,0 +1,134 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const { getPairKey } = require('./approvals');
+
+const REVIEW_STATUSES = ['open', 'needs-fix', 'accepted', 'rejected'];
+// A failed pair no longer blocks sign-off once it is in one of these states
+const RESOLVED_STATUSES = ['accepted', 'rejected'];
+
+const getFailedTests = (report) => (report?.tests || []).filter(test => test.status === 'fail');
+
+/**
+ * Count failed pairs per review status. A run is signed off once every failed
+ * pair is resolved; runs without failed pairs are signed off trivially.
+ */
+function summarizeReview(report, review) {
+  const counts = Object.fromEntries(REVIEW_STATUSES.map(status => [status, 0]));
+  const failed = getFailedTests(report);
+
+  for (const test of failed) {
+    const status = review.pairs[getPairKey(test.pair)]?.status || 'open';
+    counts[status]++;
+  }
+
+  const resolved = RESOLVED_STATUSES.reduce((total, status) => total + counts[status], 0);
+  return {
+    failed: failed.length,
+    resolved,
+    counts,
+    signedOff: resolved === failed.length
+  };
+}
+
+/**
+ * Review state of archived test runs: a status and a comment thread for every
+ * failed pair, stored as review.json next to the run's archived report. The
+ * summary is mirrored onto the run record so the history list can show it.
+ */
+class RunReviews {
+  constructor({ history }) {
+    this.history = history;
+    // Serializes review writes
+    this.writeQueue = Promise.resolve();
+  }
+
+  getReviewPath(runId) {
+    return path.join(this.history.getRunDir(runId), 'review.json');
+  }
+
+  async read(runId) {
+    const reviewPath = this.getReviewPath(runId);
+    if (!(await fs.pathExists(reviewPath))) return { pairs: {} };
+    return fs.readJson(reviewPath);
+  }
+
+  // Every failed pair of the run with its review, or null for runs without an archived report
+  async get(runId) {
+    const report = await this.history.readRunReport(runId);
+    if (!report) return null;
+
+    const review = await this.read(runId);
+    const pairs = getFailedTests(report).map(test => {
+      const pairKey = getPairKey(test.pair);
+      return {
+        pairKey,
+        label: test.pair.label,
+        selector: test.pair.selector,
+        viewportLabel: test.pair.viewportLabel,
+        status: 'open',
+        comments: [],
+        ...review.pairs[pairKey]
+      };
+    });
+
+    return { pairs, summary: summarizeReview(report, review) };
+  }
+
+  setStatus(runId, pairKey, { status, user }) {
+    if (!REVIEW_STATUSES.includes(status)) {
+      throw new Error(`Unknown review status "${status}", expected one of: ${REVIEW_STATUSES.join(', ')}`);
+    }
+
+    return this.updatePair(runId, pairKey, pair => ({
+      ...pair,
+      status,
+      updatedBy: user,
+      updatedAt: new Date().toISOString()
+    }));
+  }
+
+  addComment(runId, pairKey, { text, parentId, author }) {
+    return this.updatePair(runId, pairKey, pair => {
+      const comments = pair.comments || [];
+      if (parentId && !comments.some(comment => comment.id === parentId)) {
+        throw new Error('The comment being replied to does not exist');
+      }
+
+      return {
+        ...pair,
+        comments: [...comments, {
+          id: crypto.randomUUID(),
+          parentId: parentId || null,
+          author,
+          text,
+          at: new Date().toISOString()
+        }]
+      };
+    });
+  }
+
+  // Apply `update` to a failed pair's review. Resolves to the updated pair, or
+  // null if the run has no archived report or the pair did not fail in it.
+  updatePair(runId, pairKey, update) {
+    const next = this.writeQueue.then(async () => {
+      const report = await this.history.readRunReport(runId);
+      if (!report || !getFailedTests(report).some(test => getPairKey(test.pair) === pairKey)) {
+        return null;
+      }
+
+      const review = await this.read(runId);
+      const pair = update({ status: 'open', comments: [], ...review.pairs[pairKey] });
+      review.pairs[pairKey] = pair;
+      await fs.writeJson(this.getReviewPath(runId), review, { spaces: 2 });
+
+      const summary = summarizeReview(report, review);
+      await this.history.update(runId, { review: summary });
+      return { pairKey, ...pair, summary };
+    });
+    this.writeQueue = next.catch(() => {});
+    return next;
+  }
+}
+
+module.exports = { RunReviews, REVIEW_STATUSES, RESOLVED_STATUSES, summarizeReview };
@@ -0,0 +1,242 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const archiver = require('archiver');
+const extractZip = require('extract-zip');
+const { getPairKey } = require('./approvals');
+const { normalizeReportPath } = require('./runHistory');
+const { summarizeReview } = require('./reviews');
+const { escapeHtml } = require('./html');
+
+// Bump when the bundle layout changes in a way older importers cannot read
+const BUNDLE_VERSION = 1;
+const MANIFEST_FILE = 'pixelpilot-bundle.json';
+const CSS_ANALYSIS_FILE = 'css-analysis.json';
+const VIEWER_FILE = 'index.html';
+
+// Run ids name history directories, so imported ids must be plain
+const RUN_ID_PATTERN = /^[A-Za-z0-9-]{1,100}$/;
+
+// What a bundle may unpack to, against zip bombs. A run of a large suite has
+// a few thousand images.
+const MAX_BUNDLE_ENTRIES = 20000;
+const MAX_BUNDLE_MB = 2048;
+
+// BackstopJS' report app, which imported runs get instead of the bundle's own
+const REPORT_APP_DIR = path.join(path.dirname(require.resolve('backstopjs/package.json')), 'compare', 'output');
+
+// Bundle path of an image referenced by the report, which is relative to html_report
+const toBundlePath = (reportPath) => (
+  reportPath ? path.posix.normalize(path.posix.join('html_report', normalizeReportPath(reportPath))) : null
+);
+
+const renderImage = (reportPath, caption) => {
+  const src = toBundlePath(reportPath);
+  if (!src) return `<figure><div class="missing">No ${caption.toLowerCase()} image</div><figcaption>${caption}</figcaption></figure>`;
+  return `<figure><a href="${escapeHtml(src)}"><img src="${escapeHtml(src)}" alt="${caption}"></a><figcaption>${caption}</figcaption></figure>`;
+};
+
+const renderComments = (comments = []) => {
+  if (comments.length === 0) return '<p class="muted">No comments</p>';
+  return `<ul class="comments">${comments.map(comment => `
+    <li${comment.parentId ? ' class="reply"' : ''}><strong>${escapeHtml(comment.author)}</strong>
+      <span class="muted">${escapeHtml(comment.at)}</span><br>${escapeHtml(comment.text)}</li>`).join('')}
+  </ul>`;
+};
+
+const renderCssIssues = (issues = []) => {
+  if (issues.length === 0) return '';
+  return `<h4>CSS issue analysis</h4>${issues.map(issue => `
+    <div class="issue ${escapeHtml(issue.severity)}">
+      <strong>${escapeHtml(issue.category)}</strong> <span class="muted">(${escapeHtml(issue.severity)})</span>
+      <p>${escapeHtml(issue.description)}</p>
+      ${issue.suggestedFixes?.length ? `<ul>${issue.suggestedFixes.map(fix => `<li>${escapeHtml(fix)}</li>`).join('')}</ul>` : ''}
+    </div>`).join('')}`;
+};
+
+/**
+ * Static page that shows a run without PixelPilot: every failed pair with its
+ * reference, test and diff images, CSS issue analysis and review thread, plus
+ * a list of passed pairs. Image paths are relative, so it works from file://.
+ */
+function renderViewer({ run, report, review, cssIssues }) {
+  const reviewPairs = new Map((review?.pairs || []).map(pair => [pair.pairKey, pair]));
+  const issuesByPair = new Map(cssIssues.map(issue => [issue.pairKey, issue.issues]));
+  const tests = report.tests || [];
+  const failed = tests.filter(test => test.status === 'fail');
+  const passed = tests.filter(test => test.status !== 'fail');
+
+  const failedSections = failed.map(test => {
+    const pairKey = getPairKey(test.pair);
+    const pairReview = reviewPairs.get(pairKey);
+    return `
+  <section class="pair">
+    <h3>${escapeHtml(test.pair.label)} · ${escapeHtml(test.pair.viewportLabel)}
+      ${test.pair.selector && test.pair.selector !== 'document' ? `<code>${escapeHtml(test.pair.selector)}</code>` : ''}
+      ${test.quarantined ? '<span class="tag">quarantined</span>' : ''}</h3>
+    <p>${escapeHtml(test.pair.diff?.misMatchPercentage ?? '-')}% mismatch
+      · review status: <strong>${escapeHtml(pairReview?.status || 'open')}</strong></p>
+    <div class="images">
+      ${renderImage(test.pair.reference, 'Reference')}
+      ${renderImage(test.pair.test, 'Test')}
+      ${renderImage(test.pair.diffImage, 'Diff')}
+    </div>
+    ${renderCssIssues(issuesByPair.get(pairKey))}
+    <h4>Review comments</h4>
+    ${renderComments(pairReview?.comments)}
+  </section>`;
+  }).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>PixelPilot run ${escapeHtml(run.id)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 2rem; color: #222; }
+  .muted { color: #777; font-size: 0.9em; }
+  .pair { border: 1px solid #ddd; border-radius: 6px; padding: 1rem; margin-bottom: 1.5rem; }
+  .images { display: flex; gap: 1rem; flex-wrap: wrap; }
+  figure { margin: 0; flex: 1 1 280px; }
+  figure img { max-width: 100%; border: 1px solid #ccc; }
+  figcaption { text-align: center; font-size: 0.9em; }
+  .missing { padding: 2rem; background: #f5f5f5; text-align: center; }
+  .issue { border-left: 4px solid #999; padding-left: 0.75rem; margin-bottom: 0.75rem; }
+  .issue.high { border-color: #d32f2f; }
+  .issue.medium { border-color: #ed6c02; }
+  .issue.low { border-color: #0288d1; }
+  .comments li.reply { margin-left: 1.5rem; }
+  .tag { background: #eee; border-radius: 4px; padding: 0 0.4rem; font-size: 0.75em; }
+</style>
+</head>
+<body>
+<h1>PixelPilot visual regression run</h1>
+<p>Run <code>${escapeHtml(run.id)}</code> finished ${escapeHtml(run.finishedAt)}${run.triggeredBy ? ` (triggered by ${escapeHtml(run.triggeredBy)})` : ''}
+  ${run.filter ? `with filter <code>${escapeHtml(run.filter)}</code>` : ''}</p>
+<p><strong>${passed.length}</strong> passed, <strong>${failed.length}</strong> failed
+  · <a href="html_report/index.html">Open the BackstopJS report</a></p>
+<h2>Failed pairs</h2>
+${failed.length > 0 ? failedSections : '<p>No failed pairs.</p>'}
+<h2>Passed pairs</h2>
+<ul>${passed.map(test => `<li>${escapeHtml(test.pair.label)} · ${escapeHtml(test.pair.viewportLabel)}</li>`).join('')}</ul>
+</body>
+</html>
+`;
+}
+
+/**
+ * Stream a zip of an archived run to `output`. The archive keeps the run's
+ * layout (html_report, bitmaps, review.json, ...) so it can be imported again,
+ * and adds a manifest, the CSS issue analysis and a static viewer page.
+ */
+function writeRunBundle(output, { runDir, run, report, review, cssIssues = [] }) {
+  const archive = archiver('zip', { zlib: { level: 6 } });
+  const done = new Promise((resolve, reject) => {
+    archive.on('error', reject);
+    output.on('close', resolve);
+    output.on('finish', resolve);
+  });
+
+  archive.pipe(output);
+  archive.directory(runDir, false);
+  archive.append(JSON.stringify({
+    bundleVersion: BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    run
+  }, null, 2), { name: MANIFEST_FILE });
+  archive.append(JSON.stringify(cssIssues, null, 2), { name: CSS_ANALYSIS_FILE });
+  archive.append(renderViewer({ run, report, review, cssIssues }), { name: VIEWER_FILE });
+  archive.finalize();
+
+  return done;
+}
+
+/**
+ * Import a bundle zip into `history` as an archived run. The run keeps its id
+ * unless one with the same id exists already or the id is not made of letters,
+ * digits and dashes only, and records who imported it. Bundles with more than
+ * `maxEntries` files or unpacking to more than `maxSizeMB` are rejected.
+ *
+ * Bundles can contain any file, so the report page's scripts are replaced by
+ * this server's copy of the BackstopJS report app and its data is written
+ * again from the parsed report. Other pages are served sandboxed (see
+ * index.js). Resolves to the new run record.
+ */
+async function importRunBundle(zipPath, { history, user, maxEntries = MAX_BUNDLE_ENTRIES, maxSizeMB = MAX_BUNDLE_MB }) {
+  const extractDir = await fs.mkdtemp(path.join(os.tmpdir(), 'pixelpilot-bundle-'));
+  try {
+    // extract-zip rejects entries that would land outside extractDir, and
+    // entries larger than their declared size
+    let entries = 0;
+    let size = 0;
+    await extractZip(zipPath, {
+      dir: extractDir,
+      onEntry: (entry) => {
+        entries++;
+        size += entry.uncompressedSize;
+        if (entries > maxEntries) {
+          throw new Error(`The bundle has more than ${maxEntries} files`);
+        }
+        if (size > maxSizeMB * 1024 * 1024) {
+          throw new Error(`The bundle unpacks to more than ${maxSizeMB} MB`);
+        }
+      }
+    });
+
+    const manifestPath = path.join(extractDir, MANIFEST_FILE);
+    if (!(await fs.pathExists(manifestPath))) {
+      throw new Error('Not a PixelPilot bundle: pixelpilot-bundle.json is missing');
+    }
+    const manifest = await fs.readJson(manifestPath);
+    if (manifest.bundleVersion > BUNDLE_VERSION) {
+      throw new Error(`Bundle version ${manifest.bundleVersion} is newer than this PixelPilot supports (${BUNDLE_VERSION})`);
+    }
+    if (manifest.run?.command !== 'test') {
+      throw new Error('The bundle does not contain a test run');
+    }
+
+    // The viewer files are regenerated on export
+    for (const file of [MANIFEST_FILE, CSS_ANALYSIS_FILE, VIEWER_FILE]) {
+      await fs.remove(path.join(extractDir, file));
+    }
+
+    const bundleId = typeof manifest.run.id === 'string' && RUN_ID_PATTERN.test(manifest.run.id) ? manifest.run.id : null;
+    const id = bundleId && !(await history.get(bundleId)) ? bundleId : crypto.randomUUID();
+    const runDir = history.getRunDir(id);
+    if (path.dirname(path.resolve(runDir)) !== path.resolve(history.dir)) {
+      throw new Error(`Invalid run id "${id}"`);
+    }
+    await fs.move(extractDir, runDir);
+
+    const report = await history.readRunReport(id);
+    if (!report) {
+      await fs.remove(runDir);
+      throw new Error('The bundle does not contain a BackstopJS report');
+    }
+    const reportDir = path.join(runDir, 'html_report');
+    await fs.copy(REPORT_APP_DIR, reportDir, { overwrite: true });
+    await fs.writeFile(path.join(reportDir, 'config.js'), `report(${JSON.stringify(report, null, 2)});`);
+
+    const reviewPath = path.join(runDir, 'review.json');
+    const review = (await fs.pathExists(reviewPath)) ? await fs.readJson(reviewPath) : { pairs: {} };
+
+    return history.add({
+      ...manifest.run,
+      id,
+      review: summarizeReview(report, review),
+      importedAt: new Date().toISOString(),
+      importedBy: user,
+      exportedAt: manifest.exportedAt
+    });
+  } finally {
+    await fs.remove(extractDir);
+  }
+}
+
+module.exports = {
+  BUNDLE_VERSION,
+  renderViewer,
+  writeRunBundle,
+  importRunBundle
+};
@@ -0,0 +1,117 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { PNG } = require('pngjs');
+const pixelmatch = require('pixelmatch');
+const { getPairKey } = require('./approvals');
+
+// Parsed mismatch of a report pair, or null when the comparison did not run
+const getMisMatch = (test) => {
+  const value = parseFloat(test.pair.diff?.misMatchPercentage);
+  return Number.isFinite(value) ? value : null;
+};
+
+const describeSide = (test) => test && {
+  status: test.status,
+  misMatchPercentage: getMisMatch(test),
+  test: test.pair.test,
+  testUrl: test.pair.testUrl || null
+};
+
+/**
+ * List every pair of two reports with what changed between them: `added` and
+ * `removed` pairs, a different `status`, or a mismatch that moved by more than
+ * `minDelta` percentage points. Everything else is `unchanged`.
+ */
+function compareReports(baseReport, headReport, { minDelta = 0 } = {}) {
+  const baseTests = new Map((baseReport.tests || []).map(test => [getPairKey(test.pair), test]));
+  const headTests = new Map((headReport.tests || []).map(test => [getPairKey(test.pair), test]));
+  const keys = [...new Set([...baseTests.keys(), ...headTests.keys()])];
+
+  const pairs = keys.map(pairKey => {
+    const base = baseTests.get(pairKey);
+    const head = headTests.get(pairKey);
+    const { label, selector, viewportLabel, fileName } = (head || base).pair;
+
+    let change = 'unchanged';
+    let misMatchDelta = null;
+    if (!base) {
+      change = 'added';
+    } else if (!head) {
+      change = 'removed';
+    } else {
+      const baseMisMatch = getMisMatch(base);
+      const headMisMatch = getMisMatch(head);
+      if (baseMisMatch !== null && headMisMatch !== null) {
+        misMatchDelta = Math.round((headMisMatch - baseMisMatch) * 100) / 100;
+      }
+
+      if (base.status !== head.status) {
+        change = 'status-changed';
+      } else if (misMatchDelta !== null ? Math.abs(misMatchDelta) > minDelta : baseMisMatch !== headMisMatch) {
+        change = 'mismatch-changed';
+      }
+    }
+
+    return {
+      pairKey,
+      label,
+      selector,
+      viewportLabel,
+      fileName,
+      change,
+      misMatchDelta,
+      base: describeSide(base),
+      head: describeSide(head)
+    };
+  });
+
+  const counts = pairs.reduce((totals, pair) => {
+    totals[pair.change] = (totals[pair.change] || 0) + 1;
+    return totals;
+  }, {});
+
+  return { pairs, counts };
+}
+
+// Copy an image onto a transparent canvas of the given size
+function padImage(image, width, height) {
+  if (image.width === width && image.height === height) return image;
+
+  const padded = new PNG({ width, height });
+  PNG.bitblt(image, padded, 0, 0, image.width, image.height, 0, 0);
+  return padded;
+}
+
+/**
+ * Pixel-diff two bitmaps directly and write the highlighted diff to `outputPath`.
+ * Images of different sizes are compared on a canvas large enough for both.
+ */
+async function diffBitmaps(basePath, headPath, outputPath) {
+  const base = PNG.sync.read(await fs.readFile(basePath));
+  const head = PNG.sync.read(await fs.readFile(headPath));
+  const width = Math.max(base.width, head.width);
+  const height = Math.max(base.height, head.height);
+
+  const diff = new PNG({ width, height });
+  const mismatchedPixels = pixelmatch(
+    padImage(base, width, height).data,
+    padImage(head, width, height).data,
+    diff.data,
+    width,
+    height,
+    { threshold: 0.1 }
+  );
+
+  await fs.ensureDir(path.dirname(outputPath));
+  await fs.writeFile(outputPath, PNG.sync.write(diff));
+
+  return {
+    width,
+    height,
+    dimensionsDiffer: base.width !== head.width || base.height !== head.height,
+    mismatchedPixels,
+    misMatchPercentage: Math.round((mismatchedPixels / (width * height)) * 10000) / 100
+  };
+}
+
+module.exports = { compareReports, diffBitmaps };
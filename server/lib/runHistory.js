@@ -0,0 +1,272 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { readReport } = require('./report');
+const { summarizeReview } = require('./reviews');
+
+const DEFAULT_RETENTION = {
+  // Keep at most this many runs
+  maxRuns: 100,
+  // Delete runs older than this many days (0 disables)
+  maxAgeDays: 30,
+  // Delete the oldest archives once all archives together exceed this size (0 disables)
+  maxSizeMB: 2048
+};
+
+// Report paths are written relative to html_report, sometimes with Windows separators
+const normalizeReportPath = (reportPath) => reportPath.replace(/\\/g, '/');
+
+async function getDirectorySize(dir) {
+  if (!(await fs.pathExists(dir))) return 0;
+
+  let total = 0;
+  for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+    const entryPath = path.join(dir, entry.name);
+    total += entry.isDirectory() ? await getDirectorySize(entryPath) : (await fs.stat(entryPath)).size;
+  }
+  return total;
+}
+
+// Imported runs age from their import, not from when they originally ran
+const getAddedAt = (run) => new Date(run.importedAt || run.finishedAt).getTime();
+
+function summarizeReport(report) {
+  const tests = report?.tests || [];
+  return {
+    total: tests.length,
+    passed: tests.filter(test => test.status === 'pass').length,
+    failed: tests.filter(test => test.status === 'fail').length,
+    // Failures that did not fail the run, and pairs that only passed on a retry
+    quarantined: tests.filter(test => test.status === 'fail' && test.quarantined).length,
+    recovered: tests.filter(test => test.status === 'pass' && test.attempts > 1).length
+  };
+}
+
+/**
+ * Persistent record of every BackstopJS run. Test runs also get a frozen copy of
+ * their HTML report and every bitmap it references, laid out like the live
+ * backstop_data folder so the archived report opens unchanged:
+ *
+ *   history/index.json
+ *   history/<runId>/html_report/...
+ *   history/<runId>/bitmaps_reference/...
+ *   history/<runId>/bitmaps_test/<timestamp>/...
+ */
+class RunHistory {
+  // `urlBase` prefixes the report URLs of runs, for history served below a path
+  constructor({ dir, urlBase = '' }) {
+    this.dir = dir;
+    this.urlBase = urlBase;
+    this.indexPath = path.join(dir, 'index.json');
+    this.settingsPath = path.join(dir, 'settings.json');
+    // Serializes index writes
+    this.writeQueue = Promise.resolve();
+  }
+
+  async list() {
+    if (!(await fs.pathExists(this.indexPath))) return [];
+    return fs.readJson(this.indexPath);
+  }
+
+  async get(id) {
+    const runs = await this.list();
+    return runs.find(run => run.id === id) || null;
+  }
+
+  getRunDir(id) {
+    return path.join(this.dir, id);
+  }
+
+  getReportUrl(id) {
+    return `${this.urlBase}/history/${id}/html_report/index.html`;
+  }
+
+  // Report data of an archived run, or null for runs without an archive
+  async readRunReport(id) {
+    const runDir = this.getRunDir(id);
+    return readReport({
+      jsonReportDir: path.join(runDir, 'json_report'),
+      htmlReportDir: path.join(runDir, 'html_report')
+    });
+  }
+
+  // Absolute path of a file referenced by an archived report, or null if it
+  // would fall outside the run's archive
+  resolveArchivedPath(id, reportPath) {
+    const runDir = this.getRunDir(id);
+    const resolved = path.resolve(runDir, 'html_report', normalizeReportPath(reportPath));
+    return resolved.startsWith(runDir + path.sep) ? resolved : null;
+  }
+
+  async getRetention() {
+    if (!(await fs.pathExists(this.settingsPath))) return { ...DEFAULT_RETENTION };
+    return { ...DEFAULT_RETENTION, ...(await fs.readJson(this.settingsPath)) };
+  }
+
+  async setRetention(settings) {
+    const retention = { ...(await this.getRetention()) };
+    for (const key of Object.keys(DEFAULT_RETENTION)) {
+      if (settings[key] !== undefined) {
+        const value = Number(settings[key]);
+        if (!Number.isFinite(value) || value < 0) {
+          throw new Error(`Retention setting "${key}" must be a non-negative number`);
+        }
+        retention[key] = value;
+      }
+    }
+
+    await fs.ensureDir(this.dir);
+    await fs.writeJson(this.settingsPath, retention, { spaces: 2 });
+    await this.applyRetention();
+    return retention;
+  }
+
+  /**
+   * Record a finished job. For test runs, `htmlReportDir` and `jsonReportDir`
+   * point at the live report, which is copied into the archive.
+   */
+  async record(job, { status, htmlReportDir, jsonReportDir } = {}) {
+    const runDir = this.getRunDir(job.id);
+    let summary = null;
+    let review = null;
+    let archived = false;
+
+    if (job.command === 'test' && status !== 'cancelled') {
+      const report = await readReport({ jsonReportDir, htmlReportDir });
+      if (report) {
+        summary = summarizeReport(report);
+        review = summarizeReview(report, { pairs: {} });
+        await this.archiveReport(report, runDir, { htmlReportDir, jsonReportDir });
+        archived = true;
+      }
+    }
+
+    const finishedAt = new Date().toISOString();
+    const run = {
+      id: job.id,
+      command: job.command,
+      filter: job.filter,
+      status,
+      triggeredBy: job.owner,
+      schedule: job.schedule || null,
+      environment: job.environment || null,
+      startedAt: job.startedAt,
+      finishedAt,
+      durationMs: job.startedAt ? new Date(finishedAt) - new Date(job.startedAt) : null,
+      summary,
+      review,
+      archived,
+      reportUrl: archived ? this.getReportUrl(job.id) : null,
+      sizeBytes: archived ? await getDirectorySize(runDir) : 0
+    };
+
+    await this.updateIndex(runs => [run, ...runs.filter(existing => existing.id !== run.id)]);
+    await this.applyRetention();
+    return run;
+  }
+
+  // Add a run whose archive is already in place, e.g. one imported from a bundle
+  async add(run) {
+    const archivedRun = {
+      ...run,
+      archived: true,
+      reportUrl: this.getReportUrl(run.id),
+      sizeBytes: await getDirectorySize(this.getRunDir(run.id))
+    };
+
+    await this.updateIndex(runs => [archivedRun, ...runs.filter(existing => existing.id !== run.id)]);
+    await this.applyRetention();
+    return archivedRun;
+  }
+
+  // Merge `changes` into a run record
+  async update(id, changes) {
+    await this.updateIndex(runs => runs.map(run => (run.id === id ? { ...run, ...changes } : run)));
+  }
+
+  async archiveReport(report, runDir, { htmlReportDir, jsonReportDir }) {
+    const archivedHtmlDir = path.join(runDir, 'html_report');
+    await fs.copy(htmlReportDir, archivedHtmlDir);
+
+    if (await fs.pathExists(jsonReportDir)) {
+      await fs.copy(jsonReportDir, path.join(runDir, 'json_report'));
+    }
+
+    // Copy every image the report points at, keeping the same relative layout
+    for (const test of report.tests || []) {
+      for (const key of ['reference', 'test', 'diffImage']) {
+        const reportPath = test.pair[key];
+        if (!reportPath) continue;
+
+        const relativePath = normalizeReportPath(reportPath);
+        const source = path.resolve(htmlReportDir, relativePath);
+        const target = path.resolve(archivedHtmlDir, relativePath);
+
+        // Never write outside the run's archive
+        if (!target.startsWith(runDir + path.sep)) continue;
+
+        if (await fs.pathExists(source)) {
+          await fs.copy(source, target);
+        }
+      }
+    }
+  }
+
+  async remove(id) {
+    let removed = false;
+    await this.updateIndex(runs => {
+      removed = runs.some(run => run.id === id);
+      return runs.filter(run => run.id !== id);
+    });
+    await fs.remove(this.getRunDir(id));
+    return removed;
+  }
+
+  // Drop runs beyond the configured count, age and total archive size, oldest first
+  async applyRetention() {
+    const retention = await this.getRetention();
+    const expired = [];
+
+    await this.updateIndex(runs => {
+      const sorted = [...runs].sort((a, b) => getAddedAt(b) - getAddedAt(a));
+      const cutoff = retention.maxAgeDays > 0
+        ? Date.now() - retention.maxAgeDays * 24 * 60 * 60 * 1000
+        : null;
+      const maxBytes = retention.maxSizeMB > 0 ? retention.maxSizeMB * 1024 * 1024 : null;
+
+      let totalBytes = 0;
+      const kept = [];
+      for (const run of sorted) {
+        const tooMany = retention.maxRuns > 0 && kept.length >= retention.maxRuns;
+        const tooOld = cutoff !== null && getAddedAt(run) < cutoff;
+        const tooBig = maxBytes !== null && totalBytes + (run.sizeBytes || 0) > maxBytes;
+
+        if (tooMany || tooOld || tooBig) {
+          expired.push(run.id);
+        } else {
+          kept.push(run);
+          totalBytes += run.sizeBytes || 0;
+        }
+      }
+      return kept;
+    });
+
+    for (const id of expired) {
+      await fs.remove(this.getRunDir(id));
+      console.log(`Removed run ${id} from history (retention policy)`);
+    }
+    return expired;
+  }
+
+  updateIndex(update) {
+    const next = this.writeQueue.then(async () => {
+      await fs.ensureDir(this.dir);
+      const runs = await this.list();
+      await fs.writeJson(this.indexPath, await update(runs), { spaces: 2 });
+    });
+    // Keep the queue alive after a failed write
+    this.writeQueue = next.catch(() => {});
+    return next;
+  }
+}
+
+module.exports = { RunHistory, DEFAULT_RETENTION, summarizeReport, normalizeReportPath };
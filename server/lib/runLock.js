@@ -0,0 +1,248 @@
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs-extra');
+
+// Signals that end a process without running its 'exit' handlers
+const EXIT_SIGNALS = ['SIGINT', 'SIGTERM'];
+
+// Whether a process with this id is still running
+function isAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Mutex for BackstopJS operations. Anything that writes into the bitmaps
+ * directories (test, reference and approve runs, reference syncs and uploads)
+ * must hold the lock. Waiters are served first come, first served.
+ *
+ * With a `file`, the lock is also held across processes (a dashboard server
+ * and the CLI's in-process server): the holder's ticket and pid are written
+ * to the file, which the holder touches every third of `staleAfter` ms.
+ * Waiters check again every `pollInterval` ms until it is gone. A file whose
+ * process died, or that was not touched for `staleAfter` ms (its pid may have
+ * been reused), is taken over.
+ *
+ * Emits `change` whenever the holder or queue changes.
+ */
+class RunLock extends EventEmitter {
+  constructor({ file = null, pollInterval = 1000, staleAfter = 30000 } = {}) {
+    super();
+    this.holder = null;
+    this.queue = [];
+    this.file = file;
+    this.pollInterval = pollInterval;
+    this.staleAfter = staleAfter;
+    this.pollTimer = null;
+    this.heartbeat = null;
+    // Another process's holder as last read from the file, read again at
+    // most every `pollInterval` ms
+    this.external = null;
+    this.externalCheckedAt = 0;
+
+    if (file) {
+      fs.ensureDirSync(path.dirname(file));
+      const releaseHeld = () => {
+        if (this.holder) this.releaseFile(this.holder);
+      };
+      process.on('exit', releaseHeld);
+      for (const signal of EXIT_SIGNALS) {
+        process.once(signal, () => {
+          releaseHeld();
+          // The last listener ends the process like the default handler would
+          if (process.listenerCount(signal) === 0) process.kill(process.pid, signal);
+        });
+      }
+    }
+  }
+
+  isBusy() {
+    return this.holder !== null || this.queue.length > 0 || this.readExternalHolder() !== null;
+  }
+
+  // The ticket of another process holding the lock file, if any. `fresh`
+  // skips the cached value.
+  readExternalHolder(fresh = false) {
+    if (!this.file) return null;
+    if (!fresh && Date.now() - this.externalCheckedAt < this.pollInterval) return this.external;
+
+    const holder = this.readLockFile();
+    this.external = holder && !(this.holder && this.holder.id === holder.id) ? holder : null;
+    this.externalCheckedAt = Date.now();
+    return this.external;
+  }
+
+  // The ticket in the lock file, or null when there is none or it was stale
+  readLockFile() {
+    let holder = null;
+    let modifiedAt;
+    try {
+      modifiedAt = fs.statSync(this.file).mtimeMs;
+      holder = fs.readJsonSync(this.file);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+    }
+
+    if (holder && isAlive(holder.pid) && Date.now() - modifiedAt <= this.staleAfter) {
+      return holder;
+    }
+    this.removeStaleFile(holder);
+    return null;
+  }
+
+  // Move a stale lock file aside before deleting it, so that of several
+  // processes finding it only one removes it. A file that turns out to be a
+  // lock taken since `stale` was read is put back.
+  removeStaleFile(stale) {
+    const aside = `${this.file}.stale.${process.pid}.${crypto.randomUUID()}`;
+    try {
+      fs.renameSync(this.file, aside);
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    const moved = fs.readJsonSync(aside, { throws: false });
+    if (moved && moved.id !== stale?.id) {
+      try {
+        fs.linkSync(aside, this.file);
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      }
+    }
+    fs.removeSync(aside);
+  }
+
+  // Atomically create the lock file for `ticket`; false if another process holds it
+  acquireFile(ticket) {
+    if (!this.file) return true;
+    if (this.readExternalHolder(true)) return false;
+
+    const temp = `${this.file}.${process.pid}.${ticket.id}`;
+    fs.writeJsonSync(temp, { ...ticket, acquiredAt: new Date().toISOString(), pid: process.pid });
+    try {
+      fs.linkSync(temp, this.file);
+    } catch (error) {
+      if (error.code === 'EEXIST') return false;
+      throw error;
+    } finally {
+      fs.removeSync(temp);
+    }
+
+    this.heartbeat = setInterval(() => {
+      const now = new Date();
+      fs.utimes(this.file, now, now).catch(() => {});
+    }, this.staleAfter / 3);
+    this.heartbeat.unref();
+    return true;
+  }
+
+  releaseFile(ticket) {
+    clearInterval(this.heartbeat);
+    this.heartbeat = null;
+    if (this.file && fs.readJsonSync(this.file, { throws: false })?.id === ticket.id) {
+      fs.removeSync(this.file);
+    }
+  }
+
+  // Try the queue again once another process may have released the lock file
+  poll() {
+    if (this.pollTimer) return;
+
+    this.pollTimer = setTimeout(() => {
+      this.pollTimer = null;
+      if (this.grantNext()) {
+        this.emit('change', this.status());
+      }
+    }, this.pollInterval);
+  }
+
+  createTicket({ operation, owner, jobId = null }) {
+    return {
+      id: crypto.randomUUID(),
+      operation,
+      owner: owner || 'unknown',
+      jobId,
+      requestedAt: new Date().toISOString(),
+      acquiredAt: null
+    };
+  }
+
+  /**
+   * Queue for the lock. `onGranted(ticket)` is called synchronously when the
+   * lock is free, otherwise once every earlier ticket has been released.
+   */
+  request(details, onGranted) {
+    const ticket = this.createTicket(details);
+    this.queue.push({ ticket, onGranted });
+    this.grantNext();
+    this.emit('change', this.status());
+    return ticket;
+  }
+
+  // Take the lock only if nobody holds or waits for it; returns null otherwise
+  tryAcquire(details) {
+    if (this.holder !== null || this.queue.length > 0) return null;
+
+    const ticket = this.createTicket(details);
+    if (!this.acquireFile(ticket)) return null;
+    this.grant(ticket);
+    this.emit('change', this.status());
+    return ticket;
+  }
+
+  // Release a held ticket, or withdraw it from the queue if it is still waiting
+  release(ticket) {
+    if (this.holder && this.holder.id === ticket.id) {
+      this.releaseFile(ticket);
+      this.holder = null;
+      this.grantNext();
+    } else {
+      this.queue = this.queue.filter(entry => entry.ticket.id !== ticket.id);
+    }
+    this.emit('change', this.status());
+  }
+
+  grant(ticket) {
+    ticket.acquiredAt = new Date().toISOString();
+    this.holder = ticket;
+  }
+
+  // Grant the lock to the first waiter; returns whether it was granted
+  grantNext() {
+    if (this.holder || this.queue.length === 0) return false;
+    if (!this.acquireFile(this.queue[0].ticket)) {
+      this.poll();
+      return false;
+    }
+
+    const { ticket, onGranted } = this.queue.shift();
+    this.grant(ticket);
+    onGranted(ticket);
+    return true;
+  }
+
+  // 1-based position in the wait queue, 0 for the holder, null if unknown
+  position(ticketId) {
+    if (this.holder && this.holder.id === ticketId) return 0;
+    const index = this.queue.findIndex(entry => entry.ticket.id === ticketId);
+    return index === -1 ? null : index + 1;
+  }
+
+  // Another process's holder is marked `external`
+  status() {
+    const external = this.holder ? null : this.readExternalHolder();
+    return {
+      locked: this.holder !== null || external !== null,
+      holder: this.holder || (external && { ...external, external: true }),
+      queue: this.queue.map((entry, index) => ({ ...entry.ticket, position: index + 1 }))
+    };
+  }
+}
+
+module.exports = { RunLock };
@@ -0,0 +1,289 @@
+const fs = require('fs-extra');
+const crypto = require('crypto');
+
+const SCHEDULE_COMMANDS = ['test', 'reference'];
+
+// How often due schedules are checked
+const TICK_MS = 30 * 1000;
+
+const CRON_MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+// Furthest ahead to look for the next run of an expression like "0 0 30 2 *"
+const MAX_LOOKAHEAD_MS = 4 * 366 * 24 * 60 * 60 * 1000;
+
+function parseCronValue(value, field) {
+  const index = field.names ? field.names.indexOf(value.toLowerCase()) : -1;
+  // Month names start at 1, weekday names at 0
+  const number = index !== -1 ? index + field.min : Number(value);
+  if (!Number.isInteger(number) || number < field.min || number > field.max) {
+    throw new Error(`Invalid ${field.name} "${value}" (expected ${field.min}-${field.max})`);
+  }
+  return number;
+}
+
+function parseCronField(text, field) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid step "${stepText}" in ${field.name}`);
+    }
+
+    let start;
+    let end;
+    if (range === '*') {
+      [start, end] = [field.min, field.max];
+    } else if (range.includes('-')) {
+      [start, end] = range.split('-').map(value => parseCronValue(value, field));
+    } else {
+      start = parseCronValue(range, field);
+      // "5/15" means every 15 starting at 5
+      end = stepText === undefined ? start : field.max;
+    }
+    if (start > end) {
+      throw new Error(`Invalid range "${range}" in ${field.name}`);
+    }
+
+    for (let value = start; value <= end; value += step) values.add(value);
+  }
+  return values;
+}
+
+/**
+ * Parse a five-field cron expression (minute hour day-of-month month
+ * day-of-week) or a macro such as @daily. Supports lists, ranges, steps and
+ * month/weekday names; both 0 and 7 are Sunday.
+ */
+function parseCron(expression) {
+  const normalized = CRON_MACROS[String(expression).trim().toLowerCase()] || String(expression).trim();
+  const parts = normalized.split(/\s+/);
+  if (parts.length !== CRON_FIELDS.length) {
+    throw new Error(`Cron expression "${expression}" must have 5 fields: minute hour day-of-month month day-of-week`);
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, index) => parseCronField(part, CRON_FIELDS[index]));
+  if (daysOfWeek.has(7)) daysOfWeek.add(0);
+
+  return {
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    // Like cron, a day matches either field when both are restricted, and
+    // both when one starts with "*" (e.g. "*/2")
+    anyDayOfMonth: parts[2].startsWith('*'),
+    anyDayOfWeek: parts[4].startsWith('*')
+  };
+}
+
+function matchesDay(cron, date) {
+  const dayOfMonth = cron.daysOfMonth.has(date.getDate());
+  const dayOfWeek = cron.daysOfWeek.has(date.getDay());
+  if (!cron.months.has(date.getMonth() + 1)) return false;
+  if (cron.anyDayOfMonth || cron.anyDayOfWeek) return dayOfMonth && dayOfWeek;
+  return dayOfMonth || dayOfWeek;
+}
+
+// The first time after `from` that matches the expression, in server local time
+function getNextRun(expression, from = new Date()) {
+  const cron = parseCron(expression);
+  const date = new Date(from);
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  const limit = from.getTime() + MAX_LOOKAHEAD_MS;
+  while (date.getTime() <= limit) {
+    if (!matchesDay(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!cron.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+    } else if (!cron.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+    } else {
+      return date;
+    }
+  }
+  return null;
+}
+
+function validateSchedule(schedule) {
+  if (!schedule.name || !String(schedule.name).trim()) {
+    throw new Error('name is required');
+  }
+  if (!SCHEDULE_COMMANDS.includes(schedule.command)) {
+    throw new Error(`command must be one of: ${SCHEDULE_COMMANDS.join(', ')}`);
+  }
+  if (!getNextRun(schedule.cron)) {
+    throw new Error(`Cron expression "${schedule.cron}" never matches`);
+  }
+}
+
+const toList = (value) => (Array.isArray(value) ? value : String(value || '').split(','))
+  .map(item => String(item).trim())
+  .filter(Boolean);
+
+/**
+ * Recurring BackstopJS runs stored in `file`. Once started, due schedules are
+ * passed to `runSchedule(schedule)`, which starts the job and resolves to it.
+ * Runs missed while the server was down are skipped, not caught up.
+ */
+class Scheduler {
+  constructor({ file, runSchedule }) {
+    this.file = file;
+    this.runSchedule = runSchedule;
+    this.timer = null;
+    // Serializes schedule writes
+    this.writeQueue = Promise.resolve();
+  }
+
+  async list() {
+    if (!(await fs.pathExists(this.file))) return [];
+    return fs.readJson(this.file);
+  }
+
+  async get(id) {
+    return (await this.list()).find(schedule => schedule.id === id) || null;
+  }
+
+  async create({ name, cron, command = 'test', filter, tags, viewports, environment, enabled = true }) {
+    const schedule = {
+      id: crypto.randomUUID(),
+      name: String(name || '').trim(),
+      cron: String(cron || '').trim(),
+      command,
+      filter: filter || null,
+      tags: toList(tags),
+      viewports: toList(viewports),
+      // Environment profile to run against; the config's default when empty
+      environment: environment || null,
+      enabled: Boolean(enabled),
+      createdAt: new Date().toISOString(),
+      lastRunAt: null,
+      lastJobId: null,
+      lastError: null
+    };
+    validateSchedule(schedule);
+    schedule.nextRunAt = schedule.enabled ? getNextRun(schedule.cron).toISOString() : null;
+
+    await this.updateSchedules(schedules => [...schedules, schedule]);
+    return schedule;
+  }
+
+  // Resolves to the updated schedule, or null if there is none with this id
+  async update(id, changes) {
+    let updated = null;
+    await this.updateSchedules(schedules => schedules.map(schedule => {
+      if (schedule.id !== id) return schedule;
+
+      updated = { ...schedule };
+      for (const key of ['name', 'cron', 'command', 'filter', 'environment', 'enabled']) {
+        if (changes[key] !== undefined) updated[key] = changes[key];
+      }
+      for (const key of ['tags', 'viewports']) {
+        if (changes[key] !== undefined) updated[key] = toList(changes[key]);
+      }
+      validateSchedule(updated);
+      updated.nextRunAt = updated.enabled ? getNextRun(updated.cron).toISOString() : null;
+      return updated;
+    }));
+    return updated;
+  }
+
+  async remove(id) {
+    let removed = false;
+    await this.updateSchedules(schedules => {
+      removed = schedules.some(schedule => schedule.id === id);
+      return schedules.filter(schedule => schedule.id !== id);
+    });
+    return removed;
+  }
+
+  // Start checking for due schedules, skipping runs missed while stopped
+  async start() {
+    const now = new Date();
+    await this.updateSchedules(schedules => schedules.map(schedule => ({
+      ...schedule,
+      nextRunAt: schedule.enabled ? getNextRun(schedule.cron, now).toISOString() : null
+    })));
+
+    this.timer = setInterval(() => {
+      this.tick().catch(error => console.error('Scheduler tick failed:', error));
+    }, TICK_MS);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Run every enabled schedule that is due at `now`
+  async tick(now = new Date()) {
+    const due = (await this.list()).filter(schedule =>
+      schedule.enabled && schedule.nextRunAt && new Date(schedule.nextRunAt) <= now
+    );
+
+    for (const schedule of due) {
+      await this.trigger(schedule, { now });
+    }
+  }
+
+  /**
+   * Run a schedule now and record the outcome. Scheduled runs also advance to
+   * their next time; running one manually leaves that unchanged.
+   */
+  async trigger(schedule, { now = new Date(), manual = false } = {}) {
+    let job = null;
+    let lastError = null;
+    try {
+      job = await this.runSchedule(schedule);
+      console.log(`Schedule "${schedule.name}" started ${schedule.command} job ${job.id}`);
+    } catch (error) {
+      lastError = error.message;
+      console.error(`Schedule "${schedule.name}" could not start:`, error.message);
+    }
+
+    let updated = null;
+    await this.updateSchedules(schedules => schedules.map(existing => {
+      if (existing.id !== schedule.id) return existing;
+      updated = {
+        ...existing,
+        lastRunAt: now.toISOString(),
+        lastJobId: job ? job.id : existing.lastJobId,
+        lastError,
+        nextRunAt: manual || !existing.enabled ? existing.nextRunAt : getNextRun(existing.cron, now).toISOString()
+      };
+      return updated;
+    }));
+    return { schedule: updated, job, error: lastError };
+  }
+
+  updateSchedules(update) {
+    const next = this.writeQueue.then(async () => {
+      const schedules = await this.list();
+      await fs.writeJson(this.file, update(schedules), { spaces: 2 });
+    });
+    this.writeQueue = next.catch(() => {});
+    return next;
+  }
+}
+
+module.exports = { Scheduler, SCHEDULE_COMMANDS, parseCron, getNextRun };
@@ -0,0 +1,195 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { getPairKey } = require('./approvals');
+
+// Bump when a field of the JSON summary is renamed or removed
+const SUMMARY_SCHEMA_VERSION = 1;
+
+const REPORT_FORMATS = {
+  junit: { fileName: 'junit.xml', contentType: 'application/xml' },
+  markdown: { fileName: 'summary.md', contentType: 'text/markdown' },
+  json: { fileName: 'summary.json', contentType: 'application/json' }
+};
+
+const toNumber = (value) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Normalize an archived test run and its report (image URLs added, see
+ * addImageUrls) into the stable JSON summary:
+ *
+ *   { schemaVersion, run: { id, status, filter, triggeredBy, startedAt, finishedAt, durationMs },
+ *     totals: { total, passed, failed, quarantined, recovered },
+ *     pairs: [{ pairKey, label, selector, viewportLabel, status, misMatchPercentage,
+ *               misMatchThreshold, analysisTimeMs, quarantined, attempts,
+ *               images: { reference, test, diff } }] }
+ *
+ * Image URLs are absolute when `baseUrl` is given.
+ */
+function buildRunSummary(run, report, { baseUrl = '' } = {}) {
+  const toImageUrl = (url) => (url ? `${baseUrl}${url}` : null);
+
+  const pairs = (report.tests || []).map(test => ({
+    pairKey: getPairKey(test.pair),
+    label: test.pair.label,
+    selector: test.pair.selector || null,
+    viewportLabel: test.pair.viewportLabel,
+    status: test.status === 'pass' ? 'passed' : 'failed',
+    misMatchPercentage: toNumber(test.pair.diff?.misMatchPercentage),
+    misMatchThreshold: toNumber(test.pair.misMatchThreshold),
+    analysisTimeMs: toNumber(test.pair.diff?.analysisTime),
+    quarantined: Boolean(test.quarantined),
+    attempts: test.attempts || 1,
+    images: {
+      reference: toImageUrl(test.pair.referenceUrl),
+      test: toImageUrl(test.pair.testUrl),
+      diff: toImageUrl(test.pair.diffUrl)
+    }
+  }));
+
+  const failed = pairs.filter(pair => pair.status === 'failed');
+  return {
+    schemaVersion: SUMMARY_SCHEMA_VERSION,
+    run: {
+      id: run.id,
+      status: run.status,
+      filter: run.filter || null,
+      triggeredBy: run.triggeredBy,
+      startedAt: run.startedAt,
+      finishedAt: run.finishedAt,
+      durationMs: run.durationMs
+    },
+    totals: {
+      total: pairs.length,
+      passed: pairs.length - failed.length,
+      failed: failed.filter(pair => !pair.quarantined).length,
+      quarantined: failed.filter(pair => pair.quarantined).length,
+      recovered: pairs.filter(pair => pair.status === 'passed' && pair.attempts > 1).length
+    },
+    pairs
+  };
+}
+
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const seconds = (ms) => ((ms || 0) / 1000).toFixed(3);
+
+/**
+ * JUnit XML with one test suite per scenario and one test case per pair.
+ * Quarantined failures are reported as skipped so they do not fail CI.
+ */
+function renderJUnit(summary) {
+  const suites = new Map();
+  for (const pair of summary.pairs) {
+    if (!suites.has(pair.label)) suites.set(pair.label, []);
+    suites.get(pair.label).push(pair);
+  }
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="PixelPilot" tests="${summary.totals.total}" failures="${summary.totals.failed}" ` +
+      `skipped="${summary.totals.quarantined}" time="${seconds(summary.run.durationMs)}">`
+  ];
+
+  for (const [label, pairs] of suites) {
+    const failures = pairs.filter(pair => pair.status === 'failed' && !pair.quarantined).length;
+    const skipped = pairs.filter(pair => pair.status === 'failed' && pair.quarantined).length;
+    const time = pairs.reduce((total, pair) => total + (pair.analysisTimeMs || 0), 0);
+    lines.push(`  <testsuite name="${escapeXml(label)}" tests="${pairs.length}" failures="${failures}" skipped="${skipped}" time="${seconds(time)}">`);
+
+    for (const pair of pairs) {
+      const name = `${pair.viewportLabel}${pair.selector ? ` ${pair.selector}` : ''}`;
+      const open = `    <testcase classname="${escapeXml(label)}" name="${escapeXml(name)}" time="${seconds(pair.analysisTimeMs)}"`;
+      if (pair.status === 'passed') {
+        lines.push(`${open}/>`);
+        continue;
+      }
+
+      const message = pair.misMatchPercentage !== null
+        ? `${pair.misMatchPercentage}% mismatch (threshold ${pair.misMatchThreshold ?? '-'}%)`
+        : 'Visual comparison failed';
+      lines.push(`${open}>`);
+      lines.push(pair.quarantined
+        ? `      <skipped message="${escapeXml(`Quarantined: ${message}`)}"/>`
+        : `      <failure message="${escapeXml(message)}" type="VisualDifference">${escapeXml(pair.images.diff || '')}</failure>`);
+      lines.push('    </testcase>');
+    }
+    lines.push('  </testsuite>');
+  }
+
+  lines.push('</testsuites>');
+  return `${lines.join('\n')}\n`;
+}
+
+const escapeMarkdownCell = (value) => String(value ?? '').replace(/\|/g, '\\|').replace(/\n/g, ' ');
+
+// A clickable thumbnail that GitHub and GitLab render in PR comments
+const thumbnail = (url, alt) => (url ? `<a href="${url}"><img src="${url}" alt="${alt}" width="120"></a>` : '-');
+
+/**
+ * Markdown summary for PR comments: totals and a table of failed pairs with
+ * thumbnail links to their reference, test and diff images.
+ */
+function renderMarkdown(summary) {
+  const { run, totals } = summary;
+  const icon = totals.failed > 0 ? '❌' : '✅';
+  const lines = [
+    `## ${icon} PixelPilot visual regression test`,
+    '',
+    `**${totals.passed}** passed, **${totals.failed}** failed` +
+      (totals.quarantined ? `, **${totals.quarantined}** quarantined` : '') +
+      (totals.recovered ? `, **${totals.recovered}** passed on retry` : '') +
+      ` of ${totals.total} pairs`,
+    '',
+    `Run \`${run.id}\` finished ${run.finishedAt}${run.triggeredBy ? ` (triggered by ${run.triggeredBy})` : ''}` +
+      (run.filter ? ` with filter \`${run.filter}\`` : '')
+  ];
+
+  const failures = summary.pairs.filter(pair => pair.status === 'failed');
+  if (failures.length > 0) {
+    lines.push(
+      '',
+      '| Scenario | Viewport | Selector | Mismatch | Reference | Test | Diff |',
+      '| --- | --- | --- | ---: | --- | --- | --- |'
+    );
+    for (const pair of failures) {
+      const scenario = `${escapeMarkdownCell(pair.label)}${pair.quarantined ? ' _(quarantined)_' : ''}`;
+      const misMatch = pair.misMatchPercentage !== null ? `${pair.misMatchPercentage}%` : '-';
+      lines.push(`| ${scenario} | ${escapeMarkdownCell(pair.viewportLabel)} | ${escapeMarkdownCell(pair.selector || 'document')} | ${misMatch} | ` +
+        `${thumbnail(pair.images.reference, 'reference')} | ${thumbnail(pair.images.test, 'test')} | ${thumbnail(pair.images.diff, 'diff')} |`);
+    }
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+function renderSummaryReport(format, summary) {
+  if (format === 'junit') return renderJUnit(summary);
+  if (format === 'markdown') return renderMarkdown(summary);
+  return `${JSON.stringify(summary, null, 2)}\n`;
+}
+
+// Write every format into `dir`, e.g. history/<runId>/reports
+async function writeSummaryReports(dir, summary) {
+  await fs.ensureDir(dir);
+  for (const [format, { fileName }] of Object.entries(REPORT_FORMATS)) {
+    await fs.writeFile(path.join(dir, fileName), renderSummaryReport(format, summary));
+  }
+}
+
+module.exports = {
+  SUMMARY_SCHEMA_VERSION,
+  REPORT_FORMATS,
+  buildRunSummary,
+  renderJUnit,
+  renderMarkdown,
+  renderSummaryReport,
+  writeSummaryReports
+};
@@ -0,0 +1,95 @@
+// Parsed numeric field of a pair's diff, or null when the comparison did not run
+const getDiffValue = (test, key) => {
+  const value = parseFloat(test.pair.diff?.[key]);
+  return Number.isFinite(value) ? value : null;
+};
+
+const maxOrNull = (a, b) => (a === null ? b : b === null ? a : Math.max(a, b));
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+const topBy = (items, key, limit) => [...items].sort((a, b) => b[key] - a[key]).slice(0, limit);
+
+/**
+ * Aggregate archived test runs (oldest first, each `{ run, report }`) into the
+ * dashboard trends:
+ *
+ * - `runs`: pass rate per run
+ * - `series`: mismatch per scenario + viewport across runs (the highest
+ *   mismatch when a scenario captures several selectors)
+ * - `slowest`: scenarios with the highest average comparison time (`analysisTime`)
+ * - `failingSelectors`: selectors that failed most often
+ */
+function buildTrends(archivedRuns, { limit = 10 } = {}) {
+  const series = new Map();
+  const timings = new Map();
+  const selectorFailures = new Map();
+
+  const runs = archivedRuns.map(({ run, report }) => {
+    const tests = report.tests || [];
+    const passed = tests.filter(test => test.status === 'pass').length;
+
+    for (const test of tests) {
+      const { label, viewportLabel, selector } = test.pair;
+      const misMatch = getDiffValue(test, 'misMatchPercentage');
+
+      const seriesKey = `${label}|${viewportLabel}`;
+      if (!series.has(seriesKey)) {
+        series.set(seriesKey, { key: seriesKey, label, viewportLabel, points: new Map() });
+      }
+      const points = series.get(seriesKey).points;
+      // Several selectors of one scenario and viewport merge into one point
+      const previous = points.get(run.id);
+      points.set(run.id, {
+        runId: run.id,
+        finishedAt: run.finishedAt,
+        misMatchPercentage: maxOrNull(previous?.misMatchPercentage ?? null, misMatch),
+        status: previous?.status === 'fail' ? 'fail' : test.status
+      });
+
+      const analysisTime = getDiffValue(test, 'analysisTime');
+      if (analysisTime !== null) {
+        const timing = timings.get(label) || { label, totalMs: 0, maxMs: 0, samples: 0 };
+        timing.totalMs += analysisTime;
+        timing.maxMs = Math.max(timing.maxMs, analysisTime);
+        timing.samples++;
+        timings.set(label, timing);
+      }
+
+      if (test.status === 'fail') {
+        const selectorKey = `${label}|${selector || ''}`;
+        const failure = selectorFailures.get(selectorKey) || { label, selector: selector || 'document', failures: 0, runs: new Set() };
+        failure.failures++;
+        failure.runs.add(run.id);
+        selectorFailures.set(selectorKey, failure);
+      }
+    }
+
+    return {
+      runId: run.id,
+      finishedAt: run.finishedAt,
+      filter: run.filter || null,
+      total: tests.length,
+      passed,
+      failed: tests.length - passed,
+      passRate: tests.length > 0 ? round((passed / tests.length) * 100, 1) : null
+    };
+  });
+
+  return {
+    runs,
+    series: [...series.values()].map(entry => ({ ...entry, points: [...entry.points.values()] })),
+    slowest: topBy(
+      [...timings.values()].map(({ totalMs, ...timing }) => ({ ...timing, averageMs: round(totalMs / timing.samples, 0) })),
+      'averageMs',
+      limit
+    ),
+    failingSelectors: topBy(
+      [...selectorFailures.values()].map(({ runs: failedRuns, ...failure }) => ({ ...failure, runs: failedRuns.size })),
+      'failures',
+      limit
+    )
+  };
+}
+
+module.exports = { buildTrends };
@@ -0,0 +1,255 @@
+const fs = require('fs-extra');
+const crypto = require('crypto');
+
+const WEBHOOK_EVENTS = ['run.completed', 'run.failed', 'references.approved', 'config.changed'];
+const WEBHOOK_FORMATS = ['json', 'slack'];
+
+const DEFAULT_DELIVERY = {
+  // Attempts per delivery, including the first
+  attempts: 4,
+  // Wait before retry n is baseDelayMs * 4^(n-1): 1s, 4s, 16s
+  baseDelayMs: 1000,
+  timeoutMs: 10000
+};
+
+// Keep the delivery log at this many entries, newest first
+const MAX_DELIVERIES = 200;
+
+const EVENT_ICONS = {
+  'run.completed': '✅',
+  'run.failed': '❌',
+  'references.approved': '👍',
+  'config.changed': '⚙️',
+  ping: '🏓'
+};
+
+/**
+ * Signature of a delivery: HMAC-SHA256 over `<timestamp>.<body>` with the
+ * webhook's secret. Receivers recompute it from the X-PixelPilot-Timestamp
+ * header and the raw body, and should reject old timestamps to stop replays.
+ */
+function signPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+// Request body for a webhook's format. Slack incoming webhooks take a `text` field.
+function formatPayload(format, { id, event, occurredAt, data }) {
+  if (format === 'slack') {
+    const link = data.url ? ` <${data.url}|View report>` : '';
+    return { text: `${EVENT_ICONS[event] || ''} *PixelPilot* ${data.message}${link}`.trim() };
+  }
+  return { id, event, occurredAt, data };
+}
+
+// A webhook as the API lists it. The signing secret is only returned when a
+// webhook is created; afterwards its last characters tell secrets apart.
+function redactWebhook({ secret, ...webhook }) {
+  return { ...webhook, hasSecret: Boolean(secret), secretHint: secret ? `…${secret.slice(-4)}` : null };
+}
+
+function validateWebhook(webhook) {
+  let url;
+  try {
+    url = new URL(webhook.url);
+  } catch {
+    throw new Error('url must be a valid URL');
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new Error('url must use http or https');
+  }
+  if (!WEBHOOK_FORMATS.includes(webhook.format)) {
+    throw new Error(`format must be one of: ${WEBHOOK_FORMATS.join(', ')}`);
+  }
+  if (!Array.isArray(webhook.events) || webhook.events.length === 0) {
+    throw new Error('Select at least one event');
+  }
+  const unknown = webhook.events.filter(event => !WEBHOOK_EVENTS.includes(event));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown event(s): ${unknown.join(', ')}, expected: ${WEBHOOK_EVENTS.join(', ')}`);
+  }
+}
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Outgoing webhooks: registered targets in `file` and a log of every delivery
+ * in `deliveriesFile`. `emit` fires an event at every enabled target that
+ * subscribed to it, in the background; failed deliveries are retried with
+ * exponential backoff and every attempt is logged.
+ */
+class WebhookManager {
+  constructor({ file, deliveriesFile, delivery = {} }) {
+    this.file = file;
+    this.deliveriesFile = deliveriesFile;
+    this.delivery = { ...DEFAULT_DELIVERY, ...delivery };
+    // Serialize writes to each file
+    this.writeQueue = Promise.resolve();
+    this.deliveryQueue = Promise.resolve();
+    // Deliveries still being sent or retried
+    this.pending = new Set();
+  }
+
+  async list() {
+    if (!(await fs.pathExists(this.file))) return [];
+    return fs.readJson(this.file);
+  }
+
+  async get(id) {
+    return (await this.list()).find(webhook => webhook.id === id) || null;
+  }
+
+  async create({ name, url, format = 'json', events, secret, enabled = true }) {
+    const webhook = {
+      id: crypto.randomUUID(),
+      name: name || url,
+      url,
+      format,
+      events,
+      secret: secret || crypto.randomBytes(24).toString('hex'),
+      enabled: Boolean(enabled),
+      createdAt: new Date().toISOString()
+    };
+    validateWebhook(webhook);
+
+    await this.updateWebhooks(webhooks => [...webhooks, webhook]);
+    return webhook;
+  }
+
+  // Resolves to the updated webhook, or null if there is none with this id
+  async update(id, changes) {
+    let updated = null;
+    await this.updateWebhooks(webhooks => webhooks.map(webhook => {
+      if (webhook.id !== id) return webhook;
+
+      updated = { ...webhook };
+      for (const key of ['name', 'url', 'format', 'events', 'secret', 'enabled']) {
+        if (changes[key] !== undefined) updated[key] = changes[key];
+      }
+      validateWebhook(updated);
+      return updated;
+    }));
+    return updated;
+  }
+
+  async remove(id) {
+    let removed = false;
+    await this.updateWebhooks(webhooks => {
+      removed = webhooks.some(webhook => webhook.id === id);
+      return webhooks.filter(webhook => webhook.id !== id);
+    });
+    return removed;
+  }
+
+  async listDeliveries({ webhookId, limit = 50 } = {}) {
+    if (!(await fs.pathExists(this.deliveriesFile))) return [];
+    const deliveries = await fs.readJson(this.deliveriesFile);
+    return deliveries
+      .filter(delivery => !webhookId || delivery.webhookId === webhookId)
+      .slice(0, limit);
+  }
+
+  /**
+   * Deliver `event` to every subscribed target without waiting for the
+   * receivers. `data.message` is the human-readable summary used by chat
+   * formats, `data.url` an optional link to the run.
+   */
+  async emit(event, data) {
+    const webhooks = await this.list();
+    const targets = webhooks.filter(webhook => webhook.enabled && webhook.events.includes(event));
+    for (const webhook of targets) {
+      const delivery = this.deliver(webhook, event, data)
+        .catch(error => console.error(`Webhook delivery to ${webhook.url} failed:`, error))
+        .finally(() => this.pending.delete(delivery));
+      this.pending.add(delivery);
+    }
+    return targets.length;
+  }
+
+  // Wait for every delivery in flight, including its retries, e.g. before exiting
+  async settle() {
+    await Promise.all([...this.pending]);
+  }
+
+  // Send a `ping` event once, without retries, and resolve to its delivery record
+  ping(webhook) {
+    return this.deliver(webhook, 'ping', { message: `Test notification for "${webhook.name}"` }, { attempts: 1 });
+  }
+
+  async deliver(webhook, event, data, options = {}) {
+    const { attempts, baseDelayMs, timeoutMs } = { ...this.delivery, ...options };
+    const payload = { id: crypto.randomUUID(), event, occurredAt: new Date().toISOString(), data };
+    const body = JSON.stringify(formatPayload(webhook.format, payload));
+
+    const delivery = {
+      id: payload.id,
+      webhookId: webhook.id,
+      webhookName: webhook.name,
+      url: webhook.url,
+      event,
+      status: 'pending',
+      attempts: [],
+      createdAt: payload.occurredAt
+    };
+    await this.saveDelivery(delivery);
+
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+      const startedAt = Date.now();
+      const timestamp = Math.floor(startedAt / 1000).toString();
+      const result = { at: new Date(startedAt).toISOString(), statusCode: null, error: null };
+
+      try {
+        const response = await fetch(webhook.url, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'User-Agent': 'PixelPilot-Webhooks',
+            'X-PixelPilot-Event': event,
+            'X-PixelPilot-Delivery': delivery.id,
+            'X-PixelPilot-Timestamp': timestamp,
+            'X-PixelPilot-Signature': signPayload(webhook.secret, timestamp, body)
+          },
+          body,
+          signal: AbortSignal.timeout(timeoutMs)
+        });
+        result.statusCode = response.status;
+        if (!response.ok) result.error = `Receiver responded with status ${response.status}`;
+      } catch (error) {
+        result.error = error.message;
+      }
+      result.durationMs = Date.now() - startedAt;
+
+      delivery.attempts.push(result);
+      delivery.status = result.error ? (attempt < attempts ? 'retrying' : 'failed') : 'delivered';
+      await this.saveDelivery(delivery);
+
+      if (!result.error) break;
+      if (attempt < attempts) await wait(baseDelayMs * 4 ** (attempt - 1));
+    }
+
+    return delivery;
+  }
+
+  saveDelivery(delivery) {
+    const next = this.deliveryQueue.then(async () => {
+      const deliveries = (await fs.pathExists(this.deliveriesFile)) ? await fs.readJson(this.deliveriesFile) : [];
+      const entry = { ...delivery, attempts: [...delivery.attempts] };
+      const updated = deliveries.some(existing => existing.id === delivery.id)
+        ? deliveries.map(existing => (existing.id === delivery.id ? entry : existing))
+        : [entry, ...deliveries];
+      await fs.writeJson(this.deliveriesFile, updated.slice(0, MAX_DELIVERIES), { spaces: 2 });
+    });
+    this.deliveryQueue = next.catch(() => {});
+    return next;
+  }
+
+  updateWebhooks(update) {
+    const next = this.writeQueue.then(async () => {
+      const webhooks = await this.list();
+      await fs.writeJson(this.file, update(webhooks), { spaces: 2 });
+    });
+    this.writeQueue = next.catch(() => {});
+    return next;
+  }
+}
+
+module.exports = { WebhookManager, WEBHOOK_EVENTS, WEBHOOK_FORMATS, signPayload, formatPayload, redactWebhook };
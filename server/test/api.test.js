@@ -0,0 +1,143 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { PNG } = require('pngjs');
+
+const config = {
+  id: 'backstop_default',
+  viewports: [{ label: 'phone', width: 4, height: 4 }],
+  scenarios: [{ label: 'Home', url: 'http://localhost:3000/' }],
+  paths: {}
+};
+const REFERENCE = 'backstop_default_Home_0_document_0_phone.png';
+
+// The app serves a temporary root with the default project's config and a
+// 2× upload for its only cell
+const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pixelpilot-test-'));
+const configDir = path.join(rootDir, 'backstop_data');
+const uploadPath = path.join(rootDir, 'uploads', 'retina.png');
+const upload = { filename: 'retina.png', path: uploadPath, isReference: true };
+fs.outputJsonSync(path.join(configDir, 'backstop.json'), config);
+fs.outputJsonSync(path.join(configDir, 'scenario_screenshots.json'), {
+  Home_phone: { scenario: 'Home', viewport: 'phone', selector: null, screenshots: [upload], referenceScreenshot: upload }
+});
+process.env.PIXELPILOT_ROOT = rootDir;
+const { app } = require('../index');
+
+let server;
+let baseUrl;
+test.before(() => new Promise(resolve => {
+  server = app.listen(0, '127.0.0.1', () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    resolve();
+  });
+}));
+test.after(async () => {
+  server.close();
+  await fs.remove(rootDir);
+});
+
+async function request(method, apiPath, body) {
+  const response = await fetch(`${baseUrl}${apiPath}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', 'X-PixelPilot-User': 'ana' },
+    body: body && JSON.stringify(body)
+  });
+  const type = response.headers.get('content-type') || '';
+  return { status: response.status, body: type.includes('json') ? await response.json() : Buffer.from(await response.arrayBuffer()) };
+}
+
+function makeImage(size, red) {
+  const image = new PNG({ width: size, height: size });
+  for (let offset = 0; offset < image.data.length; offset += 4) {
+    image.data[offset] = red;
+    image.data[offset + 3] = 255;
+  }
+  return PNG.sync.write(image);
+}
+
+test('approves and rejects single pairs of the latest report', async () => {
+  const pair = { label: 'Home', selector: 'document', viewportLabel: 'phone', fileName: REFERENCE, test: `../bitmaps_test/run/${REFERENCE}` };
+  await fs.outputJson(path.join(configDir, 'json_report', 'jsonReport.json'), { testSuite: 'BackstopJS', tests: [{ pair, status: 'fail' }] });
+  await fs.outputFile(path.join(configDir, 'bitmaps_test', 'run', REFERENCE), makeImage(4, 255));
+
+  const approved = await request('POST', '/api/approvals', { label: 'Home', selector: 'document', viewportLabel: 'phone', action: 'approve' });
+  assert.equal(approved.status, 200);
+  assert.deepEqual(await fs.readFile(path.join(configDir, 'bitmaps_reference', REFERENCE)), makeImage(4, 255));
+
+  assert.equal((await request('POST', '/api/approvals', { label: 'Home', viewportLabel: 'phone', action: 'merge' })).status, 400);
+  assert.equal((await request('POST', '/api/approvals', { label: 'Footer', viewportLabel: 'phone', action: 'reject' })).status, 404);
+  await request('POST', '/api/approvals', { label: 'Home', selector: 'document', viewportLabel: 'phone', action: 'reject', note: 'Off by one' });
+
+  const { body } = await request('GET', '/api/approvals');
+  assert.deepEqual(body.approvals.map(approval => [approval.action, approval.user]), [['reject', 'ana'], ['approve', 'ana']]);
+  await fs.remove(path.join(configDir, 'json_report'));
+});
+
+test('previews, applies and undoes the normalization of an upload', async () => {
+  await fs.outputFile(uploadPath, makeImage(8, 0));
+  const cellPath = '/api/projects/default/reference-uploads/Home/phone/normalization';
+
+  const transforms = [{ type: 'devicePixelRatio', ratio: 2 }];
+  const preview = await request('GET', `${cellPath}/preview?transforms=${encodeURIComponent(JSON.stringify(transforms))}`);
+  assert.equal(preview.status, 200);
+  assert.equal(PNG.sync.read(preview.body).width, 4);
+
+  const oversized = await request('GET', `${cellPath}/preview?transforms=${encodeURIComponent(JSON.stringify([{ type: 'scale', width: 40, height: 40 }]))}`);
+  assert.equal(oversized.status, 400);
+  assert.match(oversized.body.error, /far larger than the expected 4 pixels wide/);
+
+  const normalized = await request('POST', cellPath, { transforms });
+  assert.equal(normalized.status, 200);
+  assert.deepEqual(normalized.body.backstopFilenames, [REFERENCE]);
+  assert.equal(normalized.body.referenceScreenshot.normalization.width, 4);
+  const referencePath = path.join(configDir, 'bitmaps_reference', REFERENCE);
+  assert.equal(PNG.sync.read(await fs.readFile(referencePath)).width, 4);
+
+  const restored = await request('POST', cellPath, { transforms: [] });
+  assert.equal(restored.body.referenceScreenshot.path, uploadPath);
+  assert.deepEqual(await fs.readFile(referencePath), makeImage(8, 0));
+  assert.equal(await fs.pathExists(normalized.body.referenceScreenshot.path), false);
+});
+
+test('deletes projects but never the default one', async () => {
+  const created = await request('POST', '/api/projects', { name: 'Docs' });
+  assert.equal(created.status, 201);
+  assert.ok(await fs.pathExists(path.join(rootDir, 'projects', 'docs')));
+
+  assert.equal((await request('DELETE', '/api/projects/docs')).status, 200);
+  assert.equal(await fs.pathExists(path.join(rootDir, 'projects', 'docs')), false);
+  assert.equal((await request('GET', '/api/projects/docs/config')).status, 404);
+  assert.equal((await request('DELETE', '/api/projects/docs')).status, 404);
+
+  const deleteDefault = await request('DELETE', '/api/projects/default');
+  assert.equal(deleteDefault.status, 409);
+  assert.match(deleteDefault.body.error, /cannot be deleted/);
+});
+
+test('serves the pages of archived runs sandboxed, except their report', async () => {
+  const runDir = path.join(configDir, 'history', 'run-1');
+  await fs.outputFile(path.join(runDir, 'html_report', 'index.html'), '<h1>Report</h1>');
+  await fs.outputFile(path.join(runDir, 'html_report', 'extra', 'html_report', 'index.html'), '<h1>Page</h1>');
+  await fs.outputFile(path.join(runDir, 'bitmaps_test', 'logo.svg'), '<svg xmlns="http://www.w3.org/2000/svg"/>');
+
+  const csp = async (urlPath) => (await fetch(`${baseUrl}${urlPath}`)).headers.get('content-security-policy');
+  assert.equal(await csp('/history/run-1/html_report/index.html'), null);
+  assert.equal(await csp('/projects/default/history/run-1/html_report/extra/html_report/index.html'), 'sandbox');
+  assert.equal(await csp('/history/run-1/bitmaps_test/logo.svg'), 'sandbox');
+});
+
+test('serves the report and bitmap folders of backstop_data but not the config', async () => {
+  await fs.outputFile(path.join(configDir, 'bitmaps_test', 'run', 'home.png'), makeImage(2, 0));
+  await fs.outputFile(path.join(configDir, 'bitmaps_reference', 'home.png'), makeImage(2, 0));
+  await fs.outputFile(path.join(configDir, 'engine_scripts', 'cookies.json'), '[]');
+
+  const status = async (urlPath) => (await fetch(`${baseUrl}${urlPath}`)).status;
+  assert.equal(await status('/backstop_data/bitmaps_test/run/home.png'), 200);
+  assert.equal(await status('/projects/default/backstop_data/bitmaps_reference/home.png'), 200);
+  assert.equal(await status('/backstop_data/backstop.json'), 404);
+  assert.equal(await status('/backstop_data/engine_scripts/cookies.json'), 404);
+  assert.equal(await status('/backstop_data/scenario_screenshots.json'), 404);
+});
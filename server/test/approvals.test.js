@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { ApprovalLog, getPairKey } = require('../lib/approvals');
+const { withTempDir } = require('./helpers');
+
+const pair = (test) => ({ label: 'Footer', selector: '.footer', viewportLabel: 'phone', test, diff: { misMatchPercentage: '4.20' } });
+
+const withLog = (run) => withTempDir(dir => run(new ApprovalLog({ file: path.join(dir, 'approvals.json') })));
+
+test('identifies pairs by scenario, selector and viewport', () => {
+  assert.equal(getPairKey(pair('a.png')), 'Footer|.footer|phone');
+  assert.equal(getPairKey({ label: 'Home', viewportLabel: 'desktop' }), 'Home||desktop');
+});
+
+test('logs decisions newest first and rejects unknown actions', () => withLog(async (log) => {
+  await log.record({ action: 'reject', pair: pair('a.png'), user: 'ana' });
+  const entry = await log.record({ action: 'approve', pair: pair('a.png'), user: 'ben', note: 'Intended' });
+
+  assert.deepEqual([entry.pairKey, entry.misMatchPercentage, entry.note], ['Footer|.footer|phone', '4.20', 'Intended']);
+  assert.deepEqual((await log.list()).map(logged => logged.action), ['approve', 'reject']);
+  await assert.rejects(log.record({ action: 'ignore', pair: pair('a.png'), user: 'ana' }), /Unknown action/);
+}));
+
+test('applies decisions only to the test bitmap they were made for', () => withLog(async (log) => {
+  await log.record({ action: 'approve', pair: pair('run-1.png'), user: 'ana' });
+
+  const annotated = await log.annotateReport({ tests: [{ pair: pair('run-1.png') }, { pair: pair('run-2.png') }] });
+  assert.equal(annotated.tests[0].decision.user, 'ana');
+  assert.equal(annotated.tests[1].decision, undefined);
+}));
@@ -0,0 +1,219 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const fs = require('fs-extra');
+const engineTools = require('backstopjs/core/util/engineTools');
+const { getCapturedSelectors, getReferenceFilenames, findReferenceFiles } = require('../lib/backstopFilenames');
+
+const DATA_DIR = path.join(__dirname, '..', 'backstop_data');
+
+const viewports = [
+  { label: 'phone', width: 320, height: 480 },
+  { label: 'desktop-sm', width: 1024, height: 768 },
+  { label: 'desktop', width: 1920, height: 1080 }
+];
+
+const makeConfig = (scenarios, extra = {}) => ({ id: 'backstop_default', viewports, scenarios, ...extra });
+
+const filenamesOf = (config, options) => getReferenceFilenames(config, options).map(entry => entry.filename);
+
+// The reference name BackstopJS itself derives for a capture, set up the way
+// core/util/runPuppet.js sets up its config before calling generateTestPair
+function backstopReferenceName(config, configPath, scenarioIndex, viewportIndex, selectorIndex, selector) {
+  const scenario = { ...config.scenarios[scenarioIndex], sIndex: scenarioIndex };
+  const scenarioViewports = scenario.viewports && scenario.viewports.length > 0 ? scenario.viewports : config.viewports;
+  const engineConfig = {
+    ...config,
+    _fileNameTemplate: config.fileNameTemplate || '{configId}_{scenarioLabel}_{selectorIndex}_{selectorLabel}_{viewportIndex}_{viewportLabel}',
+    _outputFileFormatSuffix: '.' + ((config.outputFormat && config.outputFormat.match(/jpg|jpeg/)) || 'png'),
+    _configId: config.id || engineTools.genHash(configPath),
+    _bitmapsTestPath: 'bitmaps_test',
+    _bitmapsReferencePath: 'bitmaps_reference',
+    screenshotDateTime: '20250101-000000'
+  };
+  const labelSafe = engineTools.makeSafe(scenario.label);
+  const pair = engineTools.generateTestPair(
+    engineConfig,
+    scenario,
+    { ...scenarioViewports[viewportIndex], vIndex: viewportIndex },
+    labelSafe,
+    labelSafe,
+    selectorIndex,
+    selector
+  );
+  return path.basename(pair.reference);
+}
+
+test('matches the reference bitmaps BackstopJS wrote for the Footer scenario', async () => {
+  const config = await fs.readJson(path.join(DATA_DIR, 'backstop.json'));
+  const written = (await fs.readdir(path.join(DATA_DIR, 'bitmaps_reference'))).filter(file => file.startsWith(`${config.id}_Footer_`));
+
+  assert.deepEqual(filenamesOf(config, { scenario: 'Footer' }).sort(), written.sort());
+  assert.deepEqual(filenamesOf(config, { scenario: 'Footer', viewport: 'desktop-sm' }), [
+    'backstop_default_Footer_0_footer-subscription_1_desktop-sm.png'
+  ]);
+});
+
+test('matches the file names in a BackstopJS test report', async () => {
+  const report = await fs.readJson(path.join(DATA_DIR, 'backstop_data', 'bitmaps_test', '20250724-200027', 'report.json'));
+  const config = makeConfig([{ label: 'Footer', url: 'http://localhost:3000/customer/login', selectors: ['.footer-subscription'] }]);
+
+  for (const { pair } of report.tests) {
+    assert.deepEqual(filenamesOf(config, { scenario: pair.label, viewport: pair.viewportLabel }), [pair.fileName]);
+  }
+});
+
+test('names full page captures after the document selector', () => {
+  // The scenario `backstop init` creates
+  const config = makeConfig([{ label: 'BackstopJS Homepage', url: 'https://garris.github.io/BackstopJS/' }], {
+    viewports: [{ label: 'phone', width: 320, height: 480 }, { label: 'tablet', width: 1024, height: 768 }]
+  });
+
+  assert.deepEqual(filenamesOf(config, { scenario: 'BackstopJS Homepage' }), [
+    'backstop_default_BackstopJS_Homepage_0_document_0_phone.png',
+    'backstop_default_BackstopJS_Homepage_0_document_1_tablet.png'
+  ]);
+});
+
+test('keeps the case of labels and drops the characters BackstopJS strips', () => {
+  const config = makeConfig([{
+    label: 'Checkout / Step #2 (Payment) – Ünïcode',
+    url: 'http://localhost:3000/checkout',
+    selectors: ['#Payment-Form > .Card[data-state="open"]', 'Nav ul li:first-child']
+  }], { viewports: [{ label: 'Big Screen/HD', width: 1920, height: 1080 }] });
+
+  const filenames = filenamesOf(config, { scenario: 'Checkout / Step #2 (Payment) – Ünïcode' });
+  assert.deepEqual(filenames, [
+    'backstop_default_Checkout___Step_2_Payment__ncode_0_Payment-FormCarddata-stateopen_0_Big_Screen_HD.png',
+    'backstop_default_Checkout___Step_2_Payment__ncode_1_Navullifirst-child_0_Big_Screen_HD.png'
+  ]);
+  filenames.forEach((filename, selectorIndex) => {
+    assert.equal(filename, backstopReferenceName(config, undefined, 0, 0, selectorIndex, config.scenarios[0].selectors[selectorIndex]));
+  });
+});
+
+test('names a file for every selector index and viewport', () => {
+  const config = makeConfig([
+    { label: 'Home', url: 'http://localhost:3000/' },
+    { label: 'Header', url: 'http://localhost:3000/', selectors: ['header', '.logo', 'nav'] }
+  ]);
+
+  const entries = getReferenceFilenames(config, { scenario: 'Header' });
+  assert.equal(entries.length, 9);
+  for (const entry of entries) {
+    const selector = config.scenarios[1].selectors[entry.selectorIndex];
+    assert.equal(entry.selector, selector);
+    assert.equal(entry.viewport, viewports[entry.viewportIndex].label);
+    assert.equal(entry.filename, backstopReferenceName(config, undefined, 1, entry.viewportIndex, entry.selectorIndex, selector));
+  }
+  assert.deepEqual(filenamesOf(config, { scenario: 'Header', viewport: 'desktop' }), [
+    'backstop_default_Header_0_header_2_desktop.png',
+    'backstop_default_Header_1_logo_2_desktop.png',
+    'backstop_default_Header_2_nav_2_desktop.png'
+  ]);
+});
+
+test('splits selectors that contain commas like BackstopJS does', () => {
+  const config = makeConfig([{ label: 'Headings', url: 'http://localhost:3000/', selectors: ['h1, h2', '.intro'] }]);
+
+  assert.deepEqual(getCapturedSelectors(config.scenarios[0]), ['h1', ' h2', '.intro']);
+  assert.deepEqual(filenamesOf(config, { scenario: 'Headings', viewport: 'phone' }), [
+    'backstop_default_Headings_0_h1_0_phone.png',
+    'backstop_default_Headings_1_h2_0_phone.png',
+    'backstop_default_Headings_2_intro_0_phone.png'
+  ]);
+});
+
+test('uses the scenario viewports and their indexes when a scenario has its own', () => {
+  const config = makeConfig([{
+    label: 'Banner',
+    url: 'http://localhost:3000/',
+    selectors: ['.banner'],
+    viewports: [{ label: 'tablet', width: 768, height: 1024 }, { label: 'desktop', width: 1920, height: 1080 }]
+  }]);
+
+  assert.deepEqual(filenamesOf(config, { scenario: 'Banner', viewport: 'desktop' }), ['backstop_default_Banner_0_banner_1_desktop.png']);
+  assert.throws(() => getReferenceFilenames(config, { scenario: 'Banner', viewport: 'phone' }), /Viewport "phone" not found/);
+});
+
+test('falls back to the hash of the config path without a config id', () => {
+  const config = { viewports, scenarios: [{ label: 'Home', url: 'http://localhost:3000/' }] };
+  const configPath = '/srv/pixelpilot/backstop_data/backstop.json';
+  const configId = engineTools.genHash(configPath);
+
+  assert.deepEqual(filenamesOf(config, { scenario: 'Home', viewport: 'phone', configPath }), [`${configId}_Home_0_document_0_phone.png`]);
+  assert.equal(filenamesOf(config, { scenario: 'Home', viewport: 'phone', configPath })[0], backstopReferenceName(config, configPath, 0, 0, 0, 'document'));
+});
+
+test('follows fileNameTemplate and outputFormat', () => {
+  const config = makeConfig([
+    { label: 'Home', url: 'http://localhost:3000/' },
+    { label: 'Pricing Table', url: 'http://localhost:3000/pricing', selectors: ['.plans'] }
+  ], { fileNameTemplate: '{scenarioIndex}_{scenarioLabel}_{viewportLabel}_{selectorLabel}', outputFormat: 'jpg' });
+
+  assert.deepEqual(filenamesOf(config, { scenario: 'Pricing Table', viewport: 'desktop-sm' }), ['1_Pricing_Table_desktop-sm_plans.jpg']);
+  assert.equal(filenamesOf(config, { scenario: 'Pricing Table', viewport: 'desktop-sm' })[0], backstopReferenceName(config, undefined, 1, 1, 0, '.plans'));
+});
+
+test('names one file per matching element with selectorExpansion', () => {
+  const config = makeConfig([{
+    label: 'Cards',
+    url: 'http://localhost:3000/',
+    selectors: ['.card', 'document', 'footer'],
+    selectorExpansion: true
+  }]);
+
+  assert.deepEqual(filenamesOf(config, { scenario: 'Cards', viewport: 'phone', matchCounts: { '.card': 3, document: 2 } }), [
+    'backstop_default_Cards_0_card_0_phone.png',
+    'backstop_default_Cards_1_card__n1_0_phone.png',
+    'backstop_default_Cards_2_card__n2_0_phone.png',
+    'backstop_default_Cards_3_document_0_phone.png',
+    'backstop_default_Cards_4_footer_0_phone.png'
+  ]);
+  // Without match counts every selector is taken to match one element
+  assert.deepEqual(filenamesOf(config, { scenario: 'Cards', viewport: 'phone' }), [
+    'backstop_default_Cards_0_card_0_phone.png',
+    'backstop_default_Cards_1_document_0_phone.png',
+    'backstop_default_Cards_2_footer_0_phone.png'
+  ]);
+  // BackstopJS compares the string form, so "true" expands too
+  assert.equal(getCapturedSelectors({ selectors: ['.card'], selectorExpansion: 'true' }, { '.card': 2 }).length, 2);
+  assert.equal(getCapturedSelectors({ selectors: ['.card'], selectorExpansion: false }, { '.card': 2 }).length, 1);
+});
+
+test('finds the reference files of a scenario and viewport in a folder listing', () => {
+  const config = makeConfig([
+    { label: 'Footer', url: 'http://localhost:3000/', selectors: ['.footer-subscription'] },
+    { label: 'Footer Links', url: 'http://localhost:3000/', selectors: ['.footer-links'] },
+    { label: 'Cards', url: 'http://localhost:3000/', selectors: ['.card', 'footer'], selectorExpansion: true }
+  ]);
+  const files = [
+    'backstop_default_Footer_0_footer-subscription_0_phone.png',
+    'backstop_default_Footer_0_footer-subscription_2_desktop.png',
+    'backstop_default_Footer_Links_0_footer-links_0_phone.png',
+    'backstop_default_Cards_0_card_0_phone.png',
+    'backstop_default_Cards_1_card__n1_0_phone.png',
+    'backstop_default_Cards_2_footer_0_phone.png',
+    'backstop_default_Cards_0_card_1_desktop-sm.png'
+  ];
+
+  assert.deepEqual(findReferenceFiles(config, files, { scenario: 'Footer', viewport: 'phone' }), [
+    'backstop_default_Footer_0_footer-subscription_0_phone.png'
+  ]);
+  assert.deepEqual(findReferenceFiles(config, files, { scenario: 'Footer' }), [
+    'backstop_default_Footer_0_footer-subscription_0_phone.png',
+    'backstop_default_Footer_0_footer-subscription_2_desktop.png'
+  ]);
+  assert.deepEqual(findReferenceFiles(config, files, { scenario: 'Cards', viewport: 'phone' }), [
+    'backstop_default_Cards_0_card_0_phone.png',
+    'backstop_default_Cards_1_card__n1_0_phone.png',
+    'backstop_default_Cards_2_footer_0_phone.png'
+  ]);
+});
+
+test('rejects scenarios and viewports the config does not have', () => {
+  const config = makeConfig([{ label: 'Home', url: 'http://localhost:3000/' }]);
+
+  assert.throws(() => getReferenceFilenames(config, { scenario: 'Missing' }), /Scenario "Missing" not found/);
+  assert.throws(() => getReferenceFilenames(config, { scenario: 'Home', viewport: 'watch' }), /Viewport "watch" not found/);
+});
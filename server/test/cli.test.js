@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { parseCommandLine, followJob, main, EXIT_OK, EXIT_DIFFERENCES, EXIT_ERROR } = require('../bin/pixelpilot');
+
+const sse = (type, data) => `event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+
+// A PixelPilot API that starts job "job-1" and streams `chunks` as its events.
+// Resolves to what `run(baseUrl, requests)` resolves to.
+async function withServer(chunks, run) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push(`${req.method} ${req.url}`);
+    if (req.url.endsWith('/jobs/job-1/events')) {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      for (const chunk of chunks) res.write(chunk);
+      return res.end();
+    }
+    if (req.method === 'POST') {
+      return res.writeHead(202, { 'Content-Type': 'application/json' }).end(JSON.stringify({ jobId: 'job-1', message: 'Queued' }));
+    }
+    res.writeHead(404, { 'Content-Type': 'application/json' }).end(JSON.stringify({ error: 'Not found' }));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  try {
+    return await run(`http://127.0.0.1:${server.address().port}`, requests);
+  } finally {
+    server.close();
+  }
+}
+
+test('parses repeatable filters and rejects unknown options', () => {
+  const { command, options } = parseCommandLine(['test', '--scenario', 'Home', '--scenario', 'Footer', '--fail-if-busy']);
+  assert.deepEqual([command, { ...options }], ['test', { scenario: ['Home', 'Footer'], 'fail-if-busy': true }]);
+  assert.throws(() => parseCommandLine(['test', '--scenarios', 'Home']), /Unknown option/);
+});
+
+test('exits with an error for usage mistakes', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+  assert.equal(await main(['--help']), EXIT_OK);
+  assert.equal(await main([]), EXIT_ERROR);
+  assert.equal(await main(['deploy']), EXIT_ERROR);
+  assert.equal(await main(['test', '--retries', '2']), EXIT_ERROR);
+  assert.match(console.error.mock.calls[0].arguments[0], /Unknown command "deploy"/);
+});
+
+test('follows a job stream split across chunks until it is done', async () => {
+  const progress = sse('progress', { progress: { compared: 1 }, event: { phase: 'compare', status: 'passed' } });
+  const chunks = [
+    sse('snapshot', { id: 'job-1', status: 'queued' }),
+    ': heartbeat\n\n',
+    progress.slice(0, 20),
+    progress.slice(20),
+    sse('done', { id: 'job-1', status: 'completed' })
+  ];
+
+  await withServer(chunks, async (baseUrl) => {
+    const events = [];
+    const job = await followJob({ apiBase: `${baseUrl}/api` }, 'job-1', (type, data) => events.push([type, data]));
+    assert.deepEqual(job, { id: 'job-1', status: 'completed' });
+    assert.deepEqual(events.map(([type]) => type), ['snapshot', 'progress']);
+    assert.equal(events[1][1].event.status, 'passed');
+  });
+
+  await withServer([sse('snapshot', { id: 'job-1' })], async (baseUrl) => {
+    await assert.rejects(followJob({ apiBase: `${baseUrl}/api` }, 'job-1', () => {}), /ended before the job finished/);
+  });
+  await withServer([], async (baseUrl) => {
+    await assert.rejects(followJob({ apiBase: `${baseUrl}/api` }, 'job-2', () => {}), /status 404/);
+  });
+});
+
+test('exits with 0 for passing tests, 1 for differences and 2 for failed jobs', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+  const progress = { passed: 1, failed: 0 };
+  const finish = (job) => [sse('done', { id: 'job-1', progress, ...job })];
+
+  await withServer(finish({ status: 'completed', result: { success: true } }), async (baseUrl, requests) => {
+    assert.equal(await main(['test', '--server', baseUrl, '--project', 'docs']), EXIT_OK);
+    assert.deepEqual(requests, ['POST /api/projects/docs/test', 'GET /api/projects/docs/jobs/job-1/events']);
+  });
+  await withServer(finish({ status: 'completed', result: { success: false } }), async (baseUrl) => {
+    assert.equal(await main(['test', '--server', baseUrl]), EXIT_DIFFERENCES);
+  });
+  await withServer(finish({ status: 'failed', result: { success: false }, error: 'Chrome crashed' }), async (baseUrl) => {
+    assert.equal(await main(['reference', '--server', baseUrl]), EXIT_ERROR);
+  });
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { ComparisonStore } = require('../lib/comparisons');
+
+const config = {
+  environments: [
+    { name: 'local', variables: { baseUrl: 'http://localhost:3000' } },
+    { name: 'staging', variables: { baseUrl: 'https://staging.example.com' } }
+  ],
+  scenarios: [
+    { label: 'Home', url: '{{baseUrl}}/' },
+    { label: 'Docs', url: 'https://docs.example.com' }
+  ],
+  paths: { bitmaps_reference: 'backstop_data/bitmaps_reference', engine_scripts: 'backstop_data/engine_scripts' }
+};
+
+const rootDir = path.join(path.sep, 'projects', 'demo');
+const store = new ComparisonStore({ dir: path.join(rootDir, 'backstop_data', 'comparisons'), rootDir, urlBase: '/projects/demo' });
+
+test('captures references from one environment and tests from another', () => {
+  const comparison = store.prepare(config, { reference: 'staging', test: 'local' });
+
+  assert.deepEqual([comparison.reference.name, comparison.test.name], ['staging', 'local']);
+  // Scenarios with the same URL in both environments are left out
+  assert.deepEqual(comparison.config.scenarios, [
+    { label: 'Home', url: 'http://localhost:3000/', referenceUrl: 'https://staging.example.com/' }
+  ]);
+  assert.equal(comparison.config.paths.bitmaps_reference, path.join('backstop_data', 'comparisons', comparison.id, 'bitmaps_reference'));
+  assert.equal(comparison.config.paths.engine_scripts, 'backstop_data/engine_scripts');
+  assert.equal(store.getReportUrl(comparison.id), `/projects/demo/comparisons/${comparison.id}/html_report/index.html`);
+});
+
+test('compares against scenario reference URLs without environments', () => {
+  const comparison = store.prepare({
+    scenarios: [{ label: 'Home', url: 'https://example.com', referenceUrl: 'https://prod.example.com' }, { label: 'Docs', url: 'https://docs.example.com' }],
+    paths: {}
+  }, {});
+  assert.deepEqual(comparison.config.scenarios.map(scenario => scenario.label), ['Home']);
+  assert.equal(comparison.reference, null);
+});
+
+test('rejects comparisons without two different sides', () => {
+  assert.throws(() => store.prepare(config, { reference: 'local' }), /Both a reference and a test environment are required/);
+  assert.throws(() => store.prepare(config, { reference: 'local', test: 'local' }), /two different environments/);
+  assert.throws(() => store.prepare({ ...config, scenarios: [config.scenarios[1]] }, { reference: 'local', test: 'staging' }), /No scenario URL differs/);
+  assert.throws(() => store.prepare({ scenarios: [config.scenarios[1]], paths: {} }, {}), /No scenario has a referenceUrl/);
+});
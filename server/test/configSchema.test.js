@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const path = require('path');
+const { validateConfig } = require('../lib/configSchema');
+
+const validConfig = () => ({
+  viewports: [{ label: 'phone', width: 375, height: 667 }],
+  scenarios: [{ label: 'Home', url: 'https://example.com', selectors: ['document'], customSetting: true }],
+  paths: {
+    bitmaps_reference: 'backstop_data/bitmaps_reference',
+    bitmaps_test: 'backstop_data/bitmaps_test',
+    engine_scripts: 'backstop_data/engine_scripts',
+    html_report: 'backstop_data/html_report'
+  }
+});
+
+test('accepts the bundled config and unknown BackstopJS settings', async () => {
+  assert.deepEqual(validateConfig(validConfig()), []);
+  assert.deepEqual(validateConfig(await fs.readJson(path.join(__dirname, '..', 'backstop_data', 'backstop.json'))), []);
+});
+
+test('reports every field-level problem with its path', () => {
+  const config = validConfig();
+  delete config.paths.html_report;
+  config.viewports.push({ label: 'tablet', width: 0, height: '1024' });
+  config.scenarios.push({ label: '', url: 'https://example.com', misMatchThreshold: 120, tags: 'smoke' });
+  config.engine = 'selenium';
+  config.retries = 1.5;
+
+  assert.deepEqual(validateConfig(config), [
+    { path: 'viewports.1.width', message: 'must be at least 1' },
+    { path: 'viewports.1.height', message: 'must be a whole number' },
+    { path: 'scenarios.1.label', message: 'must not be empty' },
+    { path: 'scenarios.1.misMatchThreshold', message: 'must be at most 100' },
+    { path: 'scenarios.1.tags', message: 'must be an array' },
+    { path: 'paths.html_report', message: 'is required' },
+    { path: 'engine', message: 'must be one of: puppeteer, playwright' },
+    { path: 'retries', message: 'must be a whole number' }
+  ]);
+  assert.deepEqual(validateConfig([]), [{ path: '', message: 'must be an object' }]);
+});
+
+test('catches labels that give the same file names and unknown default environments', () => {
+  const config = validConfig();
+  config.scenarios.push({ label: 'Home', url: 'https://example.com' }, { label: 'Ho/me', url: 'https://example.com' });
+  config.viewports.push({ label: 'phone!', width: 1, height: 1 });
+  config.environments = [{ name: 'local' }, { name: 'local' }];
+  config.defaultEnvironment = 'prod';
+
+  assert.deepEqual(validateConfig(config), [
+    { path: 'scenarios.1.label', message: '"Home" is already used by another scenario' },
+    { path: 'viewports.1.label', message: '"phone!" gives the same file names as the viewport "phone"' },
+    { path: 'environments.1.name', message: '"local" is already used by another environment' },
+    { path: 'defaultEnvironment', message: '"prod" is not one of the environments' }
+  ]);
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveEnvironment, applyEnvironment, fillTemplate } = require('../lib/environments');
+
+const config = {
+  environments: [
+    { name: 'local', variables: { baseUrl: 'http://localhost:3000' } },
+    { name: 'staging', variables: { baseUrl: 'https://staging.example.com', token: 'abc' } }
+  ],
+  defaultEnvironment: 'staging',
+  scenarios: [
+    { label: 'Home', url: '{{baseUrl}}/', referenceUrl: '{{ baseUrl }}/?ref', customScript: 'login({{token}}, {{user}})', delay: 100 },
+    { label: 'Static', url: 'https://example.com' }
+  ]
+};
+
+test('picks the named, default or first environment', () => {
+  assert.equal(resolveEnvironment(config, 'local').name, 'local');
+  assert.equal(resolveEnvironment(config).name, 'staging');
+  assert.equal(resolveEnvironment({ environments: config.environments }).name, 'local');
+  assert.equal(resolveEnvironment({}), null);
+
+  assert.throws(() => resolveEnvironment(config, 'prod'), /Unknown environment "prod", expected one of: local, staging/);
+  assert.throws(() => resolveEnvironment({}, 'prod'), /no environments are configured/);
+});
+
+test('rewrites scenario URLs and scripts from the environment', () => {
+  const resolved = applyEnvironment(config, resolveEnvironment(config));
+  assert.deepEqual(resolved.scenarios[0], {
+    label: 'Home',
+    url: 'https://staging.example.com/',
+    referenceUrl: 'https://staging.example.com/?ref',
+    // Scripts may keep variables the profile does not define
+    customScript: 'login(abc, {{user}})',
+    delay: 100
+  });
+  assert.equal(resolved.scenarios[1].url, 'https://example.com');
+  assert.equal(config.scenarios[0].url, '{{baseUrl}}/');
+  assert.equal(applyEnvironment(config, null), config);
+});
+
+test('rejects URLs with variables the environment does not define', () => {
+  const environment = { name: 'local', variables: {} };
+  assert.throws(() => applyEnvironment(config, environment), /Scenario "Home" url uses \{\{baseUrl\}\}, which environment "local" does not define/);
+  assert.equal(fillTemplate('{{a}}-{{b}}', { a: 1 }), '1-{{b}}');
+});
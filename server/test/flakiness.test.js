@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  getRetryCount,
+  getQuarantinedLabels,
+  mergeRetryResults,
+  applyQuarantine,
+  summarizeOutcome,
+  buildFlakiness
+} = require('../lib/flakiness');
+
+const pair = (label, status, extra = {}) => ({ status, pair: { label, viewportLabel: 'phone' }, ...extra });
+
+const runOf = (id, tests) => ({ run: { id, finishedAt: `2026-01-0${id}T00:00:00.000Z` }, report: { tests } });
+
+test('reads retries and quarantined scenarios from the config', () => {
+  assert.equal(getRetryCount({ retries: '2' }), 2);
+  assert.equal(getRetryCount({ retries: -1 }), 0);
+  assert.equal(getRetryCount(null), 0);
+  assert.deepEqual(getQuarantinedLabels({ scenarios: [{ label: 'Home' }, { label: 'Ads', quarantined: true }] }), ['Ads']);
+});
+
+test('merges retried failures and keeps quarantined failures from failing the run', () => {
+  const report = { tests: [pair('Home', 'pass'), pair('Footer', 'fail'), pair('Ads', 'fail'), pair('Header', 'fail')] };
+  const retried = mergeRetryResults(report, { tests: [pair('Footer', 'pass'), pair('Ads', 'fail'), pair('Home', 'fail')] });
+  assert.deepEqual(retried.tests.map(entry => [entry.pair.label, entry.status, entry.attempts]), [
+    ['Home', 'pass', undefined],
+    ['Footer', 'pass', 2],
+    ['Ads', 'fail', 2],
+    ['Header', 'fail', undefined]
+  ]);
+
+  assert.deepEqual(summarizeOutcome(applyQuarantine(retried, ['Ads'])), {
+    failed: 1,
+    quarantined: 1,
+    quarantinedScenarios: ['Ads'],
+    recovered: 1
+  });
+});
+
+test('counts status flips against an unchanged reference as flakiness', () => {
+  const flakiness = buildFlakiness([
+    runOf(1, [pair('Footer', 'pass', { referenceHash: 'a' }), pair('Header', 'pass', { referenceHash: 'a' })]),
+    runOf(2, [pair('Footer', 'fail', { referenceHash: 'a' }), pair('Header', 'fail', { referenceHash: 'b' })]),
+    runOf(3, [pair('Footer', 'pass', { referenceHash: 'a', attempts: 2 }), pair('Header', 'fail', { referenceHash: 'b' })])
+  ]);
+
+  const [footer, header] = flakiness;
+  // Two flips and a pass on retry out of three results
+  assert.deepEqual([footer.label, footer.flips, footer.recovered, footer.flakiness, footer.flaky], ['Footer', 2, 1, 100, true]);
+  assert.equal(footer.lastFlipAt, '2026-01-03T00:00:00.000Z');
+  assert.deepEqual(footer.flakyPairs, ['Footer||phone']);
+
+  // A failure after the reference changed is not a flip
+  assert.deepEqual([header.label, header.flips, header.flakiness, header.flaky, header.runs], ['Header', 0, 0, false, 3]);
+});
@@ -0,0 +1,15 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+// Run `run(dir)` with a new temporary directory that is removed afterwards
+async function withTempDir(run) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'pixelpilot-test-'));
+  try {
+    return await run(dir);
+  } finally {
+    await fs.remove(dir);
+  }
+}
+
+module.exports = { withTempDir };
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PNG } = require('pngjs');
+const { readPngSize, validateTransforms, normalizeImage, suggestNormalizations } = require('../lib/imageNormalization');
+
+// A PNG whose left half is red and right half blue
+function makeImage(width, height) {
+  const image = new PNG({ width, height });
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const offset = (y * width + x) * 4;
+      image.data[offset] = x < width / 2 ? 255 : 0;
+      image.data[offset + 1] = 0;
+      image.data[offset + 2] = x < width / 2 ? 0 : 255;
+      image.data[offset + 3] = 255;
+    }
+  }
+  return PNG.sync.write(image);
+}
+
+const pixelAt = (buffer, x, y) => {
+  const image = PNG.sync.read(buffer);
+  const offset = (y * image.width + x) * 4;
+  return [...image.data.subarray(offset, offset + 4)];
+};
+
+test('reads the size from a PNG header only', () => {
+  assert.deepEqual(readPngSize(makeImage(750, 40)), { width: 750, height: 40 });
+  assert.equal(readPngSize(Buffer.from([0xff, 0xd8, 0xff, 0xe0])), null);
+});
+
+test('scales down retina exports by their device pixel ratio', () => {
+  const result = normalizeImage(makeImage(750, 100), [{ type: 'devicePixelRatio', ratio: 2 }]);
+  assert.deepEqual([result.width, result.height], [375, 50]);
+  assert.deepEqual(pixelAt(result.buffer, 10, 10), [255, 0, 0, 255]);
+  assert.deepEqual(pixelAt(result.buffer, 370, 10), [0, 0, 255, 255]);
+});
+
+test('crops and pads in order, padding with the given color', () => {
+  const result = normalizeImage(makeImage(100, 100), [
+    { type: 'crop', x: 50, y: 0, width: 50, height: 60 },
+    { type: 'pad', width: 50, height: 80, color: '#00ff00' }
+  ]);
+  assert.deepEqual([result.width, result.height], [50, 80]);
+  assert.deepEqual(pixelAt(result.buffer, 0, 0), [0, 0, 255, 255]);
+  assert.deepEqual(pixelAt(result.buffer, 0, 70), [0, 255, 0, 255]);
+
+  assert.throws(() => normalizeImage(makeImage(10, 10), [{ type: 'crop', x: 5, y: 0, width: 10, height: 10 }]), /outside the 10×10 image/);
+});
+
+test('rejects malformed transforms and images other than PNG', () => {
+  assert.throws(() => validateTransforms({}), /must be an array/);
+  assert.throws(() => validateTransforms([{ type: 'rotate' }]), /type must be one of/);
+  assert.throws(() => validateTransforms([{ type: 'scale', width: 0, height: 10 }]), /whole numbers from 1/);
+  assert.throws(() => validateTransforms([{ type: 'pad', width: 10, height: 10, color: 'white' }]), /Invalid pad color/);
+  assert.throws(() => normalizeImage(Buffer.from('GIF89a'), []), /Only PNG/);
+});
+
+test('refuses canvases beyond the pixel limit or far beyond the expected size', () => {
+  assert.throws(() => validateTransforms([{ type: 'pad', width: 20000, height: 20000 }]), /larger than 25 megapixels/);
+
+  const expected = { width: 375, height: 254 };
+  assert.throws(() => validateTransforms([{ type: 'scale', width: 1500, height: 100 }], expected), /far larger than the expected 375×254/);
+  assert.throws(() => validateTransforms([{ type: 'pad', width: 375, height: 600 }], expected), /far larger/);
+  // Scaling a tall mockup to the width is fine, cropping it comes next
+  assert.doesNotThrow(() => validateTransforms([{ type: 'scale', width: 375, height: 3000 }], expected));
+  assert.throws(() => validateTransforms([{ type: 'scale', width: 800, height: 100 }], { width: 375, height: null }), /expected 375 pixels wide/);
+
+  // The header of an image too large to decode
+  const huge = makeImage(1, 1);
+  huge.writeUInt32BE(10000, 16);
+  huge.writeUInt32BE(10000, 20);
+  assert.throws(() => normalizeImage(huge, []), /10000×10000 image is larger than 25 megapixels/);
+});
+
+test('suggests device pixel ratio, scaling, cropping and padding', () => {
+  assert.deepEqual(suggestNormalizations({ width: 375, height: 254 }, { width: 375, height: 254 }), { matches: true, options: [] });
+  assert.equal(suggestNormalizations({ width: 375, height: 900 }, { width: 375, height: null }).matches, true);
+
+  const retina = suggestNormalizations({ width: 750, height: 600 }, { width: 375, height: 254 });
+  assert.deepEqual(retina.options.map(option => [option.id, option.result]), [
+    ['dpr-2', { width: 375, height: 254 }],
+    ['scale', { width: 375, height: 254 }],
+    ['crop', { width: 375, height: 254 }]
+  ]);
+  assert.deepEqual(retina.options[0].transforms, [
+    { type: 'devicePixelRatio', ratio: 2 },
+    { type: 'crop', x: 0, y: 0, width: 375, height: 254 }
+  ]);
+
+  // The Footer mockup in uploads/ against the desktop capture of .footer-subscription
+  const mockup = suggestNormalizations({ width: 375, height: 522 }, { width: 1440, height: 254 });
+  assert.deepEqual(mockup.options.map(option => option.id), ['scale', 'crop', 'pad']);
+  assert.deepEqual(mockup.options[1].transforms, [
+    { type: 'crop', x: 0, y: 0, width: 375, height: 254 },
+    { type: 'pad', width: 1440, height: 254, color: '#ffffff' }
+  ]);
+});
@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { RunLock } = require('../lib/runLock');
+const { JobManager, MAX_JOB_EVENTS, filterScenarios, estimateTotals } = require('../lib/jobManager');
+
+const config = {
+  viewports: [{ label: 'phone' }, { label: 'desktop' }],
+  scenarios: [
+    { label: 'Home', selectors: ['header', 'footer'] },
+    { label: 'Footer', viewports: [{ label: 'phone' }] },
+    { label: 'About' }
+  ]
+};
+
+test('filters scenarios like BackstopJS and estimates the work of a run', () => {
+  assert.deepEqual(filterScenarios(config.scenarios, '^Home$,Foot').map(scenario => scenario.label), ['Home', 'Footer']);
+  assert.equal(filterScenarios(config.scenarios, '').length, 3);
+
+  assert.deepEqual(estimateTotals(config, 'test'), { captures: 5, comparisons: 7 });
+  assert.deepEqual(estimateTotals(config, 'reference', 'Home', ['desktop']), { captures: 1, comparisons: 0 });
+  assert.deepEqual(estimateTotals(config, 'approve'), { captures: 0, comparisons: 0 });
+  assert.deepEqual(estimateTotals(config, 'compare', 'About'), { captures: 4, comparisons: 2 });
+});
+
+test('queues jobs behind the run lock and cancels them before they start', async () => {
+  const lock = new RunLock();
+  const jobs = new JobManager({ cwd: __dirname, lock });
+  const held = lock.tryAcquire({ operation: 'sync-reference', owner: 'ana' });
+
+  const completions = [];
+  const job = jobs.start({ command: 'test', config, configPath: 'backstop.json', owner: 'ben', onComplete: details => completions.push(details) });
+  assert.deepEqual([job.status, job.queuePosition, job.progress.totalComparisons], ['queued', 1, 7]);
+  assert.equal(job.ticket, undefined);
+
+  const cancelled = await jobs.cancel(job.id);
+  assert.deepEqual([cancelled.status, cancelled.error, cancelled.queuePosition], ['cancelled', 'Job cancelled before it started', null]);
+  assert.deepEqual(completions.map(details => details.cancelled), [true]);
+  assert.equal(await jobs.cancel(job.id), null);
+
+  lock.release(held);
+  assert.equal(lock.isBusy(), false);
+});
+
+test('recounts comparisons when failed scenarios are retried', async () => {
+  const lock = new RunLock();
+  const jobs = new JobManager({ cwd: __dirname, lock });
+  lock.tryAcquire({ operation: 'sync-reference' });
+  const { id } = jobs.start({ command: 'test', config, configPath: 'backstop.json' });
+  const job = jobs.jobs.get(id);
+
+  jobs.recordProgress(job, { phase: 'compare', status: 'passed' });
+  jobs.recordProgress(job, { phase: 'compare', status: 'failed' });
+  jobs.recordProgress(job, { phase: 'retry', attempt: 1, captures: 1, passed: 0, failed: 1 });
+  jobs.recordProgress(job, { phase: 'compare', status: 'passed' });
+
+  const { progress, events } = jobs.get(id);
+  assert.deepEqual([progress.compared, progress.passed, progress.failed, progress.retries, progress.totalCaptures], [2, 2, 0, 1, 6]);
+  assert.equal(events.length, 4);
+  await jobs.cancel(id);
+});
+
+test('keeps only the latest progress events of a job', async () => {
+  const lock = new RunLock();
+  const jobs = new JobManager({ cwd: __dirname, lock });
+  lock.tryAcquire({ operation: 'sync-reference' });
+  const { id } = jobs.start({ command: 'test', config, configPath: 'backstop.json' });
+  const job = jobs.jobs.get(id);
+
+  for (let index = 0; index < MAX_JOB_EVENTS + 5; index++) {
+    jobs.recordProgress(job, { phase: 'compare', status: 'passed', scenario: `Page ${index}` });
+  }
+
+  const { progress, events } = jobs.get(id);
+  assert.equal(progress.compared, MAX_JOB_EVENTS + 5);
+  assert.deepEqual([events.length, events[0].scenario], [MAX_JOB_EVENTS, 'Page 5']);
+  await jobs.cancel(id);
+});
+
+test('counts progress events and completes test runs with differences', async () => {
+  const lock = new RunLock();
+  const jobs = new JobManager({ cwd: __dirname, lock });
+  const job = {
+    id: 'job-1',
+    command: 'test',
+    ticket: lock.tryAcquire({ operation: 'test' }),
+    progress: { totalCaptures: 1, captured: 0, totalComparisons: 1, compared: 0, passed: 0, failed: 0, retries: 0 },
+    events: [],
+    onComplete: ({ success }) => ({ reportPath: success ? null : '/report/index.html' })
+  };
+  jobs.jobs.set(job.id, job);
+
+  jobs.recordProgress(job, { phase: 'capture', status: 'started' });
+  jobs.recordProgress(job, { phase: 'capture', status: 'done' });
+  jobs.recordProgress(job, { phase: 'capture', status: 'done' });
+  jobs.recordProgress(job, { phase: 'compare', status: 'passed' });
+  jobs.recordProgress(job, { phase: 'compare', status: 'failed' });
+  assert.deepEqual([job.progress.totalCaptures, job.progress.captured, job.progress.compared, job.progress.passed, job.progress.failed], [2, 2, 2, 1, 1]);
+
+  await jobs.finish(job, { success: false, error: 'Mismatch errors found.' });
+  const finished = jobs.get(job.id);
+  assert.deepEqual([finished.status, finished.result.reportPath, finished.events.length], ['completed', '/report/index.html', 5]);
+  assert.equal(finished.onComplete, undefined);
+  assert.equal(lock.isBusy(), false);
+});
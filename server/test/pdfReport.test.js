@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const fs = require('fs-extra');
+const { renderPdfHtml } = require('../lib/pdfReport');
+const { withTempDir } = require('./helpers');
+
+const report = {
+  tests: [
+    { status: 'fail', pair: { label: 'Footer', selector: '.links', viewportLabel: 'phone', reference: 'reference.png', test: 'test.png', diff: { misMatchPercentage: '2.50' } } },
+    { status: 'pass', pair: { label: 'Home', viewportLabel: 'phone' } }
+  ]
+};
+
+test('renders a cover page and a page per failed pair with inlined images', () => withTempDir(async (dir) => {
+  await fs.writeFile(path.join(dir, 'reference.png'), 'png');
+  const html = await renderPdfHtml({
+    run: { id: 'run-1', finishedAt: '2026-01-01T00:00:00.000Z', triggeredBy: '<ana>' },
+    report,
+    review: {
+      summary: { failed: 1, resolved: 1, signedOff: true },
+      pairs: [{ pairKey: 'Footer|.links|phone', status: 'accepted', comments: [{ author: 'ben', text: 'Fine & intended', at: '2026-01-02T00:00:00.000Z' }] }]
+    },
+    cssIssues: [{ pairKey: 'Footer|.links|phone', issues: [{ category: 'Spacing', severity: 'high', description: 'Gap changed' }] }],
+    resolveImage: reportPath => path.join(dir, reportPath)
+  });
+
+  assert.match(html, /triggered by &lt;ana&gt;/);
+  assert.match(html, /<strong>1\/1<\/strong>signed off/);
+  assert.equal((html.match(/<section class="page">/g) || []).length, 1);
+  assert.match(html, /Mismatch <strong>2.50%<\/strong>/);
+  assert.match(html, /<img src="data:image\/png;base64,cG5n" alt="Reference">/);
+  assert.match(html, /No test image/);
+  assert.match(html, /<div class="finding high">/);
+  assert.match(html, /Fine &amp; intended/);
+}));
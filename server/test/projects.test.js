@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const fs = require('fs-extra');
+const { RunLock } = require('../lib/runLock');
+const { ProjectStore, DEFAULT_PROJECT_ID } = require('../lib/projects');
+const { withTempDir } = require('./helpers');
+
+const config = { viewports: [{ label: 'phone', width: 375, height: 667 }], scenarios: [], paths: {} };
+
+const withStore = (run) => withTempDir(dir => run(new ProjectStore({ rootDir: dir, lock: new RunLock(), runSchedule: async () => null }), dir));
+
+test('creates projects with unique ids and lists the default one first', () => withStore(async (projects, rootDir) => {
+  const first = await projects.create({ name: 'Marketing Site!', config });
+  const second = await projects.create({ name: 'marketing site', config });
+  assert.deepEqual([first.id, second.id], ['marketing-site', 'marketing-site-2']);
+  assert.equal(first.rootDir, path.join(rootDir, 'projects', 'marketing-site'));
+  assert.equal(first.urlBase, '/projects/marketing-site');
+  assert.deepEqual(await fs.readJson(first.configPath), config);
+  assert.ok(await fs.pathExists(path.join(first.configDir, 'engine_scripts')));
+
+  assert.deepEqual((await projects.list()).map(project => [project.id, project.isDefault]), [
+    [DEFAULT_PROJECT_ID, true],
+    ['marketing-site', false],
+    ['marketing-site-2', false]
+  ]);
+  await assert.rejects(projects.create({ name: ' ' }), /name is required/);
+}));
+
+test('clones config, references and uploads but not runs or webhooks', () => withStore(async (projects) => {
+  const source = await projects.create({ name: 'Source', config });
+  await fs.outputFile(path.join(source.configDir, 'bitmaps_reference', 'home.png'), 'png');
+  await fs.outputFile(path.join(source.uploadsDir, 'mockup.png'), 'png');
+  await fs.outputJson(path.join(source.configDir, 'scenario_screenshots.json'), {
+    Home: { screenshots: [{ filename: 'mockup.png', path: path.join(source.uploadsDir, 'mockup.png') }], referenceScreenshot: null }
+  });
+  await source.webhooks.create({ url: 'https://example.com/hook', events: ['run.failed'] });
+
+  const clone = await projects.create({ name: 'Clone', cloneFrom: source.id });
+  assert.ok(await fs.pathExists(path.join(clone.configDir, 'bitmaps_reference', 'home.png')));
+  assert.ok(await fs.pathExists(path.join(clone.uploadsDir, 'mockup.png')));
+  assert.equal(clone.scenarioScreenshots.Home.screenshots[0].path, path.join(clone.uploadsDir, 'mockup.png'));
+  assert.deepEqual(await clone.webhooks.list(), []);
+
+  await assert.rejects(projects.create({ name: 'Orphan', cloneFrom: 'missing' }), /not found/);
+}));
+
+test('keeps secrets out of the served folder and deletes projects', () => withStore(async (projects) => {
+  const project = await projects.create({ name: 'Legacy', config });
+  await fs.writeJson(path.join(project.configDir, 'webhooks.json'), [{ id: 'w1', secret: 'shh' }]);
+  projects.loaded.clear();
+
+  const reloaded = await projects.get('legacy');
+  assert.equal(await fs.pathExists(path.join(reloaded.configDir, 'webhooks.json')), false);
+  assert.deepEqual(await reloaded.webhooks.list(), [{ id: 'w1', secret: 'shh' }]);
+  assert.ok(!reloaded.dataDir.startsWith(reloaded.configDir));
+
+  assert.equal(await projects.remove('legacy'), true);
+  assert.equal(await projects.get('legacy'), null);
+  assert.equal(await projects.remove('legacy'), false);
+  await assert.rejects(projects.remove(DEFAULT_PROJECT_ID), /cannot be deleted/);
+}));
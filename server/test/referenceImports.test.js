@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { ReferenceImportStore, matchImportFiles } = require('../lib/referenceImports');
+const { withTempDir } = require('./helpers');
+
+const config = {
+  id: 'backstop_default',
+  viewports: [
+    { label: 'phone', width: 320, height: 480 },
+    { label: 'desktop', width: 1920, height: 1080 }
+  ],
+  scenarios: [
+    { label: 'Footer', url: 'http://localhost:3000/', selectors: ['.header', '.footer-subscription'] },
+    { label: 'Home Page', url: 'http://localhost:3000/' }
+  ]
+};
+
+test('matches files by manifest, BackstopJS name and naming convention', () => {
+  const manifest = { references: [{ file: 'hero.png', scenario: 'Home Page', viewport: 'desktop' }] };
+  const matches = matchImportFiles(config, [
+    'designs/hero.png',
+    'backstop_default_Footer_1_footer-subscription_0_phone.png',
+    'Footer - Header - Desktop.PNG',
+    'home_page_phone.jpg',
+    'unrelated.png'
+  ], { manifest });
+
+  assert.deepEqual(matches.map(match => [match.matchedBy, match.assignment]), [
+    ['manifest', { scenario: 'Home Page', viewport: 'desktop', selector: null }],
+    ['backstop-name', { scenario: 'Footer', viewport: 'phone', selector: '.footer-subscription' }],
+    ['convention', { scenario: 'Footer', viewport: 'desktop', selector: '.header' }],
+    ['convention', { scenario: 'Home Page', viewport: 'phone', selector: null }],
+    [null, null]
+  ]);
+});
+
+test('reports manifest entries the config does not have', () => {
+  const manifest = { references: [{ file: 'hero.png', scenario: 'Footer', viewport: 'tablet' }] };
+  const [match] = matchImportFiles(config, ['hero.png'], { manifest });
+
+  assert.equal(match.assignment, null);
+  assert.match(match.problem, /Viewport "tablet" not found/);
+});
+
+test('stages images from uploads and rejects duplicate names', () => withTempDir(async (dir) => {
+  const store = new ReferenceImportStore({ dir: path.join(dir, 'imports') });
+  const image = path.join(dir, 'image.png');
+  await fs.writeFile(image, 'png');
+
+  const record = await store.create([
+    { path: image, originalname: 'footer-header-phone.png' },
+    { path: image, originalname: 'notes.txt' }
+  ], config, { user: 'tester' });
+  assert.deepEqual(record.files.map(file => file.name), ['footer-header-phone.png']);
+  assert.equal(await fs.readFile(store.getFilePath(record, record.files[0]), 'utf8'), 'png');
+  assert.deepEqual(await store.get(record.id), record);
+
+  await assert.rejects(store.create([
+    { path: image, originalname: 'a/one.png' },
+    { path: image, originalname: 'a/one.png' }
+  ], config, { user: 'tester' }), /Two files are named "a\/one.png"/);
+}));
+
+test('validates assignments, including two files for one cell', async () => {
+  const store = new ReferenceImportStore({ dir: os.tmpdir() });
+  const record = {
+    id: 'x',
+    files: [
+      { index: 0, name: 'a.png', assignment: { scenario: 'Footer', viewport: 'phone', selector: '.header' } },
+      { index: 1, name: 'b.png', assignment: null }
+    ]
+  };
+
+  assert.equal(store.validate(record, config).entries.length, 1);
+  const { errors } = store.validate(record, config, { 'b.png': { scenario: 'Footer', viewport: 'phone', selector: '.header' } });
+  assert.match(errors[0].message, /already assigned to a.png/);
+  assert.match(store.validate(record, config, { 'a.png': null }).errors[0].message, /No file is assigned/);
+});
+
+test('commits all references or rolls every change back', () => withTempDir(async (dir) => {
+  const store = new ReferenceImportStore({ dir: path.join(dir, 'imports') });
+  const uploadsDir = path.join(dir, 'uploads');
+  const referenceDir = path.join(dir, 'bitmaps_reference');
+  await fs.ensureDir(uploadsDir);
+  const existingReference = path.join(referenceDir, 'backstop_default_Footer_0_header_0_phone.png');
+  await fs.outputFile(existingReference, 'old');
+
+  const source = path.join(dir, 'new.png');
+  await fs.writeFile(source, 'new');
+  const record = await store.create([
+    { path: source, originalname: 'footer-header-phone.png' },
+    { path: source, originalname: 'footer-footer-subscription-phone.png' }
+  ], config, { user: 'tester' });
+  const { entries } = store.validate(record, config);
+
+  const uploads = { Footer_desktop: { scenario: 'Footer', viewport: 'desktop', screenshots: [], referenceScreenshot: null } };
+  const options = { uploads, config, uploadsDir, referenceDir };
+  await assert.rejects(store.commit(record, entries, { ...options, save: async () => { throw new Error('disk full'); } }), /disk full/);
+
+  assert.deepEqual(Object.keys(uploads), ['Footer_desktop']);
+  assert.equal(await fs.readFile(existingReference, 'utf8'), 'old');
+  assert.deepEqual(await fs.readdir(referenceDir), ['backstop_default_Footer_0_header_0_phone.png']);
+  assert.deepEqual(await fs.readdir(uploadsDir), []);
+
+  let saved = false;
+  const result = await store.commit(record, entries, { ...options, save: async () => { saved = true; } });
+  assert.ok(saved);
+  assert.equal(result.imported, 2);
+  assert.equal(await fs.readFile(existingReference, 'utf8'), 'new');
+  assert.equal(uploads['Footer_phone|.footer-subscription'].referenceScreenshot.originalName, 'footer-footer-subscription-phone.png');
+  assert.equal((await fs.readdir(uploadsDir)).length, 2);
+  assert.equal(await store.get(record.id), null);
+}));
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getUploadKey, getScenarioSelectors, getUploadTargets, buildUploadGrid } = require('../lib/referenceUploads');
+
+const config = {
+  id: 'backstop_default',
+  viewports: [
+    { label: 'phone', width: 320, height: 480 },
+    { label: 'desktop', width: 1920, height: 1080 }
+  ],
+  scenarios: [
+    { label: 'Footer', url: 'http://localhost:3000/', selectors: ['.header', '.footer-subscription'] },
+    { label: 'Home', url: 'http://localhost:3000/' }
+  ]
+};
+
+const reference = { filename: 'upload.png', path: '/uploads/upload.png' };
+
+test('keys selector cells apart from viewport-wide uploads', () => {
+  assert.equal(getUploadKey('Footer', 'phone'), 'Footer_phone');
+  assert.equal(getUploadKey('Footer', 'phone', '.header'), 'Footer_phone|.header');
+});
+
+test('lists a cell per selector, document for full page scenarios', () => {
+  assert.deepEqual(getScenarioSelectors(config.scenarios[0]), ['.header', '.footer-subscription']);
+  assert.deepEqual(getScenarioSelectors(config.scenarios[1]), ['document']);
+  assert.deepEqual(getScenarioSelectors({ selectors: ['h1, h2', 'h1'] }), ['h1', 'h2']);
+});
+
+test('copies a selector upload to that selector only', () => {
+  assert.deepEqual(getUploadTargets(config, {}, { scenario: 'Footer', viewport: 'desktop', selector: '.footer-subscription' }), [
+    'backstop_default_Footer_1_footer-subscription_1_desktop.png'
+  ]);
+  assert.throws(() => getUploadTargets(config, {}, { scenario: 'Footer', viewport: 'desktop', selector: '.nav' }), /Selector ".nav" not found/);
+});
+
+test('copies a viewport-wide upload to the selectors without their own', () => {
+  const uploads = {
+    [getUploadKey('Footer', 'phone')]: { scenario: 'Footer', viewport: 'phone', selector: null, referenceScreenshot: reference },
+    [getUploadKey('Footer', 'phone', '.header')]: { scenario: 'Footer', viewport: 'phone', selector: '.header', referenceScreenshot: reference }
+  };
+
+  assert.deepEqual(getUploadTargets(config, uploads, { scenario: 'Footer', viewport: 'phone' }), [
+    'backstop_default_Footer_1_footer-subscription_0_phone.png'
+  ]);
+  assert.deepEqual(getUploadTargets(config, {}, { scenario: 'Footer', viewport: 'phone' }), [
+    'backstop_default_Footer_0_header_0_phone.png',
+    'backstop_default_Footer_1_footer-subscription_0_phone.png'
+  ]);
+});
+
+test('builds the selector × viewport grid of a scenario', () => {
+  const uploads = {
+    [getUploadKey('Footer', 'desktop')]: { scenario: 'Footer', viewport: 'desktop', selector: null, referenceScreenshot: reference },
+    [getUploadKey('Footer', 'phone', '.header')]: { scenario: 'Footer', viewport: 'phone', selector: '.header', referenceScreenshot: reference }
+  };
+  const grid = buildUploadGrid(config, uploads, 'Footer');
+
+  assert.deepEqual(grid.selectors, ['.header', '.footer-subscription']);
+  assert.deepEqual(grid.cells.map(cell => [cell.viewport, cell.selector, Boolean(cell.upload), Boolean(cell.shared)]), [
+    ['phone', '.header', true, false],
+    ['phone', '.footer-subscription', false, false],
+    ['desktop', '.header', false, true],
+    ['desktop', '.footer-subscription', false, true]
+  ]);
+  assert.deepEqual(grid.cells[3].backstopFilenames, ['backstop_default_Footer_1_footer-subscription_1_desktop.png']);
+  assert.throws(() => buildUploadGrid(config, uploads, 'Missing'), /Scenario "Missing" not found/);
+});
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const fs = require('fs-extra');
+const { PNG } = require('pngjs');
+const { ReferenceVersions } = require('../lib/referenceVersions');
+const { withTempDir } = require('./helpers');
+
+const FILENAME = 'backstop_default_Footer_0_header_0_phone.png';
+
+function makeImage(width, height, red) {
+  const image = new PNG({ width, height });
+  for (let offset = 0; offset < image.data.length; offset += 4) {
+    image.data[offset] = red;
+    image.data[offset + 3] = 255;
+  }
+  return PNG.sync.write(image);
+}
+
+const withStore = (run, options = {}) => withTempDir(async (dir) => {
+  const referenceDir = path.join(dir, 'bitmaps_reference');
+  await fs.ensureDir(referenceDir);
+  await run(new ReferenceVersions({ dir: path.join(dir, 'reference-versions'), ...options }), referenceDir);
+});
+
+test('records a version per content change, deletions included', () => withStore(async (versions, referenceDir) => {
+  const file = path.join(referenceDir, FILENAME);
+  await fs.writeFile(file, makeImage(4, 2, 255));
+  const [first] = await versions.capture(referenceDir, [FILENAME], { source: 'upload', author: 'ana' });
+  assert.deepEqual([first.version, first.source, first.author, first.width, first.height], [1, 'upload', 'ana', 4, 2]);
+
+  // Unchanged content is not a new version
+  assert.deepEqual(await versions.capture(referenceDir, [FILENAME], { source: 'approve' }), []);
+
+  await fs.remove(file);
+  const [deleted] = await versions.capture(referenceDir, [FILENAME], { source: 'upload' });
+  assert.deepEqual([deleted.version, deleted.source, deleted.hash], [2, 'delete', null]);
+
+  const listed = await versions.list([FILENAME, 'other.png']);
+  assert.deepEqual(Object.keys(listed), [FILENAME]);
+  assert.deepEqual(listed[FILENAME].map(version => version.version), [2, 1]);
+  await assert.rejects(versions.capture(referenceDir, [FILENAME], { source: 'magic' }), /Unknown version source/);
+}));
+
+test('sweeps files changed outside PixelPilot', () => withStore(async (versions, referenceDir) => {
+  await fs.writeFile(path.join(referenceDir, FILENAME), makeImage(2, 2, 0));
+  await fs.writeFile(path.join(referenceDir, 'notes.txt'), 'not an image');
+
+  const recorded = await versions.sweep(referenceDir, { source: 'untracked' });
+  assert.deepEqual(recorded.map(version => [version.filename, version.source]), [[FILENAME, 'untracked']]);
+}));
+
+test('rolls back to an earlier version and diffs two versions', () => withStore(async (versions, referenceDir) => {
+  const file = path.join(referenceDir, FILENAME);
+  await fs.writeFile(file, makeImage(4, 4, 255));
+  const [original] = await versions.capture(referenceDir, [FILENAME], { source: 'reference' });
+  await fs.writeFile(file, makeImage(4, 4, 0));
+  const [approved] = await versions.capture(referenceDir, [FILENAME], { source: 'approve' });
+
+  const diff = await versions.diff(original.id, approved.id);
+  assert.equal(diff.misMatchPercentage, 100);
+  assert.ok(await fs.pathExists(path.join(versions.diffsDir, diff.diffName)));
+
+  const restored = await versions.rollback(referenceDir, original.id, { author: 'ana' });
+  assert.deepEqual([restored.version, restored.source, restored.restoredVersion, restored.hash], [3, 'rollback', 1, original.hash]);
+  assert.deepEqual(await fs.readFile(file), makeImage(4, 4, 255));
+  assert.equal(await versions.rollback(referenceDir, original.id), null);
+
+  await fs.remove(file);
+  const [deleted] = await versions.capture(referenceDir, [FILENAME], { source: 'upload' });
+  await assert.rejects(versions.rollback(referenceDir, deleted.id), /is a deletion/);
+  await assert.rejects(versions.diff(original.id, 'missing'), /not found/);
+}));
+
+test('keeps the newest versions and removes the contents only they used', () => withStore(async (versions, referenceDir) => {
+  const file = path.join(referenceDir, FILENAME);
+  const recorded = [];
+  for (const red of [10, 20, 30, 40]) {
+    await fs.writeFile(file, makeImage(2, 2, red));
+    recorded.push(...await versions.capture(referenceDir, [FILENAME], { source: 'upload' }));
+  }
+  const [first, second, third, fourth] = recorded;
+  await versions.diff(third.id, fourth.id);
+
+  // Rolling back to the second version keeps its content for the new one
+  await fs.writeFile(file, makeImage(2, 2, 20));
+  await versions.capture(referenceDir, [FILENAME], { source: 'rollback' });
+
+  const kept = (await versions.list([FILENAME]))[FILENAME];
+  assert.deepEqual(kept.map(version => version.version), [5, 4, 3]);
+  assert.equal(await versions.get(first.id), null);
+  assert.deepEqual((await fs.readdir(versions.objectsDir)).sort(), [second, third, fourth].map(version => `${version.hash}.png`).sort());
+  assert.deepEqual(await fs.readdir(versions.diffsDir), [`${third.hash}_${fourth.hash}.png`]);
+
+  await fs.writeFile(file, makeImage(2, 2, 50));
+  await versions.capture(referenceDir, [FILENAME], { source: 'upload' });
+  assert.deepEqual(await fs.readdir(versions.diffsDir), []);
+}, { maxVersions: 3 }));
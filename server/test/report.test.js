@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const fs = require('fs-extra');
+const { readReport, addImageUrls, buildLabelFilter, getFailedLabels } = require('../lib/report');
+const { filterScenarios } = require('../lib/jobManager');
+const { withTempDir } = require('./helpers');
+
+const report = {
+  tests: [
+    { status: 'fail', pair: { label: 'Footer', reference: '..\\bitmaps_reference\\footer 1.png', test: '../bitmaps_test/run/footer.png' } },
+    { status: 'fail', pair: { label: 'Footer', reference: '/abs/footer.png' } },
+    { status: 'pass', pair: { label: 'Home' } }
+  ]
+};
+
+test('reads the JSON report, else the data of the browser report', () => withTempDir(async (dir) => {
+  const dirs = { jsonReportDir: path.join(dir, 'json_report'), htmlReportDir: path.join(dir, 'html_report') };
+  assert.equal(await readReport(dirs), null);
+
+  await fs.outputFile(path.join(dirs.htmlReportDir, 'config.js'), `report(${JSON.stringify(report)});`);
+  assert.deepEqual(await readReport(dirs), report);
+
+  await fs.outputJson(path.join(dirs.jsonReportDir, 'jsonReport.json'), { tests: [] });
+  assert.deepEqual(await readReport(dirs), { tests: [] });
+}));
+
+test('resolves report image paths against the served report folder', () => {
+  const [footer, absolute] = addImageUrls(report, '/projects/demo/report').tests;
+  assert.equal(footer.pair.referenceUrl, '/projects/demo/bitmaps_reference/footer%201.png');
+  assert.equal(footer.pair.testUrl, '/projects/demo/bitmaps_test/run/footer.png');
+  assert.equal(footer.pair.diffUrl, null);
+  assert.equal(absolute.pair.referenceUrl, null);
+});
+
+test('re-runs exactly the failed scenarios, commas in labels included', () => {
+  assert.deepEqual(getFailedLabels(report), ['Footer']);
+
+  const filter = buildLabelFilter(['Footer', 'Sign up, log in (v2)']);
+  const scenarios = [{ label: 'Footer' }, { label: 'Footer links' }, { label: 'Sign up, log in (v2)' }];
+  assert.deepEqual(filterScenarios(scenarios, filter).map(scenario => scenario.label), ['Footer', 'Sign up, log in (v2)']);
+});
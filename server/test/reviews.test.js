@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const fs = require('fs-extra');
+const { RunHistory } = require('../lib/runHistory');
+const { RunReviews, summarizeReview } = require('../lib/reviews');
+const { withTempDir } = require('./helpers');
+
+const FOOTER = 'Footer||phone';
+const HEADER = 'Header||phone';
+
+const report = {
+  tests: [
+    { status: 'fail', pair: { label: 'Footer', viewportLabel: 'phone' } },
+    { status: 'fail', pair: { label: 'Header', viewportLabel: 'phone' } },
+    { status: 'pass', pair: { label: 'Home', viewportLabel: 'phone' } }
+  ]
+};
+
+// Reviews of one archived run, "run-1", whose report is `report`
+const withReviews = (run) => withTempDir(async (dir) => {
+  const history = new RunHistory({ dir });
+  await fs.outputJson(path.join(history.getRunDir('run-1'), 'json_report', 'jsonReport.json'), report);
+  await history.updateIndex(runs => [{ id: 'run-1', command: 'test', status: 'failed', archived: true, finishedAt: new Date().toISOString() }, ...runs]);
+  await run(new RunReviews({ history }), history);
+});
+
+test('signs a run off once every failed pair is resolved', () => {
+  assert.deepEqual(summarizeReview(report, { pairs: { [FOOTER]: { status: 'accepted' } } }), {
+    failed: 2,
+    resolved: 1,
+    counts: { open: 1, 'needs-fix': 0, accepted: 1, rejected: 0 },
+    signedOff: false
+  });
+  assert.equal(summarizeReview({ tests: [] }, { pairs: {} }).signedOff, true);
+});
+
+test('tracks the status of failed pairs and mirrors the summary onto the run', () => withReviews(async (reviews, history) => {
+  const initial = await reviews.get('run-1');
+  assert.deepEqual(initial.pairs.map(pair => [pair.pairKey, pair.status]), [[FOOTER, 'open'], [HEADER, 'open']]);
+
+  await reviews.setStatus('run-1', FOOTER, { status: 'accepted', user: 'ana' });
+  const updated = await reviews.setStatus('run-1', HEADER, { status: 'rejected', user: 'ben' });
+  assert.equal(updated.updatedBy, 'ben');
+  assert.equal(updated.summary.signedOff, true);
+  assert.equal((await history.get('run-1')).review.signedOff, true);
+
+  assert.equal(await reviews.setStatus('run-1', 'Home||phone', { status: 'accepted', user: 'ana' }), null);
+  assert.equal(await reviews.setStatus('missing', FOOTER, { status: 'accepted', user: 'ana' }), null);
+  assert.throws(() => reviews.setStatus('run-1', FOOTER, { status: 'done', user: 'ana' }), /Unknown review status/);
+}));
+
+test('threads comments on failed pairs', () => withReviews(async (reviews) => {
+  const { comments: [question] } = await reviews.addComment('run-1', FOOTER, { text: 'Intended?', author: 'ana' });
+  const { comments } = await reviews.addComment('run-1', FOOTER, { text: 'Yes', parentId: question.id, author: 'ben' });
+  assert.deepEqual(comments.map(comment => [comment.author, comment.parentId]), [['ana', null], ['ben', question.id]]);
+
+  await assert.rejects(reviews.addComment('run-1', FOOTER, { text: 'Hm', parentId: 'missing', author: 'ana' }), /does not exist/);
+  assert.equal((await reviews.get('run-1')).pairs[0].comments.length, 2);
+}));
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const fs = require('fs-extra');
+const { RunHistory } = require('../lib/runHistory');
+const { renderViewer, writeRunBundle, importRunBundle } = require('../lib/runBundle');
+const { withTempDir } = require('./helpers');
+
+const report = {
+  tests: [
+    { status: 'fail', pair: { label: 'Footer', viewportLabel: 'phone', reference: '../bitmaps_reference/footer.png', diff: { misMatchPercentage: '2.00' } } },
+    { status: 'pass', pair: { label: 'Home', viewportLabel: 'phone' } }
+  ]
+};
+
+// Export a run with `id` from an archive in `dir` and resolve to the zip's path
+async function exportBundle(dir, id) {
+  const runDir = path.join(dir, 'export', id.replace(/[^a-z0-9-]/gi, '_'));
+  await fs.outputJson(path.join(runDir, 'json_report', 'jsonReport.json'), report);
+  await fs.outputFile(path.join(runDir, 'html_report', 'index.html'), '<script src="evil.js"></script>');
+  const zipPath = path.join(dir, `${path.basename(runDir)}.zip`);
+  await writeRunBundle(fs.createWriteStream(zipPath), {
+    runDir,
+    run: { id, command: 'test', status: 'completed', finishedAt: '2026-01-01T00:00:00.000Z' },
+    report,
+    review: { pairs: [{ pairKey: 'Footer||phone', status: 'needs-fix', comments: [{ author: 'ana', text: '<b>off</b>', at: 'today' }] }] }
+  });
+  return zipPath;
+}
+
+test('renders a viewer page with escaped review comments and relative images', () => {
+  const html = renderViewer({
+    run: { id: 'run-1', finishedAt: 'today', filter: 'Foo<ter' },
+    report,
+    review: { pairs: [{ pairKey: 'Footer||phone', status: 'needs-fix', comments: [{ author: 'ana', text: '<b>off</b>', at: 'today' }] }] },
+    cssIssues: []
+  });
+  assert.match(html, /review status: <strong>needs-fix<\/strong>/);
+  assert.match(html, /&lt;b&gt;off&lt;\/b&gt;/);
+  assert.match(html, /<code>Foo&lt;ter<\/code>/);
+  assert.match(html, /<img src="bitmaps_reference\/footer.png"/);
+});
+
+test('imports an exported run, under a new id when the id is taken', () => withTempDir(async (dir) => {
+  const history = new RunHistory({ dir: path.join(dir, 'history') });
+  const zipPath = await exportBundle(dir, 'run-1');
+
+  const imported = await importRunBundle(zipPath, { history, user: 'ana' });
+  assert.deepEqual([imported.id, imported.importedBy, imported.review.failed], ['run-1', 'ana', 1]);
+  assert.ok(await fs.pathExists(path.join(history.getRunDir('run-1'), 'json_report', 'jsonReport.json')));
+  assert.equal(await fs.pathExists(path.join(history.getRunDir('run-1'), 'pixelpilot-bundle.json')), false);
+
+  const again = await importRunBundle(zipPath, { history, user: 'ana' });
+  assert.notEqual(again.id, 'run-1');
+}));
+
+test('never uses a bundle run id that is not a plain id as a directory', () => withTempDir(async (dir) => {
+  const history = new RunHistory({ dir: path.join(dir, 'history') });
+  const zipPath = await exportBundle(dir, '../../escaped');
+
+  const imported = await importRunBundle(zipPath, { history, user: 'ana' });
+  assert.match(imported.id, /^[0-9a-f-]{36}$/);
+  assert.equal(await fs.pathExists(path.resolve(history.dir, '../../escaped')), false);
+  assert.deepEqual((await fs.readdir(history.dir)).sort(), [imported.id, 'index.json'].sort());
+}));
+
+test('replaces the report app of an import and rejects bundles that unpack too large', () => withTempDir(async (dir) => {
+  const history = new RunHistory({ dir: path.join(dir, 'history') });
+  const zipPath = await exportBundle(dir, 'run-1');
+
+  await assert.rejects(importRunBundle(zipPath, { history, user: 'ana', maxEntries: 2 }), /more than 2 files/);
+  await assert.rejects(importRunBundle(zipPath, { history, user: 'ana', maxSizeMB: 0.0001 }), /unpacks to more than 0.0001 MB/);
+  assert.deepEqual(await history.list(), []);
+
+  await importRunBundle(zipPath, { history, user: 'ana' });
+  const reportDir = path.join(history.getRunDir('run-1'), 'html_report');
+  assert.doesNotMatch(await fs.readFile(path.join(reportDir, 'index.html'), 'utf8'), /evil\.js/);
+  assert.ok(await fs.pathExists(path.join(reportDir, 'index_bundle.js')));
+  assert.equal(await fs.readFile(path.join(reportDir, 'config.js'), 'utf8'), `report(${JSON.stringify(report, null, 2)});`);
+}));
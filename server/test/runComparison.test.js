@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const fs = require('fs-extra');
+const { PNG } = require('pngjs');
+const { compareReports, diffBitmaps } = require('../lib/runComparison');
+const { withTempDir } = require('./helpers');
+
+const pair = (label, status, misMatchPercentage) => ({
+  status,
+  pair: { label, viewportLabel: 'phone', test: `${label}.png`, diff: misMatchPercentage === undefined ? undefined : { misMatchPercentage } }
+});
+
+async function writeImage(file, width, height, red) {
+  const image = new PNG({ width, height });
+  for (let offset = 0; offset < image.data.length; offset += 4) {
+    image.data[offset] = red;
+    image.data[offset + 3] = 255;
+  }
+  await fs.outputFile(file, PNG.sync.write(image));
+}
+
+test('classifies what changed for every pair of two reports', () => {
+  const base = { tests: [pair('Home', 'pass', '0.00'), pair('Footer', 'pass', '0.10'), pair('Header', 'fail', '5.00'), pair('Gone', 'pass')] };
+  const head = { tests: [pair('Home', 'pass', '0.00'), pair('Footer', 'fail', '3.00'), pair('Header', 'fail', '5.40'), pair('New', 'pass')] };
+
+  const { pairs, counts } = compareReports(base, head, { minDelta: 0.5 });
+  assert.deepEqual(pairs.map(entry => [entry.label, entry.change, entry.misMatchDelta]), [
+    ['Home', 'unchanged', 0],
+    ['Footer', 'status-changed', 2.9],
+    ['Header', 'unchanged', 0.4],
+    ['Gone', 'removed', null],
+    ['New', 'added', null]
+  ]);
+  assert.deepEqual(counts, { unchanged: 2, 'status-changed': 1, removed: 1, added: 1 });
+  assert.equal(pairs[3].head, undefined);
+  assert.deepEqual(pairs[1].base, { status: 'pass', misMatchPercentage: 0.1, test: 'Footer.png', testUrl: null });
+
+  const { pairs: [header] } = compareReports({ tests: [base.tests[2]] }, { tests: [head.tests[2]] });
+  assert.equal(header.change, 'mismatch-changed');
+});
+
+test('pixel-diffs bitmaps of different sizes on a shared canvas', () => withTempDir(async (dir) => {
+  await writeImage(path.join(dir, 'base.png'), 4, 4, 255);
+  await writeImage(path.join(dir, 'head.png'), 4, 2, 255);
+  const result = await diffBitmaps(path.join(dir, 'base.png'), path.join(dir, 'head.png'), path.join(dir, 'diffs', 'diff.png'));
+
+  assert.deepEqual(result, { width: 4, height: 4, dimensionsDiffer: true, mismatchedPixels: 8, misMatchPercentage: 50 });
+  assert.ok(await fs.pathExists(path.join(dir, 'diffs', 'diff.png')));
+}));
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const fs = require('fs-extra');
+const { RunHistory, summarizeReport } = require('../lib/runHistory');
+const { withTempDir } = require('./helpers');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const withHistory = (run) => withTempDir(dir => run(new RunHistory({ dir: path.join(dir, 'history'), urlBase: '/projects/demo' }), dir));
+
+// An archived run of `sizeBytes` added `daysAgo` days ago
+async function addRun(history, id, { daysAgo = 0, sizeBytes = 10 } = {}) {
+  await fs.outputFile(path.join(history.getRunDir(id), 'html_report', 'index.html'), 'x'.repeat(sizeBytes));
+  return history.add({ id, command: 'test', status: 'completed', importedAt: new Date(Date.now() - daysAgo * DAY).toISOString() });
+}
+
+test('records finished jobs newest first', () => withHistory(async (history) => {
+  await history.record({ id: 'run-1', command: 'reference', owner: 'ana' }, { status: 'completed' });
+  const run = await history.record({ id: 'run-2', command: 'approve', owner: 'ben', startedAt: new Date().toISOString() }, { status: 'failed' });
+
+  assert.deepEqual([run.triggeredBy, run.archived, run.reportUrl], ['ben', false, null]);
+  assert.deepEqual((await history.list()).map(entry => entry.id), ['run-2', 'run-1']);
+
+  await history.update('run-1', { note: 'kept' });
+  assert.equal((await history.get('run-1')).note, 'kept');
+  assert.equal(await history.remove('run-1'), true);
+  assert.equal(await history.remove('run-1'), false);
+}));
+
+test('archives the report of a test run with the bitmaps it shows', () => withHistory(async (history, dir) => {
+  const htmlReportDir = path.join(dir, 'backstop_data', 'html_report');
+  const report = { tests: [{ status: 'fail', pair: { reference: '..\\bitmaps_reference\\home.png', test: '../bitmaps_test/1/home.png', diffImage: '../../outside.png' } }] };
+  await fs.outputFile(path.join(htmlReportDir, 'config.js'), `report(${JSON.stringify(report)});`);
+  await fs.outputFile(path.join(dir, 'backstop_data', 'bitmaps_reference', 'home.png'), 'reference');
+  await fs.outputFile(path.join(dir, 'backstop_data', 'bitmaps_test', '1', 'home.png'), 'test');
+  await fs.outputFile(path.join(dir, 'outside.png'), 'outside');
+
+  const run = await history.record({ id: 'run-1', command: 'test', owner: 'ben' }, { status: 'failed', htmlReportDir, jsonReportDir: path.join(dir, 'missing') });
+  assert.deepEqual([run.archived, run.summary.failed], [true, 1]);
+  assert.equal(run.reportUrl, '/projects/demo/history/run-1/html_report/index.html');
+  assert.ok(await fs.pathExists(path.join(history.getRunDir('run-1'), 'bitmaps_test', '1', 'home.png')));
+  assert.ok(await fs.pathExists(path.join(history.getRunDir('run-1'), 'bitmaps_reference', 'home.png')));
+  assert.equal(await fs.pathExists(path.join(history.dir, 'outside.png')), false);
+  assert.deepEqual(await history.readRunReport('run-1'), report);
+}));
+
+test('prunes runs beyond the count, age and size limits, oldest first', () => withHistory(async (history) => {
+  await history.setRetention({ maxRuns: 0, maxAgeDays: 0, maxSizeMB: 0 });
+  await addRun(history, 'old', { daysAgo: 40 });
+  await addRun(history, 'middle', { daysAgo: 2 });
+  await addRun(history, 'new', { daysAgo: 1 });
+  assert.equal((await history.list()).length, 3);
+
+  await history.setRetention({ maxAgeDays: 30 });
+  assert.deepEqual((await history.list()).map(run => run.id), ['new', 'middle']);
+  assert.equal(await fs.pathExists(history.getRunDir('old')), false);
+
+  await history.setRetention({ maxRuns: 1 });
+  assert.deepEqual((await history.list()).map(run => run.id), ['new']);
+  assert.equal((await history.get('new')).reportUrl, '/projects/demo/history/new/html_report/index.html');
+}));
+
+test('prunes the oldest archives once they exceed the size limit', () => withHistory(async (history) => {
+  await history.setRetention({ maxSizeMB: 1 });
+  await addRun(history, 'first', { daysAgo: 3, sizeBytes: 600 * 1024 });
+  await addRun(history, 'second', { daysAgo: 2, sizeBytes: 600 * 1024 });
+  assert.deepEqual((await history.list()).map(run => run.id), ['second']);
+
+  await assert.rejects(history.setRetention({ maxRuns: -1 }), /must be a non-negative number/);
+}));
+
+test('keeps archived paths inside the run', () => withHistory(async (history) => {
+  const runDir = history.getRunDir('run-1');
+  assert.equal(history.resolveArchivedPath('run-1', '..\\bitmaps_test\\a.png'), path.join(runDir, 'bitmaps_test', 'a.png'));
+  assert.equal(history.resolveArchivedPath('run-1', '../../run-2/html_report/index.html'), null);
+}));
+
+test('summarizes quarantined failures and passes on retry', () => {
+  const summary = summarizeReport({
+    tests: [
+      { status: 'pass' },
+      { status: 'pass', attempts: 2 },
+      { status: 'fail' },
+      { status: 'fail', quarantined: true }
+    ]
+  });
+  assert.deepEqual(summary, { total: 4, passed: 2, failed: 2, quarantined: 1, recovered: 1 });
+});
@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { once } = require('events');
+const { spawn, spawnSync } = require('child_process');
+const fs = require('fs-extra');
+const { RunLock } = require('../lib/runLock');
+const { withTempDir } = require('./helpers');
+
+test('grants the lock first come, first served', () => {
+  const lock = new RunLock();
+  const granted = [];
+  const first = lock.request({ operation: 'test', owner: 'ana' }, ticket => granted.push(ticket.id));
+  const second = lock.request({ operation: 'reference', owner: 'ben' }, ticket => granted.push(ticket.id));
+
+  assert.deepEqual(granted, [first.id]);
+  assert.ok(first.acquiredAt);
+  assert.equal(lock.position(first.id), 0);
+  assert.equal(lock.position(second.id), 1);
+  assert.equal(lock.position('unknown'), null);
+
+  lock.release(first);
+  assert.deepEqual(granted, [first.id, second.id]);
+  assert.equal(lock.status().holder.id, second.id);
+
+  lock.release(second);
+  assert.equal(lock.isBusy(), false);
+});
+
+test('only tries to acquire when nobody holds or waits for the lock', () => {
+  const lock = new RunLock();
+  const held = lock.tryAcquire({ operation: 'sync-reference' });
+  assert.equal(held.owner, 'unknown');
+  assert.equal(lock.tryAcquire({ operation: 'upload-reference' }), null);
+
+  const waiting = lock.request({ operation: 'test' }, () => {});
+  lock.release(waiting);
+  lock.release(held);
+  assert.ok(lock.tryAcquire({ operation: 'upload-reference' }));
+});
+
+test('withdraws queued tickets and reports every change', () => {
+  const lock = new RunLock();
+  const changes = [];
+  lock.on('change', status => changes.push(status));
+
+  const held = lock.request({ operation: 'test', owner: 'ana', jobId: 'job-1' }, () => {});
+  const waiting = lock.request({ operation: 'approve', owner: 'ben' }, () => assert.fail('withdrawn tickets are not granted'));
+  assert.deepEqual(lock.status().queue.map(ticket => [ticket.owner, ticket.position]), [['ben', 1]]);
+
+  lock.release(waiting);
+  lock.release(held);
+  assert.deepEqual(changes.map(status => [status.locked, status.queue.length]), [[true, 0], [true, 1], [true, 0], [false, 0]]);
+});
+
+test('shares the lock with other processes through the lock file', () => withTempDir(async (dir) => {
+  const file = path.join(dir, 'run.lock');
+  const server = new RunLock({ file, pollInterval: 10 });
+  const cli = new RunLock({ file, pollInterval: 10 });
+
+  const held = server.tryAcquire({ operation: 'test', owner: 'ana' });
+  assert.equal(cli.isBusy(), true);
+  assert.equal(cli.tryAcquire({ operation: 'sync-reference' }), null);
+  assert.deepEqual([cli.status().holder.owner, cli.status().holder.external], ['ana', true]);
+
+  const granted = new Promise(resolve => cli.request({ operation: 'reference', owner: 'ben' }, resolve));
+  server.release(held);
+  const ticket = await granted;
+  assert.equal(server.status().holder.owner, 'ben');
+
+  cli.release(ticket);
+  assert.equal(await fs.pathExists(file), false);
+}));
+
+test('takes over a lock file left behind by a process that died', () => withTempDir(async (dir) => {
+  const file = path.join(dir, 'run.lock');
+  const { pid } = spawnSync(process.execPath, ['-e', '']);
+  await fs.writeJson(file, { id: 'gone', operation: 'test', owner: 'ana', pid });
+
+  const lock = new RunLock({ file });
+  assert.equal(lock.isBusy(), false);
+  const ticket = lock.tryAcquire({ operation: 'test' });
+  assert.equal((await fs.readJson(file)).id, ticket.id);
+  lock.release(ticket);
+}));
+
+test('takes over a lock file nobody touched for too long', () => withTempDir(async (dir) => {
+  const file = path.join(dir, 'run.lock');
+  // A live pid: the process that wrote it may have died and the pid been reused
+  await fs.writeJson(file, { id: 'hung', operation: 'test', owner: 'ana', pid: process.pid });
+  const lock = new RunLock({ file, staleAfter: 60000 });
+  assert.equal(lock.status().holder.owner, 'ana');
+
+  const past = new Date(Date.now() - 120000);
+  await fs.utimes(file, past, past);
+  const ticket = lock.tryAcquire({ operation: 'test' });
+  assert.ok(ticket);
+  lock.release(ticket);
+}));
+
+test('puts back a lock taken after the stale one was read', () => withTempDir(async (dir) => {
+  const file = path.join(dir, 'run.lock');
+  await fs.writeJson(file, { id: 'fresh', operation: 'test', owner: 'ben', pid: process.pid });
+
+  new RunLock({ file }).removeStaleFile({ id: 'stale' });
+  assert.equal((await fs.readJson(file)).id, 'fresh');
+  assert.deepEqual(await fs.readdir(dir), ['run.lock']);
+}));
+
+test('releases the lock file when the process is stopped', () => withTempDir(async (dir) => {
+  const file = path.join(dir, 'run.lock');
+  const holder = spawn(process.execPath, ['-e', `
+    const { RunLock } = require(${JSON.stringify(require.resolve('../lib/runLock'))});
+    new RunLock({ file: ${JSON.stringify(file)} }).tryAcquire({ operation: 'test' });
+    console.log('held');
+    setInterval(() => {}, 1000);
+  `]);
+  await new Promise(resolve => holder.stdout.once('data', resolve));
+  assert.equal(await fs.pathExists(file), true);
+
+  holder.kill('SIGTERM');
+  const [, signal] = await once(holder, 'exit');
+  assert.equal(signal, 'SIGTERM');
+  assert.equal(await fs.pathExists(file), false);
+}));
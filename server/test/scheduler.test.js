@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { Scheduler, parseCron, getNextRun } = require('../lib/scheduler');
+const { withTempDir } = require('./helpers');
+
+// Server local time, like the schedules; 5 January 2026 is a Monday
+const at = (day, hour, minute) => new Date(2026, 0, day, hour, minute);
+
+test('parses lists, ranges, steps, names and macros', () => {
+  const cron = parseCron('*/15 9-17 * jan,jul mon-fri');
+  assert.deepEqual([...cron.minutes], [0, 15, 30, 45]);
+  assert.deepEqual([...cron.hours], [9, 10, 11, 12, 13, 14, 15, 16, 17]);
+  assert.deepEqual([...cron.months], [1, 7]);
+  assert.deepEqual([...cron.daysOfWeek], [1, 2, 3, 4, 5]);
+  assert.deepEqual([...parseCron('5/20 * * * *').minutes], [5, 25, 45]);
+  assert.ok(parseCron('0 0 * * 7').daysOfWeek.has(0));
+  assert.deepEqual(parseCron('@daily'), parseCron('0 0 * * *'));
+
+  assert.throws(() => parseCron('* * * *'), /must have 5 fields/);
+  assert.throws(() => parseCron('60 * * * *'), /Invalid minute "60"/);
+  assert.throws(() => parseCron('* * * * */0'), /Invalid step/);
+  assert.throws(() => parseCron('* 5-2 * * *'), /Invalid range/);
+});
+
+test('finds the next matching minute after a time', () => {
+  assert.deepEqual(getNextRun('0 2 * * *', at(5, 10, 30)), at(6, 2, 0));
+  assert.deepEqual(getNextRun('*/15 * * * *', at(5, 10, 30)), at(5, 10, 45));
+  // Friday 17:00 runs next on Monday
+  assert.deepEqual(getNextRun('0 9 * * mon-fri', at(9, 17, 0)), at(12, 9, 0));
+  // Either day field matches when both are restricted: the 15th or a Sunday
+  assert.deepEqual(getNextRun('0 0 15 * sun', at(5, 12, 0)), at(11, 0, 0));
+  // A day field starting with "*" makes both apply: a Monday on an odd day
+  assert.deepEqual(getNextRun('0 0 */2 * mon', at(5, 12, 0)), at(19, 0, 0));
+  assert.equal(getNextRun('0 0 30 2 *', at(5, 0, 0)), null);
+});
+
+test('stores schedules and runs the due ones', () => withTempDir(async (dir) => {
+  const started = [];
+  const scheduler = new Scheduler({
+    file: path.join(dir, 'schedules.json'),
+    runSchedule: async (schedule) => {
+      started.push(schedule.name);
+      return { id: `job-${started.length}` };
+    }
+  });
+
+  const nightly = await scheduler.create({ name: 'Nightly', cron: '0 2 * * *', tags: 'smoke, footer' });
+  await scheduler.create({ name: 'Paused', cron: '0 2 * * *', enabled: false });
+  assert.deepEqual(nightly.tags, ['smoke', 'footer']);
+  await assert.rejects(scheduler.create({ name: 'Never', cron: '0 0 30 2 *' }), /never matches/);
+  await assert.rejects(scheduler.create({ name: 'Approve', cron: '@daily', command: 'approve' }), /command must be one of/);
+
+  const now = new Date(new Date(nightly.nextRunAt).getTime() + 1000);
+  await scheduler.tick(now);
+  assert.deepEqual(started, ['Nightly']);
+
+  const ran = await scheduler.get(nightly.id);
+  assert.equal(ran.lastJobId, 'job-1');
+  assert.deepEqual(new Date(ran.nextRunAt), getNextRun('0 2 * * *', now));
+
+  const { schedule } = await scheduler.trigger(ran, { manual: true });
+  assert.equal(schedule.nextRunAt, ran.nextRunAt);
+  assert.equal(await scheduler.remove(nightly.id), true);
+}));
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const fs = require('fs-extra');
+const { buildRunSummary, renderJUnit, renderMarkdown, writeSummaryReports } = require('../lib/summaryReports');
+const { withTempDir } = require('./helpers');
+
+const run = { id: 'run-1', status: 'completed', triggeredBy: 'ana', finishedAt: '2026-01-01T00:00:00.000Z', durationMs: 12500 };
+
+const report = {
+  tests: [
+    { status: 'pass', pair: { label: 'Home', viewportLabel: 'phone', diff: { misMatchPercentage: '0.00', analysisTime: 250 } }, attempts: 2 },
+    {
+      status: 'fail',
+      pair: {
+        label: 'Footer & Links',
+        selector: '.links',
+        viewportLabel: 'phone',
+        misMatchThreshold: 0.1,
+        diff: { misMatchPercentage: '3.20', analysisTime: 500 },
+        referenceUrl: '/history/run-1/reference.png',
+        diffUrl: '/history/run-1/diff.png'
+      }
+    },
+    { status: 'fail', quarantined: true, pair: { label: 'Ads', viewportLabel: 'phone' } }
+  ]
+};
+
+const summary = buildRunSummary(run, report, { baseUrl: 'https://pixelpilot.example' });
+
+test('normalizes a run and its report into the JSON summary', () => {
+  assert.deepEqual(summary.totals, { total: 3, passed: 1, failed: 1, quarantined: 1, recovered: 1 });
+  assert.deepEqual(summary.run.filter, null);
+
+  const [, footer, ads] = summary.pairs;
+  assert.deepEqual([footer.pairKey, footer.misMatchPercentage, footer.analysisTimeMs], ['Footer & Links|.links|phone', 3.2, 500]);
+  assert.deepEqual(footer.images, {
+    reference: 'https://pixelpilot.example/history/run-1/reference.png',
+    test: null,
+    diff: 'https://pixelpilot.example/history/run-1/diff.png'
+  });
+  assert.deepEqual([ads.status, ads.quarantined, ads.misMatchPercentage], ['failed', true, null]);
+});
+
+test('renders JUnit with quarantined failures as skipped', () => {
+  const xml = renderJUnit(summary);
+  assert.match(xml, /<testsuites name="PixelPilot" tests="3" failures="1" skipped="1" time="12.500">/);
+  assert.match(xml, /<testsuite name="Footer &amp; Links" tests="1" failures="1" skipped="0" time="0.500">/);
+  assert.match(xml, /<failure message="3.2% mismatch \(threshold 0.1%\)" type="VisualDifference">https:\/\/pixelpilot.example\/history\/run-1\/diff.png<\/failure>/);
+  assert.match(xml, /<skipped message="Quarantined: Visual comparison failed"\/>/);
+  assert.match(xml, /<testcase classname="Home" name="phone" time="0.250"\/>/);
+});
+
+test('renders a Markdown table of the failed pairs', () => {
+  const markdown = renderMarkdown(summary);
+  assert.match(markdown, /^## ❌ PixelPilot visual regression test/);
+  assert.match(markdown, /\*\*1\*\* passed, \*\*1\*\* failed, \*\*1\*\* quarantined, \*\*1\*\* passed on retry of 3 pairs/);
+  assert.match(markdown, /\| Footer & Links \| phone \| \.links \| 3\.2% \| <a href="https:\/\/pixelpilot.example\/history\/run-1\/reference.png">/);
+  assert.match(markdown, /\| Ads _\(quarantined\)_ \| phone \| document \| - \|/);
+  assert.doesNotMatch(renderMarkdown(buildRunSummary(run, { tests: [report.tests[0]] })), /\| Scenario \|/);
+});
+
+test('writes every format', () => withTempDir(async (dir) => {
+  await writeSummaryReports(path.join(dir, 'reports'), summary);
+  assert.deepEqual((await fs.readdir(path.join(dir, 'reports'))).sort(), ['junit.xml', 'summary.json', 'summary.md']);
+  assert.deepEqual(await fs.readJson(path.join(dir, 'reports', 'summary.json')), JSON.parse(JSON.stringify(summary)));
+}));
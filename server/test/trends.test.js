@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildTrends } = require('../lib/trends');
+
+const pair = (label, selector, status, misMatchPercentage, analysisTime) => ({
+  status,
+  pair: { label, selector, viewportLabel: 'phone', diff: { misMatchPercentage, analysisTime } }
+});
+
+const archivedRuns = [
+  {
+    run: { id: 'run-1', finishedAt: '2026-01-01T00:00:00.000Z' },
+    report: { tests: [pair('Footer', '.links', 'fail', '2.50', 40), pair('Footer', '.form', 'pass', '0.10', 60), pair('Home', null, 'pass', '0.00', 10)] }
+  },
+  {
+    run: { id: 'run-2', finishedAt: '2026-01-02T00:00:00.000Z', filter: 'Footer' },
+    report: { tests: [pair('Footer', '.links', 'fail', '1.00', 20), pair('Footer', '.form', 'fail', '4.00')] }
+  }
+];
+
+test('aggregates pass rates and mismatch series per scenario and viewport', () => {
+  const trends = buildTrends(archivedRuns);
+
+  assert.deepEqual(trends.runs.map(run => [run.runId, run.filter, run.passed, run.failed, run.passRate]), [
+    ['run-1', null, 2, 1, 66.7],
+    ['run-2', 'Footer', 0, 2, 0]
+  ]);
+
+  // Selectors of one scenario merge into their highest mismatch and worst status
+  const footer = trends.series.find(entry => entry.key === 'Footer|phone');
+  assert.deepEqual(footer.points.map(point => [point.runId, point.misMatchPercentage, point.status]), [
+    ['run-1', 2.5, 'fail'],
+    ['run-2', 4, 'fail']
+  ]);
+  assert.equal(trends.series.length, 2);
+});
+
+test('ranks the slowest scenarios and the selectors that fail most', () => {
+  const trends = buildTrends(archivedRuns, { limit: 1 });
+
+  assert.deepEqual(trends.slowest, [{ label: 'Footer', maxMs: 60, samples: 3, averageMs: 40 }]);
+  assert.deepEqual(trends.failingSelectors, [{ label: 'Footer', selector: '.links', failures: 2, runs: 2 }]);
+  assert.deepEqual(buildTrends([]), { runs: [], series: [], slowest: [], failingSelectors: [] });
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const crypto = require('crypto');
+const http = require('http');
+const { WebhookManager, signPayload, formatPayload, redactWebhook } = require('../lib/webhooks');
+const { withTempDir } = require('./helpers');
+
+const withManager = (run) => withTempDir(dir => run(new WebhookManager({
+  file: path.join(dir, 'webhooks.json'),
+  deliveriesFile: path.join(dir, 'webhook-deliveries.json'),
+  delivery: { attempts: 2, baseDelayMs: 1 }
+})));
+
+// A receiver that answers with the next of `statuses` and records every request
+async function withReceiver(statuses, run) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body });
+      res.writeHead(statuses[requests.length - 1] || 200).end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  try {
+    await run(`http://127.0.0.1:${server.address().port}/hook`, requests);
+  } finally {
+    server.close();
+  }
+}
+
+test('signs the timestamp and raw body with HMAC-SHA256', () => {
+  const expected = crypto.createHmac('sha256', 'secret').update('1700000000.{"a":1}').digest('hex');
+  assert.equal(signPayload('secret', '1700000000', '{"a":1}'), `sha256=${expected}`);
+  assert.notEqual(signPayload('secret', '1700000001', '{"a":1}'), `sha256=${expected}`);
+});
+
+test('formats Slack payloads as text with a report link', () => {
+  const payload = { id: 'd1', event: 'run.failed', occurredAt: 'now', data: { message: '2 failed', url: 'http://pixelpilot/run' } };
+  assert.deepEqual(formatPayload('slack', payload), { text: '❌ *PixelPilot* 2 failed <http://pixelpilot/run|View report>' });
+  assert.deepEqual(formatPayload('json', payload), payload);
+});
+
+test('validates targets and never lists their secrets', () => withManager(async (webhooks) => {
+  const webhook = await webhooks.create({ url: 'https://example.com/hook', events: ['run.failed'], secret: 'abcdefgh1234' });
+  assert.deepEqual(redactWebhook(webhook), {
+    id: webhook.id,
+    name: 'https://example.com/hook',
+    url: 'https://example.com/hook',
+    format: 'json',
+    events: ['run.failed'],
+    enabled: true,
+    createdAt: webhook.createdAt,
+    hasSecret: true,
+    secretHint: '…1234'
+  });
+  assert.equal((await webhooks.create({ url: 'https://example.com/b', events: ['run.completed'] })).secret.length, 48);
+
+  await assert.rejects(webhooks.create({ url: 'ftp://example.com', events: ['run.failed'] }), /http or https/);
+  await assert.rejects(webhooks.create({ url: 'https://example.com', events: [] }), /at least one event/);
+  await assert.rejects(webhooks.update(webhook.id, { events: ['run.started'] }), /Unknown event/);
+  assert.equal(await webhooks.update('missing', { enabled: false }), null);
+  assert.equal((await webhooks.update(webhook.id, { enabled: false })).enabled, false);
+}));
+
+test('delivers signed events to subscribed targets and retries failures', () => withManager((webhooks) => withReceiver([500, 200], async (url, requests) => {
+  await webhooks.create({ url, events: ['run.failed'], secret: 'shh' });
+  await webhooks.create({ url, events: ['run.completed'] });
+
+  assert.equal(await webhooks.emit('run.failed', { message: '1 failed' }), 1);
+  await webhooks.settle();
+
+  assert.equal(requests.length, 2);
+  const { headers, body } = requests[1];
+  assert.equal(headers['x-pixelpilot-event'], 'run.failed');
+  assert.equal(headers['x-pixelpilot-signature'], signPayload('shh', headers['x-pixelpilot-timestamp'], body));
+
+  const [delivery] = await webhooks.listDeliveries();
+  assert.deepEqual([delivery.status, delivery.attempts.map(attempt => attempt.statusCode)], ['delivered', [500, 200]]);
+})));
@@ -1,12 +1,19 @@
 import { BrowserRouter as Router, Routes, Route, useLocation, useNavigate } from 'react-router-dom'
 import { ThemeProvider } from '@mui/material/styles'
 import { CssBaseline, Container, AppBar, Toolbar, Typography, Tabs, Tab, Box } from '@mui/material'
-import { PhotoCameraOutlined, SettingsOutlined, PlayArrowOutlined, UploadFileOutlined, BugReportOutlined } from '@mui/icons-material'
+import { PhotoCameraOutlined, DashboardOutlined, SettingsOutlined, PlayArrowOutlined, UploadFileOutlined, BugReportOutlined, HistoryOutlined, CompareOutlined, NotificationsOutlined } from '@mui/icons-material'
+import Dashboard from './components/Dashboard'
 import ConfigEditor from './components/ConfigEditor'
 import ScenarioManager from './components/ScenarioManager'
 import ScreenshotUploader from './components/ScreenshotUploader'
+import BaselineHistory from './components/BaselineHistory'
 import TestRunner from './components/TestRunner'
+import DiffViewer from './components/DiffViewer'
 import CSSIssueAnalyzer from './components/CSSIssueAnalyzer'
+import RunHistory from './components/RunHistory'
+import RunComparison from './components/RunComparison'
+import Webhooks from './components/Webhooks'
+import ProjectSwitcher from './components/ProjectSwitcher'
 import pixelPilotTheme from './theme/theme'
 
 function AppContent() {
@@ -16,16 +23,22 @@ function AppContent() {
   const getActiveTab = () => {
     switch (location.pathname) {
       case '/': return 0
-      case '/scenarios': return 1
-      case '/upload': return 2
-      case '/test': return 3
-      case '/analyze': return 4
+      case '/config': return 1
+      case '/scenarios': return 2
+      case '/upload':
+      case '/baselines': return 3
+      case '/test': return 4
+      case '/diff': return 5
+      case '/analyze': return 6
+      case '/history':
+      case '/compare': return 7
+      case '/notifications': return 8
       default: return 0
     }
   }
 
   const handleTabChange = (event, newValue) => {
-    const routes = ['/', '/scenarios', '/upload', '/test', '/analyze']
+    const routes = ['/', '/config', '/scenarios', '/upload', '/test', '/diff', '/analyze', '/history', '/notifications']
     navigate(routes[newValue])
   }
 
@@ -51,6 +64,7 @@ function AppContent() {
             >
               PixelPilot
             </Typography>
+            <ProjectSwitcher />
             <Typography 
               variant="body2" 
               sx={{ 
@@ -69,6 +83,12 @@ function AppContent() {
             variant="scrollable"
             scrollButtons="auto"
           >
+            <Tab 
+              icon={<DashboardOutlined />} 
+              label="Dashboard" 
+              iconPosition="start"
+              sx={{ textTransform: 'none', fontWeight: 500, minHeight: 64 }}
+            />
             <Tab 
               icon={<SettingsOutlined />} 
               label="Configuration" 
@@ -93,23 +113,47 @@ function AppContent() {
               iconPosition="start"
               sx={{ textTransform: 'none', fontWeight: 500, minHeight: 64 }}
             />
+            <Tab 
+              icon={<CompareOutlined />} 
+              label="Diff Viewer" 
+              iconPosition="start"
+              sx={{ textTransform: 'none', fontWeight: 500, minHeight: 64 }}
+            />
             <Tab 
               icon={<BugReportOutlined />} 
               label="CSS Issues" 
               iconPosition="start"
               sx={{ textTransform: 'none', fontWeight: 500, minHeight: 64 }}
             />
+            <Tab 
+              icon={<HistoryOutlined />} 
+              label="History" 
+              iconPosition="start"
+              sx={{ textTransform: 'none', fontWeight: 500, minHeight: 64 }}
+            />
+            <Tab 
+              icon={<NotificationsOutlined />} 
+              label="Notifications" 
+              iconPosition="start"
+              sx={{ textTransform: 'none', fontWeight: 500, minHeight: 64 }}
+            />
           </Tabs>
         </Container>
       </AppBar>
 
       <Container maxWidth="xl" sx={{ px: 3 }}>
         <Routes>
-          <Route path="/" element={<ConfigEditor />} />
+          <Route path="/" element={<Dashboard />} />
+          <Route path="/config" element={<ConfigEditor />} />
           <Route path="/scenarios" element={<ScenarioManager />} />
           <Route path="/upload" element={<ScreenshotUploader />} />
+          <Route path="/baselines" element={<BaselineHistory />} />
           <Route path="/test" element={<TestRunner />} />
+          <Route path="/diff" element={<DiffViewer />} />
           <Route path="/analyze" element={<CSSIssueAnalyzer />} />
+          <Route path="/history" element={<RunHistory />} />
+          <Route path="/compare" element={<RunComparison />} />
+          <Route path="/notifications" element={<Webhooks />} />
         </Routes>
       </Container>
     </Box>
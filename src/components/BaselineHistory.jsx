@@ -0,0 +1,337 @@
+import { useState, useEffect, useMemo } from 'react'
+import { useSearchParams, useNavigate } from 'react-router-dom'
+import axios from 'axios'
+import {
+  Box,
+  Typography,
+  Card,
+  CardContent,
+  Chip,
+  Alert,
+  Button,
+  Checkbox,
+  LinearProgress,
+  Grid,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  Stack,
+  Tooltip
+} from '@mui/material'
+import { ArrowBack, CompareArrows, Restore, Refresh } from '@mui/icons-material'
+import PairComparison, { ViewModeToggle } from './PairComparison'
+import { SERVER_BASE, getProjectApiBase } from '../utils/currentProject'
+
+const API_BASE = getProjectApiBase()
+
+const SOURCE_LABELS = {
+  upload: { label: 'Upload', color: 'primary' },
+  import: { label: 'Bulk import', color: 'primary' },
+  reference: { label: 'Reference run', color: 'info' },
+  approve: { label: 'Approved', color: 'success' },
+  rollback: { label: 'Rollback', color: 'warning' },
+  delete: { label: 'Deleted', color: 'error' },
+  untracked: { label: 'Changed outside PixelPilot', color: 'default' }
+}
+
+const describeVersion = (version) => `v${version.version} · ${new Date(version.createdAt).toLocaleString()}`
+
+// Every version of the BackstopJS reference files of a scenario (and
+// viewport): who wrote each one and how, diffs between any two, and rollback.
+function BaselineHistory() {
+  const navigate = useNavigate()
+  const [searchParams, setSearchParams] = useSearchParams()
+  const scenario = searchParams.get('scenario') || ''
+  const viewport = searchParams.get('viewport') || ''
+
+  const [config, setConfig] = useState(null)
+  const [history, setHistory] = useState(null)
+  const [selection, setSelection] = useState([])
+  const [diff, setDiff] = useState(null)
+  const [mode, setMode] = useState('side-by-side')
+  const [loading, setLoading] = useState(false)
+  const [rollingBack, setRollingBack] = useState(null)
+  const [message, setMessage] = useState('')
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    axios.get(`${API_BASE}/config`)
+      .then(response => setConfig(response.data))
+      .catch(err => setError('Failed to load config: ' + err.message))
+  }, [])
+
+  const loadHistory = async () => {
+    if (!scenario) return
+
+    setLoading(true)
+    try {
+      const params = new URLSearchParams({ scenario, ...(viewport && { viewport }) })
+      const response = await axios.get(`${API_BASE}/reference-versions?${params}`)
+      setHistory(response.data)
+      setError('')
+    } catch (err) {
+      setHistory(null)
+      setError('Failed to load baseline history: ' + (err.response?.data?.error || err.message))
+    }
+    setLoading(false)
+  }
+
+  useEffect(() => {
+    setSelection([])
+    setDiff(null)
+    loadHistory()
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [scenario, viewport])
+
+  const versions = useMemo(() => (history?.files || []).flatMap(file => file.versions), [history])
+
+  const select = (key) => (event) => {
+    const params = { scenario, viewport, [key]: event.target.value }
+    if (key === 'scenario') params.viewport = ''
+    setSearchParams(Object.fromEntries(Object.entries(params).filter(([, value]) => value)))
+  }
+
+  const toggleSelection = (version) => {
+    setSelection(prev => (prev.includes(version.id)
+      ? prev.filter(id => id !== version.id)
+      : [...prev, version.id].slice(-2)))
+  }
+
+  const compareSelected = async () => {
+    const [from, to] = versions
+      .filter(version => selection.includes(version.id))
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+    try {
+      const response = await axios.get(`${API_BASE}/reference-versions/diff`, { params: { from: from.id, to: to.id } })
+      setDiff(response.data)
+      setError('')
+    } catch (err) {
+      setError('Failed to diff versions: ' + (err.response?.data?.error || err.message))
+    }
+  }
+
+  const rollback = async (file, version) => {
+    if (!window.confirm(`Make version ${version.version} the BackstopJS reference ${file.filename} again?`)) {
+      return
+    }
+
+    setRollingBack(version.id)
+    try {
+      const response = await axios.post(`${API_BASE}/reference-versions/${version.id}/rollback`)
+      setMessage(response.data.message)
+      setError('')
+      await loadHistory()
+    } catch (err) {
+      setError('Rollback failed: ' + (err.response?.data?.error || err.message))
+    }
+    setRollingBack(null)
+  }
+
+  // Stable identity so PairComparison keeps its zoom between renders
+  const diffPair = useMemo(
+    () => diff && { referenceUrl: diff.fromUrl, testUrl: diff.toUrl, diffUrl: diff.diffUrl },
+    [diff]
+  )
+
+  const scenarioConfig = config?.scenarios?.find(candidate => candidate.label === scenario)
+  const viewports = scenarioConfig?.viewports?.length ? scenarioConfig.viewports : config?.viewports || []
+
+  return (
+    <Box>
+      <Stack direction="row" alignItems="center" justifyContent="space-between" sx={{ mb: 1 }}>
+        <Typography variant="h4" component="h2">
+          Baseline History
+        </Typography>
+        <Stack direction="row" spacing={1}>
+          <Button
+            variant="contained"
+            startIcon={<CompareArrows />}
+            onClick={compareSelected}
+            disabled={selection.length !== 2}
+          >
+            Compare Selected
+          </Button>
+          <Button variant="outlined" startIcon={<Refresh />} onClick={loadHistory} disabled={loading || !scenario}>
+            Refresh
+          </Button>
+          <Button startIcon={<ArrowBack />} onClick={() => navigate(`/upload${scenario ? `?scenario=${encodeURIComponent(scenario)}` : ''}`)}>
+            Screenshot Upload
+          </Button>
+        </Stack>
+      </Stack>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 3 }}>
+        Every change to a BackstopJS reference is kept: uploads, reference runs, approvals and rollbacks.
+        Select two versions to diff them, or roll a reference back to an earlier version.
+      </Typography>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>
+          {error}
+        </Alert>
+      )}
+      {message && (
+        <Alert severity="success" sx={{ mb: 2 }} onClose={() => setMessage('')}>
+          {message}
+        </Alert>
+      )}
+
+      <Card sx={{ mb: 3 }}>
+        <CardContent>
+          <Grid container spacing={2}>
+            <Grid size={{ xs: 12, md: 6 }}>
+              <FormControl fullWidth size="small">
+                <InputLabel>Scenario</InputLabel>
+                <Select value={scenarioConfig ? scenario : ''} label="Scenario" onChange={select('scenario')}>
+                  {(config?.scenarios || []).map(candidate => (
+                    <MenuItem key={candidate.label} value={candidate.label}>{candidate.label}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            </Grid>
+            <Grid size={{ xs: 12, md: 6 }}>
+              <FormControl fullWidth size="small" disabled={!scenarioConfig}>
+                <InputLabel>Viewport</InputLabel>
+                <Select value={viewport} label="Viewport" onChange={select('viewport')} displayEmpty>
+                  <MenuItem value="">All viewports</MenuItem>
+                  {viewports.map(candidate => (
+                    <MenuItem key={candidate.label} value={candidate.label}>{candidate.label}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            </Grid>
+          </Grid>
+        </CardContent>
+      </Card>
+
+      {loading && <LinearProgress sx={{ mb: 2 }} />}
+
+      {diff && (
+        <Card sx={{ mb: 3 }}>
+          <CardContent>
+            <Typography variant="h6">
+              {diff.from.filename === diff.to.filename ? diff.to.filename : `${diff.from.filename} → ${diff.to.filename}`}
+            </Typography>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+              {describeVersion(diff.from)} and {describeVersion(diff.to)} differ by {diff.misMatchPercentage}% ({diff.mismatchedPixels} pixels)
+              {diff.dimensionsDiffer && ' - the versions have different dimensions'}
+            </Typography>
+            <ViewModeToggle value={mode} onChange={setMode} />
+            <PairComparison
+              pair={diffPair}
+              mode={mode}
+              labels={{ reference: `Version ${diff.from.version}`, test: `Version ${diff.to.version}`, diff: 'Version diff' }}
+            />
+          </CardContent>
+        </Card>
+      )}
+
+      {!scenario && (
+        <Alert severity="info">Select a scenario to browse the versions of its references.</Alert>
+      )}
+
+      {history?.files.map(file => (
+        <Card key={file.filename} sx={{ mb: 2 }}>
+          <CardContent>
+            <Stack direction="row" spacing={1} alignItems="center" sx={{ mb: 1 }} flexWrap="wrap" useFlexGap>
+              {file.selector && <Chip label={<code>{file.selector}</code>} size="small" />}
+              {file.viewport && <Chip label={file.viewport} size="small" variant="outlined" />}
+              <Typography variant="body2" color="text.secondary" sx={{ wordBreak: 'break-all' }}>
+                {file.filename}
+              </Typography>
+              {!file.exists && <Chip label="No current reference" size="small" color="warning" variant="outlined" />}
+            </Stack>
+
+            {file.versions.length === 0 ? (
+              <Typography variant="body2" color="text.secondary">
+                No versions recorded yet. The first upload, reference run or approval of this file starts its history.
+              </Typography>
+            ) : (
+              <TableContainer component={Paper} variant="outlined">
+                <Table size="small">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell padding="checkbox" />
+                      <TableCell>Version</TableCell>
+                      <TableCell>Image</TableCell>
+                      <TableCell>Source</TableCell>
+                      <TableCell>Author</TableCell>
+                      <TableCell>Size</TableCell>
+                      <TableCell>Hash</TableCell>
+                      <TableCell align="right" />
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {file.versions.map((version, index) => (
+                      <TableRow key={version.id} hover selected={selection.includes(version.id)}>
+                        <TableCell padding="checkbox">
+                          <Checkbox
+                            size="small"
+                            checked={selection.includes(version.id)}
+                            disabled={!version.hash}
+                            onChange={() => toggleSelection(version)}
+                          />
+                        </TableCell>
+                        <TableCell>
+                          <Typography variant="body2">v{version.version}{index === 0 && version.hash ? ' (current)' : ''}</Typography>
+                          <Typography variant="caption" color="text.secondary">{new Date(version.createdAt).toLocaleString()}</Typography>
+                        </TableCell>
+                        <TableCell>
+                          {version.imageUrl && (
+                            <Box
+                              component="img"
+                              src={`${SERVER_BASE}${version.imageUrl}`}
+                              alt={`Version ${version.version}`}
+                              onClick={() => window.open(`${SERVER_BASE}${version.imageUrl}`, '_blank')}
+                              sx={{ width: 72, height: 48, objectFit: 'contain', border: 1, borderColor: 'divider', borderRadius: 0.5, cursor: 'pointer' }}
+                            />
+                          )}
+                        </TableCell>
+                        <TableCell>
+                          <Tooltip title={version.note || ''}>
+                            <Chip
+                              label={SOURCE_LABELS[version.source]?.label || version.source}
+                              color={SOURCE_LABELS[version.source]?.color || 'default'}
+                              size="small"
+                              variant="outlined"
+                            />
+                          </Tooltip>
+                        </TableCell>
+                        <TableCell>{version.author || '-'}</TableCell>
+                        <TableCell>{version.width ? `${version.width}×${version.height}` : '-'}</TableCell>
+                        <TableCell>
+                          <Typography variant="caption" sx={{ fontFamily: 'monospace' }}>{version.hash ? version.hash.slice(0, 12) : '-'}</Typography>
+                        </TableCell>
+                        <TableCell align="right">
+                          {index > 0 && version.hash && (
+                            <Button
+                              size="small"
+                              startIcon={<Restore />}
+                              onClick={() => rollback(file, version)}
+                              disabled={Boolean(rollingBack)}
+                            >
+                              {rollingBack === version.id ? 'Rolling back...' : 'Roll Back'}
+                            </Button>
+                          )}
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </TableContainer>
+            )}
+          </CardContent>
+        </Card>
+      ))}
+    </Box>
+  )
+}
+
+export default BaselineHistory
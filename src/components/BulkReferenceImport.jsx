@@ -0,0 +1,312 @@
+import { useState } from 'react'
+import axios from 'axios'
+import {
+  Box,
+  Typography,
+  Card,
+  CardContent,
+  Button,
+  Alert,
+  Chip,
+  Stack,
+  Select,
+  MenuItem,
+  FormControl,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Tooltip,
+  LinearProgress
+} from '@mui/material'
+import { DriveFolderUpload, UploadFile, Check, Close } from '@mui/icons-material'
+import { getProjectApiBase } from '../utils/currentProject'
+
+const API_BASE = getProjectApiBase()
+
+// Sentinel for viewport-wide uploads in the selector select
+const ALL_SELECTORS = '__all__'
+
+const MATCH_LABELS = {
+  manifest: 'Manifest',
+  'backstop-name': 'BackstopJS name',
+  convention: 'File name'
+}
+
+// The selectors a scenario has upload cells for (see server/lib/referenceUploads.js)
+const getScenarioSelectors = (scenario) => {
+  const selectors = scenario?.selectors?.length ? scenario.selectors : ['document']
+  return [...new Set(selectors.join(',').split(',').map(selector => selector.trim()))]
+}
+
+const getScenarioViewports = (config, scenario) => (
+  scenario?.viewports?.length ? scenario.viewports : config?.viewports || []
+)
+
+// Many reference images at once, from a zip, a folder or a multi-file
+// selection. The server proposes a cell for each file; the mapping can be
+// corrected here before everything is stored and synced in one go.
+function BulkReferenceImport({ config, onImported }) {
+  const [staged, setStaged] = useState(null)
+  // File name -> { scenario, viewport, selector } or null to skip
+  const [assignments, setAssignments] = useState({})
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState('')
+  const [errors, setErrors] = useState([])
+
+  const stageFiles = async (fileList) => {
+    const files = Array.from(fileList || [])
+    if (files.length === 0) return
+
+    setBusy(true)
+    setError('')
+    setErrors([])
+    try {
+      const formData = new FormData()
+      // Folder selections keep their relative paths
+      files.forEach(file => formData.append('files', file, file.webkitRelativePath || file.name))
+      const response = await axios.post(`${API_BASE}/reference-imports`, formData, {
+        headers: { 'Content-Type': 'multipart/form-data' }
+      })
+      setStaged(response.data)
+      setAssignments(Object.fromEntries(response.data.files.map(file => [file.name, file.assignment])))
+    } catch (err) {
+      setError('Failed to read the files: ' + (err.response?.data?.error || err.message))
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const discard = async () => {
+    if (staged) {
+      await axios.delete(`${API_BASE}/reference-imports/${staged.id}`).catch(() => {})
+    }
+    setStaged(null)
+    setAssignments({})
+    setErrors([])
+  }
+
+  const commit = async () => {
+    setBusy(true)
+    setError('')
+    setErrors([])
+    try {
+      const response = await axios.post(`${API_BASE}/reference-imports/${staged.id}/commit`, { assignments })
+      setStaged(null)
+      setAssignments({})
+      onImported?.(response.data.message)
+    } catch (err) {
+      setError(err.response?.data?.error || err.message)
+      setErrors(err.response?.data?.errors || [])
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  // Changing the scenario resets the selector and keeps the viewport if it
+  // exists there; no scenario skips the file
+  const updateAssignment = (name, changes) => {
+    setAssignments(prev => {
+      if (changes.scenario === '') return { ...prev, [name]: null }
+      const current = prev[name] || { scenario: '', viewport: '', selector: null }
+      const next = { ...current, ...changes }
+      if (changes.scenario !== undefined) {
+        const scenario = config.scenarios.find(candidate => candidate.label === changes.scenario)
+        const viewports = getScenarioViewports(config, scenario).map(viewport => viewport.label)
+        next.selector = null
+        if (!viewports.includes(next.viewport)) next.viewport = viewports[0] || ''
+      }
+      return { ...prev, [name]: next }
+    })
+    setErrors(prev => prev.filter(entry => entry.file !== name))
+  }
+
+  const assignedCount = Object.values(assignments).filter(assignment => assignment?.scenario && assignment.viewport).length
+  const getFileError = (name) => errors.find(entry => entry.file === name)?.message
+
+  return (
+    <Card sx={{ mb: 3 }}>
+      <CardContent>
+        <Typography variant="h6" gutterBottom>
+          Bulk Import
+        </Typography>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Import many references at once from a zip, a folder or several files. Files are matched by
+          a <code>pixelpilot-references.json</code> manifest, by their BackstopJS reference name or by names
+          like <code>Footer-header-desktop.png</code> (scenario, selector, viewport) or <code>Footer-desktop.png</code> (all selectors).
+          Nothing is stored until you confirm the mapping.
+        </Typography>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>
+            {error}
+          </Alert>
+        )}
+
+        {!staged && (
+          <Stack direction="row" spacing={2}>
+            <Button variant="outlined" component="label" startIcon={<UploadFile />} disabled={busy}>
+              Select Files or Zip
+              <input
+                hidden
+                multiple
+                type="file"
+                accept="image/png,image/jpeg,.zip,.json"
+                onChange={(event) => {
+                  stageFiles(event.target.files)
+                  event.target.value = ''
+                }}
+              />
+            </Button>
+            <Button variant="outlined" component="label" startIcon={<DriveFolderUpload />} disabled={busy}>
+              Select Folder
+              <input
+                hidden
+                type="file"
+                webkitdirectory=""
+                onChange={(event) => {
+                  stageFiles(event.target.files)
+                  event.target.value = ''
+                }}
+              />
+            </Button>
+          </Stack>
+        )}
+        {busy && <LinearProgress sx={{ mt: 2 }} />}
+
+        {staged && (
+          <>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>File</TableCell>
+                  <TableCell>Scenario</TableCell>
+                  <TableCell>Selector</TableCell>
+                  <TableCell>Viewport</TableCell>
+                  <TableCell>Match</TableCell>
+                  <TableCell align="right" />
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {staged.files.map(file => {
+                  const assignment = assignments[file.name]
+                  const scenario = config.scenarios.find(candidate => candidate.label === assignment?.scenario)
+                  const fileError = getFileError(file.name)
+                  const isManual = JSON.stringify(assignment) !== JSON.stringify(file.assignment)
+
+                  return (
+                    <TableRow key={file.name} sx={{ opacity: assignment ? 1 : 0.6 }}>
+                      <TableCell>
+                        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                          <Box
+                            component="img"
+                            src={`${API_BASE}/reference-imports/${staged.id}/files/${file.index}`}
+                            alt={file.name}
+                            sx={{ width: 56, height: 40, objectFit: 'contain', border: 1, borderColor: 'divider', borderRadius: 0.5 }}
+                          />
+                          <Box sx={{ minWidth: 0 }}>
+                            <Typography variant="body2" noWrap title={file.name}>{file.name}</Typography>
+                            {(fileError || file.problem) && (
+                              <Typography variant="caption" color={fileError ? 'error' : 'text.secondary'}>
+                                {fileError || file.problem}
+                              </Typography>
+                            )}
+                          </Box>
+                        </Box>
+                      </TableCell>
+                      <TableCell sx={{ minWidth: 160 }}>
+                        <FormControl size="small" fullWidth>
+                          <Select
+                            displayEmpty
+                            value={assignment?.scenario || ''}
+                            onChange={(event) => updateAssignment(file.name, { scenario: event.target.value })}
+                          >
+                            <MenuItem value=""><em>Not assigned</em></MenuItem>
+                            {config.scenarios.map(candidate => (
+                              <MenuItem key={candidate.label} value={candidate.label}>{candidate.label}</MenuItem>
+                            ))}
+                          </Select>
+                        </FormControl>
+                      </TableCell>
+                      <TableCell sx={{ minWidth: 160 }}>
+                        <FormControl size="small" fullWidth disabled={!scenario}>
+                          <Select
+                            value={assignment?.selector || ALL_SELECTORS}
+                            onChange={(event) => updateAssignment(file.name, { selector: event.target.value === ALL_SELECTORS ? null : event.target.value })}
+                          >
+                            <MenuItem value={ALL_SELECTORS}><em>All selectors</em></MenuItem>
+                            {getScenarioSelectors(scenario).map(selector => (
+                              <MenuItem key={selector} value={selector}><code>{selector}</code></MenuItem>
+                            ))}
+                          </Select>
+                        </FormControl>
+                      </TableCell>
+                      <TableCell sx={{ minWidth: 130 }}>
+                        <FormControl size="small" fullWidth disabled={!scenario}>
+                          <Select
+                            value={assignment?.viewport || ''}
+                            onChange={(event) => updateAssignment(file.name, { viewport: event.target.value })}
+                          >
+                            {getScenarioViewports(config, scenario).map(viewport => (
+                              <MenuItem key={viewport.label} value={viewport.label}>{viewport.label}</MenuItem>
+                            ))}
+                          </Select>
+                        </FormControl>
+                      </TableCell>
+                      <TableCell>
+                        <Stack direction="row" spacing={0.5}>
+                          {assignment && (
+                            <Chip
+                              size="small"
+                              label={isManual ? 'Manual' : MATCH_LABELS[file.matchedBy]}
+                              color={isManual ? 'info' : 'success'}
+                              variant="outlined"
+                            />
+                          )}
+                          {!assignment && <Chip size="small" label="Unmatched" color="warning" variant="outlined" />}
+                          {assignment && !isManual && file.replaces && (
+                            <Tooltip title="This cell has an upload already; importing replaces it">
+                              <Chip size="small" label="Replaces" color="warning" />
+                            </Tooltip>
+                          )}
+                        </Stack>
+                      </TableCell>
+                      <TableCell align="right">
+                        <Button
+                          size="small"
+                          color="inherit"
+                          disabled={!assignment}
+                          onClick={() => setAssignments(prev => ({ ...prev, [file.name]: null }))}
+                        >
+                          Skip
+                        </Button>
+                      </TableCell>
+                    </TableRow>
+                  )
+                })}
+              </TableBody>
+            </Table>
+
+            <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mt: 2 }}>
+              <Typography variant="body2" color="text.secondary">
+                {assignedCount} of {staged.files.length} files assigned
+                {staged.hasManifest && ' · manifest found'}
+              </Typography>
+              <Stack direction="row" spacing={1}>
+                <Button startIcon={<Close />} onClick={discard} disabled={busy}>
+                  Cancel
+                </Button>
+                <Button variant="contained" startIcon={<Check />} onClick={commit} disabled={busy || assignedCount === 0}>
+                  Import {assignedCount} Reference{assignedCount === 1 ? '' : 's'}
+                </Button>
+              </Stack>
+            </Box>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
+
+export default BulkReferenceImport
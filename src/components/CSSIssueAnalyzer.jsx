@@ -28,6 +28,8 @@ import {
   Code as CodeIcon,
   Palette as PaletteIcon
 } from '@mui/icons-material';
+import { getReviewStatus, describeReview } from '../utils/review';
+import { getProjectApiBase } from '../utils/currentProject';
 
 const CSSIssueAnalyzer = () => {
   const [analysisData, setAnalysisData] = useState(null);
@@ -38,7 +40,7 @@ const CSSIssueAnalyzer = () => {
     setLoading(true);
     setError('');
     try {
-      const response = await fetch('http://localhost:5000/api/analyze-css-issues');
+      const response = await fetch(`${getProjectApiBase()}/analyze-css-issues`);
       const data = await response.json();
       
       if (data.success) {
@@ -130,6 +132,16 @@ const CSSIssueAnalyzer = () => {
                     <Typography>Scenarios with Issues:</Typography>
                     <Chip label={analysisData.cssIssues.length} color="warning" size="small" />
                   </Box>
+                  {describeReview(analysisData.review) && (
+                    <Box sx={{ display: 'flex', justifyContent: 'space-between' }}>
+                      <Typography>Review:</Typography>
+                      <Chip 
+                        label={describeReview(analysisData.review)} 
+                        color={analysisData.review.signedOff ? "success" : "warning"} 
+                        size="small" 
+                      />
+                    </Box>
+                  )}
                 </Box>
               </CardContent>
             </Card>
@@ -179,10 +191,19 @@ const CSSIssueAnalyzer = () => {
                       <Typography variant="h6">
                         {scenario.scenario} - {scenario.viewport}
                       </Typography>
-                      <Chip 
-                        label={`${scenario.diffPercentage}% diff`}
-                        color={scenario.diffPercentage > 20 ? 'error' : scenario.diffPercentage > 5 ? 'warning' : 'info'}
-                      />
+                      <Box sx={{ display: 'flex', gap: 1 }}>
+                        {scenario.reviewStatus && (
+                          <Chip 
+                            label={`Review: ${getReviewStatus(scenario.reviewStatus).label}`}
+                            color={getReviewStatus(scenario.reviewStatus).color}
+                            variant="outlined"
+                          />
+                        )}
+                        <Chip 
+                          label={`${scenario.diffPercentage}% diff`}
+                          color={scenario.diffPercentage > 20 ? 'error' : scenario.diffPercentage > 5 ? 'warning' : 'info'}
+                        />
+                      </Box>
                     </Box>
 
                     {scenario.issues.map((issue, issueIndex) => (
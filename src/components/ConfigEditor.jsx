@@ -27,15 +27,20 @@ import {
   Settings,
   Devices,
   Code,
-  ExpandMore
+  ExpandMore,
+  Public
 } from '@mui/icons-material'
+import { getProjectApiBase } from '../utils/currentProject'
+import { getConfigErrors, fieldErrorProps, clearErrorsUnder } from '../utils/configErrors'
+import ConfigErrors from './ConfigErrors'
 
-const API_BASE = 'http://localhost:5000/api'
+const API_BASE = getProjectApiBase()
 
 function ConfigEditor() {
   const [config, setConfig] = useState(null)
   const [loading, setLoading] = useState(true)
   const [message, setMessage] = useState('')
+  const [fieldErrors, setFieldErrors] = useState({})
 
   useEffect(() => {
     loadConfig()
@@ -55,14 +60,18 @@ function ConfigEditor() {
   const saveConfig = async () => {
     try {
       await axios.post(`${API_BASE}/config`, config)
+      setFieldErrors({})
       setMessage('Configuration saved successfully!')
       setTimeout(() => setMessage(''), 3000)
     } catch (error) {
-      setMessage(`Error saving config: ${error.message}`)
+      const errors = getConfigErrors(error)
+      setFieldErrors(errors)
+      setMessage(Object.keys(errors).length > 0 ? '' : `Error saving config: ${error.message}`)
     }
   }
 
   const updateConfig = useCallback((field, value) => {
+    setFieldErrors(prev => clearErrorsUnder(prev, field))
     // Update immediately for smooth typing experience
     setConfig(prev => ({
       ...prev,
@@ -83,6 +92,7 @@ function ConfigEditor() {
   }, [])
 
   const updateViewport = useCallback((index, field, value) => {
+    setFieldErrors(prev => clearErrorsUnder(prev, `viewports.${index}.${field}`))
     // Update immediately for smooth typing experience
     setConfig(prev => {
       const newViewports = [...prev.viewports]
@@ -98,12 +108,62 @@ function ConfigEditor() {
   }, [])
 
   const removeViewport = useCallback((index) => {
+    // Error paths hold indexes, which shift
+    setFieldErrors({})
     setConfig(prev => ({
       ...prev,
       viewports: prev.viewports.filter((_, i) => i !== index)
     }))
   }, [])
 
+  const addEnvironment = useCallback(() => {
+    setConfig(prev => {
+      const environments = prev.environments || []
+      return {
+        ...prev,
+        environments: [...environments, { name: `env-${environments.length + 1}`, variables: { baseUrl: '' } }]
+      }
+    })
+  }, [])
+
+  const updateEnvironment = useCallback((index, update) => {
+    setFieldErrors(prev => clearErrorsUnder(prev, `environments.${index}.name`))
+    setConfig(prev => {
+      const environments = [...prev.environments]
+      const renamed = update.name !== undefined && prev.defaultEnvironment === environments[index].name
+      environments[index] = { ...environments[index], ...update }
+      return {
+        ...prev,
+        environments,
+        // Keep the default pointing at a renamed profile
+        ...(renamed && { defaultEnvironment: update.name })
+      }
+    })
+  }, [])
+
+  // Variables are edited as [key, value] rows; renaming a key keeps its position
+  const updateEnvironmentVariables = useCallback((index, updateEntries) => {
+    setFieldErrors(prev => clearErrorsUnder(prev, `environments.${index}.variables`))
+    setConfig(prev => {
+      const environments = [...prev.environments]
+      const entries = Object.entries(environments[index].variables || {})
+      environments[index] = { ...environments[index], variables: Object.fromEntries(updateEntries(entries)) }
+      return { ...prev, environments }
+    })
+  }, [])
+
+  const removeEnvironment = useCallback((index) => {
+    setFieldErrors({})
+    setConfig(prev => {
+      const environments = prev.environments.filter((_, i) => i !== index)
+      const next = { ...prev, environments }
+      if (prev.defaultEnvironment === prev.environments[index].name) {
+        delete next.defaultEnvironment
+      }
+      return next
+    })
+  }, [])
+
   if (loading) {
     return (
       <Box display="flex" justifyContent="center" alignItems="center" minHeight="200px">
@@ -135,6 +195,7 @@ function ConfigEditor() {
           {message}
         </Alert>
       )}
+      <ConfigErrors errors={fieldErrors} onClose={() => setFieldErrors({})} />
 
       <Grid container spacing={3}>
         {/* Basic Configuration */}
@@ -153,6 +214,7 @@ function ConfigEditor() {
                   onChange={(e) => updateConfig('id', e.target.value)}
                   fullWidth
                   variant="outlined"
+                  {...fieldErrorProps(fieldErrors, 'id')}
                 />
                 
                 <TextField
@@ -162,7 +224,7 @@ function ConfigEditor() {
                   onChange={(e) => updateConfig('engine', e.target.value)}
                   fullWidth
                   variant="outlined"
-                  helperText="BackstopJS engine"
+                  {...fieldErrorProps(fieldErrors, 'engine', 'BackstopJS engine')}
                   slotProps={{
                     select: {
                       native: true,
@@ -172,6 +234,17 @@ function ConfigEditor() {
                   <option value="puppeteer">Puppeteer</option>
                   <option value="playwright">Playwright</option>
                 </TextField>
+
+                <TextField
+                  label="Retries for Failed Scenarios"
+                  type="number"
+                  value={config.retries || 0}
+                  onChange={(e) => updateConfig('retries', Math.max(0, parseInt(e.target.value) || 0))}
+                  fullWidth
+                  variant="outlined"
+                  slotProps={{ htmlInput: { min: 0, max: 5 } }}
+                  {...fieldErrorProps(fieldErrors, 'retries', 'Re-run scenarios that fail a test before reporting them, to absorb flaky rendering')}
+                />
                 
                 <FormControlLabel
                   control={
@@ -229,6 +302,7 @@ function ConfigEditor() {
                         onChange={(e) => updateViewport(index, 'label', e.target.value)}
                         size="small"
                         fullWidth
+                        {...fieldErrorProps(fieldErrors, `viewports.${index}.label`)}
                       />
                       <Grid container spacing={1}>
                         <Grid item xs={6}>
@@ -239,6 +313,7 @@ function ConfigEditor() {
                             onChange={(e) => updateViewport(index, 'width', parseInt(e.target.value))}
                             size="small"
                             fullWidth
+                            {...fieldErrorProps(fieldErrors, `viewports.${index}.width`)}
                           />
                         </Grid>
                         <Grid item xs={6}>
@@ -249,6 +324,7 @@ function ConfigEditor() {
                             onChange={(e) => updateViewport(index, 'height', parseInt(e.target.value))}
                             size="small"
                             fullWidth
+                            {...fieldErrorProps(fieldErrors, `viewports.${index}.height`)}
                           />
                         </Grid>
                       </Grid>
@@ -259,6 +335,118 @@ function ConfigEditor() {
             </CardContent>
           </Card>
         </Grid>
+
+        {/* Environment Profiles */}
+        <Grid item xs={12}>
+          <Card>
+            <CardContent>
+              <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+                <Typography variant="h6" sx={{ display: 'flex', alignItems: 'center' }}>
+                  <Public sx={{ mr: 1 }} />
+                  Environments
+                </Typography>
+                <Button
+                  startIcon={<Add />}
+                  onClick={addEnvironment}
+                  variant="outlined"
+                  size="small"
+                >
+                  Add Environment
+                </Button>
+              </Box>
+              <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                Scenario URLs, reference URLs and scripts can use variables such as <code>{'{{baseUrl}}'}</code>, filled in from the environment picked for a run.
+              </Typography>
+
+              {(config.environments || []).length > 0 && (
+                <TextField
+                  label="Default Environment"
+                  select
+                  value={config.defaultEnvironment || ''}
+                  onChange={(e) => updateConfig('defaultEnvironment', e.target.value || undefined)}
+                  size="small"
+                  sx={{ mb: 2, minWidth: 240 }}
+                  {...fieldErrorProps(fieldErrors, 'defaultEnvironment', 'Used by runs and schedules that do not pick one')}
+                  slotProps={{
+                    select: {
+                      native: true,
+                    }
+                  }}
+                >
+                  <option value="">First in the list</option>
+                  {config.environments.map(environment => (
+                    <option key={environment.name} value={environment.name}>{environment.name}</option>
+                  ))}
+                </TextField>
+              )}
+
+              <Stack spacing={2}>
+                {(config.environments || []).map((environment, index) => (
+                  <Paper key={`environment-${index}`} variant="outlined" sx={{ p: 2 }}>
+                    <Box sx={{ display: 'flex', gap: 1, alignItems: 'flex-start', mb: 2 }}>
+                      <TextField
+                        label="Name"
+                        value={environment.name || ''}
+                        onChange={(e) => updateEnvironment(index, { name: e.target.value })}
+                        {...fieldErrorProps(fieldErrors, `environments.${index}.name`)}
+                        size="small"
+                        sx={{ flexGrow: 1 }}
+                      />
+                      <IconButton
+                        onClick={() => removeEnvironment(index)}
+                        size="small"
+                        color="error"
+                      >
+                        <Delete />
+                      </IconButton>
+                    </Box>
+
+                    <Stack spacing={1}>
+                      {Object.entries(environment.variables || {}).map(([key, value], variableIndex) => (
+                        <Box key={`variable-${variableIndex}`} sx={{ display: 'flex', gap: 1, alignItems: 'center' }}>
+                          <TextField
+                            label="Variable"
+                            value={key}
+                            onChange={(e) => updateEnvironmentVariables(index, entries => entries.map(
+                              (entry, i) => i === variableIndex ? [e.target.value, entry[1]] : entry
+                            ))}
+                            size="small"
+                            sx={{ width: 200 }}
+                          />
+                          <TextField
+                            label="Value"
+                            value={value}
+                            {...fieldErrorProps(fieldErrors, `environments.${index}.variables.${key}`)}
+                            onChange={(e) => updateEnvironmentVariables(index, entries => entries.map(
+                              (entry, i) => i === variableIndex ? [entry[0], e.target.value] : entry
+                            ))}
+                            size="small"
+                            fullWidth
+                          />
+                          <IconButton
+                            onClick={() => updateEnvironmentVariables(index, entries => entries.filter((_, i) => i !== variableIndex))}
+                            size="small"
+                          >
+                            <Delete fontSize="small" />
+                          </IconButton>
+                        </Box>
+                      ))}
+                      <Box>
+                        <Button
+                          size="small"
+                          startIcon={<Add />}
+                          onClick={() => updateEnvironmentVariables(index, entries => [...entries, [`var${entries.length + 1}`, '']])}
+                        >
+                          Add Variable
+                        </Button>
+                      </Box>
+                    </Stack>
+                  </Paper>
+                ))}
+              </Stack>
+            </CardContent>
+          </Card>
+        </Grid>
       </Grid>
 
       <Divider sx={{ my: 3 }} />
@@ -0,0 +1,23 @@
+import { Alert, AlertTitle } from '@mui/material'
+
+// Every problem the server found in a config it refused to save. Fields that
+// are on screen are highlighted too; this also covers the ones that are not.
+function ConfigErrors({ errors, onClose }) {
+  const entries = Object.entries(errors)
+  if (entries.length === 0) return null
+
+  return (
+    <Alert severity="error" sx={{ mb: 3 }} onClose={onClose}>
+      <AlertTitle>The configuration was not saved</AlertTitle>
+      <ul style={{ margin: 0, paddingLeft: 20 }}>
+        {entries.map(([path, message]) => (
+          <li key={path}>
+            <code>{path || 'config'}</code> {message}
+          </li>
+        ))}
+      </ul>
+    </Alert>
+  )
+}
+
+export default ConfigErrors
@@ -0,0 +1,291 @@
+import { useState, useEffect, useMemo } from 'react'
+import { useNavigate } from 'react-router-dom'
+import axios from 'axios'
+import {
+  Box,
+  Typography,
+  Card,
+  CardContent,
+  Button,
+  Chip,
+  Alert,
+  LinearProgress,
+  Grid,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  Stack,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem
+} from '@mui/material'
+import { Refresh, PlayArrow } from '@mui/icons-material'
+import TrendChart from './TrendChart'
+import { getProjectApiBase } from '../utils/currentProject'
+
+const API_BASE = getProjectApiBase()
+
+const RUN_LIMITS = [10, 30, 100]
+
+const formatRunTime = (finishedAt) => new Date(finishedAt).toLocaleString()
+
+// Latest known mismatch of a series, for sorting the worst offenders first
+const latestMisMatch = (series) => {
+  const last = [...series.points].reverse().find(point => point.misMatchPercentage !== null)
+  return last ? last.misMatchPercentage : -1
+}
+
+function StatCard({ title, value, caption }) {
+  return (
+    <Card sx={{ height: '100%' }}>
+      <CardContent>
+        <Typography variant="body2" color="text.secondary">{title}</Typography>
+        <Typography variant="h4" sx={{ fontWeight: 700, my: 0.5 }}>{value}</Typography>
+        {caption && <Typography variant="caption" color="text.secondary">{caption}</Typography>}
+      </CardContent>
+    </Card>
+  )
+}
+
+function Dashboard() {
+  const navigate = useNavigate()
+  const [trends, setTrends] = useState(null)
+  const [limit, setLimit] = useState(30)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    loadTrends()
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [limit])
+
+  const loadTrends = async () => {
+    setLoading(true)
+    try {
+      const response = await axios.get(`${API_BASE}/trends`, { params: { limit } })
+      setTrends(response.data)
+      setError('')
+    } catch (err) {
+      setError('Failed to load trends: ' + (err.response?.data?.error || err.message))
+    }
+    setLoading(false)
+  }
+
+  const sortedSeries = useMemo(
+    () => [...(trends?.series || [])].sort((a, b) => latestMisMatch(b) - latestMisMatch(a)),
+    [trends]
+  )
+
+  const runs = trends?.runs || []
+  const latestRun = runs[runs.length - 1]
+  const ratedRuns = runs.filter(run => run.passRate !== null)
+  const averagePassRate = ratedRuns.length
+    ? Math.round(ratedRuns.reduce((total, run) => total + run.passRate, 0) / ratedRuns.length * 10) / 10
+    : null
+
+  return (
+    <Box>
+      <Stack direction="row" alignItems="center" justifyContent="space-between" sx={{ mb: 3 }}>
+        <Box>
+          <Typography variant="h4" component="h2">
+            Dashboard
+          </Typography>
+          <Typography variant="body2" color="text.secondary">
+            Visual regression trends across archived test runs
+          </Typography>
+        </Box>
+        <Stack direction="row" spacing={1} alignItems="center">
+          <FormControl size="small" sx={{ minWidth: 140 }}>
+            <InputLabel>Runs</InputLabel>
+            <Select value={limit} label="Runs" onChange={(event) => setLimit(event.target.value)}>
+              {RUN_LIMITS.map(value => (
+                <MenuItem key={value} value={value}>Last {value} runs</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          <Button variant="outlined" startIcon={<Refresh />} onClick={loadTrends} disabled={loading}>
+            Refresh
+          </Button>
+        </Stack>
+      </Stack>
+
+      {loading && <LinearProgress sx={{ mb: 2 }} />}
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+      )}
+
+      {trends && runs.length === 0 && (
+        <Alert
+          severity="info"
+          action={
+            <Button color="inherit" size="small" startIcon={<PlayArrow />} onClick={() => navigate('/test')}>
+              Run Tests
+            </Button>
+          }
+        >
+          No archived test runs yet. Trends appear here once tests have been run.
+        </Alert>
+      )}
+
+      {runs.length > 0 && (
+        <Grid container spacing={3}>
+          <Grid size={{ xs: 12, sm: 4 }}>
+            <StatCard title="Runs analyzed" value={runs.length} caption={`Since ${formatRunTime(runs[0].finishedAt)}`} />
+          </Grid>
+          <Grid size={{ xs: 12, sm: 4 }}>
+            <StatCard
+              title="Latest pass rate"
+              value={latestRun.passRate !== null ? `${latestRun.passRate}%` : '-'}
+              caption={`${latestRun.passed} / ${latestRun.total} pairs passed`}
+            />
+          </Grid>
+          <Grid size={{ xs: 12, sm: 4 }}>
+            <StatCard
+              title="Average pass rate"
+              value={averagePassRate !== null ? `${averagePassRate}%` : '-'}
+              caption={`Over the last ${runs.length} runs`}
+            />
+          </Grid>
+
+          <Grid size={12}>
+            <Card>
+              <CardContent>
+                <Typography variant="h6" gutterBottom>Pass Rate Over Time</Typography>
+                <TrendChart
+                  max={100}
+                  height={180}
+                  color="success"
+                  points={runs.map(run => ({
+                    value: run.passRate,
+                    label: `${formatRunTime(run.finishedAt)}${run.filter ? ' (filtered)' : ''}`,
+                    highlight: run.failed > 0
+                  }))}
+                />
+              </CardContent>
+            </Card>
+          </Grid>
+
+          <Grid size={12}>
+            <Typography variant="h6" sx={{ mb: 1 }}>Mismatch by Scenario &amp; Viewport</Typography>
+            <Grid container spacing={2}>
+              {sortedSeries.map(series => {
+                const latest = latestMisMatch(series)
+                return (
+                  <Grid size={{ xs: 12, sm: 6, md: 4, lg: 3 }} key={series.key}>
+                    <Card variant="outlined">
+                      <CardContent sx={{ pb: 1 }}>
+                        <Stack direction="row" justifyContent="space-between" alignItems="flex-start" spacing={1}>
+                          <Box sx={{ minWidth: 0 }}>
+                            <Typography variant="subtitle2" noWrap title={series.label}>{series.label}</Typography>
+                            <Typography variant="caption" color="text.secondary">{series.viewportLabel}</Typography>
+                          </Box>
+                          {latest >= 0 && (
+                            <Chip
+                              label={`${latest}%`}
+                              size="small"
+                              color={series.points[series.points.length - 1].status === 'fail' ? 'error' : 'success'}
+                              variant="outlined"
+                            />
+                          )}
+                        </Stack>
+                        <TrendChart
+                          compact
+                          height={120}
+                          points={runs.map(run => {
+                            const point = series.points.find(candidate => candidate.runId === run.runId)
+                            return {
+                              value: point ? point.misMatchPercentage : null,
+                              label: formatRunTime(run.finishedAt),
+                              highlight: point?.status === 'fail'
+                            }
+                          })}
+                        />
+                      </CardContent>
+                    </Card>
+                  </Grid>
+                )
+              })}
+            </Grid>
+          </Grid>
+
+          <Grid size={{ xs: 12, md: 6 }}>
+            <Card sx={{ height: '100%' }}>
+              <CardContent>
+                <Typography variant="h6" gutterBottom>Slowest Scenarios</Typography>
+                {trends.slowest.length === 0 ? (
+                  <Typography variant="body2" color="text.secondary">No comparison timings recorded yet.</Typography>
+                ) : (
+                  <TableContainer component={Paper} variant="outlined">
+                    <Table size="small">
+                      <TableHead>
+                        <TableRow>
+                          <TableCell>Scenario</TableCell>
+                          <TableCell align="right">Average</TableCell>
+                          <TableCell align="right">Slowest</TableCell>
+                          <TableCell align="right">Samples</TableCell>
+                        </TableRow>
+                      </TableHead>
+                      <TableBody>
+                        {trends.slowest.map(timing => (
+                          <TableRow key={timing.label}>
+                            <TableCell>{timing.label}</TableCell>
+                            <TableCell align="right">{timing.averageMs} ms</TableCell>
+                            <TableCell align="right">{timing.maxMs} ms</TableCell>
+                            <TableCell align="right">{timing.samples}</TableCell>
+                          </TableRow>
+                        ))}
+                      </TableBody>
+                    </Table>
+                  </TableContainer>
+                )}
+              </CardContent>
+            </Card>
+          </Grid>
+
+          <Grid size={{ xs: 12, md: 6 }}>
+            <Card sx={{ height: '100%' }}>
+              <CardContent>
+                <Typography variant="h6" gutterBottom>Most Frequently Failing Selectors</Typography>
+                {trends.failingSelectors.length === 0 ? (
+                  <Typography variant="body2" color="text.secondary">No failures in these runs.</Typography>
+                ) : (
+                  <TableContainer component={Paper} variant="outlined">
+                    <Table size="small">
+                      <TableHead>
+                        <TableRow>
+                          <TableCell>Selector</TableCell>
+                          <TableCell>Scenario</TableCell>
+                          <TableCell align="right">Failures</TableCell>
+                          <TableCell align="right">Runs</TableCell>
+                        </TableRow>
+                      </TableHead>
+                      <TableBody>
+                        {trends.failingSelectors.map(failure => (
+                          <TableRow key={`${failure.label}-${failure.selector}`}>
+                            <TableCell><code>{failure.selector}</code></TableCell>
+                            <TableCell>{failure.label}</TableCell>
+                            <TableCell align="right">{failure.failures}</TableCell>
+                            <TableCell align="right">{failure.runs} / {runs.length}</TableCell>
+                          </TableRow>
+                        ))}
+                      </TableBody>
+                    </Table>
+                  </TableContainer>
+                )}
+              </CardContent>
+            </Card>
+          </Grid>
+        </Grid>
+      )}
+    </Box>
+  )
+}
+
+export default Dashboard
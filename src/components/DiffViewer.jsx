@@ -0,0 +1,470 @@
+import { useState, useEffect, useMemo } from 'react'
+import { useSearchParams, useNavigate } from 'react-router-dom'
+import axios from 'axios'
+import {
+  Box,
+  Typography,
+  Card,
+  CardContent,
+  Button,
+  Chip,
+  Alert,
+  LinearProgress,
+  Grid,
+  Paper,
+  List,
+  ListItemButton,
+  ListItemText,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Slider,
+  Stack,
+  ToggleButton,
+  ToggleButtonGroup
+} from '@mui/material'
+import {
+  Refresh,
+  Edit,
+  CloudUpload,
+  ThumbUp,
+  ThumbDown,
+  PictureAsPdf
+} from '@mui/icons-material'
+import PairComparison, { ViewModeToggle } from './PairComparison'
+import ReviewPanel from './ReviewPanel'
+import ReportDownloadMenu from './ReportDownloadMenu'
+import { getPairKey, getReviewStatus, describeReview } from '../utils/review'
+import { getProjectApiBase } from '../utils/currentProject'
+
+const API_BASE = getProjectApiBase()
+
+// BackstopJS stores the mismatch as a string, and omits it when the comparison errored
+const getMisMatch = (test) => {
+  const value = parseFloat(test.pair.diff?.misMatchPercentage)
+  return Number.isFinite(value) ? value : null
+}
+
+function DiffViewer() {
+  const [searchParams] = useSearchParams()
+  const navigate = useNavigate()
+  const runId = searchParams.get('run')
+
+  const [report, setReport] = useState(null)
+  const [run, setRun] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState('')
+  const [statusFilter, setStatusFilter] = useState('all')
+  const [scenarioFilter, setScenarioFilter] = useState('')
+  const [viewportFilter, setViewportFilter] = useState('')
+  const [misMatchRange, setMisMatchRange] = useState([0, 100])
+  const [selectedIndex, setSelectedIndex] = useState(0)
+  const [mode, setMode] = useState('side-by-side')
+  const [deciding, setDeciding] = useState(false)
+  const [message, setMessage] = useState('')
+  const [review, setReview] = useState(null)
+  const [exportingPdf, setExportingPdf] = useState(false)
+
+  useEffect(() => {
+    loadReport()
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [runId])
+
+  const loadReport = async () => {
+    setLoading(true)
+    setError('')
+    try {
+      // The latest report comes with the history record of its run, if it was archived
+      const response = runId
+        ? await axios.get(`${API_BASE}/history/${runId}`)
+        : await axios.get(`${API_BASE}/report`)
+      setRun(response.data.run)
+      setReport(response.data.report)
+      if (!response.data.report) {
+        setError('This run has no archived report.')
+      }
+      setSelectedIndex(0)
+      await loadReview(response.data.run)
+    } catch (err) {
+      setReport(null)
+      setError(err.response?.data?.error || err.message)
+    }
+    setLoading(false)
+  }
+
+  const loadReview = async (reviewRun) => {
+    if (!reviewRun?.archived) {
+      setReview(null)
+      return
+    }
+    try {
+      const response = await axios.get(`${API_BASE}/history/${reviewRun.id}/review`)
+      setReview(response.data)
+    } catch (err) {
+      setReview(null)
+      setError('Failed to load review: ' + (err.response?.data?.error || err.message))
+    }
+  }
+
+  // The PDF is rendered on the server, which takes a few seconds per failed pair
+  const downloadPdf = async () => {
+    setExportingPdf(true)
+    setError('')
+    try {
+      const response = await axios.get(`${API_BASE}/history/${run.id}/pdf`, { responseType: 'blob' })
+      const url = URL.createObjectURL(response.data)
+      const link = document.createElement('a')
+      link.href = url
+      link.download = `pixelpilot-${run.id}-report.pdf`
+      link.click()
+      URL.revokeObjectURL(url)
+    } catch (err) {
+      // Error responses arrive as a blob too
+      const data = err.response?.data
+      const detail = data instanceof Blob
+        ? await data.text().then(text => JSON.parse(text).error).catch(() => err.message)
+        : err.message
+      setError('Failed to create PDF report: ' + detail)
+    }
+    setExportingPdf(false)
+  }
+
+  const updateReviewPair = ({ summary, ...updatedPair }) => {
+    setReview(prev => ({
+      summary,
+      pairs: prev.pairs.map(pair => (pair.pairKey === updatedPair.pairKey ? updatedPair : pair))
+    }))
+  }
+
+  // Approve or reject the selected pair of the latest report
+  const decidePair = async (action) => {
+    const { pair } = selected
+    setDeciding(true)
+    setError('')
+    try {
+      const response = await axios.post(`${API_BASE}/approvals`, {
+        label: pair.label,
+        selector: pair.selector,
+        viewportLabel: pair.viewportLabel,
+        action
+      })
+      const { approval } = response.data
+      setReport(prev => ({
+        ...prev,
+        tests: prev.tests.map(test => (test === selected ? { ...test, decision: approval } : test))
+      }))
+      setMessage(response.data.message)
+    } catch (err) {
+      setError(err.response?.data?.error || err.message)
+    }
+    setDeciding(false)
+  }
+
+  const tests = useMemo(() => report?.tests || [], [report])
+  const scenarios = useMemo(() => [...new Set(tests.map(test => test.pair.label))], [tests])
+  const viewports = useMemo(() => [...new Set(tests.map(test => test.pair.viewportLabel))], [tests])
+
+  const filteredTests = useMemo(() => tests.filter(test => {
+    if (statusFilter !== 'all' && test.status !== statusFilter) return false
+    if (scenarioFilter && test.pair.label !== scenarioFilter) return false
+    if (viewportFilter && test.pair.viewportLabel !== viewportFilter) return false
+
+    const misMatch = getMisMatch(test)
+    // Pairs without a mismatch value (missing reference, capture errors) only hide when the range is narrowed
+    if (misMatch === null) return misMatchRange[0] === 0 && misMatchRange[1] === 100
+    return misMatch >= misMatchRange[0] && misMatch <= misMatchRange[1]
+  }), [tests, statusFilter, scenarioFilter, viewportFilter, misMatchRange])
+
+  useEffect(() => {
+    setSelectedIndex(0)
+  }, [statusFilter, scenarioFilter, viewportFilter, misMatchRange])
+
+  const selected = filteredTests[selectedIndex]
+  const reviewPairs = useMemo(
+    () => Object.fromEntries((review?.pairs || []).map(pair => [pair.pairKey, pair])),
+    [review]
+  )
+  const selectedReview = selected && reviewPairs[getPairKey(selected.pair)]
+  const reviewText = describeReview(review?.summary)
+  const passedCount = tests.filter(test => test.status === 'pass').length
+  const failedCount = tests.filter(test => test.status === 'fail').length
+
+  return (
+    <Box>
+      <Stack direction="row" alignItems="center" justifyContent="space-between" sx={{ mb: 3 }}>
+        <Box>
+          <Typography variant="h4" component="h2">
+            Diff Viewer
+          </Typography>
+          <Typography variant="body2" color="text.secondary">
+            {runId && run
+              ? `Archived ${run.command} run from ${new Date(run.finishedAt).toLocaleString()}`
+              : 'Latest test report'}
+          </Typography>
+        </Box>
+        <Stack direction="row" spacing={1}>
+          {run?.archived && <ReportDownloadMenu runId={run.id} variant="button" />}
+          {run?.archived && (
+            <Button variant="outlined" startIcon={<PictureAsPdf />} onClick={downloadPdf} disabled={exportingPdf}>
+              {exportingPdf ? 'Creating PDF...' : 'PDF Report'}
+            </Button>
+          )}
+          {runId && (
+            <Button variant="outlined" onClick={() => navigate('/diff')}>
+              Show Latest Report
+            </Button>
+          )}
+          <Button variant="outlined" startIcon={<Refresh />} onClick={loadReport} disabled={loading}>
+            Refresh
+          </Button>
+        </Stack>
+      </Stack>
+
+      {loading && <LinearProgress sx={{ mb: 2 }} />}
+      {error && (
+        <Alert severity="warning" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+      )}
+
+      {message && (
+        <Alert severity="success" sx={{ mb: 2 }} onClose={() => setMessage('')}>
+          {message}
+        </Alert>
+      )}
+
+      {report && (
+        <>
+          <Card sx={{ mb: 3 }}>
+            <CardContent>
+              <Stack direction="row" spacing={1} sx={{ mb: 2 }}>
+                <Chip label={`${tests.length} pairs`} size="small" />
+                <Chip label={`${passedCount} passed`} color="success" size="small" variant="outlined" />
+                <Chip label={`${failedCount} failed`} color={failedCount > 0 ? 'error' : 'default'} size="small" variant="outlined" />
+                {reviewText && (
+                  <Chip
+                    label={reviewText}
+                    color={review.summary.signedOff ? 'success' : 'warning'}
+                    size="small"
+                  />
+                )}
+              </Stack>
+
+              <Grid container spacing={2} alignItems="center">
+                <Grid size={{ xs: 12, md: 3 }}>
+                  <ToggleButtonGroup
+                    value={statusFilter}
+                    exclusive
+                    size="small"
+                    onChange={(event, value) => value && setStatusFilter(value)}
+                  >
+                    <ToggleButton value="all">All</ToggleButton>
+                    <ToggleButton value="fail">Failed</ToggleButton>
+                    <ToggleButton value="pass">Passed</ToggleButton>
+                  </ToggleButtonGroup>
+                </Grid>
+                <Grid size={{ xs: 12, sm: 6, md: 3 }}>
+                  <FormControl fullWidth size="small">
+                    <InputLabel>Scenario</InputLabel>
+                    <Select
+                      value={scenarioFilter}
+                      label="Scenario"
+                      onChange={(event) => setScenarioFilter(event.target.value)}
+                    >
+                      <MenuItem value="">All scenarios</MenuItem>
+                      {scenarios.map(label => (
+                        <MenuItem key={label} value={label}>{label}</MenuItem>
+                      ))}
+                    </Select>
+                  </FormControl>
+                </Grid>
+                <Grid size={{ xs: 12, sm: 6, md: 2 }}>
+                  <FormControl fullWidth size="small">
+                    <InputLabel>Viewport</InputLabel>
+                    <Select
+                      value={viewportFilter}
+                      label="Viewport"
+                      onChange={(event) => setViewportFilter(event.target.value)}
+                    >
+                      <MenuItem value="">All viewports</MenuItem>
+                      {viewports.map(label => (
+                        <MenuItem key={label} value={label}>{label}</MenuItem>
+                      ))}
+                    </Select>
+                  </FormControl>
+                </Grid>
+                <Grid size={{ xs: 12, md: 4 }}>
+                  <Typography variant="body2" color="text.secondary">
+                    Mismatch {misMatchRange[0]}% - {misMatchRange[1]}%
+                  </Typography>
+                  <Slider
+                    value={misMatchRange}
+                    onChange={(event, value) => setMisMatchRange(value)}
+                    valueLabelDisplay="auto"
+                    step={0.5}
+                    min={0}
+                    max={100}
+                    size="small"
+                  />
+                </Grid>
+              </Grid>
+            </CardContent>
+          </Card>
+
+          <Grid container spacing={3}>
+            <Grid size={{ xs: 12, md: 3 }}>
+              <Paper variant="outlined" sx={{ maxHeight: 640, overflow: 'auto' }}>
+                {filteredTests.length === 0 ? (
+                  <Typography variant="body2" color="text.secondary" sx={{ p: 2 }}>
+                    No pairs match the current filters.
+                  </Typography>
+                ) : (
+                  <List dense disablePadding>
+                    {filteredTests.map((test, index) => {
+                      const misMatch = getMisMatch(test)
+                      const reviewPair = reviewPairs[getPairKey(test.pair)]
+                      const reviewStatus = reviewPair && getReviewStatus(reviewPair.status)
+                      return (
+                        <ListItemButton
+                          key={`${test.pair.label}-${test.pair.viewportLabel}-${test.pair.selector}-${index}`}
+                          selected={index === selectedIndex}
+                          onClick={() => setSelectedIndex(index)}
+                          divider
+                        >
+                          <ListItemText
+                            primary={test.pair.label}
+                            secondary={`${test.pair.viewportLabel}${test.pair.selector ? ` · ${test.pair.selector}` : ''}`}
+                          />
+                          <Stack alignItems="flex-end" spacing={0.5}>
+                            <Chip
+                              label={test.status}
+                              color={test.status === 'pass' ? 'success' : 'error'}
+                              size="small"
+                            />
+                            {test.quarantined && (
+                              <Chip label="quarantined" color="warning" size="small" variant="outlined" />
+                            )}
+                            {test.attempts > 1 && (
+                              <Chip label={`attempt ${test.attempts}`} size="small" variant="outlined" />
+                            )}
+                            {reviewStatus && (
+                              <Chip
+                                label={reviewStatus.label}
+                                color={reviewStatus.color}
+                                size="small"
+                                variant="outlined"
+                              />
+                            )}
+                            {test.decision && (
+                              <Chip
+                                label={test.decision.action === 'approve' ? 'approved' : 'rejected'}
+                                color={test.decision.action === 'approve' ? 'success' : 'warning'}
+                                size="small"
+                                variant="outlined"
+                              />
+                            )}
+                            {misMatch !== null && (
+                              <Typography variant="caption" color="text.secondary">
+                                {misMatch}%
+                              </Typography>
+                            )}
+                          </Stack>
+                        </ListItemButton>
+                      )
+                    })}
+                  </List>
+                )}
+              </Paper>
+            </Grid>
+
+            <Grid size={{ xs: 12, md: 9 }}>
+              {selected && (
+                <Card>
+                  <CardContent>
+                    <Stack
+                      direction={{ xs: 'column', lg: 'row' }}
+                      justifyContent="space-between"
+                      alignItems={{ lg: 'center' }}
+                      spacing={2}
+                      sx={{ mb: 2 }}
+                    >
+                      <Box>
+                        <Typography variant="h6">
+                          {selected.pair.label} · {selected.pair.viewportLabel}
+                        </Typography>
+                        <Typography variant="body2" color="text.secondary">
+                          {selected.pair.selector && <>Selector: <code>{selected.pair.selector}</code> · </>}
+                          Mismatch: {getMisMatch(selected) ?? '-'}% (threshold {selected.pair.misMatchThreshold}%)
+                        </Typography>
+                      </Box>
+                      <Stack direction="row" spacing={1} flexWrap="wrap" useFlexGap>
+                        {!runId && (
+                          <>
+                            <Button
+                              size="small"
+                              variant="contained"
+                              color="success"
+                              startIcon={<ThumbUp />}
+                              onClick={() => decidePair('approve')}
+                              disabled={deciding}
+                            >
+                              Approve
+                            </Button>
+                            <Button
+                              size="small"
+                              variant="outlined"
+                              color="error"
+                              startIcon={<ThumbDown />}
+                              onClick={() => decidePair('reject')}
+                              disabled={deciding}
+                            >
+                              Reject
+                            </Button>
+                          </>
+                        )}
+                        <Button size="small" startIcon={<Edit />} onClick={() => navigate('/scenarios')}>
+                          Scenarios
+                        </Button>
+                        <Button
+                          size="small"
+                          startIcon={<CloudUpload />}
+                          onClick={() => navigate(`/upload?scenario=${encodeURIComponent(selected.pair.label)}`)}
+                        >
+                          Upload Reference
+                        </Button>
+                      </Stack>
+                    </Stack>
+
+                    {selected.decision && (
+                      <Alert severity={selected.decision.action === 'approve' ? 'success' : 'warning'} sx={{ mb: 2 }}>
+                        {selected.decision.action === 'approve' ? 'Approved' : 'Rejected'} by {selected.decision.user} on{' '}
+                        {new Date(selected.decision.at).toLocaleString()}
+                      </Alert>
+                    )}
+
+                    {selected.pair.error && (
+                      <Alert severity="error" sx={{ mb: 2 }}>
+                        {selected.pair.error}
+                      </Alert>
+                    )}
+
+                    <ViewModeToggle value={mode} onChange={setMode} />
+
+                    <PairComparison pair={selected.pair} mode={mode} />
+
+                    {selectedReview && (
+                      <ReviewPanel runId={run.id} reviewPair={selectedReview} onChange={updateReviewPair} />
+                    )}
+                  </CardContent>
+                </Card>
+              )}
+            </Grid>
+          </Grid>
+        </>
+      )}
+    </Box>
+  )
+}
+
+export default DiffViewer
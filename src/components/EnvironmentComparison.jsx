@@ -0,0 +1,208 @@
+import { useState, useEffect } from 'react'
+import axios from 'axios'
+import {
+  Box,
+  Typography,
+  Card,
+  CardContent,
+  Button,
+  Alert,
+  Chip,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Grid,
+  IconButton,
+  Link,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Tooltip,
+  LinearProgress
+} from '@mui/material'
+import { CompareArrows, DeleteOutline } from '@mui/icons-material'
+import { SERVER_BASE, getProjectApiBase } from '../utils/currentProject'
+
+const API_BASE = getProjectApiBase()
+
+const STATUS_COLORS = {
+  passed: 'success',
+  failed: 'error',
+  error: 'error'
+}
+
+const describeSide = (environment) => environment?.name || 'referenceUrl'
+
+// References from one environment tested against another, in a report of
+// their own. The job itself is started and followed by the Test Runner.
+function EnvironmentComparison({ onCompare, running = false, disabled = false, refreshKey }) {
+  const [environmentNames, setEnvironmentNames] = useState([])
+  const [reference, setReference] = useState('')
+  const [test, setTest] = useState('')
+  const [comparisons, setComparisons] = useState([])
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    loadEnvironments()
+  }, [])
+
+  useEffect(() => {
+    loadComparisons()
+  }, [refreshKey])
+
+  const loadEnvironments = async () => {
+    try {
+      const response = await axios.get(`${API_BASE}/config`)
+      const names = (response.data.environments || []).map(environment => environment.name)
+      setEnvironmentNames(names)
+      // Production first is the usual direction: prod references, staging tests
+      setReference(names.find(name => /prod/i.test(name)) || names[0] || '')
+      setTest(names.find(name => /stag/i.test(name)) || names[1] || '')
+    } catch (err) {
+      setError('Failed to load environments: ' + (err.response?.data?.error || err.message))
+    }
+  }
+
+  const loadComparisons = async () => {
+    try {
+      const response = await axios.get(`${API_BASE}/comparisons`)
+      setComparisons(response.data.comparisons)
+    } catch (err) {
+      setError('Failed to load comparisons: ' + (err.response?.data?.error || err.message))
+    }
+  }
+
+  const deleteComparison = async (comparison) => {
+    try {
+      await axios.delete(`${API_BASE}/comparisons/${comparison.id}`)
+      setComparisons(prev => prev.filter(existing => existing.id !== comparison.id))
+    } catch (err) {
+      setError('Failed to delete comparison: ' + (err.response?.data?.error || err.message))
+    }
+  }
+
+  const hasEnvironments = environmentNames.length > 0
+
+  return (
+    <Card>
+      <CardContent>
+        <Typography variant="h6" gutterBottom sx={{ display: 'flex', alignItems: 'center' }}>
+          <CompareArrows sx={{ mr: 1 }} />
+          Compare Environments
+        </Typography>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Captures references from one environment and tests the selected scenarios against another in one run.
+          The result gets a report of its own; baseline references and the latest test report are left alone.
+        </Typography>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>
+            {error}
+          </Alert>
+        )}
+
+        {hasEnvironments ? (
+          <Grid container spacing={2} alignItems="center">
+            <Grid size={{ xs: 12, md: 4 }}>
+              <FormControl size="small" fullWidth>
+                <InputLabel>Reference environment</InputLabel>
+                <Select label="Reference environment" value={reference} onChange={(event) => setReference(event.target.value)}>
+                  {environmentNames.map(name => (
+                    <MenuItem key={name} value={name}>{name}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            </Grid>
+            <Grid size={{ xs: 12, md: 4 }}>
+              <FormControl size="small" fullWidth>
+                <InputLabel>Test environment</InputLabel>
+                <Select label="Test environment" value={test} onChange={(event) => setTest(event.target.value)}>
+                  {environmentNames.map(name => (
+                    <MenuItem key={name} value={name}>{name}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            </Grid>
+            <Grid size={{ xs: 12, md: 4 }}>
+              <Button
+                variant="contained"
+                fullWidth
+                startIcon={<CompareArrows />}
+                onClick={() => onCompare({ reference, test })}
+                disabled={disabled || !reference || !test || reference === test}
+              >
+                {running ? 'Comparing...' : 'Compare'}
+              </Button>
+            </Grid>
+          </Grid>
+        ) : (
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+            <Typography variant="body2" color="text.secondary" sx={{ flexGrow: 1 }}>
+              No environments are configured, so references come from each scenario&apos;s Reference URL.
+            </Typography>
+            <Button variant="contained" startIcon={<CompareArrows />} onClick={() => onCompare({})} disabled={disabled}>
+              {running ? 'Comparing...' : 'Compare'}
+            </Button>
+          </Box>
+        )}
+        {running && <LinearProgress sx={{ mt: 2 }} />}
+
+        {comparisons.length > 0 && (
+          <Table size="small" sx={{ mt: 2 }}>
+            <TableHead>
+              <TableRow>
+                <TableCell>Finished</TableCell>
+                <TableCell>Reference → Test</TableCell>
+                <TableCell>Status</TableCell>
+                <TableCell>Pairs</TableCell>
+                <TableCell align="right">Report</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {comparisons.map(comparison => (
+                <TableRow key={comparison.id} hover>
+                  <TableCell>{new Date(comparison.finishedAt).toLocaleString()}</TableCell>
+                  <TableCell>
+                    {describeSide(comparison.reference)} → {describeSide(comparison.test)}
+                    {comparison.filter && (
+                      <Typography variant="caption" color="text.secondary" display="block">
+                        <code>{comparison.filter}</code>
+                      </Typography>
+                    )}
+                  </TableCell>
+                  <TableCell>
+                    <Chip
+                      label={comparison.status === 'failed' ? 'differences' : comparison.status === 'passed' ? 'identical' : comparison.status}
+                      color={STATUS_COLORS[comparison.status] || 'default'}
+                      size="small"
+                    />
+                  </TableCell>
+                  <TableCell>
+                    {comparison.summary ? `${comparison.summary.failed} of ${comparison.summary.total} differ` : '-'}
+                  </TableCell>
+                  <TableCell align="right">
+                    {comparison.reportUrl && (
+                      <Link href={`${SERVER_BASE}${comparison.reportUrl}`} target="_blank" rel="noopener noreferrer" sx={{ mr: 1 }}>
+                        Open
+                      </Link>
+                    )}
+                    <Tooltip title="Delete comparison">
+                      <IconButton size="small" color="error" onClick={() => deleteComparison(comparison)}>
+                        <DeleteOutline fontSize="small" />
+                      </IconButton>
+                    </Tooltip>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
+
+export default EnvironmentComparison
@@ -0,0 +1,195 @@
+import {
+  Box,
+  Typography,
+  Card,
+  CardContent,
+  LinearProgress,
+  Chip,
+  Stack,
+  Paper,
+  List,
+  ListItem,
+  ListItemIcon,
+  ListItemText,
+  Button
+} from '@mui/material'
+import {
+  PhotoCamera,
+  CheckCircleOutline,
+  ErrorOutline,
+  HourglassEmpty,
+  CompareArrows,
+  Cancel,
+  Replay
+} from '@mui/icons-material'
+
+const COMMAND_LABELS = {
+  test: 'Visual Regression Test',
+  reference: 'Reference Generation',
+  approve: 'Approve Test Results',
+  compare: 'Environment Comparison'
+}
+
+const STATUS_COLORS = {
+  queued: 'info',
+  running: 'warning',
+  completed: 'success',
+  failed: 'error',
+  cancelled: 'default'
+}
+
+const percent = (done, total) => (total > 0 ? Math.min(100, Math.round((done / total) * 100)) : 0)
+
+const getEventIcon = (event) => {
+  if (event.phase === 'retry') return <Replay fontSize="small" color="warning" />
+  if (event.phase === 'capture') {
+    if (event.status === 'started') return <HourglassEmpty fontSize="small" color="action" />
+    if (event.status === 'error') return <ErrorOutline fontSize="small" color="error" />
+    return <PhotoCamera fontSize="small" color="primary" />
+  }
+  return event.status === 'passed'
+    ? <CheckCircleOutline fontSize="small" color="success" />
+    : <ErrorOutline fontSize="small" color="error" />
+}
+
+const describeEvent = (event) => {
+  if (event.phase === 'retry') return `Retrying failed scenarios (retry ${event.attempt} of ${event.retries})`
+  if (event.phase === 'capture') {
+    if (event.status === 'started') return 'Capturing'
+    if (event.status === 'error') return `Capture error: ${event.error}`
+    return 'Captured'
+  }
+  const misMatch = event.misMatchPercentage != null ? ` (${event.misMatchPercentage}% mismatch)` : ''
+  return event.status === 'passed' ? 'Compared - passed' : `Compared - failed${misMatch}`
+}
+
+function JobProgress({ job, onCancel, cancelling = false }) {
+  if (!job) return null
+
+  const { progress } = job
+  const isRunning = job.status === 'running'
+  // Show newest events first; older entries scroll off the bottom
+  const recentEvents = [...job.events].reverse().slice(0, 100)
+
+  return (
+    <Card sx={{ mt: 3 }}>
+      <CardContent>
+        <Stack direction="row" alignItems="center" justifyContent="space-between" sx={{ mb: 2 }}>
+          <Typography variant="h6">
+            {COMMAND_LABELS[job.command] || job.command} Progress
+          </Typography>
+          <Stack direction="row" alignItems="center" spacing={1}>
+            <Chip
+              label={job.status}
+              color={STATUS_COLORS[job.status] || 'default'}
+              size="small"
+              sx={{ textTransform: 'capitalize' }}
+            />
+            {(isRunning || job.status === 'queued') && onCancel && (
+              <Button
+                size="small"
+                color="error"
+                variant="outlined"
+                startIcon={<Cancel />}
+                onClick={() => onCancel(job)}
+                disabled={cancelling}
+              >
+                {cancelling ? 'Cancelling...' : 'Cancel'}
+              </Button>
+            )}
+          </Stack>
+        </Stack>
+
+        {job.status === 'queued' && (
+          <Box sx={{ mb: 2 }}>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+              {job.queuePosition > 0
+                ? `Waiting for another BackstopJS operation to finish - position ${job.queuePosition} in queue`
+                : 'Starting...'}
+            </Typography>
+            <LinearProgress color="info" />
+          </Box>
+        )}
+
+        {job.filter && (
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            Filter: <code>{job.filter}</code>
+          </Typography>
+        )}
+
+        {progress.totalCaptures > 0 && (
+          <Box sx={{ mb: 2 }}>
+            <Stack direction="row" justifyContent="space-between">
+              <Typography variant="body2" fontWeight={600}>
+                <PhotoCamera fontSize="inherit" sx={{ mr: 0.5, verticalAlign: 'middle' }} />
+                Captured
+              </Typography>
+              <Typography variant="body2" color="text.secondary">
+                {progress.captured} / {progress.totalCaptures}
+              </Typography>
+            </Stack>
+            <LinearProgress
+              variant={isRunning && progress.captured === 0 ? 'indeterminate' : 'determinate'}
+              value={percent(progress.captured, progress.totalCaptures)}
+              sx={{ mt: 0.5, height: 8, borderRadius: 4 }}
+            />
+          </Box>
+        )}
+
+        {progress.totalComparisons > 0 && (
+          <Box sx={{ mb: 2 }}>
+            <Stack direction="row" justifyContent="space-between">
+              <Typography variant="body2" fontWeight={600}>
+                <CompareArrows fontSize="inherit" sx={{ mr: 0.5, verticalAlign: 'middle' }} />
+                Compared
+              </Typography>
+              <Typography variant="body2" color="text.secondary">
+                {progress.compared} / {progress.totalComparisons}
+              </Typography>
+            </Stack>
+            <LinearProgress
+              variant="determinate"
+              color={progress.failed > 0 ? 'error' : 'primary'}
+              value={percent(progress.compared, progress.totalComparisons)}
+              sx={{ mt: 0.5, height: 8, borderRadius: 4 }}
+            />
+            <Stack direction="row" spacing={1} sx={{ mt: 1 }}>
+              <Chip label={`${progress.passed} passed`} color="success" size="small" variant="outlined" />
+              <Chip label={`${progress.failed} failed`} color={progress.failed > 0 ? 'error' : 'default'} size="small" variant="outlined" />
+              {progress.retries > 0 && (
+                <Chip label={`retry ${progress.retries}`} color="warning" size="small" variant="outlined" icon={<Replay />} />
+              )}
+            </Stack>
+          </Box>
+        )}
+
+        {isRunning && progress.totalCaptures === 0 && progress.totalComparisons === 0 && (
+          <LinearProgress sx={{ mb: 2 }} />
+        )}
+
+        {recentEvents.length > 0 && (
+          <Paper variant="outlined" sx={{ maxHeight: 260, overflow: 'auto' }}>
+            <List dense disablePadding>
+              {recentEvents.map((event, index) => (
+                <ListItem key={`${event.at}-${index}`} divider>
+                  <ListItemIcon sx={{ minWidth: 32 }}>
+                    {getEventIcon(event)}
+                  </ListItemIcon>
+                  <ListItemText
+                    primary={`${event.scenario}${event.viewport ? ` · ${event.viewport}` : ''}`}
+                    secondary={describeEvent(event)}
+                  />
+                  <Typography variant="caption" color="text.secondary">
+                    {new Date(event.at).toLocaleTimeString()}
+                  </Typography>
+                </ListItem>
+              ))}
+            </List>
+          </Paper>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
+
+export default JobProgress
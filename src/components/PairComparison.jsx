@@ -0,0 +1,291 @@
+import { useState, useEffect, useRef } from 'react'
+import {
+  Box,
+  Typography,
+  Grid,
+  Paper,
+  Slider,
+  Stack,
+  IconButton,
+  Tooltip,
+  ToggleButton,
+  ToggleButtonGroup
+} from '@mui/material'
+import {
+  ZoomIn,
+  ZoomOut,
+  CenterFocusStrong,
+  ViewColumn,
+  SwapHoriz,
+  Layers,
+  Difference
+} from '@mui/icons-material'
+import { SERVER_BASE } from '../utils/currentProject'
+
+const MIN_SCALE = 0.25
+const MAX_SCALE = 8
+const INITIAL_VIEW = { scale: 1, x: 0, y: 0 }
+
+const clampScale = (scale) => Math.min(MAX_SCALE, Math.max(MIN_SCALE, scale))
+
+// Zoom by `factor` while keeping the point (cx, cy) of the pane fixed
+const zoomAt = (view, factor, cx, cy) => {
+  const scale = clampScale(view.scale * factor)
+  const ratio = scale / view.scale
+  return {
+    scale,
+    x: cx - (cx - view.x) * ratio,
+    y: cy - (cy - view.y) * ratio
+  }
+}
+
+function PaneImage({ src, alt, style }) {
+  const [failed, setFailed] = useState(false)
+
+  useEffect(() => {
+    setFailed(false)
+  }, [src])
+
+  if (!src || failed) {
+    return (
+      <Box sx={{ p: 4, textAlign: 'center', color: 'text.secondary', ...style }}>
+        <Typography variant="body2">{alt} not available</Typography>
+      </Box>
+    )
+  }
+
+  return (
+    <img
+      src={`${SERVER_BASE}${src}`}
+      alt={alt}
+      draggable={false}
+      onError={() => setFailed(true)}
+      style={{ display: 'block', width: '100%', userSelect: 'none', ...style }}
+    />
+  )
+}
+
+/**
+ * A pannable, zoomable viewport. Every pane rendered with the same `view`
+ * shows the same region, which keeps reference, test and diff in sync.
+ */
+function ZoomPane({ title, view, onViewChange, children }) {
+  const paneRef = useRef(null)
+  const viewRef = useRef(view)
+  viewRef.current = view
+
+  // React registers wheel listeners as passive, so preventDefault needs a native listener
+  useEffect(() => {
+    const pane = paneRef.current
+    const handleWheel = (event) => {
+      event.preventDefault()
+      const rect = pane.getBoundingClientRect()
+      const factor = event.deltaY < 0 ? 1.1 : 1 / 1.1
+      onViewChange(zoomAt(viewRef.current, factor, event.clientX - rect.left, event.clientY - rect.top))
+    }
+    pane.addEventListener('wheel', handleWheel, { passive: false })
+    return () => pane.removeEventListener('wheel', handleWheel)
+  }, [onViewChange])
+
+  const startPan = (event) => {
+    event.preventDefault()
+    const start = { clientX: event.clientX, clientY: event.clientY, ...viewRef.current }
+
+    const handleMove = (moveEvent) => {
+      onViewChange({
+        scale: start.scale,
+        x: start.x + moveEvent.clientX - start.clientX,
+        y: start.y + moveEvent.clientY - start.clientY
+      })
+    }
+    const handleUp = () => {
+      window.removeEventListener('mousemove', handleMove)
+      window.removeEventListener('mouseup', handleUp)
+    }
+    window.addEventListener('mousemove', handleMove)
+    window.addEventListener('mouseup', handleUp)
+  }
+
+  return (
+    <Paper variant="outlined" sx={{ overflow: 'hidden' }}>
+      {title && (
+        <Typography variant="subtitle2" sx={{ px: 1.5, py: 0.75, borderBottom: 1, borderColor: 'divider' }}>
+          {title}
+        </Typography>
+      )}
+      <Box
+        ref={paneRef}
+        onMouseDown={startPan}
+        sx={{
+          position: 'relative',
+          height: 480,
+          overflow: 'hidden',
+          cursor: 'grab',
+          backgroundColor: 'grey.100',
+          '&:active': { cursor: 'grabbing' }
+        }}
+      >
+        <Box
+          sx={{
+            position: 'absolute',
+            top: 0,
+            left: 0,
+            width: '100%',
+            transformOrigin: '0 0',
+            transform: `translate(${view.x}px, ${view.y}px) scale(${view.scale})`
+          }}
+        >
+          {children}
+        </Box>
+      </Box>
+    </Paper>
+  )
+}
+
+const VIEW_MODES = [
+  { value: 'side-by-side', label: 'Side by side', icon: <ViewColumn fontSize="small" /> },
+  { value: 'swipe', label: 'Swipe', icon: <SwapHoriz fontSize="small" /> },
+  { value: 'onion', label: 'Onion skin', icon: <Layers fontSize="small" /> },
+  { value: 'diff', label: 'Diff only', icon: <Difference fontSize="small" /> }
+]
+
+export function ViewModeToggle({ value, onChange }) {
+  return (
+    <ToggleButtonGroup
+      value={value}
+      exclusive
+      size="small"
+      onChange={(event, mode) => mode && onChange(mode)}
+      sx={{ mb: 2 }}
+    >
+      {VIEW_MODES.map(viewMode => (
+        <ToggleButton key={viewMode.value} value={viewMode.value} sx={{ textTransform: 'none', gap: 0.5 }}>
+          {viewMode.icon}
+          {viewMode.label}
+        </ToggleButton>
+      ))}
+    </ToggleButtonGroup>
+  )
+}
+
+const DEFAULT_LABELS = { reference: 'Reference', test: 'Test', diff: 'Diff' }
+
+// `labels` renames the three images, e.g. when comparing two test runs
+function PairComparison({ pair, mode, labels = DEFAULT_LABELS }) {
+  const [view, setView] = useState(INITIAL_VIEW)
+  const [swipePosition, setSwipePosition] = useState(50)
+  const [opacity, setOpacity] = useState(50)
+
+  // Start each pair unzoomed
+  useEffect(() => {
+    setView(INITIAL_VIEW)
+  }, [pair])
+
+  const zoomBy = (factor) => setView(prev => zoomAt(prev, factor, 0, 0))
+
+  const overlayStyle = { position: 'absolute', top: 0, left: 0 }
+
+  return (
+    <Box>
+      <Stack direction="row" alignItems="center" spacing={1} sx={{ mb: 1 }}>
+        <Tooltip title="Zoom out">
+          <IconButton size="small" onClick={() => zoomBy(1 / 1.25)}>
+            <ZoomOut fontSize="small" />
+          </IconButton>
+        </Tooltip>
+        <Typography variant="body2" sx={{ minWidth: 48, textAlign: 'center' }}>
+          {Math.round(view.scale * 100)}%
+        </Typography>
+        <Tooltip title="Zoom in">
+          <IconButton size="small" onClick={() => zoomBy(1.25)}>
+            <ZoomIn fontSize="small" />
+          </IconButton>
+        </Tooltip>
+        <Tooltip title="Reset zoom">
+          <IconButton size="small" onClick={() => setView(INITIAL_VIEW)}>
+            <CenterFocusStrong fontSize="small" />
+          </IconButton>
+        </Tooltip>
+        <Typography variant="caption" color="text.secondary">
+          Scroll to zoom, drag to pan
+        </Typography>
+      </Stack>
+
+      {mode === 'side-by-side' && (
+        <Grid container spacing={2}>
+          {[
+            { title: labels.reference, src: pair.referenceUrl },
+            { title: labels.test, src: pair.testUrl },
+            { title: labels.diff, src: pair.diffUrl }
+          ].map(pane => (
+            <Grid size={{ xs: 12, md: 4 }} key={pane.title}>
+              <ZoomPane title={pane.title} view={view} onViewChange={setView}>
+                <PaneImage src={pane.src} alt={`${pane.title} image`} />
+              </ZoomPane>
+            </Grid>
+          ))}
+        </Grid>
+      )}
+
+      {mode === 'swipe' && (
+        <>
+          <ZoomPane title={`${labels.reference} ◀ ▶ ${labels.test}`} view={view} onViewChange={setView}>
+            <PaneImage src={pair.referenceUrl} alt={`${labels.reference} image`} />
+            <PaneImage
+              src={pair.testUrl}
+              alt={`${labels.test} image`}
+              style={{ ...overlayStyle, clipPath: `inset(0 0 0 ${swipePosition}%)` }}
+            />
+            <Box
+              sx={{
+                ...overlayStyle,
+                left: `${swipePosition}%`,
+                height: '100%',
+                borderLeft: 2,
+                borderColor: 'error.main'
+              }}
+            />
+          </ZoomPane>
+          <Slider
+            value={swipePosition}
+            onChange={(event, value) => setSwipePosition(value)}
+            aria-label="Swipe position"
+            sx={{ mt: 1 }}
+          />
+        </>
+      )}
+
+      {mode === 'onion' && (
+        <>
+          <ZoomPane title={`${labels.reference} + ${labels.test} overlay`} view={view} onViewChange={setView}>
+            <PaneImage src={pair.referenceUrl} alt={`${labels.reference} image`} />
+            <PaneImage src={pair.testUrl} alt={`${labels.test} image`} style={{ ...overlayStyle, opacity: opacity / 100 }} />
+          </ZoomPane>
+          <Stack direction="row" alignItems="center" spacing={2} sx={{ mt: 1 }}>
+            <Typography variant="body2" color="text.secondary">{labels.reference}</Typography>
+            <Slider
+              value={opacity}
+              onChange={(event, value) => setOpacity(value)}
+              aria-label="Test image opacity"
+            />
+            <Typography variant="body2" color="text.secondary">{labels.test}</Typography>
+          </Stack>
+        </>
+      )}
+
+      {mode === 'diff' && (
+        <ZoomPane title={labels.diff} view={view} onViewChange={setView}>
+          {pair.diffUrl
+            ? <PaneImage src={pair.diffUrl} alt={`${labels.diff} image`} />
+            : (
+              <Box sx={{ p: 4, textAlign: 'center', color: 'text.secondary' }}>
+                <Typography variant="body2">No diff image - BackstopJS only writes one for failed comparisons</Typography>
+              </Box>
+            )}
+        </ZoomPane>
+      )}
+    </Box>
+  )
+}
+
+export default PairComparison
@@ -0,0 +1,152 @@
+import { useState, useEffect } from 'react'
+import axios from 'axios'
+import {
+  Box,
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  FormControl,
+  IconButton,
+  InputLabel,
+  MenuItem,
+  Select,
+  TextField,
+  Tooltip,
+  Alert
+} from '@mui/material'
+import { Add, ContentCopy, DeleteOutline } from '@mui/icons-material'
+import { API_BASE, DEFAULT_PROJECT, getCurrentProject, setCurrentProject } from '../utils/currentProject'
+
+// Every page works on the selected project; switching reloads the page
+const switchProject = (id) => {
+  setCurrentProject(id)
+  window.location.reload()
+}
+
+function ProjectSwitcher() {
+  const [projects, setProjects] = useState([])
+  const [dialog, setDialog] = useState(null)
+  const [name, setName] = useState('')
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState('')
+  const currentProject = getCurrentProject()
+
+  useEffect(() => {
+    loadProjects()
+  }, [])
+
+  const loadProjects = async () => {
+    try {
+      const response = await axios.get(`${API_BASE}/projects`)
+      setProjects(response.data.projects)
+      // The selected project was deleted elsewhere
+      if (!response.data.projects.some(project => project.id === getCurrentProject())) {
+        switchProject(DEFAULT_PROJECT)
+      }
+    } catch (err) {
+      console.error('Failed to load projects:', err)
+    }
+  }
+
+  const openDialog = (mode) => {
+    const current = projects.find(project => project.id === currentProject)
+    setName(mode === 'clone' && current ? `${current.name} copy` : '')
+    setError('')
+    setDialog(mode)
+  }
+
+  const createProject = async () => {
+    setSaving(true)
+    try {
+      const response = await axios.post(`${API_BASE}/projects`, {
+        name,
+        cloneFrom: dialog === 'clone' ? currentProject : undefined
+      })
+      switchProject(response.data.project.id)
+    } catch (err) {
+      setError(err.response?.data?.error || err.message)
+      setSaving(false)
+    }
+  }
+
+  const deleteProject = async () => {
+    const project = projects.find(existing => existing.id === currentProject)
+    if (!project || !window.confirm(`Delete the project "${project.name}" with its references, uploads and history?`)) {
+      return
+    }
+
+    try {
+      await axios.delete(`${API_BASE}/projects/${encodeURIComponent(project.id)}`)
+      switchProject(DEFAULT_PROJECT)
+    } catch (err) {
+      window.alert('Failed to delete project: ' + (err.response?.data?.error || err.message))
+    }
+  }
+
+  return (
+    <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5, mr: 2 }}>
+      <FormControl size="small" sx={{ minWidth: 180 }}>
+        <InputLabel>Project</InputLabel>
+        <Select
+          label="Project"
+          value={projects.length > 0 ? currentProject : ''}
+          onChange={(event) => switchProject(event.target.value)}
+        >
+          {projects.map(project => (
+            <MenuItem key={project.id} value={project.id}>{project.name}</MenuItem>
+          ))}
+        </Select>
+      </FormControl>
+      <Tooltip title="New project">
+        <IconButton size="small" onClick={() => openDialog('create')}>
+          <Add fontSize="small" />
+        </IconButton>
+      </Tooltip>
+      <Tooltip title="Clone this project">
+        <IconButton size="small" onClick={() => openDialog('clone')}>
+          <ContentCopy fontSize="small" />
+        </IconButton>
+      </Tooltip>
+      <Tooltip title={currentProject === DEFAULT_PROJECT ? 'The default project cannot be deleted' : 'Delete this project'}>
+        <span>
+          <IconButton size="small" color="error" onClick={deleteProject} disabled={currentProject === DEFAULT_PROJECT}>
+            <DeleteOutline fontSize="small" />
+          </IconButton>
+        </span>
+      </Tooltip>
+
+      <Dialog open={dialog !== null} onClose={() => setDialog(null)} fullWidth maxWidth="xs">
+        <DialogTitle>{dialog === 'clone' ? 'Clone Project' : 'New Project'}</DialogTitle>
+        <DialogContent>
+          {error && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {error}
+            </Alert>
+          )}
+          <TextField
+            autoFocus
+            label="Name"
+            size="small"
+            fullWidth
+            value={name}
+            onChange={(event) => setName(event.target.value)}
+            helperText={dialog === 'clone'
+              ? 'Copies the configuration, references, engine scripts and uploads. History is not copied.'
+              : 'Starts with the default configuration'}
+            sx={{ mt: 1 }}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDialog(null)}>Cancel</Button>
+          <Button variant="contained" onClick={createProject} disabled={saving || !name.trim()}>
+            {saving ? 'Creating...' : dialog === 'clone' ? 'Clone' : 'Create'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  )
+}
+
+export default ProjectSwitcher
@@ -0,0 +1,159 @@
+import { useState, useEffect } from 'react'
+import axios from 'axios'
+import {
+  Box,
+  Typography,
+  Button,
+  Alert,
+  Chip,
+  Stack,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  FormControlLabel,
+  Radio,
+  RadioGroup,
+  CircularProgress
+} from '@mui/material'
+import { getProjectApiBase } from '../utils/currentProject'
+
+const API_BASE = getProjectApiBase()
+
+const formatSize = (size) => `${size.width}×${size.height ?? 'any'}`
+
+const TRANSFORM_LABELS = {
+  devicePixelRatio: transform => `1/${transform.ratio} for device pixel ratio ${transform.ratio}`,
+  scale: transform => `scale to ${transform.width}×${transform.height}`,
+  crop: transform => `crop ${transform.width}×${transform.height} at ${transform.x},${transform.y}`,
+  pad: transform => `pad to ${transform.width}×${transform.height}`
+}
+
+const describeTransforms = (transforms) => transforms
+  .map(transform => TRANSFORM_LABELS[transform.type]?.(transform) || transform.type)
+  .join(', then ')
+
+// Fits a reference upload of the wrong size to what BackstopJS captures:
+// pick one of the server's suggestions, check the preview and save it. The
+// original upload is kept, so a cell can be normalized again or restored.
+// `selector` is null for viewport-wide uploads.
+function ReferenceNormalizationDialog({ open, scenario, viewport, selector, onClose, onNormalized }) {
+  const [referenceSize, setReferenceSize] = useState(null)
+  const [optionId, setOptionId] = useState('')
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState('')
+
+  const cellPath = `${API_BASE}/reference-uploads/${encodeURIComponent(scenario)}/${encodeURIComponent(viewport)}/normalization`
+  const selectorQuery = selector ? `selector=${encodeURIComponent(selector)}` : ''
+
+  useEffect(() => {
+    if (!open) return
+    setReferenceSize(null)
+    setError('')
+    axios.get(`${cellPath}?${selectorQuery}`)
+      .then(response => {
+        setReferenceSize(response.data)
+        setOptionId(response.data.options?.[0]?.id || '')
+      })
+      .catch(err => setError(err.response?.data?.error || err.message))
+  }, [open, cellPath, selectorQuery])
+
+  const option = referenceSize?.options?.find(candidate => candidate.id === optionId)
+
+  const save = async (transforms) => {
+    setSaving(true)
+    setError('')
+    try {
+      const response = await axios.post(cellPath, { selector, transforms })
+      onNormalized(response.data.message)
+    } catch (err) {
+      setError(err.response?.data?.error || err.message)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>Normalize Reference Size</DialogTitle>
+      <DialogContent>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+        {!referenceSize && !error && <CircularProgress size={24} />}
+
+        {referenceSize && !referenceSize.supported && (
+          <Alert severity="info">Only PNG references can be normalized.</Alert>
+        )}
+
+        {referenceSize?.supported && (
+          <>
+            <Stack direction="row" spacing={1} sx={{ mb: 2 }} flexWrap="wrap" useFlexGap>
+              <Chip size="small" label={`Uploaded ${formatSize(referenceSize.image)}`} />
+              <Chip
+                size="small"
+                color="primary"
+                variant="outlined"
+                label={`Expected ${formatSize(referenceSize.expected)} (${referenceSize.expected.source === 'capture' ? 'last test capture' : 'viewport'})`}
+              />
+              {referenceSize.normalization && (
+                <Chip size="small" color="success" label={`Saved as ${formatSize(referenceSize.normalization)}`} />
+              )}
+            </Stack>
+            {referenceSize.expected.source === 'viewport' && (
+              <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                There is no test capture of this cell yet, so only the viewport width is known. Run a test
+                to normalize to the element's captured size.
+              </Typography>
+            )}
+
+            {referenceSize.options.length === 0 ? (
+              <Alert severity="success">The uploaded image already has the expected size.</Alert>
+            ) : (
+              <Box sx={{ display: 'flex', gap: 3, flexDirection: { xs: 'column', md: 'row' } }}>
+                <RadioGroup value={optionId} onChange={(event) => setOptionId(event.target.value)} sx={{ minWidth: 240 }}>
+                  {referenceSize.options.map(candidate => (
+                    <FormControlLabel
+                      key={candidate.id}
+                      value={candidate.id}
+                      control={<Radio size="small" />}
+                      label={
+                        <Box>
+                          <Typography variant="body2">{candidate.label} → {formatSize(candidate.result)}</Typography>
+                          <Typography variant="caption" color="text.secondary">{describeTransforms(candidate.transforms)}</Typography>
+                        </Box>
+                      }
+                    />
+                  ))}
+                </RadioGroup>
+                {option && (
+                  <Box
+                    component="img"
+                    src={`${cellPath}/preview?${selectorQuery}&transforms=${encodeURIComponent(JSON.stringify(option.transforms))}`}
+                    alt="Normalized preview"
+                    sx={{ flex: 1, minWidth: 0, maxHeight: 400, objectFit: 'contain', objectPosition: 'top', border: 1, borderColor: 'divider', bgcolor: 'grey.100' }}
+                  />
+                )}
+              </Box>
+            )}
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        {referenceSize?.normalization && (
+          <Button color="inherit" onClick={() => save([])} disabled={saving} sx={{ mr: 'auto' }}>
+            Restore Original
+          </Button>
+        )}
+        <Button onClick={onClose}>{referenceSize?.normalization ? 'Close' : 'Keep Original'}</Button>
+        <Button variant="contained" onClick={() => save(option.transforms)} disabled={saving || !option}>
+          {saving ? 'Saving...' : 'Save Normalized'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  )
+}
+
+export default ReferenceNormalizationDialog
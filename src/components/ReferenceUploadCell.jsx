@@ -0,0 +1,225 @@
+import {
+  Box,
+  Typography,
+  Card,
+  CardContent,
+  CardMedia,
+  Button,
+  Paper,
+  Stack,
+  Chip,
+  Avatar,
+  CircularProgress,
+  Tooltip
+} from '@mui/material'
+import {
+  CloudUpload,
+  Visibility,
+  Delete,
+  CheckCircle,
+  Sync,
+  SyncProblem,
+  Warning,
+  AspectRatio
+} from '@mui/icons-material'
+import { getProjectServerBase } from '../utils/currentProject'
+
+const getSyncStatusIcon = (cell) => {
+  if (cell.synced) return <CheckCircle color="success" fontSize="small" />
+  if (cell.hasReference) return <Warning color="warning" fontSize="small" />
+  return <SyncProblem color="error" fontSize="small" />
+}
+
+const getSyncStatusText = (cell) => {
+  if (cell.synced) return 'Synced to BackstopJS'
+  if (cell.hasReference) {
+    return cell.missing?.length ? `Not synced to BackstopJS (${cell.missing.length} file${cell.missing.length === 1 ? '' : 's'} missing)` : 'Not synced to BackstopJS'
+  }
+  return 'No reference image'
+}
+
+// Size chip of a reference: normalized, or whether it matches the expected
+// size (see ReferenceNormalizationDialog)
+const getSizeChip = (referenceSize) => {
+  if (!referenceSize?.supported) return null
+  const { expected, normalization, image, matches } = referenceSize
+  const size = normalization || image
+  const label = `${size.width}×${size.height}`
+  const expectedLabel = `${expected.width}×${expected.height ?? 'any'}`
+  if (normalization) {
+    return (
+      <Tooltip title={`Normalized from ${image.width}×${image.height}; the original upload is kept`}>
+        <Chip label={`Normalized ${label}`} color={matches ? 'success' : 'warning'} size="small" variant="outlined" />
+      </Tooltip>
+    )
+  }
+  return matches ? null : (
+    <Tooltip title={`BackstopJS captures ${expectedLabel} here, so comparisons requiring the same dimensions fail`}>
+      <Chip label={`${label}, expected ${expectedLabel}`} color="warning" size="small" variant="outlined" />
+    </Tooltip>
+  )
+}
+
+// One selector × viewport cell of the Screenshot Upload grid: its reference
+// upload, or the viewport-wide upload it falls back to, with sync status and
+// actions. `inputId` must be unique on the page.
+function ReferenceUploadCell({ cell, viewport, inputId, uploading = false, syncing = false, onUpload, onSync, onDelete, onNormalize }) {
+  const ownReference = cell.upload?.referenceScreenshot || cell.upload?.screenshots?.[0] || null
+  const reference = ownReference || cell.shared?.referenceScreenshot || null
+  const isShared = !ownReference && Boolean(reference)
+  const imageUrl = reference && `${getProjectServerBase()}/uploads/${reference.filename}`
+  const sizeChip = getSizeChip(cell.referenceSize)
+
+  return (
+    <Card variant="outlined" sx={{ height: '100%' }}>
+      <CardContent>
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+          <Typography variant="subtitle1" fontWeight="bold">
+            {viewport.label}
+          </Typography>
+          <Chip label={`${viewport.width}×${viewport.height}`} size="small" variant="outlined" />
+        </Box>
+
+        {reference && (
+          <Card variant="outlined" sx={{ mb: 2, border: 2, borderColor: isShared ? 'info.main' : 'success.main' }}>
+            <CardMedia
+              component="img"
+              height="150"
+              image={imageUrl}
+              alt={reference.originalName}
+              sx={{ objectFit: 'contain' }}
+            />
+            <CardContent sx={{ p: 2 }}>
+              <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1, gap: 1 }}>
+                <Typography variant="subtitle2" fontWeight="bold" noWrap>
+                  {reference.originalName}
+                </Typography>
+                {isShared ? (
+                  <Tooltip title="Uploaded for the whole viewport; used by every selector without an upload of its own">
+                    <Chip label="Shared" color="info" size="small" />
+                  </Tooltip>
+                ) : (
+                  <Chip label="Reference" color="success" size="small" />
+                )}
+              </Box>
+              <Typography variant="body2" color="text.secondary" sx={{ mb: sizeChip ? 1 : 2 }}>
+                {new Date(reference.uploadedAt).toLocaleDateString()}
+              </Typography>
+              {sizeChip && <Box sx={{ mb: 2 }}>{sizeChip}</Box>}
+              <Stack direction="row" spacing={1}>
+                <Button
+                  variant="outlined"
+                  color="error"
+                  startIcon={<Delete />}
+                  onClick={() => onDelete(reference.filename, isShared)}
+                  size="small"
+                  fullWidth
+                >
+                  {isShared ? 'Delete Shared' : 'Delete'}
+                </Button>
+                <Button
+                  variant="outlined"
+                  startIcon={<Visibility />}
+                  onClick={() => window.open(imageUrl, '_blank')}
+                  size="small"
+                  fullWidth
+                >
+                  View
+                </Button>
+                {sizeChip && (
+                  <Button
+                    variant="outlined"
+                    startIcon={<AspectRatio />}
+                    onClick={() => onNormalize(isShared)}
+                    size="small"
+                    fullWidth
+                  >
+                    Resize
+                  </Button>
+                )}
+              </Stack>
+            </CardContent>
+          </Card>
+        )}
+
+        {!ownReference && (
+          <Box sx={{ mb: 2 }}>
+            <input
+              type="file"
+              accept="image/*"
+              onChange={(e) => {
+                const file = e.target.files[0]
+                if (file) onUpload(file)
+                e.target.value = ''
+              }}
+              style={{ display: 'none' }}
+              id={inputId}
+            />
+            <Paper
+              sx={{
+                border: '2px dashed',
+                borderColor: 'grey.300',
+                borderRadius: 2,
+                p: isShared ? 1.5 : 3,
+                textAlign: 'center',
+                cursor: 'pointer',
+                transition: 'all 0.3s ease',
+                '&:hover': {
+                  borderColor: 'primary.main',
+                  bgcolor: 'action.hover'
+                }
+              }}
+              onClick={() => document.getElementById(inputId).click()}
+            >
+              <Stack alignItems="center" spacing={isShared ? 1 : 2}>
+                <Avatar sx={{ bgcolor: 'primary.main', width: isShared ? 32 : 48, height: isShared ? 32 : 48 }}>
+                  {uploading ? <CircularProgress size={20} color="inherit" /> : <CloudUpload />}
+                </Avatar>
+                <Typography variant={isShared ? 'body2' : 'h6'}>
+                  {uploading ? 'Uploading...' : isShared ? 'Upload for this selector' : 'Upload Reference Image'}
+                </Typography>
+                {!isShared && (
+                  <>
+                    <Typography variant="body2" color="text.secondary">
+                      Click to select image for <code>{cell.selector}</code> at {viewport.label}
+                    </Typography>
+                    <Typography variant="caption" color="primary" sx={{ fontWeight: 'bold' }}>
+                      Auto-syncs as BackstopJS reference
+                    </Typography>
+                  </>
+                )}
+              </Stack>
+            </Paper>
+          </Box>
+        )}
+
+        {/* Sync Status and Manual Sync */}
+        <Box sx={{ p: 1, bgcolor: 'grey.50', borderRadius: 1 }}>
+          <Tooltip title={(cell.backstopFilenames || []).join(', ')}>
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: reference ? 1 : 0 }}>
+              {getSyncStatusIcon(cell)}
+              <Typography variant="caption" color="text.secondary">
+                {getSyncStatusText(cell)}
+              </Typography>
+            </Box>
+          </Tooltip>
+          {reference && (
+            <Button
+              variant="outlined"
+              size="small"
+              startIcon={syncing ? <CircularProgress size={16} /> : <Sync />}
+              onClick={() => onSync(isShared)}
+              disabled={syncing}
+              fullWidth
+              sx={{ fontSize: '0.75rem' }}
+            >
+              {syncing ? 'Syncing...' : 'Manual Sync to BackstopJS'}
+            </Button>
+          )}
+        </Box>
+      </CardContent>
+    </Card>
+  )
+}
+
+export default ReferenceUploadCell
@@ -0,0 +1,47 @@
+import { useState } from 'react'
+import { Button, IconButton, Menu, MenuItem, ListItemText, Tooltip } from '@mui/material'
+import { Download } from '@mui/icons-material'
+import { getProjectApiBase } from '../utils/currentProject'
+
+const API_BASE = getProjectApiBase()
+
+const REPORT_FORMATS = [
+  { format: 'junit', label: 'JUnit XML', description: 'For CI test tabs' },
+  { format: 'markdown', label: 'Markdown', description: 'Failure table for PR comments' },
+  { format: 'json', label: 'JSON summary', description: 'Stable machine-readable schema' }
+]
+
+// Download a test run's summary reports; shown as an icon in tables or as a button
+function ReportDownloadMenu({ runId, variant = 'icon' }) {
+  const [anchor, setAnchor] = useState(null)
+
+  return (
+    <>
+      {variant === 'icon' ? (
+        <Tooltip title="Download reports">
+          <IconButton size="small" onClick={(event) => setAnchor(event.currentTarget)}>
+            <Download fontSize="small" />
+          </IconButton>
+        </Tooltip>
+      ) : (
+        <Button size="small" variant="outlined" startIcon={<Download />} onClick={(event) => setAnchor(event.currentTarget)}>
+          Reports
+        </Button>
+      )}
+      <Menu anchorEl={anchor} open={Boolean(anchor)} onClose={() => setAnchor(null)}>
+        {REPORT_FORMATS.map(({ format, label, description }) => (
+          <MenuItem
+            key={format}
+            component="a"
+            href={`${API_BASE}/history/${runId}/reports/${format}`}
+            onClick={() => setAnchor(null)}
+          >
+            <ListItemText primary={label} secondary={description} />
+          </MenuItem>
+        ))}
+      </Menu>
+    </>
+  )
+}
+
+export default ReportDownloadMenu
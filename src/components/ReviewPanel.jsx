@@ -0,0 +1,156 @@
+import { useState } from 'react'
+import axios from 'axios'
+import {
+  Box,
+  Typography,
+  Button,
+  Alert,
+  TextField,
+  Stack,
+  Paper,
+  ToggleButton,
+  ToggleButtonGroup
+} from '@mui/material'
+import { Reply, Send } from '@mui/icons-material'
+import { REVIEW_STATUSES } from '../utils/review'
+import { getProjectApiBase } from '../utils/currentProject'
+
+const API_BASE = getProjectApiBase()
+
+function CommentThread({ comments, parentId, onReply, depth = 0 }) {
+  const children = comments.filter(comment => comment.parentId === parentId)
+  if (children.length === 0) return null
+
+  return (
+    <Stack spacing={1} sx={{ pl: depth > 0 ? 3 : 0, mt: depth > 0 ? 1 : 0 }}>
+      {children.map(comment => (
+        <Box key={comment.id}>
+          <Paper variant="outlined" sx={{ p: 1.5 }}>
+            <Stack direction="row" justifyContent="space-between" alignItems="center">
+              <Typography variant="subtitle2">{comment.author}</Typography>
+              <Typography variant="caption" color="text.secondary">
+                {new Date(comment.at).toLocaleString()}
+              </Typography>
+            </Stack>
+            <Typography variant="body2" sx={{ whiteSpace: 'pre-wrap', my: 0.5 }}>
+              {comment.text}
+            </Typography>
+            <Button size="small" startIcon={<Reply />} onClick={() => onReply(comment)}>
+              Reply
+            </Button>
+          </Paper>
+          <CommentThread comments={comments} parentId={comment.id} onReply={onReply} depth={depth + 1} />
+        </Box>
+      ))}
+    </Stack>
+  )
+}
+
+/**
+ * Review status and comment thread for one failed pair of an archived run.
+ * `onChange` receives the updated review pair, including the run's new summary.
+ */
+function ReviewPanel({ runId, reviewPair, onChange }) {
+  const [text, setText] = useState('')
+  const [replyTo, setReplyTo] = useState(null)
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState('')
+
+  const pairUrl = `${API_BASE}/history/${runId}/review/${encodeURIComponent(reviewPair.pairKey)}`
+
+  const setStatus = async (status) => {
+    setSaving(true)
+    try {
+      const response = await axios.put(pairUrl, { status })
+      onChange(response.data.pair)
+      setError('')
+    } catch (err) {
+      setError(err.response?.data?.error || err.message)
+    }
+    setSaving(false)
+  }
+
+  const addComment = async () => {
+    setSaving(true)
+    try {
+      const response = await axios.post(`${pairUrl}/comments`, { text, parentId: replyTo?.id })
+      onChange(response.data.pair)
+      setText('')
+      setReplyTo(null)
+      setError('')
+    } catch (err) {
+      setError(err.response?.data?.error || err.message)
+    }
+    setSaving(false)
+  }
+
+  return (
+    <Box sx={{ mt: 3 }}>
+      <Stack direction={{ xs: 'column', sm: 'row' }} justifyContent="space-between" alignItems={{ sm: 'center' }} spacing={1} sx={{ mb: 2 }}>
+        <Typography variant="h6">Review</Typography>
+        <ToggleButtonGroup
+          value={reviewPair.status}
+          exclusive
+          size="small"
+          disabled={saving}
+          onChange={(event, value) => value && setStatus(value)}
+        >
+          {REVIEW_STATUSES.map(status => (
+            <ToggleButton key={status.value} value={status.value} color={status.color === 'default' ? 'standard' : status.color}>
+              {status.label}
+            </ToggleButton>
+          ))}
+        </ToggleButtonGroup>
+      </Stack>
+
+      {reviewPair.updatedBy && (
+        <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mb: 2 }}>
+          Status set by {reviewPair.updatedBy} on {new Date(reviewPair.updatedAt).toLocaleString()}
+        </Typography>
+      )}
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>
+          {error}
+        </Alert>
+      )}
+
+      {reviewPair.comments.length === 0 ? (
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          No comments yet.
+        </Typography>
+      ) : (
+        <Box sx={{ mb: 2 }}>
+          <CommentThread comments={reviewPair.comments} parentId={null} onReply={setReplyTo} />
+        </Box>
+      )}
+
+      {replyTo && (
+        <Alert severity="info" sx={{ mb: 1 }} onClose={() => setReplyTo(null)}>
+          Replying to {replyTo.author}
+        </Alert>
+      )}
+      <Stack direction="row" spacing={1} alignItems="flex-start">
+        <TextField
+          value={text}
+          onChange={(event) => setText(event.target.value)}
+          placeholder={replyTo ? 'Write a reply...' : 'Add a comment...'}
+          size="small"
+          multiline
+          minRows={2}
+          fullWidth
+        />
+        <Button
+          variant="contained"
+          startIcon={<Send />}
+          onClick={addComment}
+          disabled={saving || !text.trim()}
+        >
+          Post
+        </Button>
+      </Stack>
+    </Box>
+  )
+}
+
+export default ReviewPanel
@@ -0,0 +1,282 @@
+import { useState, useEffect, useMemo } from 'react'
+import { useSearchParams } from 'react-router-dom'
+import axios from 'axios'
+import {
+  Box,
+  Typography,
+  Card,
+  CardContent,
+  Chip,
+  Alert,
+  LinearProgress,
+  Grid,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  TextField,
+  FormControlLabel,
+  Switch,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  Stack
+} from '@mui/material'
+import { ArrowForward } from '@mui/icons-material'
+import PairComparison, { ViewModeToggle } from './PairComparison'
+import { getProjectApiBase } from '../utils/currentProject'
+
+const API_BASE = getProjectApiBase()
+
+const CHANGE_LABELS = {
+  'status-changed': { label: 'Status changed', color: 'error' },
+  'mismatch-changed': { label: 'Mismatch changed', color: 'warning' },
+  added: { label: 'Added', color: 'info' },
+  removed: { label: 'Removed', color: 'default' },
+  unchanged: { label: 'Unchanged', color: 'success' }
+}
+
+const describeRun = (run) =>
+  `${new Date(run.finishedAt).toLocaleString()} - ${run.summary ? `${run.summary.failed} failed` : run.status}${run.filter ? ' (filtered)' : ''}`
+
+const formatMisMatch = (side) => (side?.misMatchPercentage != null ? `${side.misMatchPercentage}%` : '-')
+
+function RunComparison() {
+  const [searchParams, setSearchParams] = useSearchParams()
+  const base = searchParams.get('base') || ''
+  const head = searchParams.get('head') || ''
+
+  const [runs, setRuns] = useState([])
+  const [comparison, setComparison] = useState(null)
+  const [minDelta, setMinDelta] = useState(0)
+  const [showUnchanged, setShowUnchanged] = useState(false)
+  const [selectedPair, setSelectedPair] = useState(null)
+  const [bitmapDiff, setBitmapDiff] = useState(null)
+  const [mode, setMode] = useState('side-by-side')
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    loadRuns()
+  }, [])
+
+  useEffect(() => {
+    if (base && head) {
+      compareRuns()
+    } else {
+      setComparison(null)
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [base, head, minDelta])
+
+  const loadRuns = async () => {
+    try {
+      const response = await axios.get(`${API_BASE}/history`)
+      setRuns(response.data.runs.filter(run => run.command === 'test' && run.archived))
+    } catch (err) {
+      setError('Failed to load run history: ' + (err.response?.data?.error || err.message))
+    }
+  }
+
+  const compareRuns = async () => {
+    setLoading(true)
+    setSelectedPair(null)
+    setBitmapDiff(null)
+    try {
+      const response = await axios.get(`${API_BASE}/history/compare`, { params: { base, head, minDelta } })
+      setComparison(response.data)
+      setError('')
+    } catch (err) {
+      setComparison(null)
+      setError(err.response?.data?.error || err.message)
+    }
+    setLoading(false)
+  }
+
+  // Diff the test bitmaps of both runs directly
+  const selectPair = async (pair) => {
+    setSelectedPair(pair)
+    setBitmapDiff(null)
+    if (!pair.base || !pair.head) return
+
+    try {
+      const response = await axios.get(`${API_BASE}/history/compare/bitmap`, {
+        params: { base, head, pairKey: pair.pairKey }
+      })
+      setBitmapDiff(response.data)
+    } catch (err) {
+      setError('Failed to diff test bitmaps: ' + (err.response?.data?.error || err.message))
+    }
+  }
+
+  const selectRun = (key) => (event) => {
+    const params = { base, head, [key]: event.target.value }
+    setSearchParams(Object.fromEntries(Object.entries(params).filter(([, value]) => value)))
+  }
+
+  // Stable identity so PairComparison keeps its zoom between renders
+  const bitmapPair = useMemo(
+    () => bitmapDiff && { referenceUrl: bitmapDiff.baseUrl, testUrl: bitmapDiff.headUrl, diffUrl: bitmapDiff.diffUrl },
+    [bitmapDiff]
+  )
+
+  const visiblePairs = (comparison?.pairs || []).filter(pair => showUnchanged || pair.change !== 'unchanged')
+
+  return (
+    <Box>
+      <Typography variant="h4" component="h2" sx={{ mb: 1 }}>
+        Compare Runs
+      </Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 3 }}>
+        Find the pairs whose status or mismatch changed between two archived test runs, and diff their test screenshots directly.
+      </Typography>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>
+          {error}
+        </Alert>
+      )}
+
+      <Card sx={{ mb: 3 }}>
+        <CardContent>
+          <Grid container spacing={2} alignItems="center">
+            <Grid size={{ xs: 12, md: 4 }}>
+              <FormControl fullWidth size="small">
+                <InputLabel>Base run (older)</InputLabel>
+                <Select value={base} label="Base run (older)" onChange={selectRun('base')}>
+                  {runs.map(run => (
+                    <MenuItem key={run.id} value={run.id}>{describeRun(run)}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            </Grid>
+            <Grid size={{ xs: 12, md: 1 }} sx={{ textAlign: 'center' }}>
+              <ArrowForward color="action" />
+            </Grid>
+            <Grid size={{ xs: 12, md: 4 }}>
+              <FormControl fullWidth size="small">
+                <InputLabel>Head run (newer)</InputLabel>
+                <Select value={head} label="Head run (newer)" onChange={selectRun('head')}>
+                  {runs.map(run => (
+                    <MenuItem key={run.id} value={run.id}>{describeRun(run)}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            </Grid>
+            <Grid size={{ xs: 12, md: 3 }}>
+              <TextField
+                label="Min change (%)"
+                type="number"
+                size="small"
+                value={minDelta}
+                onChange={(event) => setMinDelta(Math.max(0, Number(event.target.value) || 0))}
+                inputProps={{ min: 0, step: 0.1 }}
+              />
+            </Grid>
+          </Grid>
+        </CardContent>
+      </Card>
+
+      {loading && <LinearProgress sx={{ mb: 2 }} />}
+
+      {comparison && (
+        <Card sx={{ mb: 3 }}>
+          <CardContent>
+            <Stack direction="row" spacing={1} alignItems="center" sx={{ mb: 2 }} flexWrap="wrap" useFlexGap>
+              {Object.entries(CHANGE_LABELS).map(([change, { label, color }]) => (
+                <Chip key={change} label={`${label}: ${comparison.counts[change] || 0}`} color={color} size="small" variant="outlined" />
+              ))}
+              <FormControlLabel
+                control={<Switch size="small" checked={showUnchanged} onChange={(event) => setShowUnchanged(event.target.checked)} />}
+                label="Show unchanged"
+                sx={{ ml: 1 }}
+              />
+            </Stack>
+
+            {visiblePairs.length === 0 ? (
+              <Typography color="text.secondary">No pairs changed between these runs.</Typography>
+            ) : (
+              <TableContainer component={Paper} variant="outlined">
+                <Table size="small">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>Scenario</TableCell>
+                      <TableCell>Viewport</TableCell>
+                      <TableCell>Change</TableCell>
+                      <TableCell>Status</TableCell>
+                      <TableCell align="right">Mismatch</TableCell>
+                      <TableCell align="right">Delta</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {visiblePairs.map(pair => (
+                      <TableRow
+                        key={pair.pairKey}
+                        hover
+                        selected={selectedPair?.pairKey === pair.pairKey}
+                        onClick={() => selectPair(pair)}
+                        sx={{ cursor: 'pointer' }}
+                      >
+                        <TableCell>
+                          {pair.label}
+                          {pair.selector && (
+                            <Typography variant="caption" color="text.secondary" display="block">{pair.selector}</Typography>
+                          )}
+                        </TableCell>
+                        <TableCell>{pair.viewportLabel}</TableCell>
+                        <TableCell>
+                          <Chip label={CHANGE_LABELS[pair.change].label} color={CHANGE_LABELS[pair.change].color} size="small" />
+                        </TableCell>
+                        <TableCell>{pair.base?.status || '-'} → {pair.head?.status || '-'}</TableCell>
+                        <TableCell align="right">{formatMisMatch(pair.base)} → {formatMisMatch(pair.head)}</TableCell>
+                        <TableCell align="right">
+                          {pair.misMatchDelta != null ? `${pair.misMatchDelta > 0 ? '+' : ''}${pair.misMatchDelta}%` : '-'}
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </TableContainer>
+            )}
+          </CardContent>
+        </Card>
+      )}
+
+      {selectedPair && (
+        <Card>
+          <CardContent>
+            <Typography variant="h6">
+              {selectedPair.label} · {selectedPair.viewportLabel}
+            </Typography>
+            {bitmapDiff ? (
+              <>
+                <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                  Test screenshots differ by {bitmapDiff.misMatchPercentage}% ({bitmapDiff.mismatchedPixels} pixels)
+                  {bitmapDiff.dimensionsDiffer && ' - the screenshots have different dimensions'}
+                </Typography>
+                <ViewModeToggle value={mode} onChange={setMode} />
+                <PairComparison
+                  pair={bitmapPair}
+                  mode={mode}
+                  labels={{ reference: 'Base run', test: 'Head run', diff: 'Run diff' }}
+                />
+              </>
+            ) : (
+              <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+                {selectedPair.base && selectedPair.head
+                  ? 'Diffing test screenshots...'
+                  : `This pair only exists in the ${selectedPair.base ? 'base' : 'head'} run.`}
+              </Typography>
+            )}
+          </CardContent>
+        </Card>
+      )}
+    </Box>
+  )
+}
+
+export default RunComparison
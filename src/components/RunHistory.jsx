@@ -0,0 +1,369 @@
+import { useState, useEffect } from 'react'
+import { useNavigate } from 'react-router-dom'
+import axios from 'axios'
+import {
+  Box,
+  Typography,
+  Card,
+  CardContent,
+  Button,
+  Chip,
+  Alert,
+  LinearProgress,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  IconButton,
+  Tooltip,
+  TextField,
+  Stack,
+  Checkbox
+} from '@mui/material'
+import {
+  OpenInNew,
+  Compare,
+  Delete,
+  Refresh,
+  Save,
+  CompareArrows,
+  FolderZip,
+  UploadFile
+} from '@mui/icons-material'
+
+import { describeReview } from '../utils/review'
+import ReportDownloadMenu from './ReportDownloadMenu'
+import { SERVER_BASE, getProjectApiBase } from '../utils/currentProject'
+
+const API_BASE = getProjectApiBase()
+
+const STATUS_COLORS = {
+  passed: 'success',
+  failed: 'error',
+  error: 'warning',
+  cancelled: 'default'
+}
+
+const formatDuration = (ms) => {
+  if (ms == null) return '-'
+  const seconds = Math.round(ms / 1000)
+  if (seconds < 60) return `${seconds}s`
+  return `${Math.floor(seconds / 60)}m ${seconds % 60}s`
+}
+
+const formatSize = (bytes) => {
+  if (!bytes) return '-'
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} KB`
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+}
+
+function RunHistory() {
+  const navigate = useNavigate()
+  const [runs, setRuns] = useState([])
+  const [retention, setRetention] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [savingRetention, setSavingRetention] = useState(false)
+  const [message, setMessage] = useState('')
+  const [error, setError] = useState('')
+  const [compareSelection, setCompareSelection] = useState([])
+  const [importing, setImporting] = useState(false)
+
+  useEffect(() => {
+    loadHistory()
+  }, [])
+
+  const loadHistory = async () => {
+    setLoading(true)
+    try {
+      const response = await axios.get(`${API_BASE}/history`)
+      setRuns(response.data.runs)
+      setRetention(response.data.retention)
+      setError('')
+    } catch (err) {
+      setError('Failed to load run history: ' + (err.response?.data?.error || err.message))
+    }
+    setLoading(false)
+  }
+
+  const deleteRun = async (run) => {
+    if (!window.confirm(`Delete the ${run.command} run from ${new Date(run.finishedAt).toLocaleString()}?`)) {
+      return
+    }
+
+    try {
+      await axios.delete(`${API_BASE}/history/${run.id}`)
+      setRuns(prev => prev.filter(existing => existing.id !== run.id))
+      setMessage('Run deleted from history')
+    } catch (err) {
+      setError('Failed to delete run: ' + (err.response?.data?.error || err.message))
+    }
+  }
+
+  const saveRetention = async () => {
+    setSavingRetention(true)
+    try {
+      const response = await axios.put(`${API_BASE}/history/retention`, retention)
+      setRetention(response.data.retention)
+      setRuns(response.data.runs)
+      setMessage(response.data.message)
+      setError('')
+    } catch (err) {
+      setError('Failed to save retention settings: ' + (err.response?.data?.error || err.message))
+    }
+    setSavingRetention(false)
+  }
+
+  const updateRetention = (key) => (event) => {
+    setRetention(prev => ({ ...prev, [key]: event.target.value }))
+  }
+
+  // Keep at most two runs selected for comparison, dropping the oldest pick
+  const toggleCompare = (run) => {
+    setCompareSelection(prev => (prev.includes(run.id)
+      ? prev.filter(id => id !== run.id)
+      : [...prev, run.id].slice(-2)))
+  }
+
+  const compareSelected = () => {
+    const [base, head] = runs
+      .filter(run => compareSelection.includes(run.id))
+      .sort((a, b) => new Date(a.finishedAt) - new Date(b.finishedAt))
+    navigate(`/compare?base=${base.id}&head=${head.id}`)
+  }
+
+  const importBundle = async (event) => {
+    const file = event.target.files[0]
+    event.target.value = ''
+    if (!file) return
+
+    setImporting(true)
+    try {
+      const formData = new FormData()
+      formData.append('bundle', file)
+      const response = await axios.post(`${API_BASE}/history/import`, formData)
+      setMessage(response.data.message)
+      setError('')
+      await loadHistory()
+    } catch (err) {
+      setError('Failed to import bundle: ' + (err.response?.data?.error || err.message))
+    }
+    setImporting(false)
+  }
+
+  const openReport = (run) => {
+    window.open(`${SERVER_BASE}${run.reportUrl}`, '_blank')
+  }
+
+  return (
+    <Box>
+      <Stack direction="row" alignItems="center" justifyContent="space-between" sx={{ mb: 3 }}>
+        <Typography variant="h4" component="h2">
+          Run History
+        </Typography>
+        <Stack direction="row" spacing={1}>
+          <Button
+            variant="contained"
+            startIcon={<CompareArrows />}
+            onClick={compareSelected}
+            disabled={compareSelection.length !== 2}
+          >
+            Compare Selected
+          </Button>
+          <Button variant="outlined" component="label" startIcon={<UploadFile />} disabled={importing}>
+            {importing ? 'Importing...' : 'Import Bundle'}
+            <input type="file" accept=".zip,application/zip" hidden onChange={importBundle} />
+          </Button>
+          <Button variant="outlined" startIcon={<Refresh />} onClick={loadHistory} disabled={loading}>
+            Refresh
+          </Button>
+        </Stack>
+      </Stack>
+
+      {message && (
+        <Alert severity="success" sx={{ mb: 2 }} onClose={() => setMessage('')}>
+          {message}
+        </Alert>
+      )}
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>
+          {error}
+        </Alert>
+      )}
+
+      <Card sx={{ mb: 3 }}>
+        <CardContent>
+          {loading && <LinearProgress sx={{ mb: 2 }} />}
+
+          {runs.length === 0 && !loading ? (
+            <Typography color="text.secondary">
+              No runs recorded yet. Runs appear here once a test, reference or approve job finishes.
+            </Typography>
+          ) : (
+            <TableContainer component={Paper} variant="outlined">
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell padding="checkbox" />
+                    <TableCell>Finished</TableCell>
+                    <TableCell>Command</TableCell>
+                    <TableCell>Filter</TableCell>
+                    <TableCell>Status</TableCell>
+                    <TableCell align="right">Passed</TableCell>
+                    <TableCell align="right">Failed</TableCell>
+                    <TableCell>Review</TableCell>
+                    <TableCell align="right">Duration</TableCell>
+                    <TableCell>Triggered By</TableCell>
+                    <TableCell align="right">Size</TableCell>
+                    <TableCell align="right">Actions</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {runs.map(run => (
+                    <TableRow key={run.id} hover>
+                      <TableCell padding="checkbox">
+                        {run.command === 'test' && run.archived && (
+                          <Checkbox
+                            size="small"
+                            checked={compareSelection.includes(run.id)}
+                            onChange={() => toggleCompare(run)}
+                            inputProps={{ 'aria-label': 'Select run for comparison' }}
+                          />
+                        )}
+                      </TableCell>
+                      <TableCell>{new Date(run.finishedAt).toLocaleString()}</TableCell>
+                      <TableCell sx={{ textTransform: 'capitalize' }}>{run.command}</TableCell>
+                      <TableCell>
+                        {run.filter ? <code>{run.filter}</code> : <Typography variant="body2" color="text.secondary">All</Typography>}
+                        {run.environment && (
+                          <Tooltip title={Object.entries(run.environment.variables).map(([key, value]) => `${key} = ${value}`).join(', ')}>
+                            <Chip label={run.environment.name} size="small" variant="outlined" sx={{ mt: 0.5 }} />
+                          </Tooltip>
+                        )}
+                      </TableCell>
+                      <TableCell>
+                        <Chip
+                          label={run.status}
+                          color={STATUS_COLORS[run.status] || 'default'}
+                          size="small"
+                          sx={{ textTransform: 'capitalize' }}
+                        />
+                        {run.importedAt && (
+                          <Tooltip title={`Imported by ${run.importedBy} on ${new Date(run.importedAt).toLocaleString()}`}>
+                            <Chip label="imported" size="small" variant="outlined" sx={{ ml: 0.5 }} />
+                          </Tooltip>
+                        )}
+                      </TableCell>
+                      <TableCell align="right">{run.summary ? run.summary.passed : '-'}</TableCell>
+                      <TableCell align="right">{run.summary ? run.summary.failed : '-'}</TableCell>
+                      <TableCell>
+                        {describeReview(run.review) ? (
+                          <Chip
+                            label={describeReview(run.review)}
+                            color={run.review.signedOff ? 'success' : 'warning'}
+                            size="small"
+                            variant="outlined"
+                          />
+                        ) : '-'}
+                      </TableCell>
+                      <TableCell align="right">{formatDuration(run.durationMs)}</TableCell>
+                      <TableCell>
+                        {run.triggeredBy || '-'}
+                        {run.schedule && (
+                          <Typography variant="caption" color="text.secondary" display="block">
+                            {run.schedule.name}
+                          </Typography>
+                        )}
+                      </TableCell>
+                      <TableCell align="right">{formatSize(run.sizeBytes)}</TableCell>
+                      <TableCell align="right">
+                        {run.archived && (
+                          <Tooltip title="View diffs">
+                            <IconButton size="small" onClick={() => navigate(`/diff?run=${run.id}`)}>
+                              <Compare fontSize="small" />
+                            </IconButton>
+                          </Tooltip>
+                        )}
+                        {run.archived && (
+                          <Tooltip title="Open archived report">
+                            <IconButton size="small" onClick={() => openReport(run)}>
+                              <OpenInNew fontSize="small" />
+                            </IconButton>
+                          </Tooltip>
+                        )}
+                        {run.archived && <ReportDownloadMenu runId={run.id} />}
+                        {run.archived && (
+                          <Tooltip title="Export as zip bundle">
+                            <IconButton size="small" component="a" href={`${API_BASE}/history/${run.id}/bundle`}>
+                              <FolderZip fontSize="small" />
+                            </IconButton>
+                          </Tooltip>
+                        )}
+                        <Tooltip title="Delete run">
+                          <IconButton size="small" color="error" onClick={() => deleteRun(run)}>
+                            <Delete fontSize="small" />
+                          </IconButton>
+                        </Tooltip>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          )}
+        </CardContent>
+      </Card>
+
+      {retention && (
+        <Card>
+          <CardContent>
+            <Typography variant="h6" gutterBottom>
+              Retention
+            </Typography>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+              Older runs are deleted automatically once any limit is exceeded. Set a limit to 0 to disable it.
+            </Typography>
+            <Stack direction={{ xs: 'column', sm: 'row' }} spacing={2} alignItems={{ sm: 'center' }}>
+              <TextField
+                label="Max runs"
+                type="number"
+                size="small"
+                value={retention.maxRuns}
+                onChange={updateRetention('maxRuns')}
+                inputProps={{ min: 0 }}
+              />
+              <TextField
+                label="Max age (days)"
+                type="number"
+                size="small"
+                value={retention.maxAgeDays}
+                onChange={updateRetention('maxAgeDays')}
+                inputProps={{ min: 0 }}
+              />
+              <TextField
+                label="Max total size (MB)"
+                type="number"
+                size="small"
+                value={retention.maxSizeMB}
+                onChange={updateRetention('maxSizeMB')}
+                inputProps={{ min: 0 }}
+              />
+              <Button
+                variant="contained"
+                startIcon={<Save />}
+                onClick={saveRetention}
+                disabled={savingRetention}
+              >
+                {savingRetention ? 'Saving...' : 'Save'}
+              </Button>
+            </Stack>
+          </CardContent>
+        </Card>
+      )}
+    </Box>
+  )
+}
+
+export default RunHistory
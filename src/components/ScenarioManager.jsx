@@ -27,8 +27,11 @@ import {
   Web as WebIcon,
   Code as CodeIcon
 } from '@mui/icons-material'
+import { getProjectApiBase } from '../utils/currentProject'
+import { getConfigErrors, fieldErrorProps, hasErrorsUnder, clearErrorsUnder } from '../utils/configErrors'
+import ConfigErrors from './ConfigErrors'
 
-const API_BASE = 'http://localhost:5000/api'
+const API_BASE = getProjectApiBase()
 
 function ScenarioManager() {
   const [scenarios, setScenarios] = useState([])
@@ -37,9 +40,12 @@ function ScenarioManager() {
   const [saving, setSaving] = useState(false)
   const [hasUnsavedChanges, setHasUnsavedChanges] = useState(false)
   const [message, setMessage] = useState('')
+  const [flakiness, setFlakiness] = useState({})
+  const [fieldErrors, setFieldErrors] = useState({})
 
   useEffect(() => {
     loadData()
+    loadFlakiness()
   }, [])
 
   const loadData = async () => {
@@ -62,6 +68,16 @@ function ScenarioManager() {
     }
   }
 
+  // Flakiness comes from the run history, so it is optional
+  const loadFlakiness = async () => {
+    try {
+      const response = await axios.get(`${API_BASE}/flakiness`)
+      setFlakiness(Object.fromEntries(response.data.scenarios.map(scenario => [scenario.label, scenario])))
+    } catch (error) {
+      console.error('Error loading flakiness:', error)
+    }
+  }
+
   const addScenario = () => {
     const newScenario = {
       id: Date.now(), // Add unique ID for stable React keys
@@ -80,6 +96,7 @@ function ScenarioManager() {
   }
 
   const updateScenario = useCallback((index, field, value) => {
+    setFieldErrors(prev => clearErrorsUnder(prev, `scenarios.${index}.${field}`))
     // Update immediately for smooth typing experience
     setScenarios(prevScenarios => {
       const updatedScenarios = prevScenarios.map((scenario, i) => 
@@ -107,12 +124,13 @@ function ScenarioManager() {
           scenarios: newScenarios
         }
         await axios.post(`${API_BASE}/config`, updatedConfig)
+        setFieldErrors({})
         setMessage('Scenario deleted successfully!')
         
         // Clear success message after 3 seconds
         setTimeout(() => setMessage(''), 3000)
       } catch (error) {
-        setMessage(`Error deleting scenario: ${error.message}`)
+        setMessage(`Error deleting scenario: ${error.response?.data?.error || error.message}`)
         console.error('Error deleting scenario:', error)
         // Revert the deletion on error
         setScenarios(scenarios)
@@ -136,10 +154,13 @@ function ScenarioManager() {
       await axios.post(`${API_BASE}/config`, updatedConfig)
       setConfig(updatedConfig)
       setHasUnsavedChanges(false)
+      setFieldErrors({})
       setMessage('Scenarios saved successfully!')
       setTimeout(() => setMessage(''), 3000)
     } catch (error) {
-      setMessage(`Error saving scenarios: ${error.message}`)
+      const errors = getConfigErrors(error)
+      setFieldErrors(errors)
+      setMessage(Object.keys(errors).length > 0 ? '' : `Error saving scenarios: ${error.message}`)
     } finally {
       setSaving(false)
     }
@@ -168,6 +189,7 @@ function ScenarioManager() {
           {message}
         </Alert>
       )}
+      <ConfigErrors errors={fieldErrors} onClose={() => setFieldErrors({})} />
 
       <Stack direction="row" spacing={2} sx={{ mb: 3 }}>
         <Button
@@ -198,7 +220,7 @@ function ScenarioManager() {
               defaultExpanded={scenarios.length === 1}
               sx={{ 
                 border: '1px solid',
-                borderColor: 'divider',
+                borderColor: hasErrorsUnder(fieldErrors, `scenarios.${index}`) ? 'error.main' : 'divider',
                 boxShadow: 1,
                 '&:before': { display: 'none' }
               }}
@@ -228,6 +250,15 @@ function ScenarioManager() {
                       borderColor: 'currentColor'
                     }}
                   />
+                  {scenario.quarantined && (
+                    <Chip label="Quarantined" size="small" color="warning" />
+                  )}
+                  {hasErrorsUnder(fieldErrors, `scenarios.${index}`) && (
+                    <Chip label="Invalid" size="small" color="error" />
+                  )}
+                  {flakiness[scenario.label]?.flaky && (
+                    <Chip label={`Flaky ${flakiness[scenario.label].flakiness}%`} size="small" color="error" />
+                  )}
                 </Box>
                 
                 <IconButton
@@ -264,7 +295,7 @@ function ScenarioManager() {
                       onChange={(e) => updateScenario(index, 'label', e.target.value)}
                       fullWidth
                       variant="outlined"
-                      helperText="Descriptive name for this scenario"
+                      {...fieldErrorProps(fieldErrors, `scenarios.${index}.label`, 'Descriptive name for this scenario')}
                     />
                   </Grid>
                   <Grid item xs={12} md={6}>
@@ -275,7 +306,17 @@ function ScenarioManager() {
                       onChange={(e) => updateScenario(index, 'url', e.target.value)}
                       fullWidth
                       variant="outlined"
-                      helperText="Target URL to test"
+                      {...fieldErrorProps(fieldErrors, `scenarios.${index}.url`, 'Target URL to test')}
+                    />
+                  </Grid>
+                  <Grid item xs={12}>
+                    <TextField
+                      label="Reference URL"
+                      value={scenario.referenceUrl || ''}
+                      onChange={(e) => updateScenario(index, 'referenceUrl', e.target.value)}
+                      fullWidth
+                      variant="outlined"
+                      {...fieldErrorProps(fieldErrors, `scenarios.${index}.referenceUrl`, 'Optional. Environment comparisons capture their references here instead of from the URL')}
                     />
                   </Grid>
                   
@@ -292,7 +333,7 @@ function ScenarioManager() {
                       onChange={(e) => updateScenario(index, 'selectors', e.target.value.split(', ').filter(s => s.trim()))}
                       fullWidth
                       variant="outlined"
-                      helperText="CSS selectors to capture"
+                      {...fieldErrorProps(fieldErrors, `scenarios.${index}.selectors`, 'CSS selectors to capture')}
                     />
                   </Grid>
                   <Grid item xs={12} md={6}>
@@ -303,7 +344,23 @@ function ScenarioManager() {
                       onChange={(e) => updateScenario(index, 'delay', parseInt(e.target.value) || 0)}
                       fullWidth
                       variant="outlined"
-                      helperText="Wait time before capture"
+                      {...fieldErrorProps(fieldErrors, `scenarios.${index}.delay`, 'Wait time before capture')}
+                    />
+                  </Grid>
+                  <Grid size={12}>
+                    <TextField
+                      label="Tags (comma separated)"
+                      defaultValue={Array.isArray(scenario.tags) ? scenario.tags.join(', ') : ''}
+                      // Parsed on blur so commas can be typed freely
+                      onBlur={(e) => {
+                        const tags = e.target.value.split(',').map(tag => tag.trim()).filter(Boolean)
+                        if (tags.join(',') !== (scenario.tags || []).join(',')) {
+                          updateScenario(index, 'tags', tags)
+                        }
+                      }}
+                      fullWidth
+                      variant="outlined"
+                      {...fieldErrorProps(fieldErrors, `scenarios.${index}.tags`, 'Run tagged groups of scenarios, e.g. pixelpilot test --tag checkout')}
                     />
                   </Grid>
                   
@@ -322,7 +379,7 @@ function ScenarioManager() {
                       onChange={(e) => updateScenario(index, 'misMatchThreshold', parseFloat(e.target.value) || 0.1)}
                       fullWidth
                       variant="outlined"
-                      helperText="Tolerance for differences (0-1)"
+                      {...fieldErrorProps(fieldErrors, `scenarios.${index}.misMatchThreshold`, 'Tolerance for differences (0-1)')}
                     />
                   </Grid>
                   <Grid item xs={12} md={6}>
@@ -339,6 +396,42 @@ function ScenarioManager() {
                     </Box>
                   </Grid>
                   
+                  <Grid size={12}>
+                    <Typography variant="subtitle2" sx={{ mb: 1, mt: 2, fontWeight: 600 }}>
+                      🧪 Stability
+                    </Typography>
+                  </Grid>
+
+                  <Grid size={{ xs: 12, md: 6 }}>
+                    <FormControlLabel
+                      control={
+                        <Switch
+                          checked={scenario.quarantined || false}
+                          onChange={(e) => updateScenario(index, 'quarantined', e.target.checked)}
+                          color="warning"
+                        />
+                      }
+                      label="Quarantined"
+                    />
+                    <Typography variant="caption" color="text.secondary" display="block">
+                      Still runs and reports, but its failures do not fail the test run
+                    </Typography>
+                  </Grid>
+                  <Grid size={{ xs: 12, md: 6 }}>
+                    {flakiness[scenario.label] ? (
+                      <Typography variant="body2" color="text.secondary">
+                        {flakiness[scenario.label].flips} unexplained status change(s) and{' '}
+                        {flakiness[scenario.label].recovered} pass(es) on retry over the last{' '}
+                        {flakiness[scenario.label].runs} run(s)
+                        {flakiness[scenario.label].flaky && !scenario.quarantined && ' - consider quarantining it'}
+                      </Typography>
+                    ) : (
+                      <Typography variant="body2" color="text.secondary">
+                        No run history for this scenario yet
+                      </Typography>
+                    )}
+                  </Grid>
+
                   <Grid item xs={12}>
                     <Typography variant="subtitle2" sx={{ mb: 1, mt: 2, fontWeight: 600 }}>
                       🎭 Element Manipulation
@@ -352,7 +445,7 @@ function ScenarioManager() {
                       onChange={(e) => updateScenario(index, 'hideSelectors', e.target.value.split(', ').filter(s => s.trim()))}
                       fullWidth
                       variant="outlined"
-                      helperText="Elements to hide (visibility: hidden)"
+                      {...fieldErrorProps(fieldErrors, `scenarios.${index}.hideSelectors`, 'Elements to hide (visibility: hidden)')}
                     />
                   </Grid>
                   <Grid item xs={12} md={6}>
@@ -362,7 +455,7 @@ function ScenarioManager() {
                       onChange={(e) => updateScenario(index, 'removeSelectors', e.target.value.split(', ').filter(s => s.trim()))}
                       fullWidth
                       variant="outlined"
-                      helperText="Elements to remove completely from DOM"
+                      {...fieldErrorProps(fieldErrors, `scenarios.${index}.removeSelectors`, 'Elements to remove completely from DOM')}
                     />
                   </Grid>
                   
@@ -379,7 +472,7 @@ function ScenarioManager() {
                       onChange={(e) => updateScenario(index, 'clickSelector', e.target.value)}
                       fullWidth
                       variant="outlined"
-                      helperText="Element to click before capture"
+                      {...fieldErrorProps(fieldErrors, `scenarios.${index}.clickSelector`, 'Element to click before capture')}
                     />
                   </Grid>
                   <Grid item xs={12} md={6}>
@@ -389,7 +482,7 @@ function ScenarioManager() {
                       onChange={(e) => updateScenario(index, 'hoverSelector', e.target.value)}
                       fullWidth
                       variant="outlined"
-                      helperText="Element to hover before capture"
+                      {...fieldErrorProps(fieldErrors, `scenarios.${index}.hoverSelector`, 'Element to hover before capture')}
                     />
                   </Grid>
                   
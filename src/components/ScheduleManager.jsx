@@ -0,0 +1,340 @@
+import { useState, useEffect } from 'react'
+import axios from 'axios'
+import {
+  Box,
+  Typography,
+  Card,
+  CardContent,
+  Button,
+  Chip,
+  Alert,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  IconButton,
+  Tooltip,
+  TextField,
+  Switch,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Grid
+} from '@mui/material'
+import { Add, Delete, PlayArrow, Schedule } from '@mui/icons-material'
+import { getProjectApiBase } from '../utils/currentProject'
+
+const API_BASE = getProjectApiBase()
+
+const EMPTY_FORM = { name: '', cron: '0 2 * * *', command: 'test', scenarios: [], tags: '', viewports: [], environment: '' }
+
+const CRON_EXAMPLES = [
+  { cron: '0 2 * * *', label: 'Nightly at 02:00' },
+  { cron: '0 2 * * 1-5', label: 'Weeknights at 02:00' },
+  { cron: '0 * * * *', label: 'Hourly' },
+  { cron: '0 6 * * 1', label: 'Mondays at 06:00' }
+]
+
+const formatTime = (value) => (value ? new Date(value).toLocaleString() : '-')
+
+// Recurring test and reference runs, started by the server on a cron schedule
+function ScheduleManager() {
+  const [schedules, setSchedules] = useState([])
+  const [commands, setCommands] = useState(['test', 'reference'])
+  const [scenarioLabels, setScenarioLabels] = useState([])
+  const [viewportLabels, setViewportLabels] = useState([])
+  const [environmentNames, setEnvironmentNames] = useState([])
+  const [form, setForm] = useState(EMPTY_FORM)
+  const [saving, setSaving] = useState(false)
+  const [message, setMessage] = useState('')
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    loadSchedules()
+    loadConfig()
+  }, [])
+
+  const loadSchedules = async () => {
+    try {
+      const response = await axios.get(`${API_BASE}/schedules`)
+      setSchedules(response.data.schedules)
+      setCommands(response.data.commands)
+    } catch (err) {
+      setError('Failed to load schedules: ' + (err.response?.data?.error || err.message))
+    }
+  }
+
+  const loadConfig = async () => {
+    try {
+      const response = await axios.get(`${API_BASE}/config`)
+      const config = response.data
+      setScenarioLabels((config.scenarios || []).map(scenario => scenario.label))
+      setViewportLabels([...new Set([config.viewports, ...(config.scenarios || []).map(scenario => scenario.viewports)]
+        .flatMap(list => (list || []).map(viewport => viewport.label)))])
+      setEnvironmentNames((config.environments || []).map(environment => environment.name))
+    } catch (err) {
+      setError('Failed to load configuration: ' + (err.response?.data?.error || err.message))
+    }
+  }
+
+  const updateForm = (key) => (event) => {
+    setForm(prev => ({ ...prev, [key]: event.target.value }))
+  }
+
+  const addSchedule = async () => {
+    setSaving(true)
+    try {
+      const response = await axios.post(`${API_BASE}/schedules`, {
+        name: form.name,
+        cron: form.cron,
+        command: form.command,
+        filter: form.scenarios.length > 0 ? form.scenarios.join('|') : undefined,
+        tags: form.tags,
+        viewports: form.viewports,
+        environment: form.environment || undefined
+      })
+      setSchedules(prev => [...prev, response.data.schedule])
+      setForm(EMPTY_FORM)
+      setMessage(response.data.message)
+      setError('')
+    } catch (err) {
+      setError('Failed to add schedule: ' + (err.response?.data?.error || err.message))
+    }
+    setSaving(false)
+  }
+
+  const toggleSchedule = async (schedule) => {
+    try {
+      const response = await axios.put(`${API_BASE}/schedules/${schedule.id}`, { enabled: !schedule.enabled })
+      setSchedules(prev => prev.map(existing => (existing.id === schedule.id ? response.data.schedule : existing)))
+    } catch (err) {
+      setError('Failed to update schedule: ' + (err.response?.data?.error || err.message))
+    }
+  }
+
+  const runNow = async (schedule) => {
+    try {
+      const response = await axios.post(`${API_BASE}/schedules/${schedule.id}/run`)
+      setSchedules(prev => prev.map(existing => (existing.id === schedule.id ? response.data.schedule : existing)))
+      setMessage(response.data.message)
+      setError('')
+    } catch (err) {
+      setError('Failed to run schedule: ' + (err.response?.data?.error || err.message))
+      await loadSchedules()
+    }
+  }
+
+  const deleteSchedule = async (schedule) => {
+    if (!window.confirm(`Delete the schedule "${schedule.name}"?`)) {
+      return
+    }
+
+    try {
+      await axios.delete(`${API_BASE}/schedules/${schedule.id}`)
+      setSchedules(prev => prev.filter(existing => existing.id !== schedule.id))
+      setMessage('Schedule deleted')
+    } catch (err) {
+      setError('Failed to delete schedule: ' + (err.response?.data?.error || err.message))
+    }
+  }
+
+  return (
+    <Card>
+      <CardContent>
+        <Typography variant="h6" gutterBottom sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          <Schedule /> Scheduled Runs
+        </Typography>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          The server starts these runs on a cron schedule (server time). They queue behind other operations like any run
+          and appear in History as triggered by "schedule".
+        </Typography>
+
+        {message && (
+          <Alert severity="success" sx={{ mb: 2 }} onClose={() => setMessage('')}>
+            {message}
+          </Alert>
+        )}
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>
+            {error}
+          </Alert>
+        )}
+
+        {schedules.length > 0 && (
+          <TableContainer component={Paper} variant="outlined" sx={{ mb: 3 }}>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Enabled</TableCell>
+                  <TableCell>Name</TableCell>
+                  <TableCell>Cron</TableCell>
+                  <TableCell>Command</TableCell>
+                  <TableCell>Scope</TableCell>
+                  <TableCell>Next Run</TableCell>
+                  <TableCell>Last Run</TableCell>
+                  <TableCell align="right">Actions</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {schedules.map(schedule => (
+                  <TableRow key={schedule.id} hover>
+                    <TableCell>
+                      <Switch size="small" checked={schedule.enabled} onChange={() => toggleSchedule(schedule)} />
+                    </TableCell>
+                    <TableCell>{schedule.name}</TableCell>
+                    <TableCell><code>{schedule.cron}</code></TableCell>
+                    <TableCell sx={{ textTransform: 'capitalize' }}>{schedule.command}</TableCell>
+                    <TableCell>
+                      <Box sx={{ display: 'flex', gap: 0.5, flexWrap: 'wrap' }}>
+                        {schedule.filter && <Chip label={schedule.filter} size="small" variant="outlined" />}
+                        {schedule.tags.map(tag => <Chip key={tag} label={`#${tag}`} size="small" variant="outlined" />)}
+                        {schedule.viewports.map(viewport => <Chip key={viewport} label={viewport} size="small" />)}
+                        {schedule.environment && <Chip label={schedule.environment} size="small" color="info" variant="outlined" />}
+                        {!schedule.filter && schedule.tags.length === 0 && schedule.viewports.length === 0 && (
+                          <Typography variant="body2" color="text.secondary">All</Typography>
+                        )}
+                      </Box>
+                    </TableCell>
+                    <TableCell>{schedule.enabled ? formatTime(schedule.nextRunAt) : '-'}</TableCell>
+                    <TableCell>
+                      {formatTime(schedule.lastRunAt)}
+                      {schedule.lastError && (
+                        <Typography variant="caption" color="error" display="block">
+                          {schedule.lastError}
+                        </Typography>
+                      )}
+                    </TableCell>
+                    <TableCell align="right">
+                      <Tooltip title="Run now">
+                        <IconButton size="small" onClick={() => runNow(schedule)}>
+                          <PlayArrow fontSize="small" />
+                        </IconButton>
+                      </Tooltip>
+                      <Tooltip title="Delete schedule">
+                        <IconButton size="small" color="error" onClick={() => deleteSchedule(schedule)}>
+                          <Delete fontSize="small" />
+                        </IconButton>
+                      </Tooltip>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        )}
+
+        <Typography variant="subtitle1" gutterBottom>
+          Add Schedule
+        </Typography>
+        <Grid container spacing={2}>
+          <Grid size={{ xs: 12, md: 4 }}>
+            <TextField label="Name" size="small" fullWidth value={form.name} onChange={updateForm('name')} placeholder="Nightly staging check" />
+          </Grid>
+          <Grid size={{ xs: 12, md: 4 }}>
+            <TextField
+              label="Cron expression"
+              size="small"
+              fullWidth
+              value={form.cron}
+              onChange={updateForm('cron')}
+              helperText="minute hour day-of-month month day-of-week, or @daily"
+            />
+          </Grid>
+          <Grid size={{ xs: 12, md: 4 }}>
+            <FormControl size="small" fullWidth>
+              <InputLabel>Command</InputLabel>
+              <Select label="Command" value={form.command} onChange={updateForm('command')}>
+                {commands.map(command => (
+                  <MenuItem key={command} value={command} sx={{ textTransform: 'capitalize' }}>{command}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+          <Grid size={12}>
+            <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap' }}>
+              {CRON_EXAMPLES.map(example => (
+                <Chip
+                  key={example.cron}
+                  label={example.label}
+                  size="small"
+                  variant={form.cron === example.cron ? 'filled' : 'outlined'}
+                  onClick={() => setForm(prev => ({ ...prev, cron: example.cron }))}
+                />
+              ))}
+            </Box>
+          </Grid>
+          <Grid size={{ xs: 12, md: 4 }}>
+            <FormControl size="small" fullWidth>
+              <InputLabel>Scenarios</InputLabel>
+              <Select
+                label="Scenarios"
+                multiple
+                value={form.scenarios}
+                onChange={updateForm('scenarios')}
+                renderValue={(selected) => selected.join(', ')}
+              >
+                {scenarioLabels.map(label => (
+                  <MenuItem key={label} value={label}>{label}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+          <Grid size={{ xs: 12, md: 4 }}>
+            <TextField
+              label="Tags"
+              size="small"
+              fullWidth
+              value={form.tags}
+              onChange={updateForm('tags')}
+              helperText="Comma-separated; runs scenarios with any of them"
+            />
+          </Grid>
+          <Grid size={{ xs: 12, md: 4 }}>
+            <FormControl size="small" fullWidth>
+              <InputLabel>Viewports</InputLabel>
+              <Select
+                label="Viewports"
+                multiple
+                value={form.viewports}
+                onChange={updateForm('viewports')}
+                renderValue={(selected) => selected.join(', ')}
+              >
+                {viewportLabels.map(label => (
+                  <MenuItem key={label} value={label}>{label}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+          {environmentNames.length > 0 && (
+            <Grid size={{ xs: 12, md: 4 }}>
+              <FormControl size="small" fullWidth>
+                <InputLabel>Environment</InputLabel>
+                <Select label="Environment" value={form.environment} onChange={updateForm('environment')}>
+                  <MenuItem value="">Default</MenuItem>
+                  {environmentNames.map(name => (
+                    <MenuItem key={name} value={name}>{name}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            </Grid>
+          )}
+        </Grid>
+        <Button
+          variant="contained"
+          startIcon={<Add />}
+          onClick={addSchedule}
+          disabled={saving || !form.name || !form.cron}
+          sx={{ mt: 2 }}
+        >
+          {saving ? 'Adding...' : 'Add Schedule'}
+        </Button>
+      </CardContent>
+    </Card>
+  )
+}
+
+export default ScheduleManager
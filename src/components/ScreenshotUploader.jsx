@@ -1,45 +1,44 @@
 import { useState, useEffect } from 'react'
+import { useSearchParams, useNavigate } from 'react-router-dom'
 import axios from 'axios'
 import {
   Box,
   Typography,
   Card,
   CardContent,
-  Button,
   Alert,
   Grid,
-  Paper,
   MenuItem,
-  Stack,
   CircularProgress,
   Chip,
-  Avatar,
   Select,
   FormControl,
   InputLabel,
-  CardMedia
+  Button
 } from '@mui/material'
-import {
-  CloudUpload,
-  Visibility,
-  Delete,
-  CheckCircle,
-  Image as ImageIcon,
-  Sync,
-  SyncProblem,
-  Warning
-} from '@mui/icons-material'
+import { History } from '@mui/icons-material'
+import { getProjectApiBase } from '../utils/currentProject'
+import ReferenceUploadCell from './ReferenceUploadCell'
+import BulkReferenceImport from './BulkReferenceImport'
+import ReferenceNormalizationDialog from './ReferenceNormalizationDialog'
+
+const API_BASE = getProjectApiBase()
 
-const API_BASE = 'http://localhost:5000/api'
+const getCellKey = (viewportLabel, selector) => `${viewportLabel}|${selector}`
 
 function ScreenshotUploader() {
+  const [searchParams] = useSearchParams()
+  const navigate = useNavigate()
   const [config, setConfig] = useState(null)
-  const [selectedScenario, setSelectedScenario] = useState('')
+  // The diff viewer links here with ?scenario=<label>
+  const [selectedScenario, setSelectedScenario] = useState(searchParams.get('scenario') || '')
   const [uploading, setUploading] = useState({})
   const [syncing, setSyncing] = useState({})
-  const [syncStatus, setSyncStatus] = useState({})
   const [message, setMessage] = useState('')
-  const [viewportData, setViewportData] = useState({})
+  // The scenario's selector × viewport grid with each cell's upload and sync status
+  const [grid, setGrid] = useState(null)
+  // The upload being normalized: { viewport, selector }, selector null for viewport-wide uploads
+  const [normalizing, setNormalizing] = useState(null)
 
   useEffect(() => {
     loadConfig()
@@ -54,158 +53,100 @@ function ScreenshotUploader() {
     }
   }
 
-  const loadViewportData = async () => {
-    if (!selectedScenario || !config?.viewports) return
-    
+  const loadGrid = async () => {
+    if (!selectedScenario) return
+
     try {
-      const data = {}
-      for (const viewport of config.viewports) {
-        try {
-          const response = await axios.get(`${API_BASE}/scenario-screenshots/${encodeURIComponent(selectedScenario)}/${encodeURIComponent(viewport.label)}`)
-          data[viewport.label] = response.data
-        } catch {
-          data[viewport.label] = { screenshots: [] }
-        }
-      }
-      setViewportData(data)
+      const response = await axios.get(`${API_BASE}/reference-uploads/${encodeURIComponent(selectedScenario)}`)
+      setGrid(response.data)
     } catch (error) {
-      console.error('Error loading viewport data:', error)
+      setGrid(null)
+      setMessage(`Error loading uploads: ${error.response?.data?.error || error.message}`)
     }
   }
 
   useEffect(() => {
-    if (selectedScenario && config?.viewports) {
-      loadViewportData()
-      checkSyncStatus()
+    if (selectedScenario && config) {
+      loadGrid()
     }
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [selectedScenario, config])
 
-  const handleFileSelect = (viewportLabel, file) => {
-    if (file && file.type.startsWith('image/')) {
-      uploadScreenshot(viewportLabel, file)
-    } else {
-      setMessage('Please select a valid image file')
-    }
-  }
-
-  const uploadScreenshot = async (viewportLabel, file) => {
-    if (!file || !selectedScenario || !viewportLabel) {
-      setMessage('Please select a file and scenario')
-      return
-    }
+  const describeCell = (cell) => `${cell.selector} at ${cell.viewport}`
 
-    // Check if there's already a screenshot for this configuration
-    if (viewportData[viewportLabel]?.screenshots?.length > 0) {
-      setMessage(`A screenshot already exists for ${viewportLabel}. Please delete it first.`)
+  const uploadScreenshot = async (cell, file) => {
+    if (!file.type.startsWith('image/')) {
+      setMessage('Please select a valid image file')
       return
     }
 
-    setUploading(prev => ({ ...prev, [viewportLabel]: true }))
+    const cellKey = getCellKey(cell.viewport, cell.selector)
+    setUploading(prev => ({ ...prev, [cellKey]: true }))
     
     try {
       const formData = new FormData()
       formData.append('screenshot', file)
       formData.append('scenario', selectedScenario)
-      formData.append('viewport', viewportLabel)
+      formData.append('viewport', cell.viewport)
+      formData.append('selector', cell.selector)
       formData.append('isReference', 'true') // Always set as reference
 
-      await axios.post(`${API_BASE}/upload-screenshot`, formData, {
+      const response = await axios.post(`${API_BASE}/upload-screenshot`, formData, {
         headers: {
           'Content-Type': 'multipart/form-data'
         }
       })
 
-      setMessage(`✅ Reference screenshot uploaded and synced successfully for ${viewportLabel}!`)
-      
-      // Reload viewport data and check sync status
-      await loadViewportData()
-      await checkSyncStatus(viewportLabel)
-      
-    } catch (error) {
-      setMessage(`Error uploading screenshot: ${error.message}`)
-    } finally {
-      setUploading(prev => ({ ...prev, [viewportLabel]: false }))
-    }
-  }
-
-  const checkSyncStatus = async (viewportLabel = null) => {
-    if (!selectedScenario) return
+      setMessage(`✅ Reference screenshot uploaded and synced successfully for ${describeCell(cell)}!`)
+      await loadGrid()
 
-    try {
-      const viewportsToCheck = viewportLabel ? [viewportLabel] : config?.viewports?.map(v => v.label) || []
-      
-      for (const viewport of viewportsToCheck) {
-        const response = await axios.get(`${API_BASE}/sync-status/${encodeURIComponent(selectedScenario)}/${encodeURIComponent(viewport)}`)
-        setSyncStatus(prev => ({
-          ...prev,
-          [`${selectedScenario}_${viewport}`]: response.data
-        }))
+      // Offer to fit mockups of another size to what BackstopJS captures
+      const { referenceSize } = response.data
+      if (referenceSize?.supported && !referenceSize.matches) {
+        setNormalizing({ viewport: cell.viewport, selector: cell.selector })
       }
+      
     } catch (error) {
-      console.error('Error checking sync status:', error)
+      setMessage(`Error uploading screenshot: ${error.response?.data?.error || error.message}`)
+    } finally {
+      setUploading(prev => ({ ...prev, [cellKey]: false }))
     }
   }
 
-  const manualSync = async (viewportLabel) => {
-    if (!selectedScenario || !viewportLabel) return
-
-    setSyncing(prev => ({ ...prev, [viewportLabel]: true }))
+  // `shared` syncs the viewport-wide upload the cell falls back to
+  const manualSync = async (cell, shared) => {
+    const cellKey = getCellKey(cell.viewport, cell.selector)
+    setSyncing(prev => ({ ...prev, [cellKey]: true }))
     
     try {
       const response = await axios.post(`${API_BASE}/sync-reference`, {
         scenario: selectedScenario,
-        viewport: viewportLabel
+        viewport: cell.viewport,
+        selector: shared ? undefined : cell.selector
       })
 
-      setMessage(`✅ Manual sync completed for ${viewportLabel}: ${response.data.message}`)
-      await checkSyncStatus(viewportLabel)
+      setMessage(`✅ Manual sync completed for ${describeCell(cell)}: ${response.data.message}`)
+      await loadGrid()
       
     } catch (error) {
-      setMessage(`❌ Sync failed for ${viewportLabel}: ${error.response?.data?.error || error.message}`)
+      setMessage(`❌ Sync failed for ${describeCell(cell)}: ${error.response?.data?.error || error.message}`)
     } finally {
-      setSyncing(prev => ({ ...prev, [viewportLabel]: false }))
+      setSyncing(prev => ({ ...prev, [cellKey]: false }))
     }
   }
 
-  const getSyncStatusIcon = (viewportLabel) => {
-    const statusKey = `${selectedScenario}_${viewportLabel}`
-    const status = syncStatus[statusKey]
-    
-    if (!status) return null
-    
-    if (status.synced) {
-      return <CheckCircle color="success" fontSize="small" />
-    } else if (status.hasReference) {
-      return <Warning color="warning" fontSize="small" />
-    } else {
-      return <SyncProblem color="error" fontSize="small" />
-    }
-  }
-
-  const getSyncStatusText = (viewportLabel) => {
-    const statusKey = `${selectedScenario}_${viewportLabel}`
-    const status = syncStatus[statusKey]
-    
-    if (!status) return 'Unknown'
-    
-    if (status.synced) {
-      return 'Synced to BackstopJS'
-    } else if (status.hasReference) {
-      return 'Not synced to BackstopJS'
-    } else {
-      return 'No reference image'
+  const deleteScreenshot = async (cell, filename, shared) => {
+    if (shared && !window.confirm(`This upload is shared by every selector of ${cell.viewport} without an upload of its own. Delete it?`)) {
+      return
     }
-  }
 
-  const deleteScreenshot = async (viewportLabel, filename) => {
     try {
-      await axios.delete(`${API_BASE}/scenario-screenshots/${encodeURIComponent(selectedScenario)}/${encodeURIComponent(viewportLabel)}/${filename}`)
-      setMessage(`Screenshot and synced reference image deleted successfully for ${viewportLabel}`)
-      await loadViewportData()
-      await checkSyncStatus(viewportLabel)
+      const selectorQuery = shared ? '' : `?selector=${encodeURIComponent(cell.selector)}`
+      await axios.delete(`${API_BASE}/scenario-screenshots/${encodeURIComponent(selectedScenario)}/${encodeURIComponent(cell.viewport)}/${encodeURIComponent(filename)}${selectorQuery}`)
+      setMessage(`Screenshot and synced reference image deleted successfully for ${shared ? cell.viewport : describeCell(cell)}`)
+      await loadGrid()
     } catch (error) {
-      setMessage(`Error deleting screenshot: ${error.message}`)
+      setMessage(`Error deleting screenshot: ${error.response?.data?.error || error.message}`)
     }
   }
 
@@ -222,9 +163,18 @@ function ScreenshotUploader() {
 
   return (
     <Box sx={{ p: 3 }}>
-      <Typography variant="h4" gutterBottom>
-        Screenshot Upload
-      </Typography>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+        <Typography variant="h4">
+          Screenshot Upload
+        </Typography>
+        <Button
+          variant="outlined"
+          startIcon={<History />}
+          onClick={() => navigate(`/baselines${selectedScenario ? `?scenario=${encodeURIComponent(selectedScenario)}` : ''}`)}
+        >
+          Baseline History
+        </Button>
+      </Box>
       
       {message && (
         <Alert 
@@ -236,6 +186,14 @@ function ScreenshotUploader() {
         </Alert>
       )}
 
+      <BulkReferenceImport
+        config={config}
+        onImported={(importMessage) => {
+          setMessage(`✅ ${importMessage}`)
+          loadGrid()
+        }}
+      />
+
       {/* Scenario Selection */}
       <Card sx={{ mb: 3 }}>
         <CardContent>
@@ -244,7 +202,8 @@ function ScreenshotUploader() {
           </Typography>
           <Alert severity="info" sx={{ mb: 2 }}>
             <Typography variant="body2">
-              <strong>Auto-Reference Mode:</strong> All uploaded images are automatically saved as reference screenshots for the selected viewport and synced with BackstopJS for visual regression testing.
+              <strong>Auto-Reference Mode:</strong> All uploaded images are automatically saved as reference screenshots and synced with BackstopJS for visual regression testing.
+              BackstopJS captures every selector of a scenario separately, so each selector has its own reference per viewport.
             </Typography>
           </Alert>
           
@@ -265,171 +224,56 @@ function ScreenshotUploader() {
         </CardContent>
       </Card>
 
-      {/* Viewports Grid */}
-      {selectedScenario && config?.viewports && (
-        <Grid container spacing={3}>
-          {config.viewports.map((viewport, index) => {
-            const viewportScreenshots = viewportData[viewport.label]?.screenshots || []
-            const hasScreenshot = viewportScreenshots.length > 0
-            const isUploading = uploading[viewport.label]
-
-            return (
-              <Grid item xs={12} md={6} lg={4} key={index}>
-                <Card>
-                  <CardContent>
-                    <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
-                      <Typography variant="h6">
-                        {viewport.label}
-                      </Typography>
-                      <Chip 
-                        label={`${viewport.width}×${viewport.height}`}
-                        size="small"
-                        variant="outlined"
-                      />
-                    </Box>
-
-                    {/* Existing Screenshot */}
-                    {hasScreenshot && (
-                      <Box sx={{ mb: 2 }}>
-                        <Card variant="outlined" sx={{ border: viewportScreenshots[0].isReference ? 2 : 1, borderColor: viewportScreenshots[0].isReference ? 'success.main' : 'divider' }}>
-                          <CardMedia
-                            component="img"
-                            height="150"
-                            image={`http://localhost:5000/uploads/${viewportScreenshots[0].filename}`}
-                            alt={viewportScreenshots[0].originalName}
-                            sx={{ objectFit: 'contain' }}
-                          />
-                          <CardContent sx={{ p: 2 }}>
-                            <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
-                              <Typography variant="subtitle2" fontWeight="bold" noWrap>
-                                {viewportScreenshots[0].originalName}
-                              </Typography>
-                              {viewportScreenshots[0].isReference && (
-                                <Chip label="Reference" color="success" size="small" />
-                              )}
-                            </Box>
-                            <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
-                              {new Date(viewportScreenshots[0].uploadedAt).toLocaleDateString()}
-                            </Typography>
-                            <Stack direction="row" spacing={1}>
-                              <Button
-                                variant="outlined"
-                                color="error"
-                                startIcon={<Delete />}
-                                onClick={() => deleteScreenshot(viewport.label, viewportScreenshots[0].filename)}
-                                size="small"
-                                fullWidth
-                              >
-                                Delete
-                              </Button>
-                              <Button
-                                variant="outlined"
-                                startIcon={<Visibility />}
-                                onClick={() => window.open(`http://localhost:5000/uploads/${viewportScreenshots[0].filename}`, '_blank')}
-                                size="small"
-                                fullWidth
-                              >
-                                View
-                              </Button>
-                            </Stack>
-
-                            {/* Sync Status and Manual Sync */}
-                            <Box sx={{ mt: 2, p: 1, bgcolor: 'grey.50', borderRadius: 1 }}>
-                              <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 1 }}>
-                                <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
-                                  {getSyncStatusIcon(viewport.label)}
-                                  <Typography variant="caption" color="text.secondary">
-                                    {getSyncStatusText(viewport.label)}
-                                  </Typography>
-                                </Box>
-                              </Box>
-                              <Button
-                                variant="outlined"
-                                size="small"
-                                startIcon={syncing[viewport.label] ? <CircularProgress size={16} /> : <Sync />}
-                                onClick={() => manualSync(viewport.label)}
-                                disabled={syncing[viewport.label]}
-                                fullWidth
-                                sx={{ fontSize: '0.75rem' }}
-                              >
-                                {syncing[viewport.label] ? 'Syncing...' : 'Manual Sync to BackstopJS'}
-                              </Button>
-                            </Box>
-                          </CardContent>
-                        </Card>
-                      </Box>
-                    )}
+      {/* Selector × Viewport Grid */}
+      {selectedScenario && grid && grid.scenario === selectedScenario && grid.selectors.map(selector => (
+        <Box key={selector} sx={{ mb: 4 }}>
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 2 }}>
+            <Typography variant="h6">Selector</Typography>
+            <Chip label={<code>{selector}</code>} size="small" />
+          </Box>
+          <Grid container spacing={3}>
+            {grid.viewports.map(viewport => {
+              const cell = grid.cells.find(candidate => candidate.viewport === viewport.label && candidate.selector === selector)
+              const cellKey = getCellKey(viewport.label, selector)
 
-                    {/* Upload Section */}
-                    {!hasScreenshot && (
-                      <Box>
-                        <input
-                          type="file"
-                          accept="image/*"
-                          onChange={(e) => {
-                            const file = e.target.files[0]
-                            if (file) {
-                              handleFileSelect(viewport.label, file)
-                            }
-                          }}
-                          style={{ display: 'none' }}
-                          id={`file-input-${viewport.label}`}
-                        />
-                        
-                        <Paper
-                          sx={{
-                            border: '2px dashed',
-                            borderColor: 'grey.300',
-                            borderRadius: 2,
-                            p: 3,
-                            textAlign: 'center',
-                            cursor: 'pointer',
-                            transition: 'all 0.3s ease',
-                            '&:hover': {
-                              borderColor: 'primary.main',
-                              bgcolor: 'action.hover'
-                            }
-                          }}
-                          onClick={() => document.getElementById(`file-input-${viewport.label}`).click()}
-                        >
-                          <Stack alignItems="center" spacing={2}>
-                            <Avatar sx={{ bgcolor: 'primary.main', width: 48, height: 48 }}>
-                              {isUploading ? <CircularProgress size={24} color="inherit" /> : <CloudUpload />}
-                            </Avatar>
-                            <Typography variant="h6">
-                              {isUploading ? 'Uploading...' : 'Upload Reference Image'}
-                            </Typography>
-                            <Typography variant="body2" color="text.secondary">
-                              Click to select image for {viewport.label} viewport
-                            </Typography>
-                            <Typography variant="caption" color="primary" sx={{ fontWeight: 'bold' }}>
-                              Auto-syncs as BackstopJS reference
-                            </Typography>
-                          </Stack>
-                        </Paper>
-                      </Box>
-                    )}
+              return (
+                <Grid size={{ xs: 12, md: 6, lg: 4 }} key={viewport.label}>
+                  <ReferenceUploadCell
+                    cell={cell}
+                    viewport={viewport}
+                    inputId={`file-input-${grid.selectors.indexOf(selector)}-${viewport.label}`}
+                    uploading={uploading[cellKey]}
+                    syncing={syncing[cellKey]}
+                    onUpload={file => uploadScreenshot(cell, file)}
+                    onSync={shared => manualSync(cell, shared)}
+                    onDelete={(filename, shared) => deleteScreenshot(cell, filename, shared)}
+                    onNormalize={shared => setNormalizing({ viewport: cell.viewport, selector: shared ? null : cell.selector })}
+                  />
+                </Grid>
+              )
+            })}
+          </Grid>
+        </Box>
+      ))}
 
-                    {/* Status Information */}
-                    {hasScreenshot && (
-                      <Alert severity="info" sx={{ mt: 2 }}>
-                        <Typography variant="body2">
-                          <strong>Current Reference:</strong> One reference screenshot is active for this viewport. 
-                          Delete it to upload a new reference image that will automatically sync with BackstopJS.
-                        </Typography>
-                      </Alert>
-                    )}
-                  </CardContent>
-                </Card>
-              </Grid>
-            )
-          })}
-        </Grid>
+      {normalizing && (
+        <ReferenceNormalizationDialog
+          open
+          scenario={selectedScenario}
+          viewport={normalizing.viewport}
+          selector={normalizing.selector}
+          onClose={() => setNormalizing(null)}
+          onNormalized={(normalizedMessage) => {
+            setNormalizing(null)
+            setMessage(`✅ ${normalizedMessage}`)
+            loadGrid()
+          }}
+        />
       )}
 
       {!selectedScenario && (
         <Alert severity="info" sx={{ mt: 3 }}>
-          Please select a scenario to view viewport upload options.
+          Please select a scenario to view its selector and viewport upload options.
         </Alert>
       )}
     </Box>
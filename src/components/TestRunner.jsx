@@ -1,4 +1,5 @@
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useRef } from 'react'
+import { useNavigate } from 'react-router-dom'
 import axios from 'axios'
 import {
   Box,
@@ -26,7 +27,11 @@ import {
   Link,
   Stack,
   Grid,
-  Paper
+  Paper,
+  TextField,
+  InputLabel,
+  Select,
+  MenuItem
 } from '@mui/material'
 import {
   PlayArrow,
@@ -40,15 +45,27 @@ import {
   SelectAll,
   Clear,
   SyncAlt,
-  CheckCircle
+  CheckCircle,
+  Replay,
+  Lock,
+  Compare
 } from '@mui/icons-material'
+import JobProgress from './JobProgress'
+import ScheduleManager from './ScheduleManager'
+import EnvironmentComparison from './EnvironmentComparison'
+import { getCurrentUser, setCurrentUser } from '../utils/currentUser'
+import { getProjectApiBase } from '../utils/currentProject'
 
-const API_BASE = 'http://localhost:5000/api'
+const API_BASE = getProjectApiBase()
 
 function TestRunner() {
+  const navigate = useNavigate()
   const [testRunning, setTestRunning] = useState(false)
   const [referenceRunning, setReferenceRunning] = useState(false)
   const [approveRunning, setApproveRunning] = useState(false)
+  const [compareRunning, setCompareRunning] = useState(false)
+  // Bumped after each comparison so its list reloads
+  const [comparisonsVersion, setComparisonsVersion] = useState(0)
   const [message, setMessage] = useState('')
   const [testResult, setTestResult] = useState(null)
   const [reportAvailable, setReportAvailable] = useState(false)
@@ -57,13 +74,50 @@ function TestRunner() {
   const [selectedScenarios, setSelectedScenarios] = useState([])
   const [runAllScenarios, setRunAllScenarios] = useState(true)
   const [referenceScreenshots, setReferenceScreenshots] = useState([])
+  const [activeJob, setActiveJob] = useState(null)
+  const [cancelling, setCancelling] = useState(false)
+  const [lockStatus, setLockStatus] = useState(null)
+  const [userName, setUserName] = useState(getCurrentUser())
+  const [flakiness, setFlakiness] = useState(null)
+  const [environments, setEnvironments] = useState([])
+  const [environment, setEnvironment] = useState('')
+  const eventSourceRef = useRef(null)
 
   useEffect(() => {
     checkReportStatus()
     loadScenarios()
     fetchReferenceScreenshots()
+    resumeRunningJob()
+    checkLockStatus()
+    loadFlakiness()
+    loadEnvironments()
+
+    // Keep the lock indicator current while other users run jobs
+    const lockInterval = setInterval(checkLockStatus, 5000)
+
+    return () => {
+      clearInterval(lockInterval)
+      if (eventSourceRef.current) {
+        eventSourceRef.current.close()
+      }
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [])
 
+  const checkLockStatus = async () => {
+    try {
+      const response = await axios.get(`${API_BASE}/lock`)
+      setLockStatus(response.data)
+    } catch (error) {
+      console.error('Error checking run lock:', error)
+    }
+  }
+
+  const handleUserNameChange = (event) => {
+    setUserName(event.target.value)
+    setCurrentUser(event.target.value)
+  }
+
   const loadScenarios = async () => {
     try {
       const response = await axios.get(`${API_BASE}/scenarios`)
@@ -73,6 +127,27 @@ function TestRunner() {
     }
   }
 
+  // Environment profiles fill {{variables}} in scenario URLs and scripts
+  const loadEnvironments = async () => {
+    try {
+      const response = await axios.get(`${API_BASE}/config`)
+      const profiles = response.data.environments || []
+      setEnvironments(profiles)
+      setEnvironment(response.data.defaultEnvironment || profiles[0]?.name || '')
+    } catch (error) {
+      console.error('Error loading environments:', error)
+    }
+  }
+
+  const loadFlakiness = async () => {
+    try {
+      const response = await axios.get(`${API_BASE}/flakiness`)
+      setFlakiness(response.data)
+    } catch (error) {
+      console.error('Error loading flakiness:', error)
+    }
+  }
+
   const checkReportStatus = async () => {
     try {
       const response = await axios.get(`${API_BASE}/report-status`)
@@ -95,74 +170,157 @@ function TestRunner() {
     }
   }
 
-  const runReference = async () => {
-    setReferenceRunning(true)
-    setMessage('')
-    setTestResult(null)
-    
-    try {
-      const filter = runAllScenarios ? undefined : selectedScenarios.join('|')
-      const response = await axios.post(`${API_BASE}/reference`, { filter })
-      setMessage('Reference screenshots generated successfully!')
-      setTestResult(response.data)
+  const setCommandRunning = (command, running) => {
+    const setters = {
+      test: setTestRunning,
+      reference: setReferenceRunning,
+      approve: setApproveRunning,
+      compare: setCompareRunning
+    }
+    setters[command]?.(running)
+  }
+
+  // Follow a job's Server-Sent Events stream until it finishes
+  const watchJob = (jobId) => new Promise((resolve, reject) => {
+    const source = new EventSource(`${API_BASE}/jobs/${jobId}/events`)
+    eventSourceRef.current = source
+
+    source.addEventListener('snapshot', (e) => {
+      setActiveJob(JSON.parse(e.data))
+    })
+
+    source.addEventListener('status', (e) => {
+      const update = JSON.parse(e.data)
+      setActiveJob(prev => prev ? { ...prev, ...update } : prev)
+      checkLockStatus()
+    })
+
+    source.addEventListener('progress', (e) => {
+      const { progress, event } = JSON.parse(e.data)
+      // The server keeps the last 100 events of a job too
+      setActiveJob(prev => prev ? { ...prev, progress, events: [...prev.events, event].slice(-100) } : prev)
+    })
+
+    source.addEventListener('done', (e) => {
+      const job = JSON.parse(e.data)
+      source.close()
+      setActiveJob(job)
+      resolve(job)
+    })
+
+    // EventSource reconnects on its own after network hiccups; only give up
+    // once the browser has closed the stream (e.g. the job no longer exists)
+    source.onerror = () => {
+      if (source.readyState === EventSource.CLOSED) {
+        reject(new Error('Lost connection to job progress stream'))
+      }
+    }
+  })
+
+  const handleJobFinished = async (job) => {
+    const result = { ...job.result, error: job.error }
+    setTestResult(result)
+
+    if (job.status === 'cancelled') {
+      const removed = result.removedFolders?.length
+        ? ` Removed partial test output: ${result.removedFolders.join(', ')}.`
+        : ''
+      setMessage(`Job cancelled.${removed}`)
+    } else if (job.command === 'test') {
+      setMessage(result.message || 'Visual regression test completed!')
+
+      if (result.reportPath) {
+        setReportAvailable(true)
+        setReportUrl(`http://localhost:5000${result.reportPath}`)
+        setMessage(prev => `${prev} - Click "View Diffs" to review the results.`)
+      }
+      await checkReportStatus()
+      await loadFlakiness()
+    } else if (job.command === 'reference') {
+      setMessage(job.status === 'failed'
+        ? `Error generating reference: ${job.error}`
+        : 'Reference screenshots generated successfully!')
       await checkReportStatus()
       await fetchReferenceScreenshots() // Fetch reference screenshots after generation
+    } else if (job.command === 'approve') {
+      setMessage(job.status === 'failed'
+        ? `Error approving tests: ${job.error}`
+        : '✅ Test images approved as new references! All failing tests are now passing.')
+      await checkReportStatus()
+      await fetchReferenceScreenshots() // Fetch updated reference screenshots
+    } else if (job.command === 'compare') {
+      setMessage(job.status === 'failed'
+        ? `Error comparing environments: ${job.error}`
+        : result.message || 'Environment comparison finished')
+      setComparisonsVersion(version => version + 1)
+    }
+  }
+
+  const followJob = async (jobId, command) => {
+    setCommandRunning(command, true)
+    try {
+      const job = await watchJob(jobId)
+      await handleJobFinished(job)
     } catch (error) {
-      setMessage(`Error generating reference: ${error.response?.data?.error || error.message}`)
+      setMessage(`Error following ${command} job: ${error.message}`)
     } finally {
-      setReferenceRunning(false)
+      setCommandRunning(command, false)
+      checkLockStatus()
     }
   }
 
-  const runApprove = async () => {
-    setApproveRunning(true)
-    setMessage('')
-    setTestResult(null)
-    
+  // Pick up a job that is still running, e.g. after a page reload
+  const resumeRunningJob = async () => {
     try {
-      const filter = runAllScenarios ? undefined : selectedScenarios.join('|')
-      const response = await axios.post(`${API_BASE}/approve`, { filter })
-      setMessage('✅ Test images approved as new references! All failing tests are now passing.')
-      setTestResult(response.data)
-      await checkReportStatus()
-      await fetchReferenceScreenshots() // Fetch updated reference screenshots
+      const response = await axios.get(`${API_BASE}/jobs`)
+      const runningJob = response.data.jobs.find(job => job.status === 'running' || job.status === 'queued')
+      if (runningJob) {
+        setActiveJob(runningJob)
+        await followJob(runningJob.id, runningJob.command)
+      }
     } catch (error) {
-      setMessage(`Error approving tests: ${error.response?.data?.error || error.message}`)
-    } finally {
-      setApproveRunning(false)
+      console.error('Error checking for running jobs:', error)
     }
   }
 
-  const runTest = async () => {
-    setTestRunning(true)
+  // `body` replaces the environment of a regular run, e.g. with the two sides of a comparison
+  const startJob = async (command, endpoint = command, body = { environment: environment || undefined }) => {
+    setCommandRunning(command, true)
     setMessage('')
     setTestResult(null)
-    
+
     try {
       const filter = runAllScenarios ? undefined : selectedScenarios.join('|')
-      const response = await axios.post(`${API_BASE}/test`, { filter })
-      setMessage(response.data.message || 'Visual regression test completed!')
-      setTestResult(response.data)
-      
-      if (response.data.reportPath) {
-        setReportAvailable(true)
-        setReportUrl(`http://localhost:5000${response.data.reportPath}`)
-        setMessage(prev => `${prev} - Click "Open Report" to view results.`)
-      }
-      
+      const response = await axios.post(`${API_BASE}/${endpoint}`, { filter, ...body })
+      setActiveJob(response.data.job)
+      checkLockStatus()
+      await followJob(response.data.jobId, command)
     } catch (error) {
-      const errorData = error.response?.data
-      if (errorData?.reportPath) {
-        setMessage(`Test completed with differences detected - Click "Open Report" to view results.`)
-        setTestResult(errorData)
-        setReportAvailable(true)
-        setReportUrl(`http://localhost:5000${errorData.reportPath}`)
-      } else {
-        setMessage(`Error running test: ${errorData?.error || error.message}`)
-      }
+      setMessage(`Error starting ${command}: ${error.response?.data?.error || error.message}`)
+      setCommandRunning(command, false)
+    }
+  }
+
+  const runReference = () => startJob('reference')
+
+  const runApprove = () => startJob('approve')
+
+  const runTest = () => startJob('test')
+
+  const runComparison = (sides) => startJob('compare', 'comparisons', sides)
+
+  // Scenarios are picked by the server from the failed pairs of the latest report
+  const rerunFailed = () => startJob('test', 'test/rerun-failed')
+
+  const cancelJob = async (job) => {
+    setCancelling(true)
+    try {
+      await axios.post(`${API_BASE}/jobs/${job.id}/cancel`)
+      // The progress stream delivers the final cancelled state
+    } catch (error) {
+      setMessage(`Error cancelling job: ${error.response?.data?.error || error.message}`)
     } finally {
-      setTestRunning(false)
-      await checkReportStatus()
+      setCancelling(false)
     }
   }
 
@@ -185,6 +343,7 @@ function TestRunner() {
       setMessage(response.data.message)
     } catch (error) {
       setMessage(`Error syncing references: ${error.response?.data?.error || error.message}`)
+      checkLockStatus()
     }
   }
 
@@ -206,6 +365,9 @@ function TestRunner() {
 
   const canRunTest = runAllScenarios || selectedScenarios.length > 0
 
+  const flakyScenarios = (flakiness?.scenarios || []).filter(scenario => scenario.flaky)
+  const getFlakiness = (label) => flakiness?.scenarios.find(scenario => scenario.label === label)
+
   return (
     <Box>
       <Typography variant="h4" component="h1" gutterBottom sx={{ fontWeight: 600 }}>
@@ -221,6 +383,60 @@ function TestRunner() {
         </Alert>
       )}
 
+      {lockStatus?.locked && (
+        <Alert severity="warning" icon={<Lock />} sx={{ mb: 3 }}>
+          <AlertTitle>BackstopJS is busy</AlertTitle>
+          <strong>{lockStatus.holder.operation}</strong> started by <strong>{lockStatus.holder.owner}</strong>
+          {' '}at {new Date(lockStatus.holder.acquiredAt).toLocaleTimeString()}.
+          {lockStatus.queue.length > 0 && (
+            <Box component="span" sx={{ display: 'block', mt: 1 }}>
+              Waiting: {lockStatus.queue.map(entry => (
+                <Chip
+                  key={entry.id}
+                  label={`#${entry.position} ${entry.operation} (${entry.owner})`}
+                  size="small"
+                  sx={{ mr: 0.5, mb: 0.5 }}
+                />
+              ))}
+            </Box>
+          )}
+          <Box component="span" sx={{ display: 'block', mt: 1 }}>
+            New runs are queued until the current operation finishes.
+          </Box>
+        </Alert>
+      )}
+
+      {flakiness && (flakiness.quarantined.length > 0 || flakyScenarios.length > 0 || flakiness.retries > 0) && (
+        <Alert severity="info" sx={{ mb: 3 }}>
+          <AlertTitle>Flaky Scenarios</AlertTitle>
+          {flakiness.retries > 0
+            ? `Failed scenarios are retried up to ${flakiness.retries} time(s) within a run.`
+            : 'Failed scenarios are not retried - set "Retries for Failed Scenarios" in the configuration to absorb flaky rendering.'}
+          {flakiness.quarantined.length > 0 && (
+            <Box component="span" sx={{ display: 'block', mt: 1 }}>
+              Quarantined (reported, but never fail a run): {flakiness.quarantined.map(label => (
+                <Chip key={label} label={label} size="small" color="warning" sx={{ mr: 0.5, mb: 0.5 }} />
+              ))}
+            </Box>
+          )}
+          {flakyScenarios.some(scenario => !scenario.quarantined) && (
+            <Box component="span" sx={{ display: 'block', mt: 1 }}>
+              Flaky over the last {flakiness.runs} runs: {flakyScenarios.filter(scenario => !scenario.quarantined).map(scenario => (
+                <Chip
+                  key={scenario.label}
+                  label={`${scenario.label} (${scenario.flakiness}%)`}
+                  size="small"
+                  color="error"
+                  variant="outlined"
+                  sx={{ mr: 0.5, mb: 0.5 }}
+                />
+              ))}
+              Quarantine them in the Scenario Manager while the cause is fixed.
+            </Box>
+          )}
+        </Alert>
+      )}
+
       <Grid container spacing={3}>
         {/* Scenario Selection Card */}
         <Grid item xs={12} lg={6}>
@@ -287,6 +503,12 @@ function TestRunner() {
                             <Box>
                               <Typography variant="body2" fontWeight={500}>
                                 {scenario.label}
+                                {scenario.quarantined && (
+                                  <Chip label="Quarantined" size="small" color="warning" sx={{ ml: 1 }} />
+                                )}
+                                {getFlakiness(scenario.label)?.flaky && (
+                                  <Chip label="Flaky" size="small" color="error" variant="outlined" sx={{ ml: 1 }} />
+                                )}
                               </Typography>
                               <Typography variant="caption" color="text.secondary">
                                 {scenario.url}
@@ -332,13 +554,42 @@ function TestRunner() {
                 )}
               </Typography>
 
+              <TextField
+                label="Run as"
+                size="small"
+                fullWidth
+                value={userName}
+                onChange={handleUserNameChange}
+                placeholder="Your name"
+                helperText="Shown to other users while your runs hold the BackstopJS lock"
+                sx={{ mb: 2 }}
+              />
+
+              {environments.length > 0 && (
+                <FormControl size="small" fullWidth sx={{ mb: 2 }}>
+                  <InputLabel>Environment</InputLabel>
+                  <Select label="Environment" value={environment} onChange={(event) => setEnvironment(event.target.value)}>
+                    {environments.map(profile => (
+                      <MenuItem key={profile.name} value={profile.name}>
+                        {profile.name}
+                        {profile.variables?.baseUrl && (
+                          <Typography component="span" variant="body2" color="text.secondary" sx={{ ml: 1 }}>
+                            {profile.variables.baseUrl}
+                          </Typography>
+                        )}
+                      </MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+              )}
+
               <Stack spacing={2}>
                 <Button
                   variant="contained"
                   size="large"
                   startIcon={referenceRunning ? <LinearProgress sx={{ width: 20 }} /> : <PhotoCamera />}
                   onClick={runReference}
-                  disabled={referenceRunning || testRunning || approveRunning || !canRunTest}
+                  disabled={referenceRunning || testRunning || approveRunning || compareRunning || !canRunTest}
                   fullWidth
                 >
                   {referenceRunning ? 'Generating References...' : 'Generate Reference Screenshots'}
@@ -349,7 +600,7 @@ function TestRunner() {
                   size="large"
                   startIcon={<SyncAlt />}
                   onClick={syncReferences}
-                  disabled={referenceRunning || testRunning || approveRunning}
+                  disabled={referenceRunning || testRunning || approveRunning || compareRunning}
                   fullWidth
                   color="info"
                 >
@@ -361,18 +612,30 @@ function TestRunner() {
                   size="large"
                   startIcon={testRunning ? <LinearProgress sx={{ width: 20 }} /> : <PlayArrow />}
                   onClick={runTest}
-                  disabled={testRunning || referenceRunning || approveRunning || !canRunTest}
+                  disabled={testRunning || referenceRunning || approveRunning || compareRunning || !canRunTest}
                   fullWidth
                 >
                   {testRunning ? 'Running Test...' : 'Run Visual Regression Test'}
                 </Button>
 
+                <Button
+                  variant="outlined"
+                  size="large"
+                  startIcon={<Replay />}
+                  onClick={rerunFailed}
+                  disabled={testRunning || referenceRunning || approveRunning || compareRunning || !reportAvailable}
+                  fullWidth
+                  color="warning"
+                >
+                  Re-run Failed Only
+                </Button>
+
                 <Button
                   variant="contained"
                   size="large"
                   startIcon={approveRunning ? <LinearProgress sx={{ width: 20 }} /> : <CheckCircle />}
                   onClick={runApprove}
-                  disabled={testRunning || referenceRunning || approveRunning || !canRunTest}
+                  disabled={testRunning || referenceRunning || approveRunning || compareRunning || !canRunTest}
                   fullWidth
                   color="success"
                   sx={{ 
@@ -383,10 +646,22 @@ function TestRunner() {
                   {approveRunning ? 'Approving Tests...' : 'Approve Test Results as References'}
                 </Button>
 
+                {reportAvailable && (
+                  <Button
+                    variant="contained"
+                    startIcon={<Compare />}
+                    onClick={() => navigate('/diff')}
+                    color="success"
+                    fullWidth
+                  >
+                    View Diffs
+                  </Button>
+                )}
+
                 {reportAvailable && (
                   <Stack direction="row" spacing={1}>
                     <Button
-                      variant="contained"
+                      variant="outlined"
                       startIcon={<OpenInNew />}
                       onClick={openReport}
                       color="success"
@@ -438,7 +713,7 @@ function TestRunner() {
                     <ListItemIcon sx={{ minWidth: 32 }}>
                       <Typography variant="body2" fontWeight={600}>5.</Typography>
                     </ListItemIcon>
-                    <ListItemText primary="Open Report: View detailed diff screenshots and results" />
+                    <ListItemText primary="View Diffs: Compare reference, test and diff images for every scenario" />
                   </ListItem>
                 </List>
                 <Typography variant="body2" sx={{ mt: 1 }}>
@@ -455,6 +730,8 @@ function TestRunner() {
         </Grid>
       </Grid>
 
+      <JobProgress job={activeJob} onCancel={cancelJob} cancelling={cancelling} />
+
       {testResult && (
         <Grid item xs={12}>
           <Card sx={{ mt: 3 }}>
@@ -471,7 +748,20 @@ function TestRunner() {
               {testResult.success === true && (
                 <Alert severity="success" sx={{ mb: 2 }}>
                   <AlertTitle>All Tests Passed!</AlertTitle>
-                  No visual differences detected.
+                  {testResult.result?.quarantined
+                    ? 'No visual differences outside quarantined scenarios.'
+                    : 'No visual differences detected.'}
+                </Alert>
+              )}
+              {testResult.result?.quarantined > 0 && (
+                <Alert severity="warning" sx={{ mb: 2 }}>
+                  {testResult.result.quarantined} pair(s) failed in quarantined scenarios
+                  ({testResult.result.quarantinedScenarios.join(', ')}). They are in the report but did not fail the run.
+                </Alert>
+              )}
+              {testResult.result?.recovered > 0 && (
+                <Alert severity="info" sx={{ mb: 2 }}>
+                  {testResult.result.recovered} pair(s) failed at first and passed on retry.
                 </Alert>
               )}
               <Accordion>
@@ -647,6 +937,19 @@ function TestRunner() {
         </Card>
       </Grid>
 
+      <Box sx={{ mt: 3 }}>
+        <EnvironmentComparison
+          onCompare={runComparison}
+          running={compareRunning}
+          disabled={testRunning || referenceRunning || approveRunning || compareRunning}
+          refreshKey={comparisonsVersion}
+        />
+      </Box>
+
+      <Box sx={{ mt: 3 }}>
+        <ScheduleManager />
+      </Box>
+
       {/* Reference Screenshots Display */}
       {referenceScreenshots.length > 0 && (
         <Grid item xs={12}>
@@ -0,0 +1,79 @@
+import { Box, Typography } from '@mui/material'
+import { useTheme } from '@mui/material/styles'
+
+const WIDTH = 600
+const PADDING = { top: 8, right: 8, bottom: 20, left: 36 }
+
+/**
+ * Minimal SVG line chart. `points` are `{ value, label, highlight }` in x order;
+ * null values leave a gap. Hovering a point shows its label and value.
+ */
+function TrendChart({ points, height = 160, max, unit = '%', color, compact = false }) {
+  const theme = useTheme()
+  // `color` is a palette key such as 'success', or any CSS color
+  const lineColor = theme.palette[color]?.main || color || theme.palette.primary.main
+  const padding = compact ? { top: 4, right: 4, bottom: 4, left: 4 } : PADDING
+
+  const values = points.map(point => point.value).filter(value => value !== null)
+  if (values.length === 0) {
+    return (
+      <Box sx={{ height, display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
+        <Typography variant="caption" color="text.secondary">No data</Typography>
+      </Box>
+    )
+  }
+
+  const yMax = max ?? Math.max(...values, 1)
+  const plotWidth = WIDTH - padding.left - padding.right
+  const plotHeight = height - padding.top - padding.bottom
+  const x = (index) => padding.left + (points.length === 1 ? plotWidth / 2 : (index / (points.length - 1)) * plotWidth)
+  const y = (value) => padding.top + plotHeight - (Math.min(value, yMax) / yMax) * plotHeight
+
+  // Split the line wherever a value is missing
+  const segments = []
+  let current = []
+  points.forEach((point, index) => {
+    if (point.value === null) {
+      if (current.length) segments.push(current)
+      current = []
+    } else {
+      current.push(`${x(index)},${y(point.value)}`)
+    }
+  })
+  if (current.length) segments.push(current)
+
+  return (
+    <svg viewBox={`0 0 ${WIDTH} ${height}`} width="100%" role="img">
+      {!compact && [0, 0.5, 1].map(fraction => (
+        <g key={fraction}>
+          <line
+            x1={padding.left}
+            x2={WIDTH - padding.right}
+            y1={y(yMax * fraction)}
+            y2={y(yMax * fraction)}
+            stroke={theme.palette.divider}
+          />
+          <text x={padding.left - 4} y={y(yMax * fraction) + 4} textAnchor="end" fontSize="11" fill={theme.palette.text.secondary}>
+            {Math.round(yMax * fraction * 10) / 10}{unit}
+          </text>
+        </g>
+      ))}
+      {segments.map((segment, index) => (
+        <polyline key={index} points={segment.join(' ')} fill="none" stroke={lineColor} strokeWidth="2" />
+      ))}
+      {points.map((point, index) => point.value !== null && (
+        <circle
+          key={index}
+          cx={x(index)}
+          cy={y(point.value)}
+          r={compact ? 5 : 3.5}
+          fill={point.highlight ? theme.palette.error.main : lineColor}
+        >
+          <title>{`${point.label}: ${point.value}${unit}`}</title>
+        </circle>
+      ))}
+    </svg>
+  )
+}
+
+export default TrendChart
@@ -0,0 +1,380 @@
+import { useState, useEffect } from 'react'
+import axios from 'axios'
+import {
+  Box,
+  Typography,
+  Card,
+  CardContent,
+  Button,
+  Chip,
+  Alert,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  IconButton,
+  Tooltip,
+  TextField,
+  Stack,
+  Switch,
+  FormControl,
+  FormControlLabel,
+  FormGroup,
+  Checkbox,
+  InputLabel,
+  Select,
+  MenuItem,
+  Grid
+} from '@mui/material'
+import { Add, Delete, Refresh, Send } from '@mui/icons-material'
+import { getProjectApiBase } from '../utils/currentProject'
+
+const API_BASE = getProjectApiBase()
+
+const DELIVERY_COLORS = {
+  delivered: 'success',
+  failed: 'error',
+  retrying: 'warning',
+  pending: 'default'
+}
+
+const EVENT_LABELS = {
+  'run.completed': 'Run completed',
+  'run.failed': 'Run failed',
+  'references.approved': 'References approved',
+  'config.changed': 'Config changed'
+}
+
+const FORMAT_LABELS = {
+  json: 'Generic JSON',
+  slack: 'Slack-compatible'
+}
+
+const EMPTY_FORM = { name: '', url: '', format: 'json', events: ['run.completed', 'run.failed'], secret: '' }
+
+function Webhooks() {
+  const [webhooks, setWebhooks] = useState([])
+  const [events, setEvents] = useState([])
+  const [formats, setFormats] = useState([])
+  const [deliveries, setDeliveries] = useState([])
+  const [form, setForm] = useState(EMPTY_FORM)
+  const [saving, setSaving] = useState(false)
+  const [testing, setTesting] = useState(null)
+  // The signing secret of the webhook just added, which the server never returns again
+  const [createdSecret, setCreatedSecret] = useState(null)
+  const [message, setMessage] = useState('')
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    loadWebhooks()
+    loadDeliveries()
+  }, [])
+
+  const loadWebhooks = async () => {
+    try {
+      const response = await axios.get(`${API_BASE}/webhooks`)
+      setWebhooks(response.data.webhooks)
+      setEvents(response.data.events)
+      setFormats(response.data.formats)
+    } catch (err) {
+      setError('Failed to load webhooks: ' + (err.response?.data?.error || err.message))
+    }
+  }
+
+  const loadDeliveries = async () => {
+    try {
+      const response = await axios.get(`${API_BASE}/webhooks/deliveries`)
+      setDeliveries(response.data.deliveries)
+    } catch (err) {
+      setError('Failed to load deliveries: ' + (err.response?.data?.error || err.message))
+    }
+  }
+
+  const toggleEvent = (event) => {
+    setForm(prev => ({
+      ...prev,
+      events: prev.events.includes(event) ? prev.events.filter(existing => existing !== event) : [...prev.events, event]
+    }))
+  }
+
+  const addWebhook = async () => {
+    setSaving(true)
+    try {
+      const response = await axios.post(`${API_BASE}/webhooks`, { ...form, secret: form.secret || undefined })
+      setWebhooks(prev => [...prev, response.data.webhook])
+      setCreatedSecret({ name: response.data.webhook.name, secret: response.data.secret })
+      setForm(EMPTY_FORM)
+      setMessage(response.data.message)
+      setError('')
+    } catch (err) {
+      setError('Failed to add webhook: ' + (err.response?.data?.error || err.message))
+    }
+    setSaving(false)
+  }
+
+  const updateWebhook = async (webhook, changes) => {
+    try {
+      const response = await axios.put(`${API_BASE}/webhooks/${webhook.id}`, changes)
+      setWebhooks(prev => prev.map(existing => (existing.id === webhook.id ? response.data.webhook : existing)))
+    } catch (err) {
+      setError('Failed to update webhook: ' + (err.response?.data?.error || err.message))
+    }
+  }
+
+  const deleteWebhook = async (webhook) => {
+    if (!window.confirm(`Delete the webhook "${webhook.name}"?`)) {
+      return
+    }
+
+    try {
+      await axios.delete(`${API_BASE}/webhooks/${webhook.id}`)
+      setWebhooks(prev => prev.filter(existing => existing.id !== webhook.id))
+      setMessage('Webhook deleted')
+    } catch (err) {
+      setError('Failed to delete webhook: ' + (err.response?.data?.error || err.message))
+    }
+  }
+
+  const testWebhook = async (webhook) => {
+    setTesting(webhook.id)
+    try {
+      const response = await axios.post(`${API_BASE}/webhooks/${webhook.id}/test`)
+      if (response.data.delivery.status === 'delivered') {
+        setMessage(response.data.message)
+        setError('')
+      } else {
+        setError(response.data.message)
+      }
+      await loadDeliveries()
+    } catch (err) {
+      setError('Failed to test webhook: ' + (err.response?.data?.error || err.message))
+    }
+    setTesting(null)
+  }
+
+  return (
+    <Box>
+      <Typography variant="h4" component="h2" sx={{ mb: 3 }}>
+        Notifications
+      </Typography>
+
+      {message && (
+        <Alert severity="success" sx={{ mb: 2 }} onClose={() => setMessage('')}>
+          {message}
+        </Alert>
+      )}
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>
+          {error}
+        </Alert>
+      )}
+      {createdSecret && (
+        <Alert severity="info" sx={{ mb: 2 }} onClose={() => setCreatedSecret(null)}>
+          Signing secret of "{createdSecret.name}": <code>{createdSecret.secret}</code>. Copy it now, it is not shown again.
+        </Alert>
+      )}
+
+      <Card sx={{ mb: 3 }}>
+        <CardContent>
+          <Typography variant="h6" gutterBottom>
+            Webhooks
+          </Typography>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            Every delivery is signed: <code>X-PixelPilot-Signature</code> is <code>sha256=</code> followed by the
+            HMAC-SHA256 of <code>&lt;X-PixelPilot-Timestamp&gt;.&lt;body&gt;</code> with the webhook's secret.
+            Failed deliveries are retried up to three times with increasing delays.
+          </Typography>
+
+          {webhooks.length === 0 ? (
+            <Typography color="text.secondary" sx={{ mb: 2 }}>
+              No webhooks registered yet.
+            </Typography>
+          ) : (
+            <TableContainer component={Paper} variant="outlined" sx={{ mb: 3 }}>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Enabled</TableCell>
+                    <TableCell>Name</TableCell>
+                    <TableCell>URL</TableCell>
+                    <TableCell>Format</TableCell>
+                    <TableCell>Events</TableCell>
+                    <TableCell>Secret</TableCell>
+                    <TableCell align="right">Actions</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {webhooks.map(webhook => (
+                    <TableRow key={webhook.id} hover>
+                      <TableCell>
+                        <Switch
+                          size="small"
+                          checked={webhook.enabled}
+                          onChange={(event) => updateWebhook(webhook, { enabled: event.target.checked })}
+                        />
+                      </TableCell>
+                      <TableCell>{webhook.name}</TableCell>
+                      <TableCell sx={{ wordBreak: 'break-all' }}><code>{webhook.url}</code></TableCell>
+                      <TableCell>{FORMAT_LABELS[webhook.format] || webhook.format}</TableCell>
+                      <TableCell>
+                        <Stack direction="row" spacing={0.5} flexWrap="wrap" useFlexGap>
+                          {webhook.events.map(event => (
+                            <Chip key={event} label={EVENT_LABELS[event] || event} size="small" variant="outlined" />
+                          ))}
+                        </Stack>
+                      </TableCell>
+                      <TableCell><code>{webhook.secretHint || '-'}</code></TableCell>
+                      <TableCell align="right">
+                        <Tooltip title="Send a test notification">
+                          <span>
+                            <IconButton size="small" onClick={() => testWebhook(webhook)} disabled={testing === webhook.id}>
+                              <Send fontSize="small" />
+                            </IconButton>
+                          </span>
+                        </Tooltip>
+                        <Tooltip title="Delete webhook">
+                          <IconButton size="small" color="error" onClick={() => deleteWebhook(webhook)}>
+                            <Delete fontSize="small" />
+                          </IconButton>
+                        </Tooltip>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          )}
+
+          <Typography variant="subtitle1" gutterBottom>
+            Add Webhook
+          </Typography>
+          <Grid container spacing={2}>
+            <Grid size={{ xs: 12, md: 3 }}>
+              <TextField
+                label="Name"
+                size="small"
+                fullWidth
+                value={form.name}
+                onChange={(event) => setForm(prev => ({ ...prev, name: event.target.value }))}
+              />
+            </Grid>
+            <Grid size={{ xs: 12, md: 5 }}>
+              <TextField
+                label="URL"
+                size="small"
+                fullWidth
+                placeholder="https://hooks.slack.com/services/..."
+                value={form.url}
+                onChange={(event) => setForm(prev => ({ ...prev, url: event.target.value }))}
+              />
+            </Grid>
+            <Grid size={{ xs: 12, md: 4 }}>
+              <FormControl size="small" fullWidth>
+                <InputLabel>Payload</InputLabel>
+                <Select
+                  label="Payload"
+                  value={form.format}
+                  onChange={(event) => setForm(prev => ({ ...prev, format: event.target.value }))}
+                >
+                  {formats.map(format => (
+                    <MenuItem key={format} value={format}>{FORMAT_LABELS[format] || format}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            </Grid>
+            <Grid size={{ xs: 12, md: 8 }}>
+              <FormGroup row>
+                {events.map(event => (
+                  <FormControlLabel
+                    key={event}
+                    control={<Checkbox size="small" checked={form.events.includes(event)} onChange={() => toggleEvent(event)} />}
+                    label={EVENT_LABELS[event] || event}
+                  />
+                ))}
+              </FormGroup>
+            </Grid>
+            <Grid size={{ xs: 12, md: 4 }}>
+              <TextField
+                label="Signing secret"
+                size="small"
+                fullWidth
+                helperText="Leave empty to generate one"
+                value={form.secret}
+                onChange={(event) => setForm(prev => ({ ...prev, secret: event.target.value }))}
+              />
+            </Grid>
+          </Grid>
+          <Button
+            variant="contained"
+            startIcon={<Add />}
+            onClick={addWebhook}
+            disabled={saving || !form.url || form.events.length === 0}
+            sx={{ mt: 2 }}
+          >
+            {saving ? 'Adding...' : 'Add Webhook'}
+          </Button>
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardContent>
+          <Stack direction="row" alignItems="center" justifyContent="space-between" sx={{ mb: 2 }}>
+            <Typography variant="h6">
+              Delivery Log
+            </Typography>
+            <Button variant="outlined" size="small" startIcon={<Refresh />} onClick={loadDeliveries}>
+              Refresh
+            </Button>
+          </Stack>
+
+          {deliveries.length === 0 ? (
+            <Typography color="text.secondary">
+              No deliveries yet.
+            </Typography>
+          ) : (
+            <TableContainer component={Paper} variant="outlined">
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Time</TableCell>
+                    <TableCell>Event</TableCell>
+                    <TableCell>Webhook</TableCell>
+                    <TableCell>Status</TableCell>
+                    <TableCell align="right">Attempts</TableCell>
+                    <TableCell>Last Response</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {deliveries.map(delivery => {
+                    const lastAttempt = delivery.attempts[delivery.attempts.length - 1]
+                    return (
+                      <TableRow key={delivery.id} hover>
+                        <TableCell>{new Date(delivery.createdAt).toLocaleString()}</TableCell>
+                        <TableCell><code>{delivery.event}</code></TableCell>
+                        <TableCell>{delivery.webhookName}</TableCell>
+                        <TableCell>
+                          <Chip label={delivery.status} color={DELIVERY_COLORS[delivery.status] || 'default'} size="small" />
+                        </TableCell>
+                        <TableCell align="right">{delivery.attempts.length}</TableCell>
+                        <TableCell>
+                          {lastAttempt
+                            ? lastAttempt.error || `HTTP ${lastAttempt.statusCode} in ${lastAttempt.durationMs}ms`
+                            : '-'}
+                        </TableCell>
+                      </TableRow>
+                    )
+                  })}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          )}
+        </CardContent>
+      </Card>
+    </Box>
+  )
+}
+
+export default Webhooks
@@ -0,0 +1,20 @@
+// Field errors of a config save the server rejected, keyed by dotted path
+// such as "scenarios.2.url"
+export const getConfigErrors = (error) => Object.fromEntries(
+  (error.response?.data?.errors || []).map(({ path, message }) => [path, message])
+)
+
+// TextField props that mark a field invalid and say why, or show its usual help
+export const fieldErrorProps = (errors, path, helperText) => ({
+  error: Boolean(errors[path]),
+  helperText: errors[path] || helperText
+})
+
+// Whether anything at or below `prefix` (e.g. "scenarios.2") is invalid
+export const hasErrorsUnder = (errors, prefix) =>
+  Object.keys(errors).some(path => path === prefix || path.startsWith(`${prefix}.`))
+
+// The errors without those at or below `prefix`, for fields being edited again
+export const clearErrorsUnder = (errors, prefix) => Object.fromEntries(
+  Object.entries(errors).filter(([path]) => path !== prefix && !path.startsWith(`${prefix}.`))
+)
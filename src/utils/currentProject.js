@@ -0,0 +1,25 @@
+const STORAGE_KEY = 'pixelpilot.project'
+
+// The PixelPilot server. URLs the API returns (reports, images) are relative to it.
+export const SERVER_BASE = 'http://localhost:5000'
+
+// Routes outside any project, e.g. the project registry
+export const API_BASE = `${SERVER_BASE}/api`
+
+export const DEFAULT_PROJECT = 'default'
+
+export const getCurrentProject = () => localStorage.getItem(STORAGE_KEY) || DEFAULT_PROJECT
+
+// Components read the API base once, so switching projects reloads the page
+export const setCurrentProject = (id) => {
+  if (id && id !== DEFAULT_PROJECT) {
+    localStorage.setItem(STORAGE_KEY, id)
+  } else {
+    localStorage.removeItem(STORAGE_KEY)
+  }
+}
+
+export const getProjectApiBase = () => `${API_BASE}/projects/${encodeURIComponent(getCurrentProject())}`
+
+// Reports, uploads and bitmaps of the selected project
+export const getProjectServerBase = () => `${SERVER_BASE}/projects/${encodeURIComponent(getCurrentProject())}`
@@ -0,0 +1,26 @@
+import axios from 'axios'
+
+const STORAGE_KEY = 'pixelpilot.user'
+
+// The server records this name as the owner of runs, locks and approvals
+const applyUserHeader = (name) => {
+  if (name) {
+    axios.defaults.headers.common['X-PixelPilot-User'] = name
+  } else {
+    delete axios.defaults.headers.common['X-PixelPilot-User']
+  }
+}
+
+export const getCurrentUser = () => localStorage.getItem(STORAGE_KEY) || ''
+
+export const setCurrentUser = (name) => {
+  const trimmed = name.trim()
+  if (trimmed) {
+    localStorage.setItem(STORAGE_KEY, trimmed)
+  } else {
+    localStorage.removeItem(STORAGE_KEY)
+  }
+  applyUserHeader(trimmed)
+}
+
+export const initCurrentUser = () => applyUserHeader(getCurrentUser())
@@ -0,0 +1,18 @@
+// Matches the server's pair key: scenario, selector and viewport
+export const getPairKey = (pair) => `${pair.label}|${pair.selector || ''}|${pair.viewportLabel}`
+
+export const REVIEW_STATUSES = [
+  { value: 'open', label: 'Open', color: 'default' },
+  { value: 'needs-fix', label: 'Needs fix', color: 'warning' },
+  { value: 'accepted', label: 'Accepted', color: 'success' },
+  { value: 'rejected', label: 'Rejected', color: 'error' }
+]
+
+export const getReviewStatus = (value) =>
+  REVIEW_STATUSES.find(status => status.value === value) || REVIEW_STATUSES[0]
+
+// Short sign-off text for a review summary, e.g. "2 / 5 resolved"
+export const describeReview = (summary) => {
+  if (!summary || summary.failed === 0) return null
+  return summary.signedOff ? 'Signed off' : `${summary.resolved} / ${summary.failed} resolved`
+}